@@ -9,6 +9,7 @@ const __config = require('./config')
 const __constants = require('./config/constants')
 const helmet = require('helmet')
 const authMiddleware = require('./middlewares/auth/authentication')
+const jobs = require('./jobs')
 const numCPUs = __config.clusterNumber || 0
 const fs = require('fs')
 
@@ -67,7 +68,9 @@ class httpApiWorker {
       })
     })
     vm.app.use(bodyParser.json({
-      limit: '100mb'
+      limit: '100mb',
+      // webhook signatures are computed over the body exactly as it was sent
+      verify: (req, res, buf) => { req.rawBody = buf }
     })) // to support JSON-encoded bodies
     vm.app.use(bodyParser.urlencoded({ // to support URL-encoded bodies
       extended: true,
@@ -110,10 +113,12 @@ class httpApiWorker {
       vm.app.server.listen(__config.port)
       vm.app.server.timeout = __constants.SERVER_TIMEOUT
     }
+    if (cluster.isMaster) jobs.start()
     const apiPrefix = __config.addBaseUrlPrefix === true ? '/' + __config.api_prefix : ''
     console.log('Application listening on Port :', __config.port, '\nApplication Test URL : ', __config.base_url + apiPrefix + '/api/healthCheck/getping')
 
     const stopGraceFully = () => {
+      jobs.stop()
       vm.app.server.close(async (error) => {
         console.log('inside ~function=runExpressServerserver is closed', error)
         await __db.close()
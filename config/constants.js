@@ -19,7 +19,7 @@ const VALIDATOR = {
   number: '^[0-9]+$',
   aplphaNumeric: '^[a-zA-Z0-9]+$',
   phoneNumber: '^\\d{1,10}$',
-  postalCode: '^\\d{1,6}$',
+  postalCode: '^[1-9][0-9]{5}$', // indian pincode, 6 digits not starting with 0
   phoneCode: '^\\d{1,2}$',
   timeStamp:
     '^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1]) (2[0-3]|[01][0-9]):[0-5][0-9]:[0-5][0-9]$',
@@ -30,6 +30,10 @@ const VALIDATOR = {
   noWhiteSpace: '^[a-zA-Z0-9_]*$',
   phoneNumberWithPhoneCode: '^[\\d+]{1}[0-9]{2}?[0-9]{10}$',
   phoneNumberE164: '^([\\d+]{1})?[0-9]{7,15}$', // e.164 format with min 7 & max 15 with + optional
+  whatsappNumber: '^[1-9][0-9]{9,14}$', // country code and number, digits only as whatsapp sends them
+  couponCode: '^[A-Za-z0-9_-]{3,32}$',
+  pickupCode: '^[0-9]{6}$',
+  idempotencyKey: '^[\\x21-\\x7E]{1,255}$', // printable ascii without spaces, e.g. a uuid
   aplphaNumericWithUnderscoreAndHyphen: '^[a-zA-Z0-9_-]+$',
   date: '^\\d{4}-\\d{2}-\\d{2}$',
   file: {
@@ -47,6 +51,160 @@ const EXPIRY_OF_CACHE = 300
 const USER_ACTIVITY_LOGS = 'useractivitylogs'
 const V1 = 'v1'
 const ARRAY_OF_MEDIUM = ['body', 'params', 'query']
+const MAGENTO_BASE_URL = 'https://sparkyjeans.in/rest'
+const MAGENTO_TIMEOUT = 15 * 1000
+const MAGENTO_ADMIN_TOKEN_TTL = 4 * 60 * 60 - 5 * 60 // magento admin tokens live 4 hours, refresh 5 minutes early
+const MAGENTO_ADMIN_TOKEN_KEY = 'magento:admin_token'
+const SHIPROCKET_BASE_URL = 'https://apiv2.shiprocket.in/v1/external'
+const CASHFREE_BASE_URL = {
+  PROD: 'https://api.cashfree.com',
+  SANDBOX: 'https://sandbox.cashfree.com'
+}
+const GOOGLE_MAPS_BASE_URL = 'https://maps.googleapis.com/maps/api'
+const SIZE_ATTRIBUTE_ID = 144
+const ATTRIBUTE_OPTIONS_CACHE_TTL = 30 * 60
+const STOCK_LOOKUP_BATCH_SIZE = 50
+// salable quantity lookups in flight at once, magento has no batch endpoint for it
+const STOCK_SALABLE_QTY_CONCURRENCY = 5
+const STOCK_SALABLE_QTY_CACHE_TTL = 60
+// msi's default stock, the stock of the main website
+const MAGENTO_DEFAULT_STOCK_ID = 1
+const CATALOG_SYNC_STATE_NAME = 'magento'
+const MAGENTO_LIST_PAGE_SIZE = 100
+const CATALOG_FULL_SYNC_INTERVAL = 24 * 60 * 60
+const PRODUCT_SEARCH_INDEX = 'products'
+// solr format, words on one line are interchangeable
+const PRODUCT_SEARCH_SYNONYMS = [
+  'jeans, denim, denims',
+  'tshirt, t-shirt, tee, tees',
+  'trouser, trousers, pant, pants',
+  'shirt, shirts',
+  'navy, dark blue',
+  'olive, army green',
+  'grey, gray'
+]
+// custom attributes whose labels are searchable, select values are indexed by label
+const PRODUCT_SEARCH_ATTRIBUTE_CODES = ['color', 'fit', 'fabric', 'material', 'pattern', 'occasion']
+const PRODUCT_SEARCH_SUGGESTION_SIZE = 5
+// category drops read live from magento are filtered and faceted in memory over at most this many products,
+// the catalog mirror stores the filter facts of every product instead
+const DROP_FILTER_SCAN_LIMIT = 200
+const DROP_FACET_ATTRIBUTE_CODES = { color: 'color', fit: 'fit' }
+// [from, to] in rupees, null is open ended
+const DROP_PRICE_FACET_BUCKETS = [[0, 999], [1000, 1999], [2000, 2999], [3000, null]]
+// attributes listed on the product detail, in this order, when the product has them
+const PRODUCT_DETAIL_ATTRIBUTE_CODES = ['fabric', 'fit', 'color', 'material', 'pattern', 'occasion', 'wash_care']
+const PRODUCT_LINK_TYPES = ['related', 'upsell', 'crosssell']
+const CATEGORY_TREE_CACHE_TTL = 10 * 60
+const MAGENTO_STORE_ID = 1
+const MAGENTO_CURRENCY_CODE = 'INR'
+// special price dates are compared as days in the store timezone, Asia/Kolkata
+const STORE_UTC_OFFSET_MINUTES = 330
+// tier prices of these groups apply to bot customers: NOT LOGGED IN and ALL GROUPS
+const PRICE_CUSTOMER_GROUP_IDS = [0, 32000]
+// magento's NOT LOGGED IN group, whatsapp numbers without an account shop as guests
+const GUEST_CUSTOMER_GROUP_ID = 0
+const MAGENTO_MEDIA_BASE_URL = 'https://sparkyjeans.in/media/catalog/product'
+const IMAGE_CACHE_DIR = process.env.PWD + '/cache/images'
+const IMAGE_CACHE_TTL = 7 * 24 * 60 * 60
+// gallery entries with these roles come first, in this order, then the rest by position
+const IMAGE_ROLE_ORDER = ['image', 'small_image', 'thumbnail']
+// widths the resizing route accepts, a fixed list keeps the disk cache bounded
+const IMAGE_RENDITION_WIDTHS = [150, 300, 600, 1024, 1600]
+const IMAGE_RENDITION_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }
+// whatsapp only takes jpeg or png images up to 5MB
+const IMAGE_RENDITIONS = {
+  whatsapp: { width: 1024, format: 'jpeg' },
+  thumbnail: { width: 300, format: 'webp' }
+}
+const IMAGE_QUALITY = 80
+const IMAGE_MAX_SOURCE_BYTES = 20 * 1024 * 1024
+const WHATSAPP_BASE_URL = 'https://graph.facebook.com/v19.0'
+const WHATSAPP_TIMEOUT = 10 * 1000
+const WHATSAPP_TEMPLATE_LANGUAGE = 'en'
+const BACK_IN_STOCK_TEMPLATE = 'back_in_stock'
+// a subscription is given up after this many failed whatsapp sends
+const BACK_IN_STOCK_MAX_ATTEMPTS = 3
+const CART_KEY_PREFIX = 'cart:'
+// a cart untouched for this long is dropped
+const CART_TTL = 3 * 24 * 60 * 60
+const CART_MAX_ITEMS = 20
+const CART_MAX_QTY = 10
+const ORDER_COUNTRY_ID = 'IN'
+// customers are stored in magento with the 10 digit mobile number, whatsapp numbers carry the country code
+const MOBILE_NUMBER_LENGTH = 10
+const ORDER_PAYMENT_METHOD = 'cashfree'
+// state -> district -> pincodes, see README "ADDRESS BOOK" for where it comes from
+const PINCODE_DATA_FILE = process.env.PWD + '/data/pincodes.json'
+const ADDRESS_BOOK_MAX_ADDRESSES = 10
+const SHIPROCKET_TIMEOUT = 15 * 1000
+const SHIPROCKET_TOKEN_TTL = 9 * 24 * 60 * 60
+// weight in kg quoted to shiprocket when checking a pincode, one or two pairs of jeans
+const SHIPROCKET_PACKAGE_WEIGHT = 0.5
+// shiprocket shipment statuses of an order that came back undelivered
+const SHIPROCKET_RTO_STATUS_PREFIX = 'RTO'
+const COD_PAYMENT_METHOD = 'cashondelivery'
+const COD_MIN_ORDER_VALUE = 299
+const COD_MAX_ORDER_VALUE = 5000
+const COD_FEE = 49
+// orders of this value and above pay no cod fee, 0 charges the fee on every cod order
+const COD_FREE_ABOVE = 1999
+// customers with this many returned (rto) orders can only prepay
+const COD_MAX_RTO_ORDERS = 2
+// apparel gst by the value of a piece after discounts, prices include it. upTo null is the top slab
+const GST_RATE_SLABS = [{ upTo: 2500, rate: 5 }, { upTo: null, rate: 18 }]
+// the state the store is registered for gst in, orders within it pay cgst and sgst, orders to other states igst
+const GST_STORE_STATE = 'Maharashtra'
+// magento's coupon_type of cart price rules that apply without a code
+const SALES_RULE_NO_COUPON = 1
+const PAYMENT_RULES_CACHE_TTL = 5 * 60
+const IDEMPOTENCY_KEY_PREFIX = 'idempotency:'
+// how long a stored response answers repeats of its Idempotency-Key
+const IDEMPOTENCY_TTL = 24 * 60 * 60
+// a request that has not answered within this long (the process died) frees its key for a retry
+const IDEMPOTENCY_LOCK_TTL = 2 * 60
+const CASHFREE_TIMEOUT = 15 * 1000
+// cashfree link statuses after which nobody can pay the link any more
+const CASHFREE_CLOSED_LINK_STATUSES = ['PAID', 'EXPIRED', 'CANCELLED']
+// a webhook whose x-webhook-timestamp is further than this from now is refused as a replay
+const CASHFREE_WEBHOOK_TOLERANCE = 5 * 60
+// seconds a webhook event stays claimed while it is handled, one still received after that died with its process and is handled again
+const PAYMENT_EVENT_LEASE = 2 * 60
+// webhook events that mean money was received, the link event only once the link is paid in full
+const CASHFREE_PAYMENT_SUCCESS_EVENT = 'PAYMENT_SUCCESS_WEBHOOK'
+const CASHFREE_LINK_EVENT = 'PAYMENT_LINK_EVENT'
+// redis hash of linkId -> reservation
+const STOCK_RESERVATIONS_KEY = 'stock_reservations'
+const STOCK_RESERVATION_LOCK_KEY = 'stock_reservations:lock'
+const STOCK_RESERVATION_LOCK_TTL = 10
+// whatsapp number -> last change of the cart, read by the recovery job to find abandoned carts
+const CART_ACTIVITY_KEY = 'cart_activity'
+const RECOVERY_CART_TEMPLATE = 'cart_reminder'
+const RECOVERY_CART_INCENTIVE_TEMPLATE = 'cart_reminder_offer'
+const RECOVERY_LINK_TEMPLATE = 'payment_reminder'
+const RECOVERY_CART_AFTER_MINUTES = 60
+const RECOVERY_LINK_AFTER_MINUTES = 30
+const RECOVERY_REMINDER_INTERVAL_MINUTES = 24 * 60
+const RECOVERY_MAX_REMINDERS = 3
+const RECOVERY_INCENTIVE_FROM_REMINDER = 2
+// minutes a fresh link sent with a reminder stays payable
+const RECOVERY_LINK_EXPIRY_MINUTES = 24 * 60
+// a sequence is given up after this many failed reminders in a row
+const RECOVERY_MAX_SEND_ATTEMPTS = 3
+// magento msi in-store pickup, the pickup location code is the code of the store's source
+const PICKUP_CARRIER_CODE = 'instore'
+const PICKUP_METHOD_CODE = 'pickup'
+const PICKUP_SCOPE_CODE = 'base'
+const PICKUP_STORE_TEMPLATE = 'pickup_order_store'
+const PICKUP_CODE_TEMPLATE = 'pickup_code'
+const PICKUP_KEY_PREFIX = 'pickup:'
+// a pickup code is kept this long, uncollected orders after that need the store to look them up in magento
+const PICKUP_CODE_TTL = 30 * 24 * 60 * 60
+// wrong codes an order takes before it is locked, the customer then has to be verified by the store some other way
+const PICKUP_MAX_ATTEMPTS = 5
+// checkout links are named after the order, ORDER_LINK_PREFIX + increment id, so a payment can be matched back to its order
+const ORDER_LINK_PREFIX = 'order_'
+const CHECKOUT_LINK_EXPIRY_MINUTES = 30
 
 module.exports.RESPONSE_MESSAGES = require('../responses/api-responses')
 module.exports.CUSTOM_CONSTANT = CUSTOM_CONSTANT
@@ -63,3 +221,104 @@ module.exports.EXPIRY_OF_CACHE = EXPIRY_OF_CACHE
 module.exports.USER_ACTIVITY_LOGS = USER_ACTIVITY_LOGS
 module.exports.V1 = V1
 module.exports.ARRAY_OF_MEDIUM = ARRAY_OF_MEDIUM
+module.exports.MAGENTO_BASE_URL = MAGENTO_BASE_URL
+module.exports.MAGENTO_TIMEOUT = MAGENTO_TIMEOUT
+module.exports.MAGENTO_ADMIN_TOKEN_TTL = MAGENTO_ADMIN_TOKEN_TTL
+module.exports.MAGENTO_ADMIN_TOKEN_KEY = MAGENTO_ADMIN_TOKEN_KEY
+module.exports.SHIPROCKET_BASE_URL = SHIPROCKET_BASE_URL
+module.exports.CASHFREE_BASE_URL = CASHFREE_BASE_URL
+module.exports.GOOGLE_MAPS_BASE_URL = GOOGLE_MAPS_BASE_URL
+module.exports.SIZE_ATTRIBUTE_ID = SIZE_ATTRIBUTE_ID
+module.exports.ATTRIBUTE_OPTIONS_CACHE_TTL = ATTRIBUTE_OPTIONS_CACHE_TTL
+module.exports.STOCK_LOOKUP_BATCH_SIZE = STOCK_LOOKUP_BATCH_SIZE
+module.exports.STOCK_SALABLE_QTY_CONCURRENCY = STOCK_SALABLE_QTY_CONCURRENCY
+module.exports.STOCK_SALABLE_QTY_CACHE_TTL = STOCK_SALABLE_QTY_CACHE_TTL
+module.exports.MAGENTO_DEFAULT_STOCK_ID = MAGENTO_DEFAULT_STOCK_ID
+module.exports.CATALOG_SYNC_STATE_NAME = CATALOG_SYNC_STATE_NAME
+module.exports.MAGENTO_LIST_PAGE_SIZE = MAGENTO_LIST_PAGE_SIZE
+module.exports.CATALOG_FULL_SYNC_INTERVAL = CATALOG_FULL_SYNC_INTERVAL
+module.exports.PRODUCT_SEARCH_INDEX = PRODUCT_SEARCH_INDEX
+module.exports.PRODUCT_SEARCH_SYNONYMS = PRODUCT_SEARCH_SYNONYMS
+module.exports.PRODUCT_SEARCH_ATTRIBUTE_CODES = PRODUCT_SEARCH_ATTRIBUTE_CODES
+module.exports.PRODUCT_SEARCH_SUGGESTION_SIZE = PRODUCT_SEARCH_SUGGESTION_SIZE
+module.exports.DROP_FILTER_SCAN_LIMIT = DROP_FILTER_SCAN_LIMIT
+module.exports.DROP_FACET_ATTRIBUTE_CODES = DROP_FACET_ATTRIBUTE_CODES
+module.exports.DROP_PRICE_FACET_BUCKETS = DROP_PRICE_FACET_BUCKETS
+module.exports.PRODUCT_DETAIL_ATTRIBUTE_CODES = PRODUCT_DETAIL_ATTRIBUTE_CODES
+module.exports.PRODUCT_LINK_TYPES = PRODUCT_LINK_TYPES
+module.exports.CATEGORY_TREE_CACHE_TTL = CATEGORY_TREE_CACHE_TTL
+module.exports.MAGENTO_STORE_ID = MAGENTO_STORE_ID
+module.exports.MAGENTO_CURRENCY_CODE = MAGENTO_CURRENCY_CODE
+module.exports.STORE_UTC_OFFSET_MINUTES = STORE_UTC_OFFSET_MINUTES
+module.exports.PRICE_CUSTOMER_GROUP_IDS = PRICE_CUSTOMER_GROUP_IDS
+module.exports.GUEST_CUSTOMER_GROUP_ID = GUEST_CUSTOMER_GROUP_ID
+module.exports.MAGENTO_MEDIA_BASE_URL = MAGENTO_MEDIA_BASE_URL
+module.exports.IMAGE_CACHE_DIR = IMAGE_CACHE_DIR
+module.exports.IMAGE_CACHE_TTL = IMAGE_CACHE_TTL
+module.exports.IMAGE_ROLE_ORDER = IMAGE_ROLE_ORDER
+module.exports.IMAGE_RENDITION_WIDTHS = IMAGE_RENDITION_WIDTHS
+module.exports.IMAGE_RENDITION_FORMATS = IMAGE_RENDITION_FORMATS
+module.exports.IMAGE_RENDITIONS = IMAGE_RENDITIONS
+module.exports.IMAGE_QUALITY = IMAGE_QUALITY
+module.exports.IMAGE_MAX_SOURCE_BYTES = IMAGE_MAX_SOURCE_BYTES
+module.exports.WHATSAPP_BASE_URL = WHATSAPP_BASE_URL
+module.exports.WHATSAPP_TIMEOUT = WHATSAPP_TIMEOUT
+module.exports.WHATSAPP_TEMPLATE_LANGUAGE = WHATSAPP_TEMPLATE_LANGUAGE
+module.exports.BACK_IN_STOCK_TEMPLATE = BACK_IN_STOCK_TEMPLATE
+module.exports.BACK_IN_STOCK_MAX_ATTEMPTS = BACK_IN_STOCK_MAX_ATTEMPTS
+module.exports.CART_KEY_PREFIX = CART_KEY_PREFIX
+module.exports.CART_TTL = CART_TTL
+module.exports.CART_MAX_ITEMS = CART_MAX_ITEMS
+module.exports.CART_MAX_QTY = CART_MAX_QTY
+module.exports.ORDER_COUNTRY_ID = ORDER_COUNTRY_ID
+module.exports.MOBILE_NUMBER_LENGTH = MOBILE_NUMBER_LENGTH
+module.exports.ORDER_PAYMENT_METHOD = ORDER_PAYMENT_METHOD
+module.exports.PINCODE_DATA_FILE = PINCODE_DATA_FILE
+module.exports.ADDRESS_BOOK_MAX_ADDRESSES = ADDRESS_BOOK_MAX_ADDRESSES
+module.exports.SHIPROCKET_TIMEOUT = SHIPROCKET_TIMEOUT
+module.exports.SHIPROCKET_TOKEN_TTL = SHIPROCKET_TOKEN_TTL
+module.exports.SHIPROCKET_PACKAGE_WEIGHT = SHIPROCKET_PACKAGE_WEIGHT
+module.exports.SHIPROCKET_RTO_STATUS_PREFIX = SHIPROCKET_RTO_STATUS_PREFIX
+module.exports.COD_PAYMENT_METHOD = COD_PAYMENT_METHOD
+module.exports.COD_MIN_ORDER_VALUE = COD_MIN_ORDER_VALUE
+module.exports.COD_MAX_ORDER_VALUE = COD_MAX_ORDER_VALUE
+module.exports.COD_FEE = COD_FEE
+module.exports.COD_FREE_ABOVE = COD_FREE_ABOVE
+module.exports.COD_MAX_RTO_ORDERS = COD_MAX_RTO_ORDERS
+module.exports.GST_RATE_SLABS = GST_RATE_SLABS
+module.exports.GST_STORE_STATE = GST_STORE_STATE
+module.exports.SALES_RULE_NO_COUPON = SALES_RULE_NO_COUPON
+module.exports.PAYMENT_RULES_CACHE_TTL = PAYMENT_RULES_CACHE_TTL
+module.exports.IDEMPOTENCY_KEY_PREFIX = IDEMPOTENCY_KEY_PREFIX
+module.exports.IDEMPOTENCY_TTL = IDEMPOTENCY_TTL
+module.exports.IDEMPOTENCY_LOCK_TTL = IDEMPOTENCY_LOCK_TTL
+module.exports.CASHFREE_TIMEOUT = CASHFREE_TIMEOUT
+module.exports.CASHFREE_CLOSED_LINK_STATUSES = CASHFREE_CLOSED_LINK_STATUSES
+module.exports.CASHFREE_WEBHOOK_TOLERANCE = CASHFREE_WEBHOOK_TOLERANCE
+module.exports.PAYMENT_EVENT_LEASE = PAYMENT_EVENT_LEASE
+module.exports.CASHFREE_PAYMENT_SUCCESS_EVENT = CASHFREE_PAYMENT_SUCCESS_EVENT
+module.exports.CASHFREE_LINK_EVENT = CASHFREE_LINK_EVENT
+module.exports.STOCK_RESERVATIONS_KEY = STOCK_RESERVATIONS_KEY
+module.exports.STOCK_RESERVATION_LOCK_KEY = STOCK_RESERVATION_LOCK_KEY
+module.exports.STOCK_RESERVATION_LOCK_TTL = STOCK_RESERVATION_LOCK_TTL
+module.exports.CART_ACTIVITY_KEY = CART_ACTIVITY_KEY
+module.exports.RECOVERY_CART_TEMPLATE = RECOVERY_CART_TEMPLATE
+module.exports.RECOVERY_CART_INCENTIVE_TEMPLATE = RECOVERY_CART_INCENTIVE_TEMPLATE
+module.exports.RECOVERY_LINK_TEMPLATE = RECOVERY_LINK_TEMPLATE
+module.exports.RECOVERY_CART_AFTER_MINUTES = RECOVERY_CART_AFTER_MINUTES
+module.exports.RECOVERY_LINK_AFTER_MINUTES = RECOVERY_LINK_AFTER_MINUTES
+module.exports.RECOVERY_REMINDER_INTERVAL_MINUTES = RECOVERY_REMINDER_INTERVAL_MINUTES
+module.exports.RECOVERY_MAX_REMINDERS = RECOVERY_MAX_REMINDERS
+module.exports.RECOVERY_INCENTIVE_FROM_REMINDER = RECOVERY_INCENTIVE_FROM_REMINDER
+module.exports.RECOVERY_LINK_EXPIRY_MINUTES = RECOVERY_LINK_EXPIRY_MINUTES
+module.exports.RECOVERY_MAX_SEND_ATTEMPTS = RECOVERY_MAX_SEND_ATTEMPTS
+module.exports.PICKUP_CARRIER_CODE = PICKUP_CARRIER_CODE
+module.exports.PICKUP_METHOD_CODE = PICKUP_METHOD_CODE
+module.exports.PICKUP_SCOPE_CODE = PICKUP_SCOPE_CODE
+module.exports.PICKUP_STORE_TEMPLATE = PICKUP_STORE_TEMPLATE
+module.exports.PICKUP_CODE_TEMPLATE = PICKUP_CODE_TEMPLATE
+module.exports.PICKUP_KEY_PREFIX = PICKUP_KEY_PREFIX
+module.exports.PICKUP_CODE_TTL = PICKUP_CODE_TTL
+module.exports.PICKUP_MAX_ATTEMPTS = PICKUP_MAX_ATTEMPTS
+module.exports.ORDER_LINK_PREFIX = ORDER_LINK_PREFIX
+module.exports.CHECKOUT_LINK_EXPIRY_MINUTES = CHECKOUT_LINK_EXPIRY_MINUTES
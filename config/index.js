@@ -38,6 +38,9 @@ module.exports = {
   },
   elastic: {
     initUserActivity: process.env.ELASTIC_INIT_USER_ACTIVITY === 'true',
+    initSearch: process.env.ELASTIC_INIT_SEARCH === 'true',
+    productIndex: process.env.ELASTIC_PRODUCT_INDEX || __constants.PRODUCT_SEARCH_INDEX,
+    node: process.env.ELASTIC_NODE,
     cloudId: process.env.ELASTIC_CLOUD_ID,
     username: process.env.ELASTIC_USERNAME,
     password: process.env.ELASTIC_PASSWORD
@@ -48,6 +51,97 @@ module.exports = {
     secretId: process.env.VAULT_SECRET_ID,
     vaultPath: process.env.VAULT_PATH
   },
+  magento: {
+    baseUrl: process.env.MAGENTO_BASE_URL || __constants.MAGENTO_BASE_URL,
+    username: process.env.MAGENTO_USERNAME,
+    password: process.env.MAGENTO_PASSWORD,
+    timeout: +process.env.MAGENTO_TIMEOUT_MS || __constants.MAGENTO_TIMEOUT,
+    adminTokenTtl: +process.env.MAGENTO_ADMIN_TOKEN_TTL || __constants.MAGENTO_ADMIN_TOKEN_TTL,
+    stockId: +process.env.MAGENTO_STOCK_ID || __constants.MAGENTO_DEFAULT_STOCK_ID,
+    stockSourceCodes: process.env.MAGENTO_STOCK_SOURCE_CODES ? process.env.MAGENTO_STOCK_SOURCE_CODES.split(',').map(code => code.trim()) : [],
+    // 0 reads every salable quantity from magento
+    salableQtyCacheTtl: process.env.MAGENTO_SALABLE_QTY_CACHE_TTL ? +process.env.MAGENTO_SALABLE_QTY_CACHE_TTL : __constants.STOCK_SALABLE_QTY_CACHE_TTL,
+    storeId: +process.env.MAGENTO_STORE_ID || __constants.MAGENTO_STORE_ID,
+    currencyCode: process.env.MAGENTO_CURRENCY_CODE || __constants.MAGENTO_CURRENCY_CODE,
+    catalogRulePrices: process.env.MAGENTO_CATALOG_RULE_PRICES !== 'false',
+    // carrier_method, e.g. flatrate_flatrate, the cheapest available method is used when not set
+    shippingMethod: process.env.MAGENTO_SHIPPING_METHOD,
+    paymentMethod: process.env.MAGENTO_PAYMENT_METHOD || __constants.ORDER_PAYMENT_METHOD
+  },
+  shiprocket: {
+    baseUrl: process.env.SHIPROCKET_BASE_URL || __constants.SHIPROCKET_BASE_URL,
+    email: process.env.SHIPROCKET_EMAIL,
+    password: process.env.SHIPROCKET_PASSWORD,
+    pickupPostcode: process.env.SHIPROCKET_PICKUP_POSTCODE
+  },
+  cashfree: {
+    baseUrl: process.env.CF_BASE_URL || (process.env.CF_ENV === 'prod' ? __constants.CASHFREE_BASE_URL.PROD : __constants.CASHFREE_BASE_URL.SANDBOX),
+    clientId: process.env.CF_CLIENT_ID,
+    clientSecret: process.env.CF_CLIENT_SECRET,
+    apiVersion: process.env.API_VERSION,
+    webhookTolerance: +process.env.CF_WEBHOOK_TOLERANCE_SECONDS || __constants.CASHFREE_WEBHOOK_TOLERANCE
+  },
+  googleMaps: {
+    baseUrl: process.env.GOOGLE_MAPS_BASE_URL || __constants.GOOGLE_MAPS_BASE_URL,
+    apiKey: process.env.GOOGLE_MAPS_API_KEY
+  },
+  media: {
+    baseUrl: (process.env.MAGENTO_MEDIA_BASE_URL || __constants.MAGENTO_MEDIA_BASE_URL).replace(/\/+$/, ''),
+    cacheDir: process.env.IMAGE_CACHE_DIR || __constants.IMAGE_CACHE_DIR
+  },
+  whatsapp: {
+    baseUrl: process.env.WHATSAPP_BASE_URL || __constants.WHATSAPP_BASE_URL,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || __constants.WHATSAPP_TEMPLATE_LANGUAGE
+  },
+  backInStock: {
+    template: process.env.BACK_IN_STOCK_TEMPLATE || __constants.BACK_IN_STOCK_TEMPLATE,
+    checkIntervalMinutes: +process.env.BACK_IN_STOCK_CHECK_INTERVAL_MINUTES || 0
+  },
+  cart: {
+    ttl: +process.env.CART_TTL_SECONDS || __constants.CART_TTL
+  },
+  stockReservation: {
+    enabled: process.env.STOCK_RESERVATION_ENABLED !== 'false'
+  },
+  recovery: {
+    checkIntervalMinutes: +process.env.RECOVERY_CHECK_INTERVAL_MINUTES || 0,
+    cartAfterMinutes: +process.env.RECOVERY_CART_AFTER_MINUTES || __constants.RECOVERY_CART_AFTER_MINUTES,
+    linkAfterMinutes: +process.env.RECOVERY_LINK_AFTER_MINUTES || __constants.RECOVERY_LINK_AFTER_MINUTES,
+    reminderIntervalMinutes: +process.env.RECOVERY_REMINDER_INTERVAL_MINUTES || __constants.RECOVERY_REMINDER_INTERVAL_MINUTES,
+    maxReminders: +process.env.RECOVERY_MAX_REMINDERS || __constants.RECOVERY_MAX_REMINDERS,
+    incentiveCoupon: process.env.RECOVERY_INCENTIVE_COUPON || null,
+    incentiveFromReminder: +process.env.RECOVERY_INCENTIVE_FROM_REMINDER || __constants.RECOVERY_INCENTIVE_FROM_REMINDER,
+    cartTemplate: process.env.RECOVERY_CART_TEMPLATE || __constants.RECOVERY_CART_TEMPLATE,
+    cartIncentiveTemplate: process.env.RECOVERY_CART_INCENTIVE_TEMPLATE || __constants.RECOVERY_CART_INCENTIVE_TEMPLATE,
+    linkTemplate: process.env.RECOVERY_LINK_TEMPLATE || __constants.RECOVERY_LINK_TEMPLATE
+  },
+  pickup: {
+    // magento website code the pickup locations are assigned to
+    scopeCode: process.env.MAGENTO_PICKUP_SCOPE_CODE || __constants.PICKUP_SCOPE_CODE,
+    storeTemplate: process.env.PICKUP_STORE_TEMPLATE || __constants.PICKUP_STORE_TEMPLATE,
+    codeTemplate: process.env.PICKUP_CODE_TEMPLATE || __constants.PICKUP_CODE_TEMPLATE,
+    codeTtl: +process.env.PICKUP_CODE_TTL_SECONDS || __constants.PICKUP_CODE_TTL
+  },
+  idempotency: {
+    ttl: +process.env.IDEMPOTENCY_TTL_SECONDS || __constants.IDEMPOTENCY_TTL
+  },
+  cod: {
+    enabled: process.env.COD_ENABLED !== 'false',
+    minOrderValue: process.env.COD_MIN_ORDER_VALUE ? +process.env.COD_MIN_ORDER_VALUE : __constants.COD_MIN_ORDER_VALUE,
+    maxOrderValue: process.env.COD_MAX_ORDER_VALUE ? +process.env.COD_MAX_ORDER_VALUE : __constants.COD_MAX_ORDER_VALUE,
+    fee: process.env.COD_FEE ? +process.env.COD_FEE : __constants.COD_FEE,
+    freeAbove: process.env.COD_FREE_ABOVE ? +process.env.COD_FREE_ABOVE : __constants.COD_FREE_ABOVE,
+    maxRtoOrders: process.env.COD_MAX_RTO_ORDERS ? +process.env.COD_MAX_RTO_ORDERS : __constants.COD_MAX_RTO_ORDERS
+  },
+  gst: {
+    storeState: process.env.GST_STORE_STATE || __constants.GST_STORE_STATE
+  },
+  catalogMirror: {
+    reads: process.env.CATALOG_MIRROR_READS === 'true',
+    syncIntervalMinutes: +process.env.CATALOG_SYNC_INTERVAL_MINUTES || 0
+  },
   addBaseUrlPrefix: process.env.ADD_BASEURL_PREFIX === 'true',
   debugMode: process.env.DEBUG_MODE === 'true',
   userBasedCache: process.env.USER_BASED_CACHE === 'true'
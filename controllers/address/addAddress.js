@@ -0,0 +1,60 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @namespace -ADDRESS-MODULE-
+ * @description API’s related to the customer's address book, stored as the addresses of the magento customer.
+ */
+/**
+ * @memberof -ADDRESS-module-
+ * @name addAddress
+ * @path {POST} /api/address/addAddress
+ * @description Adds an address to the address book. State and region always come from the pincode, the city too when it is left out.
+ * The first address becomes the default one.
+ * @body {string} whatsappNumber
+ * @body {string[]} street - 1 to 3 lines
+ * @body {string} pincode - 6 digits
+ * @body {string} [city]
+ * @body {string} [firstname] - defaults to the customer's, as do lastname and telephone
+ * @body {string} [lastname]
+ * @body {string} [telephone]
+ * @body {boolean} [isDefault=false]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { address, addresses }
+ * @code {200} If the msg is 'Success', the address is saved.
+ * @code {400} If the pincode is not a known pincode or the address book is full.
+ * @code {404} If there is no customer account for the number ('No Account').
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'street', 'pincode'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    street: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', minLength: 1, maxLength: 255 } },
+    pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode },
+    city: { type: 'string', minLength: 1, maxLength: 255 },
+    firstname: { type: 'string', minLength: 1, maxLength: 255 },
+    lastname: { type: 'string', minLength: 1, maxLength: 255 },
+    telephone: { type: 'string', pattern: __constants.VALIDATOR.phoneNumber },
+    isDefault: { type: 'boolean' }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const addAddress = async (req, res) => {
+  try {
+    const { whatsappNumber, ...address } = req.body
+    const saved = await addressService.addAddress(whatsappNumber, address)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: saved })
+  } catch (err) {
+    console.log('Error in addAddress :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/addAddress', validation, addAddress)
+module.exports = router
@@ -0,0 +1,41 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @memberof -ADDRESS-module-
+ * @name deleteAddress
+ * @path {POST} /api/address/deleteAddress
+ * @description Deletes an address book entry, when it was the default the first remaining address becomes the default.
+ * @body {string} whatsappNumber
+ * @body {integer} addressId
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {array} metadata.data - The remaining addresses.
+ * @code {200} If the msg is 'Success', the address is deleted.
+ * @code {404} If there is no customer account for the number or the address is not in the address book.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'addressId'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    addressId: { type: 'integer', minimum: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const deleteAddress = async (req, res) => {
+  try {
+    const addresses = await addressService.deleteAddress(req.body.whatsappNumber, req.body.addressId)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: addresses })
+  } catch (err) {
+    console.log('Error in deleteAddress :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/deleteAddress', validation, deleteAddress)
+module.exports = router
@@ -0,0 +1,39 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @memberof -ADDRESS-module-
+ * @name getAddresses
+ * @path {GET} /api/address/getAddresses
+ * @description The address book of the customer whose mobile number is the last 10 digits of the whatsapp number.
+ * @query {string} whatsappNumber
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {array} metadata.data - [{ id, firstname, lastname, street, city, state, region_id, pincode, telephone, is_default }]
+ * @code {200} If the msg is 'Success', the API returns the addresses.
+ * @code {404} If there is no customer account for the number ('No Account').
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getAddresses = async (req, res) => {
+  try {
+    const addresses = await addressService.listAddresses(req.query.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: addresses })
+  } catch (err) {
+    console.log('Error in getAddresses :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getAddresses', validation, getAddresses)
+module.exports = router
@@ -0,0 +1,39 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @memberof -ADDRESS-module-
+ * @name lookupPincode
+ * @path {GET} /api/address/lookupPincode
+ * @description City, state and magento region of a pincode from the offline pincode dataset, to fill in an address as it is typed.
+ * @query {string} pincode - 6 digits, e.g. 560001
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { pincode, city, state, region_id, region_code }
+ * @code {200} If the msg is 'Success', the API returns the place.
+ * @code {400} If the pincode is malformed or not a known pincode.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['pincode'],
+  properties: {
+    pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const lookupPincode = async (req, res) => {
+  try {
+    const place = await addressService.lookupPincode(req.query.pincode)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: place })
+  } catch (err) {
+    console.log('Error in lookupPincode :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/lookupPincode', validation, lookupPincode)
+module.exports = router
@@ -0,0 +1,41 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @memberof -ADDRESS-module-
+ * @name setDefaultAddress
+ * @path {POST} /api/address/setDefaultAddress
+ * @description Makes an address book entry the default shipping and billing address, orders without an address ship there.
+ * @body {string} whatsappNumber
+ * @body {integer} addressId
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {array} metadata.data - The addresses.
+ * @code {200} If the msg is 'Success', the default is changed.
+ * @code {404} If there is no customer account for the number or the address is not in the address book.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'addressId'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    addressId: { type: 'integer', minimum: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const setDefaultAddress = async (req, res) => {
+  try {
+    const addresses = await addressService.setDefaultAddress(req.body.whatsappNumber, req.body.addressId)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: addresses })
+  } catch (err) {
+    console.log('Error in setDefaultAddress :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/setDefaultAddress', validation, setDefaultAddress)
+module.exports = router
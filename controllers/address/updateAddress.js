@@ -0,0 +1,56 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const addressService = require('../../services/customer/AddressService')
+
+/**
+ * @memberof -ADDRESS-module-
+ * @name updateAddress
+ * @path {POST} /api/address/updateAddress
+ * @description Changes the fields sent of an address book entry. A new pincode brings its own state and region,
+ * and its own city unless one is sent.
+ * @body {string} whatsappNumber
+ * @body {integer} addressId
+ * @body {string[]} [street]
+ * @body {string} [pincode]
+ * @body {string} [city]
+ * @body {string} [firstname]
+ * @body {string} [lastname]
+ * @body {string} [telephone]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { address, addresses }
+ * @code {200} If the msg is 'Success', the address is saved.
+ * @code {400} If the pincode is not a known pincode.
+ * @code {404} If there is no customer account for the number or the address is not in the address book.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'addressId'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    addressId: { type: 'integer', minimum: 1 },
+    street: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', minLength: 1, maxLength: 255 } },
+    pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode },
+    city: { type: 'string', minLength: 1, maxLength: 255 },
+    firstname: { type: 'string', minLength: 1, maxLength: 255 },
+    lastname: { type: 'string', minLength: 1, maxLength: 255 },
+    telephone: { type: 'string', pattern: __constants.VALIDATOR.phoneNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const updateAddress = async (req, res) => {
+  try {
+    const { whatsappNumber, addressId, ...changes } = req.body
+    const saved = await addressService.updateAddress(whatsappNumber, addressId, changes)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: saved })
+  } catch (err) {
+    console.log('Error in updateAddress :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/updateAddress', validation, updateAddress)
+module.exports = router
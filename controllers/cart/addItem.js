@@ -0,0 +1,50 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @namespace -CART-MODULE-
+ * @description API’s related to the whatsapp shopping cart, kept in redis per whatsapp number.
+ */
+/**
+ * @memberof -CART-module-
+ * @name addItem
+ * @path {POST} /api/cart/addItem
+ * @description Adds a size or variant to the cart, or raises its quantity when it is already there.
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @body {string} sku - variant sku, e.g. SJ-SLIM-BLK-30
+ * @body {integer} [qty=1]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart: { whatsappNumber, items, items_count, subtotal, subtotal_display, has_issues }
+ * @code {200} If the msg is 'Success', the API returns the cart.
+ * @code {400} If the sku is not an enabled variant or the cart is full.
+ * @code {404} If the sku does not exist.
+ * @code {409} If there is not enough stock.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'sku'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    sku: { type: 'string', minLength: 1, maxLength: 64 },
+    qty: { type: 'integer', minimum: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const addItem = async (req, res) => {
+  try {
+    const cart = await cartService.addItem(req.body.whatsappNumber, req.body.sku, req.body.qty || 1)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in addItem :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/addItem', validation, addItem)
+module.exports = router
@@ -0,0 +1,45 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name applyCoupon
+ * @path {POST} /api/cart/applyCoupon
+ * @description Applies a coupon (a magento cart price rule code) to the cart, replacing the one applied before.
+ * The discount is shown on the cart and magento applies the rule to the order.
+ * @body {string} whatsappNumber
+ * @body {string} couponCode - e.g. RIYA10
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart with { coupon: { code, description, discount, valid }, discount, total }
+ * @response {object} metadata.data - On a 400 { coupon_code, reason } where reason is one of not_found, inactive, not_started, expired,
+ * used_up, customer_group, empty_cart, minimum_subtotal (with minimum_subtotal and shortfall), minimum_quantity, conditions_not_met, not_applicable
+ * @code {200} If the msg is 'Success', the coupon is applied.
+ * @code {400} If the coupon cannot be used on this cart, error tells the customer why.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'couponCode'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    couponCode: { type: 'string', pattern: __constants.VALIDATOR.couponCode }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const applyCoupon = async (req, res) => {
+  try {
+    const cart = await cartService.applyCoupon(req.body.whatsappNumber, req.body.couponCode)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in applyCoupon :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err, data: err.data })
+  }
+}
+
+router.post('/applyCoupon', validation, applyCoupon)
+module.exports = router
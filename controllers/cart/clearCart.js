@@ -0,0 +1,39 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name clearCart
+ * @path {POST} /api/cart/clearCart
+ * @description Empties the cart.
+ * @body {string} whatsappNumber
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart: { whatsappNumber, items, items_count, subtotal, subtotal_display, has_issues }
+ * @code {200} If the msg is 'Success', the API returns the empty cart.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const clearCart = async (req, res) => {
+  try {
+    const cart = await cartService.clear(req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in clearCart :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/clearCart', validation, clearCart)
+module.exports = router
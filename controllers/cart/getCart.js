@@ -0,0 +1,40 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name getCart
+ * @path {GET} /api/cart/getCart
+ * @description The cart with live stock and prices. Items that are gone or short of stock are flagged available: false
+ * and left out of the subtotal, price_changed tells the price moved since the item was added.
+ * @query {string} whatsappNumber
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart: { whatsappNumber, items, items_count, subtotal, subtotal_display, has_issues }
+ * @code {200} If the msg is 'Success', the API returns the cart, an empty one when there is none.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getCart = async (req, res) => {
+  try {
+    const cart = await cartService.getCart(req.query.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in getCart :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getCart', validation, getCart)
+module.exports = router
@@ -0,0 +1,49 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const totalsService = require('../../services/order/TotalsService')
+
+/**
+ * @memberof -CART-module-
+ * @name getTotals
+ * @path {GET} /api/cart/getTotals
+ * @description The checkout totals of the cart for a payment method, itemised for the customer before the payment link is sent:
+ * discount on MRP, coupon, magento's discount for paying online, shipping, cod fee and the gst included in the prices.
+ * grand_total is what magento records once the order is placed, amount_payable adds the cod fee.
+ * @query {string} whatsappNumber
+ * @query {string} pincode - the delivery pincode, it decides magento's shipping, igst or cgst and sgst and whether cash on delivery is available
+ * @query {string} [paymentMethod=cashfree] - a magento payment method code, cashondelivery for cash on delivery
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { payment_method, items, mrp_total, item_savings, subtotal, coupon, prepaid_discount, prepaid_discounts,
+ * shipping, cod, grand_total, amount_payable, amount_payable_display, gst: { place_of_supply, inter_state, breakdown, total },
+ * lines: [{ label, amount, display }], has_issues }
+ * @code {200} If the msg is 'Success', the API returns the totals.
+ * @code {400} If the cart is empty, the pincode is unknown or magento does not ship there.
+ * @code {404} If there is no customer account for the number ('No Account').
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'pincode'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode },
+    paymentMethod: { type: 'string', minLength: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getTotals = async (req, res) => {
+  try {
+    const totals = await totalsService.calculate(req.query)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: totals })
+  } catch (err) {
+    console.log('Error in getTotals :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getTotals', validation, getTotals)
+module.exports = router
@@ -0,0 +1,40 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name removeCoupon
+ * @path {POST} /api/cart/removeCoupon
+ * @description Takes the coupon off the cart.
+ * @body {string} whatsappNumber
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart.
+ * @code {200} If the msg is 'Success', the coupon is removed.
+ * @code {404} If no coupon is applied.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const removeCoupon = async (req, res) => {
+  try {
+    const cart = await cartService.removeCoupon(req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in removeCoupon :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/removeCoupon', validation, removeCoupon)
+module.exports = router
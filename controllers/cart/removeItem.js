@@ -0,0 +1,42 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name removeItem
+ * @path {POST} /api/cart/removeItem
+ * @description Takes an item out of the cart.
+ * @body {string} whatsappNumber
+ * @body {string} sku
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart: { whatsappNumber, items, items_count, subtotal, subtotal_display, has_issues }
+ * @code {200} If the msg is 'Success', the API returns the cart.
+ * @code {404} If the sku is not in the cart.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'sku'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    sku: { type: 'string', minLength: 1, maxLength: 64 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const removeItem = async (req, res) => {
+  try {
+    const cart = await cartService.removeItem(req.body.whatsappNumber, req.body.sku)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in removeItem :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/removeItem', validation, removeItem)
+module.exports = router
@@ -0,0 +1,45 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name updateItem
+ * @path {POST} /api/cart/updateItem
+ * @description Sets the quantity of an item in the cart, 0 removes it.
+ * @body {string} whatsappNumber
+ * @body {string} sku
+ * @body {integer} qty
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The cart: { whatsappNumber, items, items_count, subtotal, subtotal_display, has_issues }
+ * @code {200} If the msg is 'Success', the API returns the cart.
+ * @code {404} If the sku is not in the cart.
+ * @code {409} If there is not enough stock.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'sku', 'qty'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    sku: { type: 'string', minLength: 1, maxLength: 64 },
+    qty: { type: 'integer', minimum: 0 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const updateItem = async (req, res) => {
+  try {
+    const cart = await cartService.updateItem(req.body.whatsappNumber, req.body.sku, req.body.qty)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: cart })
+  } catch (err) {
+    console.log('Error in updateItem :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/updateItem', validation, updateItem)
+module.exports = router
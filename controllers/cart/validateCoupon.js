@@ -0,0 +1,43 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const cartService = require('../../services/cart/CartService')
+
+/**
+ * @memberof -CART-module-
+ * @name validateCoupon
+ * @path {POST} /api/cart/validateCoupon
+ * @description Checks a coupon against the cart without applying it.
+ * @body {string} whatsappNumber
+ * @body {string} couponCode
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { code, rule_id, description, discount, discount_display, items: [{ sku, discount }] },
+ * on a 400 { coupon_code, reason } as for applyCoupon
+ * @code {200} If the msg is 'Success', the coupon can be applied.
+ * @code {400} If the coupon cannot be used on this cart, error tells the customer why.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'couponCode'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    couponCode: { type: 'string', pattern: __constants.VALIDATOR.couponCode }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const validateCoupon = async (req, res) => {
+  try {
+    const coupon = await cartService.validateCoupon(req.body.whatsappNumber, req.body.couponCode)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: coupon })
+  } catch (err) {
+    console.log('Error in validateCoupon :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err, data: err.data })
+  }
+}
+
+router.post('/validateCoupon', validation, validateCoupon)
+module.exports = router
@@ -0,0 +1,31 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const catalogSyncService = require('../../services/catalog/CatalogSyncService')
+
+/**
+ * @memberof -CATALOG-module-
+ * @name getSyncStatus
+ * @path {GET} /api/catalog/getSyncStatus
+ * @description Bussiness Logic :- Returns the catalog mirror state: cursor, last full and incremental sync,
+ * summary of the last run and the number of mirrored products and children.
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - Sync state.
+ * @code {200} if the msg is success the api returns the state.
+ * @code {503} if mongo is not connected.
+ */
+const validationSchema = { type: 'object', required: [], properties: {} }
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getSyncStatus = async (req, res) => {
+  try {
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: await catalogSyncService.getStatus() })
+  } catch (err) {
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getSyncStatus', validation, getSyncStatus)
+module.exports = router
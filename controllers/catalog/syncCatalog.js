@@ -0,0 +1,47 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const catalogSyncService = require('../../services/catalog/CatalogSyncService')
+
+/**
+ * @namespace -CATALOG-MODULE-
+ * @description API’s related to the mongo catalog mirror.
+ */
+/**
+ * @memberof -CATALOG-module-
+ * @name syncCatalog
+ * @path {POST} /api/catalog/syncCatalog
+ * @description Bussiness Logic :- Copies magento configurable products, children, stock and size labels into mongo.
+ * mode "incremental" (default) only fetches what changed since the last run, "full" rebuilds the mirror.
+ * A full sync is also done when the mirror was never synced or the last full sync is older than a day.
+ * @body {string} [mode=incremental] - full | incremental
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {string} metadata.msg=Success  - Sync finished.
+ * @response {object} metadata.data - Summary of the run (mode, products, children, stockAndPricesUpdated, removed ...).
+ * @code {200} if the msg is success the api returns the sync summary.
+ * @code {503} if mongo is not connected.
+ * @code {500} if magento could not be read.
+ */
+const validationSchema = {
+  type: 'object',
+  required: [],
+  properties: {
+    mode: { type: 'string', enum: ['full', 'incremental'] }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const syncCatalog = async (req, res) => {
+  try {
+    const summary = await catalogSyncService.sync(req.body.mode)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: summary })
+  } catch (err) {
+    console.log('Error in syncCatalog :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/syncCatalog', validation, syncCatalog)
+module.exports = router
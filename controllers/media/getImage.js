@@ -0,0 +1,52 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const imageService = require('../../services/media/ImageService')
+
+/**
+ * @memberof -MEDIA-module-
+ * @name getImage
+ * @path {GET} /api/media/getImage
+ * @description A catalog image resized and re-encoded, e.g. a jpeg small enough for whatsapp or a webp thumbnail.
+ * The rendition urls returned with product images point here.
+ * @query {string} file - path in the catalog media folder, e.g. /b/l/black-slim-front.jpg
+ * @query {string} [width] - one of IMAGE_RENDITION_WIDTHS, the original width when left out. Images are never enlarged.
+ * @query {string} [format=jpeg] - jpeg, png or webp
+ * @response {string} ContentType=image/jpeg|image/png|image/webp - The image itself.
+ * @code {200} The image.
+ * @code {400} If the file path, width or format is not accepted.
+ * @code {404} If magento has no such image.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['file'],
+  properties: {
+    // plain path segments only, no "..", ending in an image extension
+    file: { type: 'string', pattern: '^(/[A-Za-z0-9_-][A-Za-z0-9_.-]*)+\\.(jpe?g|png|gif|webp)$', maxLength: 255 },
+    width: { type: 'string', enum: __constants.IMAGE_RENDITION_WIDTHS.map(String) },
+    format: { type: 'string', enum: Object.keys(__constants.IMAGE_RENDITION_FORMATS) }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getImage = async (req, res) => {
+  try {
+    const { buffer, contentType, cached } = await imageService.getRendition({
+      file: req.query.file,
+      width: req.query.width ? +req.query.width : null,
+      format: req.query.format || 'jpeg'
+    })
+    res.set('Content-Type', contentType)
+    res.set('Cache-Control', `public, max-age=${__constants.IMAGE_CACHE_TTL}`)
+    res.set('X-Image-Cache', cached ? 'HIT' : 'MISS')
+    res.send(buffer)
+  } catch (err) {
+    console.log('Error in getImage :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getImage', validation, getImage)
+module.exports = router
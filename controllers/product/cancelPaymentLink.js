@@ -0,0 +1,40 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const paymentLinkService = require('../../services/order/PaymentLinkService')
+
+/**
+ * @memberof -ProductService-
+ * @name cancelPaymentLink
+ * @path {POST} /api/product/cancelPaymentLink
+ * @description Cancels an unpaid cashfree payment link and releases the stock it held.
+ * @body {string} linkId
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { linkId, status: 'CANCELLED', amount, amount_paid, reserved_until: null }
+ * @code {200} If the msg is 'Success', the link is cancelled.
+ * @code {400} If cashfree refuses, e.g. the link is already paid or expired.
+ * @code {404} If cashfree does not know the link.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['linkId'],
+  properties: {
+    linkId: { type: 'string', minLength: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const cancelPaymentLink = async (req, res) => {
+  try {
+    const link = await paymentLinkService.cancel(req.body.linkId)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: link })
+  } catch (err) {
+    console.log('Error in cancelPaymentLink :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/cancelPaymentLink', validation, cancelPaymentLink)
+module.exports = router
@@ -0,0 +1,44 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const orderService = require('../../services/order/OrderService')
+
+/**
+ * @memberof -ProductService-
+ * @name checkCod
+ * @path {POST} /api/product/checkCod
+ * @description Whether the customer's cart can be paid cash on delivery at a pincode: the cart total has to be inside the cod limits,
+ * the number must not have COD_MAX_RTO_ORDERS returned shipments on shiprocket and a shiprocket courier must collect cash there.
+ * @body {string} whatsappNumber
+ * @body {string} pincode - delivery pincode
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { available, reason, message, fee, fee_display, couriers: [{ name, estimated_delivery_days }], order_value },
+ * reason is one of disabled, below_minimum, above_maximum, rto_history or not_serviceable when cod is not available
+ * @code {200} If the msg is 'Success', data tells whether cod is available.
+ * @code {400} If the cart is empty.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber', 'pincode'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const checkCod = async (req, res) => {
+  try {
+    const availability = await orderService.codAvailability(req.body.whatsappNumber, req.body.pincode)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: availability })
+  } catch (err) {
+    console.log('Error in checkCod :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/checkCod', validation, checkCod)
+module.exports = router
@@ -0,0 +1,77 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const idempotency = require('../../middlewares/idempotencyMiddleware')
+const checkoutService = require('../../services/order/CheckoutService')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @memberof -ProductService-
+ * @name checkout
+ * @path {POST} /api/product/checkout
+ * @description Places the order like /placingOrder and creates the cashfree link that pays it in the same call. The link id is
+ * ORDER_LINK_PREFIX + the order's increment id (order_000000501), the amount is magento's grand total and the link is noted on the order.
+ * When cashfree does not create the link the order is cancelled in magento and the customer's cart is put back.
+ * @header {string} [Idempotency-Key] - a repeat with the same key and body answers the first response instead of ordering again
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @body {object} [address] - as /placingOrder
+ * @body {integer} [addressId] - as /placingOrder
+ * @body {string} [pickupStoreId] - as /placingOrder
+ * @body {string} [name] - the customer's name on the link, magento's by default
+ * @body {integer} [expiry_time=30] - minutes the link stays payable
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { order: the order as /placingOrder answers it, payment_link: { linkId, paymentLink, amount, name, expiresAt } }
+ * A pickup order whose code could not be issued still answers 200, with order.pickup.pickup_code null and order.pickup.error.
+ * @code {200} If the msg is 'Success', the order is placed and its link created.
+ * @code {400} If the cart is empty or magento refuses the order, see /placingOrder.
+ * @code {404} If there is no customer account for the number, addressId or pickupStoreId is unknown.
+ * @code {409} If an item of the cart is short of stock, code 4013 if the request with the same Idempotency-Key is still running.
+ * @code {422} Code 4014 if the Idempotency-Key was used with another body.
+ * @code {424} Code 4016 if the link could not be created, data is { order_id, increment_id, order_state, cart_restored }: order_state is
+ * canceled once the order is rolled back, otherwise the order is left with a comment to cancel it. A pickup order sends no pickup code.
+ * A repeat with the same Idempotency-Key answers this again, a new key checks out the restored cart.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    address: {
+      type: 'object',
+      required: ['street', 'pincode'],
+      properties: {
+        firstname: { type: 'string', minLength: 1 },
+        lastname: { type: 'string', minLength: 1 },
+        street: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', minLength: 1 } },
+        city: { type: 'string', minLength: 1 },
+        pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode },
+        telephone: { type: 'string', pattern: __constants.VALIDATOR.phoneNumber }
+      }
+    },
+    addressId: { type: 'integer', minimum: 1 },
+    pickupStoreId: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    expiry_time: { type: 'integer', minimum: 1, maximum: 30 * 24 * 60 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const checkout = async (req, res) => {
+  try {
+    const { whatsappNumber, address, addressId, pickupStoreId, name, expiry_time: expiryMinutes } = req.body
+    const result = await checkoutService.checkout({ whatsappNumber, address, addressId, pickupStoreId, name, expiryMinutes })
+    // the cart became an order, its reminders stop and the link's start
+    recoveryService.converted({ whatsappNumber, orderId: result.order.order_id })
+    recoveryService.trackLink({ linkId: result.payment_link.linkId, whatsappNumber, orderId: result.order.order_id, name: result.payment_link.name, amount: result.payment_link.amount })
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: result })
+  } catch (err) {
+    console.log('Error in checkout :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err, data: err.data })
+  }
+}
+
+router.post('/checkout', validation, idempotency.route(), checkout)
+module.exports = router
@@ -1,61 +1,81 @@
-const express = require('express');
-const router = express.Router();
-const __constants = require('../../config/constants');
-const ProductService = require('../../services/product/ProductService');
-const validationOfAPI = require('../../middlewares/validation');
-
-/**
- * @namespace -KnowledgeBase-
- * @description API related to Knowledge Base operations.
- */
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const orderService = require('../../services/order/OrderService')
+const paymentLinkService = require('../../services/order/PaymentLinkService')
+const recoveryService = require('../../services/order/RecoveryService')
+const validationOfAPI = require('../../middlewares/validation')
+const idempotency = require('../../middlewares/idempotencyMiddleware')
 
 /**
  * @memberof -ProductService-
- * @name getProduct
- * @path {GET} /api/product/getProduct
- * @description Retrieves all getProduct with status 'Active' from the database.
+ * @name createPaymentLink
+ * @path {POST} /api/product/createPaymentLink
+ * @description Creates a cashfree payment link. A link for a placed order (orderId) charges the order's grand total, a link without one
+ * charges amount for purpose and holds the customer's cart units until it expires, is cancelled or is paid (see StockReservationService).
+ * The customer's unpaid link is reminded by the recovery job.
+ * @header {string} [Idempotency-Key] - a repeat with the same key and body answers the first response instead of creating another link
+ * @body {string} linkId - cashfree link id, unique per link
+ * @body {string} name - the customer's name on the link
+ * @body {integer} expiry_time - minutes the link stays payable
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @body {integer} [orderId] - magento order the link pays, amount and purpose are then taken from it
+ * @body {number} [amount] - needed without orderId, with one it has to match the order's grand total
+ * @body {string} [purpose] - needed without orderId, "Order <increment id>" by default with one
  * @response {string} ContentType=application/json - Response content type.
- * @response {string} metadata.msg=Success - Documents retrieved successfully.
- * @response {object} metadata.data - Array of active documents.
- * @code {200} If the msg is 'Success', the API returns the documents.
- * @code {500} If there is a server error during the retrieval process.
- * *** Last-Updated :- 22nd September 2024 ***
+ * @response {object} metadata.data - { linkId, paymentLink, amount, reservedUntil: the end of the stock hold, null when nothing is held }
+ * @code {200} If the msg is 'Success', the link is created.
+ * @code {400} If a field is missing or invalid, amount does not match the order's total, linkId already pays another order or cashfree rejects the link.
+ * @code {409} If other customers hold the last pieces of a cart item, code 4013 if the request with the same Idempotency-Key is still running.
+ * @code {422} Code 4014 if the Idempotency-Key was used with another body.
+ * @code {500} Code 5005 if cashfree does not create the link, with its message.
  */
-
 const validationSchema = {
-    type: 'object',
-    required: [],
-    properties: {
-    },
-  };
-  
-  const validation = (req, res, next) => {
-    return validationOfAPI(req, res, next, validationSchema, 'body');
-  };
-
-router.post('/createPaymentLink', validation, async (req, res) => {
+  type: 'object',
+  required: ['linkId', 'name', 'expiry_time', 'whatsappNumber'],
+  anyOf: [{ required: ['orderId'] }, { required: ['amount', 'purpose'] }],
+  properties: {
+    linkId: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    expiry_time: { type: 'integer', minimum: 1, maximum: 30 * 24 * 60 },
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    orderId: { type: 'integer', minimum: 1 },
+    amount: { type: 'number', minimum: 1 },
+    purpose: { type: 'string', minLength: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const createPaymentLink = async (req, res) => {
   try {
-    const { linkId, amount, name, purpose, expiry_time, whatsappNumber } = req.body;
-    if (!linkId || !amount || !name || !purpose || !expiry_time || !whatsappNumber) {
-        return res.status(400).json({ error: 'Missing required field' });
+    const { linkId, name, expiry_time: expiryMinutes, whatsappNumber, orderId } = req.body
+    let { amount, purpose } = req.body
+    // a link for a placed order charges its grand total, which has the coupon and prepaid discounts taken off
+    if (orderId) {
+      const order = await orderService.getOrder(orderId)
+      if (amount && Number(amount) !== order.totals.grand_total) {
+        return res.sendJson({ type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST, err: `amount ${amount} does not match the order total ${order.totals.grand_total}` })
+      }
+      amount = order.totals.grand_total
+      purpose = purpose || `Order ${order.increment_id}`
     }
-    const cashfreeResponse = await ProductService.createPaymentLink(linkId, amount, name, purpose, expiry_time, whatsappNumber);
+    const { link, reservation } = await paymentLinkService.create({ linkId, amount, name, purpose, expiryMinutes, whatsappNumber, orderId })
+    recoveryService.trackLink({ linkId, whatsappNumber, orderId, name, amount: link.link_amount })
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
       data: {
-        linkId: cashfreeResponse.link_id,
-        paymentLink: cashfreeResponse.link_url,
-        // qrCode: cashfreeResponse.link_qrcode,
-        // orderToken: cashfreeResponse.order_token
-      },
-    });
+        linkId: link.link_id,
+        paymentLink: link.link_url,
+        amount: link.link_amount,
+        reservedUntil: reservation ? new Date(reservation.expiresAt).toISOString() : null
+      }
+    })
   } catch (err) {
-    console.error('Error retrieving documents from knowledge base:', err);
-    res.sendJson({
-      type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
-      err: err.err || err.message || err,
-    });
+    console.log('Error in createPaymentLink :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err, data: err.data })
   }
-});
+}
 
-module.exports = router;
+router.post('/createPaymentLink', validation, idempotency.route(), createPaymentLink)
+module.exports = router
@@ -0,0 +1,41 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const categoryService = require('../../services/product/CategoryService')
+
+/**
+ * @memberof -ProductService-
+ * @name getCategory
+ * @path {GET} /api/product/getCategory
+ * @description One category with its breadcrumbs and direct children, to drill down a menu one level at a time.
+ * @query {string} categoryId
+ * @query {string} [includeInactive=false]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - The category node, children carry children_count instead of their own children.
+ * @code {200} If the msg is 'Success', the API returns the category.
+ * @code {404} If the category does not exist or is inactive.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['categoryId'],
+  properties: {
+    categoryId: { type: 'string', pattern: '^[0-9]+$' },
+    includeInactive: { type: 'string', enum: ['true', 'false'] }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getCategory = async (req, res) => {
+  try {
+    const category = await categoryService.getCategory(req.query.categoryId, req.query.includeInactive === 'true')
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: category })
+  } catch (err) {
+    console.log('Error in getCategory :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getCategory', validation, getCategory)
+module.exports = router
@@ -0,0 +1,39 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const categoryService = require('../../services/product/CategoryService')
+
+/**
+ * @memberof -ProductService-
+ * @name getCategoryTree
+ * @path {GET} /api/product/getCategoryTree
+ * @description The full category hierarchy below the store root, children in magento position order.
+ * @query {string} [includeInactive=false] - "true" keeps inactive categories and their subtrees.
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {Array} metadata.data - Nodes with id, parent_id, name, position, level, is_active, product_count,
+ * breadcrumbs ([{id, name}] from the top level down to the node) and children.
+ * @code {200} If the msg is 'Success', the API returns the tree.
+ */
+const validationSchema = {
+  type: 'object',
+  required: [],
+  properties: {
+    includeInactive: { type: 'string', enum: ['true', 'false'] }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getCategoryTree = async (req, res) => {
+  try {
+    const tree = await categoryService.getTree(req.query.includeInactive === 'true')
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: tree })
+  } catch (err) {
+    console.log('Error in getCategoryTree :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getCategoryTree', validation, getCategoryTree)
+module.exports = router
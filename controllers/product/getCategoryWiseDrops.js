@@ -1,8 +1,8 @@
-const express = require('express');
-const router = express.Router();
-const __constants = require('../../config/constants');
-const ProductService = require('../../services/product/ProductService');
-const validationOfAPI = require('../../middlewares/validation');
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const ProductService = require('../../services/product/ProductService')
+const validationOfAPI = require('../../middlewares/validation')
 
 /**
  * @namespace -KnowledgeBase-
@@ -11,42 +11,72 @@ const validationOfAPI = require('../../middlewares/validation');
 
 /**
  * @memberof -ProductService-
- * @name getProduct
- * @path {GET} /api/product/getProduct
- * @description Retrieves all getProduct with status 'Active' from the database.
+ * @name getCategoryWiseDrops
+ * @path {POST} /api/product/getCategoryWiseDrops
+ * @description Drops of a category, optionally filtered by size, color and fit labels, price range and stock.
+ * Without a filter and facets it answers the page of drops as before.
+ * @body {string} [categoryId=11]
+ * @body {integer} [page=1]
+ * @body {integer} [pageSize=10]
+ * @body {Array<string>} [size] - Size labels, e.g. ["32", "34"], a product matches when any of them is in stock.
+ * @body {Array<string>} [color] - Colour labels, e.g. ["Black"].
+ * @body {Array<string>} [fit] - Fit labels, e.g. ["Slim Fit"].
+ * @body {number} [priceMin] - Lowest in-stock variant price, inclusive.
+ * @body {number} [priceMax]
+ * @body {boolean} [inStockOnly=false]
+ * @body {boolean} [facets=false] - Answers items, total and facets without a filter set.
  * @response {string} ContentType=application/json - Response content type.
  * @response {string} metadata.msg=Success - Documents retrieved successfully.
- * @response {object} metadata.data - Array of active documents.
+ * @response {Array} metadata.data - The requested page of drops, when no filter is set and facets is not true.
+ * @response {object} metadata.data.items - The requested page of matching drops, when a filter is set or facets is true.
+ * @response {number} metadata.data.total - Number of matching drops.
+ * @response {object} metadata.data.facets - Counts per size, color, fit and price bucket plus inStock,
+ * each computed with every other selected filter applied.
+ * @response {boolean} metadata.data.truncated - True when the category was read live from magento and has more than
+ * DROP_FILTER_SCAN_LIMIT products, only the first of them were filtered and counted.
  * @code {200} If the msg is 'Success', the API returns the documents.
+ * @code {400} If a filter is malformed.
  * @code {500} If there is a server error during the retrieval process.
- * *** Last-Updated :- 22nd September 2024 ***
+ * *** Last-Updated :- 19th October 2026 ***
  */
+const labels = { type: 'array', items: { type: 'string', minLength: 1 } }
 
 const validationSchema = {
-    type: 'object',
-    required: [],
-    properties: {
-    },
-  };
-  
-  const validation = (req, res, next) => {
-    return validationOfAPI(req, res, next, validationSchema, 'body');
-  };
+  type: 'object',
+  required: [],
+  properties: {
+    categoryId: { type: ['string', 'integer'] },
+    page: { type: 'integer', minimum: 1 },
+    pageSize: { type: 'integer', minimum: 1, maximum: 100 },
+    size: labels,
+    color: labels,
+    fit: labels,
+    priceMin: { type: 'number', minimum: 0 },
+    priceMax: { type: 'number', minimum: 0 },
+    inStockOnly: { type: 'boolean' },
+    facets: { type: 'boolean' }
+  }
+}
+
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
 
 router.post('/getCategoryWiseDrops', validation, async (req, res) => {
   try {
-    const drops = await ProductService.getCategoryWiseDrops(req.body.pageSize, req.body.categoryId, req.body.page);
+    const { pageSize, categoryId, page, size, color, fit, priceMin, priceMax, inStockOnly, facets } = req.body
+    const drops = await ProductService.getCategoryWiseDrops(pageSize, categoryId, page, { size, color, fit, priceMin, priceMax, inStockOnly }, facets)
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
-      data: drops,
-    });
+      data: drops
+    })
   } catch (err) {
-    console.error('Error retrieving documents from knowledge base:', err);
+    console.error('Error retrieving documents from knowledge base:', err)
     res.sendJson({
       type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
-      err: err.err || err.message || err,
-    });
+      err: err.err || err.message || err
+    })
   }
-});
+})
 
-module.exports = router;
+module.exports = router
@@ -0,0 +1,43 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const paymentLinkService = require('../../services/order/PaymentLinkService')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @memberof -ProductService-
+ * @name getPaymentLinkStatus
+ * @path {GET} /api/product/getPaymentLinkStatus
+ * @description The cashfree status of a payment link. A paid, expired or cancelled link releases the stock it held,
+ * a paid one also ends the payment reminders of the customer.
+ * @query {string} linkId
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { linkId, status, amount, amount_paid, reserved_until }, status is cashfree's link_status
+ * (ACTIVE, PARTIALLY_PAID, PAID, EXPIRED, CANCELLED), reserved_until is null when the link holds no stock
+ * @code {200} If the msg is 'Success', the API returns the link status.
+ * @code {404} If cashfree does not know the link.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['linkId'],
+  properties: {
+    linkId: { type: 'string', minLength: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getPaymentLinkStatus = async (req, res) => {
+  try {
+    const status = await paymentLinkService.getStatus(req.query.linkId)
+    if (status.status === 'PAID') await recoveryService.converted({ linkId: status.linkId })
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: status })
+  } catch (err) {
+    console.log('Error in getPaymentLinkStatus :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getPaymentLinkStatus', validation, getPaymentLinkStatus)
+module.exports = router
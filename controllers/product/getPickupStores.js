@@ -0,0 +1,36 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const pickupService = require('../../services/order/PickupService')
+
+/**
+ * @memberof -ProductService-
+ * @name getPickupStores
+ * @path {GET} /api/product/getPickupStores
+ * @description The stores an order can be collected from: magento's active in-store pickup locations for MAGENTO_PICKUP_SCOPE_CODE.
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - [{ store_id, name, address, street, city, state, pincode, phone, description, latitude, longitude, mapsUrl }]
+ * @code {200} If the msg is 'Success', the stores are answered.
+ * @code {500} If magento does not answer.
+ */
+const validationSchema = {
+  type: 'object',
+  required: [],
+  properties: {}
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getPickupStores = async (req, res) => {
+  try {
+    const stores = await pickupService.listStores()
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: stores })
+  } catch (err) {
+    console.log('Error in getPickupStores :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getPickupStores', validation, getPickupStores)
+module.exports = router
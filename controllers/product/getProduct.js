@@ -35,7 +35,7 @@ const validationSchema = {
 
 router.post('/getProduct', validation, async (req, res) => {
   try {
-    const products = await ProductService.getProduct(req.body.pageSize);
+    const products = await ProductService.getProduct(req.body.pageSize, req.body.categoryId);
 
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
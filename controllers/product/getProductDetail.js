@@ -0,0 +1,44 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const productDetailService = require('../../services/product/ProductDetailService')
+
+/**
+ * @memberof -ProductService-
+ * @name getProductDetail
+ * @path {POST} /api/product/getProductDetail
+ * @description One product by sku or url key, for when a customer taps a product in a list.
+ * @body {string} [sku] - e.g. "SJ-SLIM-BLK", either sku or urlKey is required.
+ * @body {string} [urlKey] - e.g. "black-slim-fit-jeans".
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - description (plain text and html), configurable_product_options, variants
+ * (sku, label, options, stock, price, image), enabled images in position order, attributes such as fabric, fit
+ * and wash care, and links.related / links.upsell / links.crosssell.
+ * @code {200} If the msg is 'Success', the API returns the product.
+ * @code {400} If neither sku nor urlKey is given.
+ * @code {404} If the product does not exist or is disabled.
+ */
+const validationSchema = {
+  type: 'object',
+  anyOf: [{ required: ['sku'] }, { required: ['urlKey'] }],
+  properties: {
+    sku: { type: 'string', minLength: 1 },
+    urlKey: { type: 'string', minLength: 1 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const getProductDetail = async (req, res) => {
+  try {
+    const product = await productDetailService.getProductDetail({ sku: req.body.sku, urlKey: req.body.urlKey })
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: product })
+  } catch (err) {
+    console.log('Error in getProductDetail :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/getProductDetail', validation, getProductDetail)
+module.exports = router
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const __constants = require('../../config/constants');
-const ProductService = require('../../services/product/ProductService');
+const orderService = require('../../services/order/OrderService');
+const recoveryService = require('../../services/order/RecoveryService');
 const validationOfAPI = require('../../middlewares/validation');
+const idempotency = require('../../middlewares/idempotencyMiddleware');
 
 /**
  * @namespace -KnowledgeBase-
@@ -11,41 +13,79 @@ const validationOfAPI = require('../../middlewares/validation');
 
 /**
  * @memberof -ProductService-
- * @name getProduct
- * @path {GET} /api/product/getProduct
- * @description Retrieves all getProduct with status 'Active' from the database.
+ * @name placingOrder
+ * @path {POST} /api/product/placingOrder
+ * @description Places an order for the customer's whatsapp cart through magento's quote api: the cart items are added to the
+ * customer's quote, the address and the cheapest (or MAGENTO_SHIPPING_METHOD) shipping method are set and the order is placed.
+ * Totals, tax and stock deduction are magento's. The cart is emptied afterwards.
+ * @header {string} [Idempotency-Key] - a repeat with the same key and body answers the first response instead of ordering again
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @body {object} [address] - { firstname, lastname, street: [], city, pincode, telephone } typed at checkout, city and state come from the pincode,
+ * names and telephone default to the customer's
+ * @body {integer} [addressId] - an address book entry, the default address is used when neither address nor addressId is sent
+ * @body {string} [pickupStoreId] - a store_id of /getPickupStores to collect the order there instead: it ships with magento's in-store pickup,
+ * the store is told on whatsapp and the customer gets a pickup code; address and addressId are ignored and cash on delivery is refused
+ * @body {string} [paymentMethod=cashfree] - a magento payment method code, cashondelivery for cash on delivery: it is checked like
+ * /checkCod and the order answers cod: { fee, amount_to_collect } with the cod fee on top of magento's grand total
  * @response {string} ContentType=application/json - Response content type.
- * @response {string} metadata.msg=Success - Documents retrieved successfully.
- * @response {object} metadata.data - Array of active documents.
- * @code {200} If the msg is 'Success', the API returns the documents.
- * @code {500} If there is a server error during the retrieval process.
- * *** Last-Updated :- 22nd September 2024 ***
+ * @response {object} metadata.data - { order_id, increment_id, state, status, payment_method, shipping_method, coupon_code, items, totals },
+ * a pickup order also has pickup: { store, pickup_code, store_notified, code_sent }, pickup_code is null with an error when the order
+ * was placed but its code could not be issued
+ * @code {200} If the msg is 'Success', the order is placed.
+ * The cart's coupon is applied to magento's quote, so its discount is in the order totals.
+ * @code {400} If the cart is empty, the coupon stopped applying (data has its reason), there is no delivery address, the pincode is unknown or magento refuses the address, shipping or payment method.
+ * @code {400} Code 4012 if cash on delivery is not available, data.reason tells why.
+ * @code {404} If addressId is not in the customer's address book or pickupStoreId is not an active pickup store.
+ * @code {404} If there is no customer account for the number ('No Account').
+ * @code {409} If an item of the cart is short of stock, code 4013 if the request with the same Idempotency-Key is still running.
+ * @code {422} Code 4014 if the Idempotency-Key was used with another body.
+ * @code {503} If redis is not connected.
  */
 
 const validationSchema = {
-    type: 'object',
-    required: [],
-    properties: {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber },
+    address: {
+      type: 'object',
+      required: ['street', 'pincode'],
+      properties: {
+        firstname: { type: 'string', minLength: 1 },
+        lastname: { type: 'string', minLength: 1 },
+        street: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', minLength: 1 } },
+        city: { type: 'string', minLength: 1 },
+        pincode: { type: 'string', pattern: __constants.VALIDATOR.postalCode },
+        telephone: { type: 'string', pattern: __constants.VALIDATOR.phoneNumber },
+      },
     },
-  };
-  
-  const validation = (req, res, next) => {
-    return validationOfAPI(req, res, next, validationSchema, 'body');
-  };
+    addressId: { type: 'integer', minimum: 1 },
+    pickupStoreId: { type: 'string', minLength: 1 },
+    paymentMethod: { type: 'string', minLength: 1 },
+  },
+};
 
-router.post('/placingOrder', validation, async (req, res) => {
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body');
+};
+
+router.post('/placingOrder', validation, idempotency.route(), async (req, res) => {
   try {
-    const products = await ProductService.placingOrder(req.body.number);
+    const { whatsappNumber, address, addressId, pickupStoreId, paymentMethod } = req.body;
+    const order = await orderService.placeOrder({ whatsappNumber, address, addressId, pickupStoreId, paymentMethod });
+    // the cart became an order, its reminders stop
+    recoveryService.converted({ whatsappNumber, orderId: order.order_id });
 
     res.sendJson({
       type: __constants.RESPONSE_MESSAGES.SUCCESS,
-      data: products,
+      data: order,
     });
   } catch (err) {
-    console.error('Error retrieving documents from knowledge base:', err);
+    console.error('Error in placingOrder :: err', err.err || err.message);
     res.sendJson({
       type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR,
       err: err.err || err.message || err,
+      data: err.data,
     });
   }
 });
@@ -0,0 +1,32 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const productSearchService = require('../../services/product/ProductSearchService')
+
+/**
+ * @memberof -ProductService-
+ * @name reindexSearch
+ * @path {POST} /api/product/reindexSearch
+ * @description Rebuilds the elasticsearch product index from every configurable product in magento
+ * and drops documents of products that no longer exist.
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { indexed, removed }
+ * @code {200} If the msg is 'Success', the index was rebuilt.
+ * @code {503} If search is not enabled.
+ */
+const validationSchema = { type: 'object', required: [], properties: {} }
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const reindexSearch = async (req, res) => {
+  try {
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: await productSearchService.reindex() })
+  } catch (err) {
+    console.log('Error in reindexSearch :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/reindexSearch', validation, reindexSearch)
+module.exports = router
@@ -0,0 +1,47 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const productSearchService = require('../../services/product/ProductSearchService')
+
+/**
+ * @memberof -ProductService-
+ * @name search
+ * @path {POST} /api/product/search
+ * @description Full text search over product name, description, attributes and sizes with typo tolerance and synonyms
+ * (e.g. "denim" finds jeans). Needs ELASTIC_INIT_SEARCH = true and an index built by /api/product/reindexSearch or the catalog sync.
+ * @body {string} query - What the customer typed, e.g. "black slim fit 32".
+ * @body {number} [page=1]
+ * @body {number} [pageSize=10]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data.items - Matching products in the getNewDrops shape, best match first.
+ * @response {number} metadata.data.total - Number of matching products.
+ * @response {Array} metadata.data.suggestions - Product names completing the query, to offer when nothing matched.
+ * @code {200} If the msg is 'Success', the API returns the results.
+ * @code {400} If the query is missing.
+ * @code {503} If search is not enabled.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1, maxLength: 200 },
+    page: { type: 'integer', minimum: 1 },
+    pageSize: { type: 'integer', minimum: 1, maximum: 50 }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const search = async (req, res) => {
+  try {
+    const results = await productSearchService.search(req.body.query.trim(), req.body.page, req.body.pageSize)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: results })
+  } catch (err) {
+    console.log('Error in product search :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/search', validation, search)
+module.exports = router
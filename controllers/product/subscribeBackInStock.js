@@ -0,0 +1,45 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const backInStockService = require('../../services/product/BackInStockService')
+
+/**
+ * @memberof -ProductService-
+ * @name subscribeBackInStock
+ * @path {POST} /api/product/subscribeBackInStock
+ * @description Alerts the customer on whatsapp, once, when an out of stock size or variant is back.
+ * Subscribing twice to the same sku keeps a single subscription.
+ * @body {string} sku - variant sku, e.g. SJ-SLIM-BLK-32
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { sku, whatsappNumber, name, status, alreadySubscribed }
+ * @code {200} If the msg is 'Success', the customer is subscribed.
+ * @code {400} If the sku is not an enabled variant.
+ * @code {404} If the sku does not exist.
+ * @code {409} If the sku is in stock.
+ * @code {503} If mongo is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['sku', 'whatsappNumber'],
+  properties: {
+    sku: { type: 'string', minLength: 1, maxLength: 64 },
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const subscribeBackInStock = async (req, res) => {
+  try {
+    const subscription = await backInStockService.subscribe(req.body.sku, req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: subscription })
+  } catch (err) {
+    console.log('Error in subscribeBackInStock :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/subscribeBackInStock', validation, subscribeBackInStock)
+module.exports = router
@@ -0,0 +1,41 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const backInStockService = require('../../services/product/BackInStockService')
+
+/**
+ * @memberof -ProductService-
+ * @name unsubscribeBackInStock
+ * @path {POST} /api/product/unsubscribeBackInStock
+ * @description Cancels a back in stock alert before it was sent.
+ * @body {string} sku - variant sku
+ * @body {string} whatsappNumber - digits with country code
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { sku, whatsappNumber, unsubscribed }, unsubscribed is false when there was no active alert.
+ * @code {200} If the msg is 'Success'.
+ * @code {503} If mongo is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['sku', 'whatsappNumber'],
+  properties: {
+    sku: { type: 'string', minLength: 1, maxLength: 64 },
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const unsubscribeBackInStock = async (req, res) => {
+  try {
+    const result = await backInStockService.unsubscribe(req.body.sku, req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: result })
+  } catch (err) {
+    console.log('Error in unsubscribeBackInStock :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/unsubscribeBackInStock', validation, unsubscribeBackInStock)
+module.exports = router
@@ -0,0 +1,59 @@
+const express = require('express')
+const router = express.Router()
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const authentication = require('../../middlewares/auth/authentication')
+const validationOfAPI = require('../../middlewares/validation')
+const pickupService = require('../../services/order/PickupService')
+
+/**
+ * @memberof -ProductService-
+ * @name verifyPickup
+ * @path {POST} /api/product/verifyPickup
+ * @description Store staff check the pickup code the customer shows before handing a pickup order over; the order is marked collected.
+ * The order has to be paid, and PICKUP_MAX_ATTEMPTS wrong codes lock it. With AUTHENTICATION_INTERNAL_ALLOW the staff app
+ * sends its internal jwt in the Authorization header.
+ * @body {integer} orderId - magento's order id (order_id of /placingOrder)
+ * @body {string} pickupCode - the 6 digit code the customer got on whatsapp
+ * @body {string} storeId - the store handing the order over
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { order_id, increment_id, store_id, items: [{ sku, name, qty }], collected_at }
+ * @code {200} If the msg is 'Success', the order can be handed over.
+ * @code {400} Code 4015 if the order cannot be handed over, data.reason is one of wrong_store, wrong_code, locked, already_collected, not_paid or canceled.
+ * @code {401} If internal authentication is on and the jwt is missing or invalid.
+ * @code {404} If the order has no pickup code.
+ * @code {503} If redis is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['orderId', 'pickupCode', 'storeId'],
+  properties: {
+    orderId: { type: 'integer', minimum: 1 },
+    pickupCode: { type: 'string', pattern: __constants.VALIDATOR.pickupCode },
+    storeId: { type: 'string', minLength: 1 }
+  }
+}
+// only store staff hand orders over, they sign in with the internal jwt when it is enabled
+const staffOnly = (req, res, next) => {
+  if (!__config.authentication.internal.allow) return next()
+  authentication.authenticate('jwt', { session: false }, (err, staff) => {
+    if (err || !staff) return res.sendJson({ type: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED, err: __constants.RESPONSE_MESSAGES.NOT_AUTHORIZED.message })
+    req.user = staff
+    next()
+  })(req, res, next)
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const verifyPickup = async (req, res) => {
+  try {
+    const pickup = await pickupService.verify(req.body)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: pickup })
+  } catch (err) {
+    console.log('Error in verifyPickup :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err, data: err.data })
+  }
+}
+
+router.post('/verifyPickup', staffOnly, validation, verifyPickup)
+module.exports = router
@@ -0,0 +1,42 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @memberof -RECOVERY-module-
+ * @name getStats
+ * @path {GET} /api/recovery/getStats
+ * @description What the recovery job did for the carts and links it started reminding in the last `days` days.
+ * @query {integer} [days=30]
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { since, kinds: [{ kind: cart | payment_link, sequences, reminders, active, converted,
+ * converted_after_reminder, recovered_amount, recovered_amount_display, opted_out, replaced, exhausted, failed, conversion_rate }] },
+ * conversion_rate is the percentage of reminded sequences that paid or ordered afterwards
+ * @code {200} If the msg is 'Success', the API returns the stats.
+ * @code {503} If mongo is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: [],
+  properties: {
+    days: { type: 'string', pattern: '^[1-9][0-9]{0,2}$' }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'query')
+}
+const getStats = async (req, res) => {
+  try {
+    const days = Number(req.query.days || 30)
+    const stats = await recoveryService.getStats(new Date(Date.now() - days * 24 * 60 * 60 * 1000))
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: stats })
+  } catch (err) {
+    console.log('Error in getStats :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.get('/getStats', validation, getStats)
+module.exports = router
@@ -0,0 +1,39 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @memberof -RECOVERY-module-
+ * @name optIn
+ * @path {POST} /api/recovery/optIn
+ * @description Lets a customer who opted out get cart and payment reminders again, from their next cart or link on.
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { whatsappNumber, optedOut: false }
+ * @code {200} If the msg is 'Success', the customer gets reminders again.
+ * @code {503} If mongo is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const optIn = async (req, res) => {
+  try {
+    const result = await recoveryService.optIn(req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: result })
+  } catch (err) {
+    console.log('Error in optIn :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/optIn', validation, optIn)
+module.exports = router
@@ -0,0 +1,43 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @namespace -RECOVERY-MODULE-
+ * @description API’s related to the whatsapp reminders for abandoned carts and unpaid payment links.
+ */
+/**
+ * @memberof -RECOVERY-module-
+ * @name optOut
+ * @path {POST} /api/recovery/optOut
+ * @description Stops cart and payment reminders to the customer, the reminders already under way end as opted_out.
+ * @body {string} whatsappNumber - digits with country code, e.g. 919876543210
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { whatsappNumber, optedOut: true, sequencesEnded }
+ * @code {200} If the msg is 'Success', the customer gets no more reminders.
+ * @code {503} If mongo is not connected.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['whatsappNumber'],
+  properties: {
+    whatsappNumber: { type: 'string', pattern: __constants.VALIDATOR.whatsappNumber }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const optOut = async (req, res) => {
+  try {
+    const result = await recoveryService.optOut(req.body.whatsappNumber)
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: result })
+  } catch (err) {
+    console.log('Error in optOut :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/optOut', validation, optOut)
+module.exports = router
@@ -0,0 +1,64 @@
+const express = require('express')
+const router = express.Router()
+const __constants = require('../../config/constants')
+const validationOfAPI = require('../../middlewares/validation')
+const paymentWebhookService = require('../../services/order/PaymentWebhookService')
+const recoveryService = require('../../services/order/RecoveryService')
+
+/**
+ * @namespace -WEBHOOK-MODULE-
+ * @description API’s called by payment and delivery partners.
+ */
+/**
+ * @memberof -WEBHOOK-module-
+ * @name cashfree
+ * @path {POST} /api/webhook/cashfree
+ * @description Cashfree's payment link and payment webhooks (set this url in the cashfree dashboard). The signature is checked
+ * with CF_CLIENT_SECRET and deliveries older than CF_WEBHOOK_TOLERANCE_SECONDS are refused. Every event is kept, a payment invoices the
+ * magento order of its link (checkout links order_<increment id>, or an order link of createPaymentLink) and moves it to processing,
+ * gives back the stock the link held and ends its reminders. Cashfree sending the same event again changes nothing.
+ * @header {string} x-webhook-signature - base64 hmac-sha256 of x-webhook-timestamp + the raw body
+ * @header {string} x-webhook-timestamp - when cashfree sent it, in milliseconds
+ * @header {string} [x-idempotency-key] - the event id, the sha256 of the body when it is not sent
+ * @body {string} type - PAYMENT_LINK_EVENT, PAYMENT_SUCCESS_WEBHOOK, PAYMENT_FAILED_WEBHOOK ...
+ * @body {object} data - the link or the order and payment
+ * @response {string} ContentType=application/json - Response content type.
+ * @response {object} metadata.data - { event_id, type, link_id, status, order_id, increment_id, duplicate, paid }, status is invoiced, ignored,
+ * already_invoiced, amount_mismatch or order_closed (the last two leave a comment on the order for the team)
+ * @code {200} If the msg is 'Success', the event is kept (or was already).
+ * @code {400} If the body is not a cashfree event.
+ * @code {401} If the signature does not match or the timestamp is not recent.
+ * @code {409} Code 4013 while another delivery of the event is being handled, cashfree retries the event.
+ * @code {500} If magento could not invoice the order, cashfree retries the event.
+ * @code {503} If mongo is not connected, cashfree retries the event.
+ */
+const validationSchema = {
+  type: 'object',
+  required: ['type', 'data'],
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    data: { type: 'object' },
+    event_time: { type: 'string' }
+  }
+}
+const validation = (req, res, next) => {
+  return validationOfAPI(req, res, next, validationSchema, 'body')
+}
+const cashfree = async (req, res) => {
+  try {
+    const event = await paymentWebhookService.receive({
+      rawBody: req.rawBody,
+      signature: req.headers['x-webhook-signature'],
+      timestamp: req.headers['x-webhook-timestamp'],
+      idempotencyKey: req.headers['x-idempotency-key']
+    })
+    if (event.paid && event.link_id && !event.duplicate) await recoveryService.converted({ linkId: event.link_id })
+    res.sendJson({ type: __constants.RESPONSE_MESSAGES.SUCCESS, data: event })
+  } catch (err) {
+    console.log('Error in cashfree webhook :: err', err.err || err.message)
+    return res.sendJson({ type: err.type || __constants.RESPONSE_MESSAGES.SERVER_ERROR, err: err.err || err.message || err })
+  }
+}
+
+router.post('/cashfree', validation, cashfree)
+module.exports = router
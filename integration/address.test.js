@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/address', () => {
+  let app
+
+  before(async () => { app = await startApp() })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const customer = () => app.standIn.state.customers.find(item => item.email === 'aarav@example.com')
+
+  describe('GET /lookupPincode', () => {
+    it('fills in city, state and region from the pincode', async () => {
+      const { status, body } = await app.get('/address/lookupPincode?pincode=500033')
+      assert.equal(status, 200)
+      assert.deepEqual(body.data, { pincode: '500033', city: 'Hyderabad', state: 'Telangana', region_id: 601, region_code: 'TG' })
+    })
+
+    it('refuses malformed and unknown pincodes', async () => {
+      assert.equal((await app.get('/address/lookupPincode?pincode=5600')).status, 400)
+      assert.equal((await app.get('/address/lookupPincode?pincode=012345')).status, 400)
+      const { status, body } = await app.get('/address/lookupPincode?pincode=999999')
+      assert.deepEqual([status, body.error], [400, '999999 is not a known pincode'])
+    })
+  })
+
+  describe('address book', () => {
+    it('adds addresses, the first one becoming the default', async () => {
+      const { status, body } = await app.post('/address/addAddress', { whatsappNumber: number, street: ['12 MG Road'], pincode: '560001' })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.address, {
+        id: body.data.address.id,
+        firstname: 'Aarav',
+        lastname: 'Sharma',
+        street: ['12 MG Road'],
+        city: 'Bangalore',
+        state: 'Karnataka',
+        region_id: 585,
+        pincode: '560001',
+        telephone: '9876543210',
+        is_default: true
+      })
+      const { body: second } = await app.post('/address/addAddress', { whatsappNumber: number, street: ['4 Park Street'], pincode: '700016', city: 'Kolkata', firstname: 'Riya' })
+      assert.deepEqual(second.data.addresses.map(address => [address.city, address.state, address.firstname, address.is_default]), [
+        ['Bangalore', 'Karnataka', 'Aarav', true],
+        ['Kolkata', 'West Bengal', 'Riya', false]
+      ])
+      assert.equal(customer().addresses[1].region.region_code, 'WB')
+    })
+
+    it('lists the address book', async () => {
+      const { status, body } = await app.get(`/address/getAddresses?whatsappNumber=${number}`)
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.map(address => address.pincode), ['560001', '700016'])
+    })
+
+    it('moves the default', async () => {
+      const [first, second] = customer().addresses
+      const { body } = await app.post('/address/setDefaultAddress', { whatsappNumber: number, addressId: second.id })
+      assert.deepEqual(body.data.map(address => [address.id, address.is_default]), [[first.id, false], [second.id, true]])
+      assert.equal(customer().default_shipping, String(second.id))
+    })
+
+    it('takes city and state from a new pincode when an address is edited', async () => {
+      const [first] = customer().addresses
+      const { status, body } = await app.post('/address/updateAddress', { whatsappNumber: number, addressId: first.id, pincode: '400001', street: ['1 Marine Drive'] })
+      assert.equal(status, 200)
+      assert.deepEqual([body.data.address.street, body.data.address.city, body.data.address.state, body.data.address.firstname], [['1 Marine Drive'], 'Mumbai', 'Maharashtra', 'Aarav'])
+      assert.equal(body.data.addresses.length, 2)
+    })
+
+    it('deletes an address and hands the default on', async () => {
+      const [first, second] = customer().addresses
+      const { status, body } = await app.post('/address/deleteAddress', { whatsappNumber: number, addressId: second.id })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.map(address => [address.id, address.is_default]), [[first.id, true]])
+    })
+
+    it('answers 404 for addresses of someone else and numbers without an account', async () => {
+      assert.equal((await app.post('/address/deleteAddress', { whatsappNumber: number, addressId: 99999 })).status, 404)
+      const { status, body } = await app.get('/address/getAddresses?whatsappNumber=919000000000')
+      assert.deepEqual([status, body.error], [404, 'No Account'])
+    })
+
+    it('refuses unknown pincodes without touching the address book', async () => {
+      const before = customer().addresses.length
+      const { status } = await app.post('/address/addAddress', { whatsappNumber: number, street: ['Nowhere'], pincode: '999999' })
+      assert.equal(status, 400)
+      assert.equal(customer().addresses.length, before)
+    })
+  })
+})
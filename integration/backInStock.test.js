@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+const SKU = 'SJ-SLIM-BLK-32'
+const FIRST = '919876543210'
+const SECOND = '919812345678'
+
+// the backInStock job calls checkStock on an interval, the suite runs it directly
+describe('back in stock alerts with mongo', () => {
+  let app
+  let backInStockService
+  const subscription = number => app.standIn.mongo.docs('stocksubscriptions').find(doc => doc.sku === SKU && doc.whatsappNumber === number)
+  const messagesPath = () => app.standIn.callsTo('POST', /^\/whatsapp\/.*\/messages$/)[0].path
+
+  before(async () => {
+    app = await startApp({ MONGO_INIT: 'true' })
+    backInStockService = require('../services/product/BackInStockService')
+  })
+  after(async () => { await app.stop() })
+
+  it('subscribes customers to an out of stock size', async () => {
+    for (const whatsappNumber of [FIRST, SECOND]) {
+      const { status, body } = await app.post('/product/subscribeBackInStock', { sku: SKU, whatsappNumber })
+      assert.equal(status, 200)
+      assert.equal(body.data.status, 'active')
+      assert.equal(body.data.alreadySubscribed, false)
+    }
+    assert.equal(subscription(FIRST).status, 'active')
+  })
+
+  it('refuses a size that is in stock', async () => {
+    const { status } = await app.post('/product/subscribeBackInStock', { sku: 'SJ-SLIM-BLK-30', whatsappNumber: FIRST })
+    assert.equal(status, 409)
+  })
+
+  it('waits while the size is still sold out', async () => {
+    assert.deepEqual(await backInStockService.checkStock(), { skus: 1, restocked: 0, notified: 0, failed: 0 })
+    assert.equal(app.standIn.state.messages.length, 0)
+  })
+
+  it('alerts every subscriber once the size is back and ends their subscriptions', async () => {
+    app.standIn.state.stock[SKU] = 3
+    assert.deepEqual(await backInStockService.checkStock(), { skus: 1, restocked: 1, notified: 2, failed: 0 })
+    assert.deepEqual(app.standIn.state.messages.map(message => [message.to, message.template, message.parameters]).sort(), [
+      [SECOND, 'back_in_stock', ['Black Slim Fit Jeans']],
+      [FIRST, 'back_in_stock', ['Black Slim Fit Jeans']]
+    ].sort())
+    assert.equal(subscription(FIRST).status, 'notified')
+    assert.ok(subscription(FIRST).notifiedAt instanceof Date)
+
+    assert.deepEqual(await backInStockService.checkStock(), { skus: 0, restocked: 0, notified: 0, failed: 0 })
+    assert.equal(app.standIn.state.messages.length, 2)
+  })
+
+  it('keeps a subscription whose alert could not be sent for the next run', async () => {
+    app.standIn.state.stock[SKU] = 0
+    const { status } = await app.post('/product/subscribeBackInStock', { sku: SKU, whatsappNumber: FIRST })
+    assert.equal(status, 200)
+    app.standIn.state.stock[SKU] = 1
+    app.standIn.failNext('POST', messagesPath(), 500, { error: { message: 'Service unavailable' } })
+    assert.deepEqual(await backInStockService.checkStock(), { skus: 1, restocked: 1, notified: 0, failed: 1 })
+    assert.equal(subscription(FIRST).status, 'active')
+    assert.equal(subscription(FIRST).attempts, 1)
+
+    assert.deepEqual(await backInStockService.checkStock(), { skus: 1, restocked: 1, notified: 1, failed: 0 })
+    assert.equal(subscription(FIRST).status, 'notified')
+    assert.equal(app.standIn.state.messages.length, 3)
+  })
+})
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/cart', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const getCart = whatsappNumber => app.get(`/cart/getCart?whatsappNumber=${whatsappNumber}`)
+
+  it('starts empty', async () => {
+    const { status, body } = await getCart('919800000001')
+    assert.equal(status, 200)
+    assert.deepEqual([body.data.items, body.data.items_count, body.data.subtotal], [[], 0, 0])
+  })
+
+  it('adds items at their current price and keeps the cart alive for the cart ttl', async () => {
+    const number = '919800000002'
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+    const { status, body } = await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items.map(item => [item.sku, item.qty, item.price, item.row_total, item.available]), [['SJ-SLIM-BLK-30', 3, 1499, 4497, true]])
+    assert.deepEqual([body.data.items_count, body.data.subtotal, body.data.subtotal_display], [3, 4497, '₹4,497'])
+    const { expiresAt } = app.standIn.redis.store.get(`cart:${number}`)
+    assert.ok(Math.abs(expiresAt - Date.now() - 3 * 24 * 60 * 60 * 1000) < 60 * 1000)
+  })
+
+  it('refuses more than the stock', async () => {
+    const number = '919800000003'
+    const { status, body } = await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-STR-BLU-32', qty: 3 })
+    assert.equal(status, 409)
+    assert.equal(body.code, 4010)
+    assert.match(body.error, /^Only 2 of /)
+    const { body: empty } = await getCart(number)
+    assert.deepEqual(empty.data.items, [])
+  })
+
+  it('only takes enabled variant skus', async () => {
+    const number = '919800000004'
+    assert.equal((await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK' })).status, 400)
+    assert.equal((await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-NOPE' })).status, 404)
+    assert.equal((await app.post('/cart/addItem', { whatsappNumber: '12345', sku: 'SJ-BELT' })).status, 400)
+  })
+
+  it('updates quantities and removes items', async () => {
+    const number = '919800000005'
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SHIRT-NVY-M' })
+    const { body: updated } = await app.post('/cart/updateItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 4 })
+    assert.deepEqual(updated.data.items.map(item => [item.sku, item.qty]), [['SJ-BELT', 4], ['SJ-SHIRT-NVY-M', 1]])
+    assert.equal(updated.data.subtotal, 4 * 499 + 1099)
+    const { body: zeroed } = await app.post('/cart/updateItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 0 })
+    assert.deepEqual(zeroed.data.items.map(item => item.sku), ['SJ-SHIRT-NVY-M'])
+    const { body: removed } = await app.post('/cart/removeItem', { whatsappNumber: number, sku: 'SJ-SHIRT-NVY-M' })
+    assert.deepEqual(removed.data.items, [])
+    assert.equal(app.standIn.redis.store.has(`cart:${number}`), false)
+    assert.equal((await app.post('/cart/removeItem', { whatsappNumber: number, sku: 'SJ-BELT' })).status, 404)
+  })
+
+  it('re-checks stock and prices when the cart is viewed', async () => {
+    const number = '919800000006'
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-STR-BLU-34', qty: 2 })
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const belt = app.standIn.state.products.find(product => product.sku === 'SJ-BELT')
+    app.standIn.state.stock['SJ-STR-BLU-34'] = 1
+    belt.price = 549
+    try {
+      const { body } = await getCart(number)
+      const [jeans, beltLine] = body.data.items
+      assert.deepEqual([jeans.available, jeans.max_qty, jeans.qty], [false, 1, 2])
+      assert.deepEqual([beltLine.price, beltLine.added_price, beltLine.price_changed], [549, 499, true])
+      assert.deepEqual([body.data.subtotal, body.data.items_count, body.data.has_issues], [549, 1, true])
+    } finally {
+      app.standIn.state.stock['SJ-STR-BLU-34'] = 4
+      belt.price = 499
+    }
+  })
+
+  it('clears the cart', async () => {
+    const number = '919800000007'
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await app.post('/cart/clearCart', { whatsappNumber: number })
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items, [])
+    assert.deepEqual((await getCart(number)).body.data.items, [])
+  })
+
+  it('forgets a cart once it expired', async () => {
+    const number = '919800000008'
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    app.standIn.redis.store.get(`cart:${number}`).expiresAt = Date.now() - 1
+    const { body } = await getCart(number)
+    assert.deepEqual(body.data.items, [])
+  })
+
+  describe('coupons', () => {
+    const applyCoupon = (whatsappNumber, couponCode) => app.post('/cart/applyCoupon', { whatsappNumber, couponCode })
+
+    it('applies a percentage coupon and shows the discount on the cart', async () => {
+      const number = '919800000011'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+      const { status, body } = await applyCoupon(number, 'riya10')
+      assert.equal(status, 200)
+      assert.deepEqual([body.data.coupon.code, body.data.coupon.valid, body.data.coupon.description], ['RIYA10', true, '10% off with an influencer code'])
+      assert.deepEqual([body.data.subtotal, body.data.discount, body.data.total, body.data.total_display], [998, 99.8, 898.2, '₹898.2'])
+      assert.equal(JSON.parse(app.standIn.redis.store.get(`cart:${number}`).value).coupon, 'RIYA10')
+    })
+
+    it('only discounts the skus a coupon is for', async () => {
+      const number = '919800000012'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const refused = await applyCoupon(number, 'SLIM20')
+      assert.deepEqual([refused.status, refused.body.code, refused.body.error], [400, 4011, 'SLIM20 does not apply to Canvas Belt'])
+      assert.equal(refused.body.data.reason, 'not_applicable')
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+      const { body } = await applyCoupon(number, 'SLIM20')
+      assert.deepEqual(body.data.coupon.items, [{ sku: 'SJ-SLIM-BLK-30', discount: 299.8 }])
+    })
+
+    it('explains a minimum order value that is not met', async () => {
+      const number = '919800000013'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+      const { status, body } = await applyCoupon(number, 'DROP300')
+      assert.equal(status, 400)
+      assert.equal(body.error, 'DROP300 needs a cart of at least ₹1,999, add ₹500 more')
+      assert.deepEqual(body.data, { coupon_code: 'DROP300', reason: 'minimum_subtotal', minimum_subtotal: 1999, shortfall: 500 })
+    })
+
+    it('tells why a code cannot be used', async () => {
+      const number = '919800000014'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const reasons = {}
+      for (const code of ['NOPE123', 'SUMMER24', 'OLDDROP', 'LAUNCH50', 'WHOLESALE', 'DIWALI99']) {
+        const { status, body } = await app.post('/cart/validateCoupon', { whatsappNumber: number, couponCode: code })
+        assert.equal(status, 400)
+        reasons[code] = [body.data.reason, body.error]
+      }
+      assert.deepEqual(reasons, {
+        NOPE123: ['not_found', 'NOPE123 is not a valid coupon code'],
+        SUMMER24: ['expired', 'SUMMER24 expired on 2024-08-31'],
+        OLDDROP: ['inactive', 'OLDDROP is no longer active'],
+        LAUNCH50: ['used_up', 'LAUNCH50 has been fully used'],
+        WHOLESALE: ['customer_group', 'WHOLESALE is not available for your account'],
+        DIWALI99: ['not_started', 'DIWALI99 can be used from 2099-10-01']
+      })
+      assert.equal(JSON.parse(app.standIn.redis.store.get(`cart:${number}`).value).coupon, undefined)
+    })
+
+    it('validates without applying', async () => {
+      const number = '919800000015'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+      const { status, body } = await app.post('/cart/validateCoupon', { whatsappNumber: number, couponCode: 'DROP300' })
+      assert.equal(status, 200)
+      assert.deepEqual([body.data.code, body.data.discount, body.data.discount_display], ['DROP300', 300, '₹300'])
+      assert.equal((await getCart(number)).body.data.coupon, null)
+    })
+
+    it('flags a coupon the cart no longer qualifies for and removes it', async () => {
+      const number = '919800000016'
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+      await applyCoupon(number, 'DROP300')
+      const { body } = await app.post('/cart/updateItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 1 })
+      assert.deepEqual([body.data.coupon.valid, body.data.coupon.reason, body.data.discount, body.data.total, body.data.has_issues], [false, 'minimum_subtotal', 0, 1499, true])
+      const { body: removed } = await app.post('/cart/removeCoupon', { whatsappNumber: number })
+      assert.deepEqual([removed.data.coupon, removed.data.has_issues], [null, false])
+      assert.equal((await app.post('/cart/removeCoupon', { whatsappNumber: number })).status, 404)
+    })
+
+    it('refuses malformed codes', async () => {
+      assert.equal((await applyCoupon('919800000017', 'a b')).status, 400)
+    })
+  })
+})
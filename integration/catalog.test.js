@@ -0,0 +1,34 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+// mongo is not started by the suite, so this covers the mirror being enabled but unavailable
+describe('/api/catalog with mirror reads enabled and mongo down', () => {
+  let app
+
+  before(async () => { app = await startApp({ CATALOG_MIRROR_READS: 'true' }) })
+  after(async () => { await app.stop() })
+
+  it('keeps serving drops live from Magento', async () => {
+    const { status, body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.map(product => product.sku).sort(), ['SJ-SHIRT', 'SJ-SLIM-BLK', 'SJ-STR-BLU'])
+  })
+
+  it('refuses to sync without a database', async () => {
+    const { status, body } = await app.post('/catalog/syncCatalog', { mode: 'full' })
+    assert.equal(status, 503)
+    assert.equal(body.code, 5003)
+    assert.equal(app.standIn.callsTo('GET', '/rest/V1/products').length, 1)
+  })
+
+  it('rejects an unknown sync mode', async () => {
+    const { status } = await app.post('/catalog/syncCatalog', { mode: 'everything' })
+    assert.equal(status, 400)
+  })
+
+  it('reports the status as unavailable', async () => {
+    const { status } = await app.get('/catalog/getSyncStatus')
+    assert.equal(status, 503)
+  })
+})
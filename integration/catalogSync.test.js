@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+const product = (app, sku) => app.standIn.state.products.find(item => item.sku === sku)
+const mirroredChild = (app, sku) => app.standIn.mongo.docs('catalogchildren').find(child => child.sku === sku)
+
+describe('/api/catalog with mongo', () => {
+  let app
+
+  before(async () => { app = await startApp({ MONGO_INIT: 'true', CATALOG_MIRROR_READS: 'true' }) })
+  after(async () => { await app.stop() })
+
+  it('mirrors the enabled and disabled configurables with their children on a full sync', async () => {
+    const { status, body } = await app.post('/catalog/syncCatalog', { mode: 'full' })
+    assert.equal(status, 200)
+    assert.equal(body.data.mode, 'full')
+    assert.equal(body.data.products, 4)
+    assert.equal(body.data.children, 8)
+    assert.deepEqual(app.standIn.mongo.docs('catalogproducts').map(item => item.sku).sort(), ['SJ-OLD-GRY', 'SJ-SHIRT', 'SJ-SLIM-BLK', 'SJ-STR-BLU'])
+    assert.equal(mirroredChild(app, 'SJ-SLIM-BLK-30').stock, 5)
+    assert.equal(mirroredChild(app, 'SJ-SLIM-BLK-32').stock, 0)
+    assert.ok(app.standIn.mongo.docs('catalogattributes').length > 0)
+  })
+
+  it('reports the cursor and counts of the mirror', async () => {
+    const { status, body } = await app.get('/catalog/getSyncStatus')
+    assert.equal(status, 200)
+    assert.equal(body.data.cursor, '2025-09-03 10:00:00')
+    assert.equal(body.data.products, 4)
+    assert.equal(body.data.children, 8)
+    assert.equal(body.data.lastRun.mode, 'full')
+  })
+
+  it('stores the filter facts of every product', async () => {
+    const slim = app.standIn.mongo.docs('catalogproducts').find(item => item.sku === 'SJ-SLIM-BLK')
+    assert.deepEqual(slim.facets, { sizes: ['30', '34'], colors: ['Black'], fits: ['Slim Fit'], price: 1499, inStock: true })
+  })
+
+  it('filters category drops on the stored facts and only reads the page it returns', async () => {
+    const before = app.standIn.mongo.commands.length
+    const { status, body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', size: ['32'] })
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items.map(product => product.sku), ['SJ-STR-BLU'])
+    assert.equal(body.data.total, 1)
+    assert.deepEqual(body.data.facets.size.map(facet => facet.value), ['30', '32', '34', 'M'])
+    assert.deepEqual(body.data.facets.fit, [{ value: 'Straight Fit', count: 1 }])
+    assert.deepEqual(body.data.items[0].configurable_product_options[0].values.map(value => value.sku), ['SJ-STR-BLU-32', 'SJ-STR-BLU-34'])
+    const reads = app.standIn.mongo.commands.slice(before).filter(command => command.command === 'find')
+    assert.deepEqual(reads.find(command => command.collection === 'catalogproducts' && command.filter.productId).filter.productId, { $in: [102] })
+    assert.deepEqual(reads.find(command => command.collection === 'catalogchildren').filter.productId, { $in: [1021, 1022] })
+  })
+
+  it('pages and counts the mirrored drops like the live ones', async () => {
+    const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', pageSize: 1, page: 2, facets: true })
+    assert.equal(body.data.items.length, 1)
+    assert.equal(body.data.total, 3)
+    assert.deepEqual(body.data.facets.price.map(bucket => bucket.count), [0, 3, 0, 0])
+    assert.equal(body.data.facets.inStock, 3)
+  })
+
+  it('re-reads only the products magento changed since the cursor on an incremental sync', async () => {
+    const shirt = product(app, 'SJ-SHIRT')
+    shirt.updated_at = '2025-09-10 10:00:00'
+    shirt.name = 'Oxford Shirt'
+    const before = app.standIn.callsTo('GET', /^\/rest\/V1\/configurable-products\//).length
+    const { status, body } = await app.post('/catalog/syncCatalog', { mode: 'incremental' })
+    assert.equal(status, 200)
+    assert.equal(body.data.mode, 'incremental')
+    assert.equal(body.data.products, 1)
+    assert.equal(body.data.children, 3)
+    assert.equal(body.data.stockAndPricesUpdated, 0)
+    const children = app.standIn.callsTo('GET', /^\/rest\/V1\/configurable-products\//).slice(before)
+    assert.deepEqual(children.map(call => call.path), ['/rest/V1/configurable-products/SJ-SHIRT/children'])
+    assert.equal(app.standIn.mongo.docs('catalogproducts').find(item => item.sku === 'SJ-SHIRT').data.name, 'Oxford Shirt')
+    assert.equal((await app.get('/catalog/getSyncStatus')).body.data.cursor, '2025-09-10 10:00:00')
+  })
+
+  it('refreshes the stock and price of a changed child without re-reading the unchanged ones', async () => {
+    product(app, 'SJ-STR-BLU-32').updated_at = '2025-09-11 10:00:00'
+    app.standIn.state.stock['SJ-STR-BLU-32'] = 9
+    // moved without touching updated_at, it waits for the next full sync
+    app.standIn.state.stock['SJ-STR-BLU-34'] = 1
+    const before = app.standIn.state.calls.length
+    const { status, body } = await app.post('/catalog/syncCatalog', { mode: 'incremental' })
+    assert.equal(status, 200)
+    assert.equal(body.data.products, 0)
+    assert.equal(body.data.stockAndPricesUpdated, 1)
+    const salableReads = app.standIn.state.calls.slice(before).filter(call => call.path.startsWith('/rest/V1/inventory/get-product-salable-qty/'))
+    assert.deepEqual(salableReads.map(call => call.path), ['/rest/V1/inventory/get-product-salable-qty/SJ-STR-BLU-32/1'])
+    assert.equal(mirroredChild(app, 'SJ-STR-BLU-32').stock, 9)
+    assert.equal(mirroredChild(app, 'SJ-STR-BLU-32').magentoUpdatedAt, '2025-09-11 10:00:00')
+    assert.equal(mirroredChild(app, 'SJ-STR-BLU-34').stock, 4)
+  })
+
+  it('updates the filter facts of a product when a child comes back in stock', async () => {
+    product(app, 'SJ-SLIM-BLK-32').updated_at = '2025-09-12 10:00:00'
+    app.standIn.state.stock['SJ-SLIM-BLK-32'] = 2
+    const { status } = await app.post('/catalog/syncCatalog', { mode: 'incremental' })
+    assert.equal(status, 200)
+    assert.deepEqual(app.standIn.mongo.docs('catalogproducts').find(item => item.sku === 'SJ-SLIM-BLK').facets.sizes, ['30', '32', '34'])
+    const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', size: ['32'] })
+    assert.deepEqual(body.data.items.map(item => item.sku).sort(), ['SJ-SLIM-BLK', 'SJ-STR-BLU'])
+  })
+
+  it('drops what magento no longer has on the next full sync', async () => {
+    app.standIn.state.products = app.standIn.state.products.filter(item => item.sku !== 'SJ-OLD-GRY')
+    const { status, body } = await app.post('/catalog/syncCatalog', { mode: 'full' })
+    assert.equal(status, 200)
+    assert.equal(body.data.removed, 1)
+    assert.equal(mirroredChild(app, 'SJ-STR-BLU-34').stock, 1)
+    assert.ok(!app.standIn.mongo.docs('catalogproducts').some(item => item.sku === 'SJ-OLD-GRY'))
+  })
+})
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/product/checkout', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const address = { street: ['12 MG Road'], city: 'Bengaluru', pincode: '560001' }
+  const checkout = (body) => app.post('/product/checkout', { whatsappNumber: number, address, ...body })
+  const nextIncrementId = () => String(5000 + app.standIn.state.orders.length + 1 - 4500).padStart(9, '0')
+
+  it('places the order and creates its link for the grand total', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await checkout({ expiry_time: 60 })
+    assert.equal(status, 200)
+    const { order, payment_link: link } = body.data
+    assert.deepEqual([link.linkId, link.amount, order.totals.grand_total], [`order_${order.increment_id}`, 573.05, 573.05])
+    assert.equal(link.paymentLink, `https://payments-test.cashfree.com/links/order_${order.increment_id}`)
+
+    const placed = app.standIn.state.orders.find(item => item.entity_id === order.order_id)
+    const created = app.standIn.state.links.find(item => item.link_id === link.linkId)
+    assert.deepEqual([created.link_purpose, created.customer_details.customer_name], [`Order ${order.increment_id}`, `${placed.customer_firstname} ${placed.customer_lastname}`])
+    assert.ok(placed.status_histories.some(history => history.comment.includes(link.linkId) && history.comment.includes(link.paymentLink)))
+    assert.deepEqual((await app.get(`/cart/getCart?whatsappNumber=${number}`)).body.data.items, [])
+  })
+
+  it('cancels the order and gives the cart back when the link is not created', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+    const reservedBefore = app.standIn.state.reservations['SJ-BELT'] || 0
+    const incrementId = nextIncrementId()
+    app.standIn.state.links.push({ link_id: `order_${incrementId}`, link_status: 'ACTIVE' })
+    const withKey = { headers: { 'Idempotency-Key': 'checkout-link-fails' } }
+    const { status, body } = await app.post('/product/checkout', { whatsappNumber: number, address, name: 'Aarav' }, withKey)
+    assert.deepEqual([status, body.code], [424, 4016])
+    assert.match(body.error, new RegExp(`^The payment link for order ${incrementId} could not be created`))
+    assert.deepEqual([body.data.increment_id, body.data.order_state, body.data.cart_restored], [incrementId, 'canceled', true])
+    assert.equal(app.standIn.state.orders.find(item => item.increment_id === incrementId).state, 'canceled')
+    assert.equal(app.standIn.state.reservations['SJ-BELT'], reservedBefore)
+    const cart = (await app.get(`/cart/getCart?whatsappNumber=${number}`)).body.data.items
+    assert.deepEqual(cart.map(item => [item.sku, item.qty]), [['SJ-BELT', 2]])
+
+    // a retry with the same key gets the rollback again instead of ordering the restored cart a second time
+    const orders = app.standIn.state.orders.length
+    const retry = await app.post('/product/checkout', { whatsappNumber: number, address, name: 'Aarav' }, withKey)
+    assert.deepEqual([retry.status, retry.headers.get('idempotent-replayed'), retry.body.data.increment_id], [424, 'true', incrementId])
+    assert.equal(app.standIn.state.orders.length, orders)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('sends the pickup code of a pickup order once its link exists', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await app.post('/product/checkout', { whatsappNumber: number, pickupStoreId: 'store_sion' })
+    assert.equal(status, 200)
+    assert.match(body.data.order.pickup.pickup_code, /^[0-9]{6}$/)
+    assert.ok(app.standIn.redis.store.has(`pickup:${body.data.order.order_id}`))
+    assert.ok(app.standIn.state.messages.some(message => message.template === 'pickup_code' && message.parameters[2] === body.data.order.pickup.pickup_code))
+  })
+
+  it('answers the order and its link when the pickup code cannot be issued', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    app.standIn.redis.failNext('SET', 'pickup:')
+    const { status, body } = await app.post('/product/checkout', { whatsappNumber: number, pickupStoreId: 'store_sion' })
+    assert.equal(status, 200)
+    assert.deepEqual([body.data.order.pickup.store.store_id, body.data.order.pickup.pickup_code, body.data.order.pickup.code_sent], ['store_sion', null, false])
+    assert.ok(body.data.order.pickup.error)
+    assert.equal(body.data.payment_link.linkId, `order_${body.data.order.increment_id}`)
+    assert.equal(app.standIn.state.orders.find(item => item.entity_id === body.data.order.order_id).state, 'new')
+  })
+
+  it('sends no pickup code for a pickup order it rolls back', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const incrementId = nextIncrementId()
+    app.standIn.state.links.push({ link_id: `order_${incrementId}`, link_status: 'ACTIVE' })
+    const sent = app.standIn.state.messages.length
+    const { status, body } = await app.post('/product/checkout', { whatsappNumber: number, pickupStoreId: 'store_sion', name: 'Aarav' })
+    assert.deepEqual([status, body.data.order_state], [424, 'canceled'])
+    assert.ok(!app.standIn.redis.store.has(`pickup:${body.data.order_id}`))
+    assert.equal(app.standIn.state.messages.length, sent)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('refuses an empty cart without ordering', async () => {
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+    const orders = app.standIn.state.orders.length
+    const { status, body } = await checkout()
+    assert.deepEqual([status, body.error], [400, 'The cart is empty'])
+    assert.equal(app.standIn.state.orders.length, orders)
+  })
+})
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('Idempotency-Key', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const address = { street: ['12 MG Road'], pincode: '560001' }
+  const withKey = key => ({ headers: { 'Idempotency-Key': key } })
+  const link = (linkId, extra) => ({ linkId, amount: 499, name: 'Aarav', purpose: 'Belt', expiry_time: 30, whatsappNumber: number, ...extra })
+
+  it('places an order once however often it is sent', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const ordersBefore = app.standIn.state.orders.length
+    const first = await app.post('/product/placingOrder', { whatsappNumber: number, address }, withKey('order-7f3a'))
+    assert.equal(first.status, 200)
+    // the keys of the body in another order are the same request
+    const repeat = await app.post('/product/placingOrder', { address, whatsappNumber: number }, withKey('order-7f3a'))
+    assert.deepEqual([repeat.status, repeat.body, repeat.headers.get('idempotent-replayed')], [200, first.body, 'true'])
+    assert.equal(app.standIn.state.orders.length, ordersBefore + 1)
+    assert.equal(first.headers.get('idempotent-replayed'), null)
+  })
+
+  it('refuses a key used for another body', async () => {
+    const first = await app.post('/product/createPaymentLink', link('idem-link-1'), withKey('link-1'))
+    assert.equal(first.status, 200)
+    const { status, body } = await app.post('/product/createPaymentLink', link('idem-link-1', { amount: 999 }), withKey('link-1'))
+    assert.deepEqual([status, body.code], [422, 4014])
+    assert.equal(app.standIn.state.links.filter(item => item.link_id === 'idem-link-1').length, 1)
+  })
+
+  it('keeps keys apart per route', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status } = await app.post('/product/placingOrder', { whatsappNumber: number, address }, withKey('link-1'))
+    assert.equal(status, 200)
+  })
+
+  it('answers 409 while the first request is still running', async () => {
+    const first = await app.post('/product/createPaymentLink', link('idem-link-2'), withKey('link-2'))
+    const key = 'idempotency:/api/product/createPaymentLink:link-2'
+    const entry = app.standIn.redis.store.get(key)
+    const stored = JSON.parse(entry.value)
+    entry.value = JSON.stringify({ fingerprint: stored.fingerprint, done: false })
+    const { status, body } = await app.post('/product/createPaymentLink', link('idem-link-2'), withKey('link-2'))
+    assert.deepEqual([first.status, status, body.code], [200, 409, 4013])
+  })
+
+  it('lets a request that failed on the server be retried with the same key', async () => {
+    app.standIn.state.links.push({ link_id: 'idem-link-3' })
+    const failed = await app.post('/product/createPaymentLink', link('idem-link-3'), withKey('link-3'))
+    assert.equal(failed.status, 500)
+    app.standIn.state.links = app.standIn.state.links.filter(item => item.link_id !== 'idem-link-3')
+    const retried = await app.post('/product/createPaymentLink', link('idem-link-3'), withKey('link-3'))
+    assert.deepEqual([retried.status, retried.body.data.linkId], [200, 'idem-link-3'])
+  })
+
+  it('keeps client errors for the key', async () => {
+    const first = await app.post('/product/placingOrder', { whatsappNumber: number, address }, withKey('empty-cart'))
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const repeat = await app.post('/product/placingOrder', { whatsappNumber: number, address }, withKey('empty-cart'))
+    assert.deepEqual([first.status, repeat.status, repeat.body.error], [400, 400, 'The cart is empty'])
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('refuses malformed keys and runs requests without one as usual', async () => {
+    assert.equal((await app.post('/product/createPaymentLink', link('idem-link-4'), withKey('has space'))).status, 400)
+    assert.equal((await app.post('/product/createPaymentLink', link('idem-link-4'))).status, 200)
+    assert.equal((await app.post('/product/createPaymentLink', link('idem-link-4'))).status, 500)
+  })
+})
@@ -0,0 +1,91 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const sharp = require('sharp')
+const { startApp } = require('./support/app')
+
+describe('/api/media', () => {
+  let app
+  let cacheDir
+
+  before(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'))
+    app = await startApp({ IMAGE_CACHE_DIR: cacheDir })
+  })
+  after(async () => {
+    await app.stop()
+    fs.rmSync(cacheDir, { recursive: true, force: true })
+  })
+
+  const getImage = async (query) => {
+    const response = await fetch(`${app.baseUrl}/media/getImage?${new URLSearchParams(query)}`)
+    return { status: response.status, headers: response.headers, buffer: Buffer.from(await response.arrayBuffer()) }
+  }
+
+  describe('product image urls', () => {
+    it('builds media urls, drops disabled images and adds renditions', async () => {
+      const { body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      const straight = body.data.find(product => product.sku === 'SJ-STR-BLU')
+      assert.deepEqual(straight.media_gallery_entries.map(entry => entry.label), ['Front', 'Side'])
+      const [front] = straight.media_gallery_entries
+      assert.equal(front.file, `${app.standIn.origin}/media/catalog/product/b/l/blue-straight-front.jpg`)
+      const whatsapp = new URL(front.renditions.whatsapp)
+      assert.equal(whatsapp.pathname, '/api/media/getImage')
+      assert.deepEqual(Object.fromEntries(whatsapp.searchParams), { file: '/b/l/blue-straight-front.jpg', width: '1024', format: 'jpeg' })
+      assert.ok(body.data.every(product => product.media_gallery_entries.every(entry => entry && entry.file)))
+    })
+
+    it('puts the base image first on the product detail', async () => {
+      const product = app.standIn.state.products.find(item => item.sku === 'SJ-SLIM-BLK')
+      const [front, back] = product.media_gallery_entries
+      product.media_gallery_entries = [{ ...front, position: 5 }, back]
+      try {
+        const { body } = await app.post('/product/getProductDetail', { sku: 'SJ-SLIM-BLK' })
+        assert.deepEqual(body.data.images.map(image => image.label), ['Front', 'Back'])
+        assert.ok(body.data.images[0].renditions.thumbnail.includes('format=webp'))
+      } finally {
+        product.media_gallery_entries = [front, back]
+      }
+    })
+  })
+
+  describe('GET /getImage', () => {
+    it('resizes and re-encodes an image', async () => {
+      const { status, headers, buffer } = await getImage({ file: '/b/l/black-slim-front.jpg', width: '300', format: 'webp' })
+      assert.equal(status, 200)
+      assert.equal(headers.get('content-type'), 'image/webp')
+      assert.equal(headers.get('x-image-cache'), 'MISS')
+      const metadata = await sharp(buffer).metadata()
+      assert.deepEqual([metadata.format, metadata.width, metadata.height], ['webp', 300, 375])
+    })
+
+    it('serves a rendition it made before from the disk cache', async () => {
+      const before = app.standIn.callsTo('GET', '/media/catalog/product/b/l/black-slim-back.jpg').length
+      const first = await getImage({ file: '/b/l/black-slim-back.jpg', width: '1024' })
+      const second = await getImage({ file: '/b/l/black-slim-back.jpg', width: '1024' })
+      assert.equal(first.headers.get('content-type'), 'image/jpeg')
+      assert.equal(second.headers.get('x-image-cache'), 'HIT')
+      assert.ok(first.buffer.equals(second.buffer))
+      assert.equal(app.standIn.callsTo('GET', '/media/catalog/product/b/l/black-slim-back.jpg').length - before, 1)
+    })
+
+    it('never enlarges an image', async () => {
+      const { buffer } = await getImage({ file: '/c/a/cargo-shirt-olive.jpg' })
+      const metadata = await sharp(buffer).metadata()
+      assert.deepEqual([metadata.format, metadata.width], ['jpeg', 1600])
+    })
+
+    it('answers 404 for an image magento does not have', async () => {
+      const { status } = await getImage({ file: '/n/o/nope.jpg', width: '300' })
+      assert.equal(status, 404)
+    })
+
+    it('rejects paths outside the media folder, unknown widths and formats', async () => {
+      assert.equal((await getImage({ file: '/../../etc/passwd.jpg' })).status, 400)
+      assert.equal((await getImage({ file: '/b/l/black-slim-front.jpg', width: '333' })).status, 400)
+      assert.equal((await getImage({ file: '/b/l/black-slim-front.jpg', format: 'gif' })).status, 400)
+    })
+  })
+})
@@ -0,0 +1,289 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/product/placingOrder', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const address = { street: ['12 MG Road'], city: 'Bengaluru', pincode: '560001' }
+  const placeOrder = (body) => app.post('/product/placingOrder', { whatsappNumber: number, address, ...body })
+
+  it('turns the whatsapp cart into a magento order', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+    const stockBefore = app.standIn.state.stock['SJ-SLIM-BLK-30']
+    const salableBefore = (await app.get(`/cart/getCart?whatsappNumber=${number}`)).body.data.items[0].stock
+    const { status, body } = await placeOrder()
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items.map(item => [item.sku, item.qty, item.price]), [['SJ-SLIM-BLK-30', 1, 1499], ['SJ-BELT', 2, 499]])
+    assert.deepEqual(body.data.totals, { subtotal: 2497, discount: 124.85, shipping: 0, tax: 0, grand_total: 2372.15, grand_total_display: '₹2,372.15' })
+    assert.deepEqual([body.data.state, body.data.payment_method, body.data.shipping_method], ['new', 'cashfree', 'Free Shipping - Free'])
+    const order = app.standIn.state.orders.find(item => item.increment_id === body.data.increment_id)
+    assert.equal(order.customer_email, 'aarav@example.com')
+    assert.deepEqual(order.billing_address, { ...order.billing_address, firstname: 'Aarav', telephone: '9876543210', country_id: 'IN', postcode: '560001', city: 'Bengaluru', region: 'Karnataka', region_id: 585 })
+    // magento reserves the units until the order ships, what customers can buy goes down at once
+    assert.deepEqual([app.standIn.state.stock['SJ-SLIM-BLK-30'], app.standIn.state.reservations['SJ-SLIM-BLK-30']], [stockBefore, 1])
+    assert.deepEqual((await app.get(`/cart/getCart?whatsappNumber=${number}`)).body.data.items, [])
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+    assert.equal((await app.get(`/cart/getCart?whatsappNumber=${number}`)).body.data.items[0].stock, salableBefore - 1)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('charges the cheapest shipping below the free shipping threshold', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { body } = await placeOrder({ address: { ...address, firstname: 'Kabir', telephone: '9123456789' } })
+    assert.deepEqual([body.data.totals.shipping, body.data.totals.grand_total], [99, 573.05])
+    const order = app.standIn.state.orders.find(item => item.increment_id === body.data.increment_id)
+    assert.deepEqual([order.billing_address.firstname, order.billing_address.telephone], ['Kabir', '9123456789'])
+  })
+
+  it('drops items left on the magento quote by an earlier attempt', async () => {
+    const customerId = app.standIn.state.customers.find(customer => customer.email === 'aarav@example.com').id
+    app.standIn.state.quotes.push({ id: 990, customer_id: customerId, items: [{ item_id: 1, sku: 'SJ-SHIRT-NVY-M', qty: 1, name: 'Navy Shirt' }], nextItemId: 2 })
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await placeOrder()
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items.map(item => item.sku), ['SJ-BELT'])
+  })
+
+  it('takes the coupon discount into the order and its payment link', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+    await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'DROP300' })
+    const { status, body } = await placeOrder()
+    assert.equal(status, 200)
+    assert.equal(body.data.coupon_code, 'DROP300')
+    // DROP300 lets the prepaid 5% apply to what is left after it
+    assert.deepEqual([body.data.totals.subtotal, body.data.totals.discount, body.data.totals.grand_total], [2998, 434.9, 2563.1])
+    const link = await app.post('/product/createPaymentLink', { linkId: 'order-link-1', orderId: body.data.order_id, name: 'Aarav', expiry_time: 30, whatsappNumber: number })
+    assert.equal(link.status, 200)
+    assert.equal(link.body.data.amount, 2563.1)
+    const created = app.standIn.state.links.find(item => item.link_id === 'order-link-1')
+    assert.deepEqual([created.link_amount, created.link_purpose], [2563.1, `Order ${body.data.increment_id}`])
+    const mismatch = await app.post('/product/createPaymentLink', { linkId: 'order-link-2', orderId: body.data.order_id, amount: 2698, name: 'Aarav', expiry_time: 30, whatsappNumber: number })
+    assert.deepEqual([mismatch.status, mismatch.body.error], [400, 'amount 2698 does not match the order total 2563.1'])
+  })
+
+  it('refuses to order with a coupon that stopped applying', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+    await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'DROP300' })
+    await app.post('/cart/updateItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30', qty: 1 })
+    const { status, body } = await placeOrder()
+    assert.deepEqual([status, body.data.reason], [400, 'minimum_subtotal'])
+    assert.match(body.error, /remove it to order without it$/)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('takes a once per customer code only until the customer ordered with it', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    assert.equal((await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'FIRST15' })).status, 200)
+    const { status, body } = await placeOrder()
+    assert.equal(status, 200)
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const refused = await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'FIRST15' })
+    assert.deepEqual([refused.status, refused.body.error], [400, 'FIRST15 can be used once per customer and you have already used it'])
+    assert.deepEqual(refused.body.data, { coupon_code: 'FIRST15', reason: 'used_by_customer', uses_per_customer: 1 })
+    app.standIn.state.orders.find(item => item.increment_id === body.data.increment_id).state = 'canceled'
+    assert.equal((await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'FIRST15' })).status, 200)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('refuses an empty cart', async () => {
+    const { status, body } = await placeOrder()
+    assert.equal(status, 400)
+    assert.equal(body.error, 'The cart is empty')
+  })
+
+  it('refuses a cart with an item that sold out', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-STR-BLU-32', qty: 2 })
+    app.standIn.state.stock['SJ-STR-BLU-32'] = 1
+    try {
+      const { status, body } = await placeOrder()
+      assert.equal(status, 409)
+      assert.match(body.error, /^Not enough stock of /)
+    } finally {
+      app.standIn.state.stock['SJ-STR-BLU-32'] = 2
+      await app.post('/cart/clearCart', { whatsappNumber: number })
+    }
+  })
+
+  it('refuses a payment method magento does not offer', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await placeOrder({ paymentMethod: 'bitcoin' })
+    assert.equal(status, 400)
+    assert.match(body.error, /bitcoin is not available/)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('reports numbers without an account', async () => {
+    const { status, body } = await placeOrder({ whatsappNumber: '919000000000' })
+    assert.equal(status, 404)
+    assert.equal(body.error, 'No Account')
+  })
+
+  it('ships to the default address of the address book when no address is sent', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const noAddress = await placeOrder({ address: undefined })
+    assert.equal(noAddress.status, 400)
+    assert.match(noAddress.body.error, /^No delivery address/)
+    await app.post('/address/addAddress', { whatsappNumber: number, street: ['Road No. 36', 'Jubilee Hills'], pincode: '500033' })
+    const { status, body } = await placeOrder({ address: undefined })
+    assert.equal(status, 200)
+    const order = app.standIn.state.orders.find(item => item.increment_id === body.data.increment_id)
+    const shipping = order.extension_attributes.shipping_assignments[0].shipping.address
+    assert.deepEqual([shipping.street, shipping.city, shipping.region, shipping.postcode], [['Road No. 36', 'Jubilee Hills'], 'Hyderabad', 'Telangana', '500033'])
+  })
+
+  it('validates the address', async () => {
+    assert.equal((await placeOrder({ address: { ...address, pincode: '56001' } })).status, 400)
+    assert.equal((await placeOrder({ address: { ...address, pincode: '056001' } })).status, 400)
+    assert.equal((await placeOrder({ address: { city: 'Bengaluru', pincode: '560001' } })).status, 400)
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await placeOrder({ address: { ...address, pincode: '999999' } })
+    assert.deepEqual([status, body.error], [400, '999999 is not a known pincode'])
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  describe('cash on delivery', () => {
+    const checkCod = (whatsappNumber, pincode) => app.post('/product/checkCod', { whatsappNumber, pincode })
+
+    it('is offered where a courier collects cash, with the cod fee below the free cod value', async () => {
+      const other = '919800000021'
+      await app.post('/cart/addItem', { whatsappNumber: other, sku: 'SJ-BELT' })
+      const { status, body } = await checkCod(other, '560001')
+      assert.equal(status, 200)
+      assert.deepEqual([body.data.available, body.data.fee, body.data.order_value], [true, 49, 499])
+      assert.deepEqual(body.data.couriers, [{ name: 'Delhivery Surface', estimated_delivery_days: 4 }, { name: 'Xpressbees Surface', estimated_delivery_days: 5 }])
+      await app.post('/cart/addItem', { whatsappNumber: other, sku: 'SJ-SLIM-BLK-30', qty: 2 })
+      assert.equal((await checkCod(other, '560001')).body.data.fee, 0)
+    })
+
+    it('explains why it is not offered', async () => {
+      const other = '919800000022'
+      await app.post('/cart/addItem', { whatsappNumber: other, sku: 'SJ-BELT' })
+      const reasons = {}
+      for (const pincode of ['744101', '110001']) reasons[pincode] = (await checkCod(other, pincode)).body.data.reason
+      assert.deepEqual(reasons, { 744101: 'not_serviceable', 110001: 'not_serviceable' })
+      await app.post('/cart/updateItem', { whatsappNumber: other, sku: 'SJ-BELT', qty: 10 })
+      await app.post('/cart/addItem', { whatsappNumber: other, sku: 'SJ-SHIRT-NVY-M' })
+      const { body } = await checkCod(other, '560001')
+      assert.deepEqual([body.data.available, body.data.reason, body.data.message], [false, 'above_maximum', 'Cash on delivery is available on orders up to ₹5,000, please pay online'])
+    })
+
+    it('is not offered to numbers with repeated returned orders', async () => {
+      const returning = '919811111111'
+      await app.post('/cart/addItem', { whatsappNumber: returning, sku: 'SJ-BELT' })
+      const { body } = await checkCod(returning, '560001')
+      assert.deepEqual([body.data.available, body.data.reason], [false, 'rto_history'])
+    })
+
+    it('places the order with cashondelivery and notes the amount to collect', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const { status, body } = await placeOrder({ paymentMethod: 'cashondelivery' })
+      assert.equal(status, 200)
+      assert.equal(body.data.payment_method, 'cashondelivery')
+      assert.deepEqual(body.data.cod, { fee: 49, amount_to_collect: 647, amount_to_collect_display: '₹647' })
+      const order = app.standIn.state.orders.find(item => item.increment_id === body.data.increment_id)
+      assert.equal(order.status_histories[0].comment, 'Cash on delivery: collect ₹647 (order ₹598 + cod fee ₹49)')
+    })
+
+    it('refuses cash on delivery where it is not available', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const { status, body } = await placeOrder({ paymentMethod: 'cashondelivery', address: { ...address, pincode: '744101' } })
+      assert.deepEqual([status, body.code, body.data.reason], [400, 4012, 'not_serviceable'])
+      await app.post('/cart/clearCart', { whatsappNumber: number })
+    })
+
+    it('needs a cart', async () => {
+      assert.equal((await checkCod('919800000023', '560001')).status, 400)
+    })
+  })
+
+  describe('checkout totals', () => {
+    const getTotals = (query) => app.get(`/cart/getTotals?${new URLSearchParams({ whatsappNumber: number, pincode: '560001', ...query })}`)
+
+    it('itemises the prepaid discount and gst, and magento records the same total', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-SLIM-BLK-30' })
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+      const { status, body } = await getTotals()
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.lines.map(item => [item.label, item.display]), [
+        ['Price (3 items)', '₹2,997'],
+        ['Discount on MRP', '-₹500'],
+        ['Additional 5% off on online payment', '-₹124.85'],
+        ['Shipping', 'FREE'],
+        ['Total', '₹2,372.15']
+      ])
+      assert.deepEqual([body.data.subtotal, body.data.prepaid_discount, body.data.shipping, body.data.grand_total, body.data.amount_payable], [2497, 124.85, 0, 2372.15, 2372.15])
+      assert.deepEqual(body.data.items.map(item => [item.sku, item.discount, item.net_total, item.gst_rate, item.gst]), [['SJ-SLIM-BLK-30', 74.95, 1424.05, 5, 67.81], ['SJ-BELT', 49.9, 948.1, 5, 45.15]])
+      // karnataka is outside the store's state
+      assert.deepEqual(body.data.gst, { place_of_supply: 'Karnataka', inter_state: true, breakdown: [{ rate: 5, taxable_value: 2259.19, igst: 112.96, cgst: 0, sgst: 0, total: 112.96 }], total: 112.96 })
+      const order = await placeOrder()
+      assert.equal(order.body.data.totals.grand_total, body.data.grand_total)
+    })
+
+    it('charges shipping and the cod fee without the prepaid discount for cash on delivery', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const { body } = await getTotals({ paymentMethod: 'cashondelivery' })
+      assert.deepEqual(body.data.lines.map(item => [item.label, item.amount]), [['Price (1 item)', 499], ['Shipping', 99], ['Cash on delivery fee', 49], ['Total', 647]])
+      assert.deepEqual([body.data.grand_total, body.data.amount_payable, body.data.cod.available], [598, 647, true])
+      const order = await placeOrder({ paymentMethod: 'cashondelivery' })
+      assert.deepEqual([order.body.data.totals.grand_total, order.body.data.cod.amount_to_collect], [598, 647])
+    })
+
+    it('splits gst into cgst and sgst within the store\'s state', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      const { body } = await getTotals({ pincode: '400001' })
+      assert.deepEqual(body.data.gst, {
+        place_of_supply: 'Maharashtra',
+        inter_state: false,
+        breakdown: [{ rate: 5, taxable_value: 545.76, igst: 0, cgst: 13.65, sgst: 13.64, total: 27.29 }],
+        total: 27.29
+      })
+      await app.post('/cart/clearCart', { whatsappNumber: number })
+    })
+
+    it('gives no prepaid discount with a coupon that discards later rules', async () => {
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 3 })
+      await app.post('/cart/applyCoupon', { whatsappNumber: number, couponCode: 'RIYA10' })
+      const { body } = await getTotals()
+      assert.deepEqual([body.data.coupon.discount, body.data.prepaid_discount, body.data.shipping, body.data.grand_total], [149.7, 0, 0, 1347.3])
+      const order = await placeOrder()
+      assert.equal(order.body.data.totals.grand_total, 1347.3)
+    })
+
+    it('charges the shipping magento estimates for the cart', async () => {
+      const rates = { ...app.standIn.state.shippingRates }
+      Object.assign(app.standIn.state.shippingRates, { flatRate: 79, freeShippingFrom: 1999 })
+      try {
+        await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT', qty: 2 })
+        const { body } = await getTotals()
+        assert.deepEqual([body.data.subtotal, body.data.shipping, body.data.grand_total], [998, 79, 1027.1])
+        assert.ok(app.standIn.callsTo('POST', /^\/rest\/V1\/carts\/\d+\/estimate-shipping-methods$/).length > 0)
+        const order = await placeOrder()
+        assert.deepEqual([order.body.data.totals.shipping, order.body.data.totals.grand_total], [79, body.data.grand_total])
+      } finally {
+        Object.assign(app.standIn.state.shippingRates, rates)
+      }
+    })
+
+    it('needs an account like placing the order', async () => {
+      const guest = '919800000099'
+      await app.post('/cart/addItem', { whatsappNumber: guest, sku: 'SJ-BELT' })
+      const { status, body } = await app.get(`/cart/getTotals?${new URLSearchParams({ whatsappNumber: guest, pincode: '560001' })}`)
+      assert.deepEqual([status, body.error], [404, 'No Account'])
+      await app.post('/cart/clearCart', { whatsappNumber: guest })
+    })
+
+    it('needs a cart and a known pincode', async () => {
+      assert.deepEqual([(await getTotals()).status, (await getTotals()).body.error], [400, 'The cart is empty'])
+      await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+      assert.equal((await getTotals({ pincode: '999999' })).status, 400)
+      assert.equal((await getTotals({ pincode: '5600' })).status, 400)
+      await app.post('/cart/clearCart', { whatsappNumber: number })
+    })
+  })
+})
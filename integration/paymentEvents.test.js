@@ -0,0 +1,98 @@
+const crypto = require('crypto')
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+const { CLIENT_SECRET } = require('./standIn/cashfree')
+
+const MINUTE = 60 * 1000
+
+describe('/api/webhook/cashfree with mongo', () => {
+  let app
+
+  before(async () => { app = await startApp({ MONGO_INIT: 'true', REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const sign = (body, timestamp) => crypto.createHmac('sha256', CLIENT_SECRET).update(timestamp + JSON.stringify(body)).digest('base64')
+  const deliver = (body, eventId) => {
+    const timestamp = String(Date.now())
+    return app.post('/webhook/cashfree', body, { headers: { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': sign(body, timestamp), 'x-idempotency-key': eventId } })
+  }
+  const checkout = async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await app.post('/product/checkout', { whatsappNumber: number, address: { street: ['12 MG Road'], city: 'Bengaluru', pincode: '560001' } })
+    assert.equal(status, 200)
+    return body.data.order
+  }
+  const paid = order => ({
+    type: 'PAYMENT_LINK_EVENT',
+    event_time: new Date().toISOString(),
+    data: { link_id: `order_${order.increment_id}`, link_status: 'PAID', link_amount: order.totals.grand_total, link_amount_paid: order.totals.grand_total }
+  })
+  const invoicePath = order => `/rest/V1/order/${order.order_id}/invoice`
+  const magentoOrder = order => app.standIn.state.orders.find(item => item.entity_id === order.order_id)
+  const stored = eventId => app.standIn.mongo.docs('paymentevents').find(doc => doc.eventId === eventId)
+
+  it('invoices the order of a paid link once', async () => {
+    const order = await checkout()
+    const { status, body } = await deliver(paid(order), 'evt-paid-1')
+    assert.equal(status, 200)
+    assert.deepEqual([body.data.status, body.data.increment_id, body.data.duplicate, body.data.paid], ['invoiced', order.increment_id, false, true])
+    assert.equal(magentoOrder(order).state, 'processing')
+    assert.equal(app.standIn.callsTo('POST', invoicePath(order)).length, 1)
+    assert.deepEqual([stored('evt-paid-1').status, stored('evt-paid-1').orderId], ['invoiced', order.order_id])
+
+    const repeat = await deliver(paid(order), 'evt-paid-1')
+    assert.deepEqual([repeat.status, repeat.body.data.status, repeat.body.data.duplicate], [200, 'invoiced', true])
+    assert.equal(app.standIn.callsTo('POST', invoicePath(order)).length, 1)
+  })
+
+  it('invoices the order of a createPaymentLink link of a customer without reminders', async () => {
+    await app.post('/recovery/optOut', { whatsappNumber: number })
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const placed = (await app.post('/product/placingOrder', { whatsappNumber: number, address: { street: ['12 MG Road'], city: 'Bengaluru', pincode: '560001' } })).body.data
+    const created = await app.post('/product/createPaymentLink', { linkId: 'event-order-link-1', orderId: placed.order_id, name: 'Aarav', expiry_time: 30, whatsappNumber: number })
+    assert.equal(created.status, 200)
+    assert.deepEqual(app.standIn.mongo.docs('paymentlinkorders').filter(doc => doc.linkId === 'event-order-link-1').map(doc => doc.orderId), [placed.order_id])
+
+    const body = { ...paid(placed), data: { ...paid(placed).data, link_id: 'event-order-link-1' } }
+    const { status, body: answer } = await deliver(body, 'evt-order-link-1')
+    assert.deepEqual([status, answer.data.status, answer.data.increment_id], [200, 'invoiced', placed.increment_id])
+    assert.equal(magentoOrder(placed).state, 'processing')
+
+    // the same link id cannot be given to another order
+    const taken = await app.post('/product/createPaymentLink', { linkId: 'event-order-link-1', orderId: (await checkout()).order_id, name: 'Aarav', expiry_time: 30, whatsappNumber: number })
+    assert.deepEqual([taken.status, taken.body.error], [400, `Payment link event-order-link-1 already pays order ${placed.order_id}`])
+    await app.post('/recovery/optIn', { whatsappNumber: number })
+  })
+
+  it('keeps a failed event and handles it again when cashfree retries it', async () => {
+    const order = await checkout()
+    app.standIn.failNext('POST', invoicePath(order), 500, { message: 'Could not save the invoice' })
+    const failed = await deliver(paid(order), 'evt-retry-1')
+    assert.equal(failed.status, 500)
+    assert.deepEqual([stored('evt-retry-1').status, stored('evt-retry-1').error], ['failed', 'Could not save the invoice'])
+    assert.equal(magentoOrder(order).state, 'new')
+
+    const { status, body } = await deliver(paid(order), 'evt-retry-1')
+    assert.deepEqual([status, body.data.status, body.data.duplicate], [200, 'invoiced', false])
+    assert.equal(magentoOrder(order).state, 'processing')
+    assert.equal(stored('evt-retry-1').error, undefined)
+  })
+
+  it('waits for an event being handled and takes it over once its lease ran out', async () => {
+    const order = await checkout()
+    app.standIn.failNext('POST', invoicePath(order), 500, { message: 'Could not save the invoice' })
+    await deliver(paid(order), 'evt-stuck-1')
+    // as left by a process that died while it handled the event
+    Object.assign(stored('evt-stuck-1'), { status: 'received', updatedAt: new Date() })
+    const busy = await deliver(paid(order), 'evt-stuck-1')
+    assert.deepEqual([busy.status, busy.body.code], [409, 4013])
+    assert.equal(magentoOrder(order).state, 'new')
+
+    stored('evt-stuck-1').updatedAt = new Date(Date.now() - 3 * MINUTE)
+    const { status, body } = await deliver(paid(order), 'evt-stuck-1')
+    assert.deepEqual([status, body.data.status, body.data.duplicate], [200, 'invoiced', false])
+    assert.equal(magentoOrder(order).state, 'processing')
+  })
+})
@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const jwt = require('jsonwebtoken')
+const { startApp } = require('./support/app')
+
+describe('store pickup', () => {
+  let app
+  let placed
+
+  const secret = 'pickup-staff-secret'
+  before(async () => { app = await startApp({ REDIS_INIT: 'true', AUTHENTICATION_INTERNAL_ALLOW: 'true', AUTHENTICATION_JWT_SECRET_KEY: secret }) })
+  after(async () => { await app.stop() })
+
+  const number = '919876543210'
+  const staffToken = jwt.sign({ data: { staff: 'store_sion' } }, secret, { expiresIn: 60 })
+  const verify = (body, token = staffToken) => app.post('/product/verifyPickup', { orderId: placed.order_id, storeId: 'store_sion', pickupCode: placed.pickup.pickup_code, ...body }, { headers: { authorization: token } })
+  const attempts = () => app.standIn.redis.store.get(`pickup:${placed.order_id}:attempts`)
+  const stored = () => JSON.parse(app.standIn.redis.store.get(`pickup:${placed.order_id}`).value)
+
+  it('lists the active pickup stores', async () => {
+    const { status, body } = await app.get('/product/getPickupStores')
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.map(store => [store.store_id, store.pincode]), [['store_sion', '400022'], ['store_nerul', '400706']])
+    assert.match(body.data[0].mapsUrl, /^https:\/\/www\.google\.com\/maps\/search\/\?api=1&query=/)
+  })
+
+  it('places a pickup order and sends the store the order and the customer a code', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_sion' })
+    assert.equal(status, 200)
+    placed = body.data
+    assert.deepEqual([placed.shipping_method, placed.totals.shipping], ['In-Store Pickup Delivery - In Store Pickup', 0])
+    assert.match(placed.pickup.pickup_code, /^[0-9]{6}$/)
+    assert.deepEqual([placed.pickup.store.store_id, placed.pickup.store_notified, placed.pickup.code_sent], ['store_sion', true, true])
+
+    const order = app.standIn.state.orders.find(item => item.entity_id === placed.order_id)
+    assert.deepEqual([order.extension_attributes.pickup_location_code, order.billing_address.postcode, order.billing_address.firstname], ['store_sion', '400022', 'Aarav'])
+    const [toStore, toCustomer] = app.standIn.state.messages.slice(-2)
+    assert.deepEqual([toStore.to, toStore.template, toStore.parameters[0]], ['919820011111', 'pickup_order_store', placed.increment_id])
+    assert.deepEqual([toCustomer.to, toCustomer.template, toCustomer.parameters[2]], [number, 'pickup_code', placed.pickup.pickup_code])
+    assert.notEqual(stored().codeHash, placed.pickup.pickup_code)
+  })
+
+  it('refuses an unknown store and cash on delivery', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const unknown = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_andheri' })
+    assert.deepEqual([unknown.status, unknown.body.error], [404, 'Store store_andheri does not take pickup orders'])
+    const cod = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_sion', paymentMethod: 'cashondelivery' })
+    assert.equal(cod.status, 400)
+    assert.match(cod.body.error, /^Cash on delivery is not available for store pickup/)
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+  })
+
+  it('does not hand over an unpaid order or at another store', async () => {
+    const other = await verify({ storeId: 'store_nerul' })
+    assert.deepEqual([other.status, other.body.code, other.body.data.reason], [400, 4015, 'wrong_store'])
+    const unpaid = await verify()
+    assert.deepEqual([unpaid.status, unpaid.body.data.reason], [400, 'not_paid'])
+    assert.equal((await verify({ orderId: 1 })).status, 404)
+    assert.equal((await verify({ pickupCode: '12345' })).status, 400)
+  })
+
+  it('only lets signed in store staff check a code', async () => {
+    const anonymous = await app.post('/product/verifyPickup', { orderId: placed.order_id, storeId: 'store_sion', pickupCode: placed.pickup.pickup_code })
+    assert.deepEqual([anonymous.status, anonymous.body.code], [401, 4001])
+    const forged = await verify({}, jwt.sign({ data: { staff: 'store_sion' } }, 'another-secret'))
+    assert.equal(forged.status, 401)
+    assert.equal(attempts().value, '0')
+  })
+
+  it('hands the paid order over once with the right code', async () => {
+    const wrong = await verify({ pickupCode: placed.pickup.pickup_code === '000000' ? '000001' : '000000' })
+    assert.deepEqual([wrong.status, wrong.body.data.reason, wrong.body.error], [400, 'wrong_code', 'Wrong pickup code, 4 attempts left'])
+    // the counter expires with the code, the unpaid check with the right code gave its attempt back
+    assert.equal(attempts().value, '1')
+    assert.ok(attempts().expiresAt > Date.now())
+    app.standIn.state.orders.find(item => item.entity_id === placed.order_id).state = 'processing'
+    const { status, body } = await verify()
+    assert.equal(status, 200)
+    assert.deepEqual([body.data.increment_id, body.data.items.map(item => item.sku)], [placed.increment_id, ['SJ-BELT']])
+    assert.ok(body.data.collected_at)
+    const again = await verify()
+    assert.deepEqual([again.status, again.body.data.reason], [400, 'already_collected'])
+  })
+
+  it('locks the order after too many wrong codes, also when they are tried at once', async () => {
+    app.standIn.redis.store.get(`pickup:${placed.order_id}`).value = JSON.stringify({ ...stored(), collectedAt: null })
+    attempts().value = '2'
+    const wrongCode = placed.pickup.pickup_code === '000000' ? '000001' : '000000'
+    const guesses = await Promise.all([1, 2, 3, 4, 5].map(() => verify({ pickupCode: wrongCode })))
+    assert.deepEqual(guesses.map(guess => guess.body.data.reason).sort(), ['locked', 'locked', 'wrong_code', 'wrong_code', 'wrong_code'])
+    const { status, body } = await verify()
+    assert.deepEqual([status, body.data.reason], [400, 'locked'])
+  })
+
+  it('issues the pickup code whatever the client sends', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { status, body } = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_nerul', issuePickup: false })
+    assert.equal(status, 200)
+    assert.match(body.data.pickup.pickup_code, /^[0-9]{6}$/)
+  })
+
+  it('answers the placed order when its pickup code cannot be issued', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    app.standIn.redis.failNext('SET', 'pickup:')
+    const orders = app.standIn.state.orders.length
+    const { status, body } = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_nerul' }, { headers: { 'Idempotency-Key': 'pickup-redis-down' } })
+    assert.equal(status, 200)
+    assert.equal(app.standIn.state.orders.length, orders + 1)
+    assert.deepEqual([body.data.pickup.store.store_id, body.data.pickup.pickup_code, body.data.pickup.code_sent], ['store_nerul', null, false])
+    assert.ok(body.data.pickup.error)
+    const repeat = await app.post('/product/placingOrder', { whatsappNumber: number, pickupStoreId: 'store_nerul' }, { headers: { 'Idempotency-Key': 'pickup-redis-down' } })
+    assert.deepEqual([repeat.status, repeat.body.data.order_id], [200, body.data.order_id])
+    assert.equal(app.standIn.state.orders.length, orders + 1)
+  })
+
+  it('still delivers orders that are not for pickup', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { body } = await app.post('/product/placingOrder', { whatsappNumber: number, address: { street: ['12 MG Road'], pincode: '560001' } })
+    assert.equal(body.data.totals.shipping, 99)
+    assert.equal(body.data.pickup, undefined)
+  })
+})
@@ -0,0 +1,397 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/product', () => {
+  let app
+
+  before(async () => { app = await startApp() })
+  after(async () => { await app.stop() })
+
+  describe('POST /getNewDrops', () => {
+    it('returns enabled, visible configurable products with in-stock sizes only', async () => {
+      const before = app.standIn.state.calls.length
+      const { status, body } = await app.post('/product/getNewDrops', { pageSize: 10, page: 1 })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.map(product => product.sku).sort(), ['SJ-SHIRT', 'SJ-SLIM-BLK', 'SJ-STR-BLU'])
+      // salable quantities only for the children with units on the shelves
+      const onShelves = Object.keys(app.standIn.state.stock).filter(sku => app.standIn.state.stock[sku] > 0 && /^SJ-(SHIRT|SLIM-BLK|STR-BLU)-/.test(sku))
+      const salableReads = app.standIn.state.calls.slice(before).filter(call => call.path.startsWith('/rest/V1/inventory/get-product-salable-qty/'))
+      assert.deepEqual(salableReads.map(call => call.path.split('/')[5]).sort(), onShelves.sort())
+      const slim = body.data.find(product => product.sku === 'SJ-SLIM-BLK')
+      assert.deepEqual(slim.configurable_product_options[0].values.map(value => [value.label, value.sku, value.stock, value.price]), [
+        ['30', 'SJ-SLIM-BLK-30', 5, 1499],
+        ['34', 'SJ-SLIM-BLK-34', 3, 1999]
+      ])
+    })
+
+    it('resolves children and stock in a fixed number of Magento calls', async () => {
+      const before = app.standIn.state.calls.length
+      await app.post('/product/getNewDrops', { pageSize: 10 })
+      const calls = app.standIn.state.calls.slice(before)
+      assert.equal(calls.filter(call => call.path.endsWith('/children')).length, 3)
+      assert.equal(calls.filter(call => call.path === '/rest/V1/inventory/source-items').length, 1)
+      // the salable quantities the previous request read are still cached
+      assert.equal(calls.filter(call => call.path.startsWith('/rest/V1/inventory/get-product-salable-qty/')).length, 0)
+      assert.equal(calls.filter(call => call.path.startsWith('/rest/default/V1/stockStatuses')).length, 0)
+      assert.equal(calls.filter(call => call.path === '/rest/V1/products-render-info').length, 1)
+      // the size and color attributes were already fetched by the previous request
+      assert.equal(calls.filter(call => call.path.startsWith('/rest/V1/products/attributes')).length, 0)
+    })
+
+    it('resolves a colour x size variant matrix', async () => {
+      const { body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      const shirt = body.data.find(product => product.sku === 'SJ-SHIRT')
+      assert.deepEqual(shirt.configurable_product_options.map(axis => [axis.code, axis.values.map(value => [value.label, value.stock])]), [
+        ['color', [['Olive', 1], ['Navy', 6]]],
+        ['size', [['M', 7]]]
+      ])
+      assert.deepEqual(shirt.variants.map(variant => [variant.sku, variant.label, variant.stock, variant.price]), [
+        ['SJ-SHIRT-OLV-M', 'Olive / M', 1, 1299],
+        ['SJ-SHIRT-OLV-L', 'Olive / L', 0, 1299],
+        ['SJ-SHIRT-NVY-M', 'Navy / M', 6, 1099]
+      ])
+      assert.deepEqual(shirt.variants[0].options, { color: { value_index: '22', label: 'Olive' }, size: { value_index: '8', label: 'M' } })
+      assert.ok(shirt.variants[0].image.endsWith('/s/j/sj-shirt-olv-m.jpg'))
+    })
+
+    it('applies a special price inside its date window only', async () => {
+      const { body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      const slim = body.data.find(product => product.sku === 'SJ-SLIM-BLK')
+      const [size30, size34] = slim.configurable_product_options[0].values
+      assert.deepEqual([size30.regular_price, size30.price, size30.discount_percent], [1999, 1499, 25])
+      assert.equal(size30.price_display, '₹1,999 → ₹1,499 (25% off)')
+      const variant30 = slim.variants.find(variant => variant.sku === 'SJ-SLIM-BLK-30')
+      assert.deepEqual([variant30.price_source, variant30.price_valid_from, variant30.price_valid_to], ['special_price', '2025-01-01', '2099-12-31'])
+      // the special price of size 34 ended in november 2024
+      assert.deepEqual([size34.price, size34.discount_percent, size34.price_display], [1999, 0, '₹1,999'])
+    })
+
+    it('applies catalog price rules and single unit tier prices', async () => {
+      const { body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      const straight = body.data.find(product => product.sku === 'SJ-STR-BLU')
+      assert.deepEqual(straight.variants.map(variant => [variant.sku, variant.price, variant.price_source, variant.price_display]), [
+        ['SJ-STR-BLU-32', 1199, 'catalog_rule', '₹1,499 → ₹1,199 (20% off)'],
+        ['SJ-STR-BLU-34', 1199, 'catalog_rule', '₹1,499 → ₹1,199 (20% off)']
+      ])
+      // the guest tier price counts, the one for three units and the wholesale group one do not
+      const navy = body.data.find(product => product.sku === 'SJ-SHIRT').variants.find(variant => variant.sku === 'SJ-SHIRT-NVY-M')
+      assert.deepEqual([navy.regular_price, navy.price, navy.price_source, navy.discount_percent], [1299, 1099, 'tier_price', 15])
+    })
+
+    it('keeps regular prices when catalog rule prices cannot be read', async () => {
+      app.standIn.failNext('GET', '/rest/V1/products-render-info', 503)
+      const { status, body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      assert.equal(status, 200)
+      const straight = body.data.find(product => product.sku === 'SJ-STR-BLU')
+      assert.deepEqual(straight.variants.map(variant => variant.price), [1499, 1499])
+    })
+
+    it('lists every offered size once', async () => {
+      const duplicate = { ...app.standIn.state.products.find(product => product.sku === 'SJ-SLIM-BLK-30'), id: 1014, sku: 'SJ-SLIM-BLK-30-B' }
+      const parent = app.standIn.state.products.find(product => product.sku === 'SJ-SLIM-BLK')
+      app.standIn.state.products.push(duplicate)
+      app.standIn.state.stock[duplicate.sku] = 2
+      parent.extension_attributes.configurable_product_links.push(duplicate.id)
+      try {
+        const { body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+        const slim = body.data.find(product => product.sku === 'SJ-SLIM-BLK')
+        assert.deepEqual(slim.configurable_product_options[0].values.map(value => value.label), ['30', '34'])
+      } finally {
+        parent.extension_attributes.configurable_product_links.pop()
+        app.standIn.state.products.pop()
+      }
+    })
+
+    it('maps a Magento outage to a provider error', async () => {
+      app.standIn.failNext('GET', '/rest/V1/products', 503, { message: 'Service Unavailable' })
+      const { status, body } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      assert.equal(status, 500)
+      assert.equal(body.code, 5005)
+      assert.equal(body.error, 'Service Unavailable')
+    })
+
+    it('logs in again and retries when Magento rejects the cached admin token', async () => {
+      const loginsBefore = app.standIn.state.adminLogins
+      app.standIn.revokeTokens()
+      const { status } = await app.post('/product/getNewDrops', { pageSize: 10 })
+      assert.equal(status, 200)
+      assert.equal(app.standIn.state.adminLogins, loginsBefore + 1)
+    })
+  })
+
+  describe('POST /getCategoryWiseDrops', () => {
+    it('only returns products linked to the category', async () => {
+      const { status, body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '12' })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.map(product => product.sku), ['SJ-SLIM-BLK'])
+    })
+
+    it('returns an empty list for a category without products', async () => {
+      const { status, body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '16' })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data, [])
+      const filtered = await app.post('/product/getCategoryWiseDrops', { categoryId: '16', facets: true })
+      assert.deepEqual([filtered.body.data.items, filtered.body.data.total, filtered.body.data.truncated], [[], 0, false])
+    })
+
+    it('reads only the requested page from magento when nothing is filtered', async () => {
+      const before = app.standIn.state.calls.length
+      const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', pageSize: 1, page: 2 })
+      assert.equal(body.data.length, 1)
+      const calls = app.standIn.state.calls.slice(before)
+      assert.deepEqual(calls.filter(call => call.path === '/rest/V1/products').map(call => [call.query.searchCriteria.pageSize, call.query.searchCriteria.currentPage]), [['1', '2']])
+      assert.equal(calls.filter(call => call.path.endsWith('/children')).length, 1)
+    })
+
+    it('counts in-stock sizes, colours, fits and prices of the category', async () => {
+      const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', facets: true })
+      assert.equal(body.data.truncated, false)
+      assert.deepEqual(body.data.facets.size, [{ value: '30', count: 1 }, { value: '32', count: 1 }, { value: '34', count: 2 }, { value: 'M', count: 1 }])
+      assert.deepEqual(body.data.facets.color, [{ value: 'Black', count: 1 }, { value: 'Blue', count: 1 }, { value: 'Navy', count: 1 }, { value: 'Olive', count: 1 }])
+      assert.deepEqual(body.data.facets.fit, [{ value: 'Slim Fit', count: 1 }, { value: 'Straight Fit', count: 1 }])
+      assert.deepEqual(body.data.facets.price.map(bucket => bucket.count), [0, 3, 0, 0])
+      assert.equal(body.data.facets.inStock, 3)
+    })
+
+    it('filters by size while keeping the size facet disjunctive', async () => {
+      const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', size: ['32'] })
+      assert.deepEqual(body.data.items.map(product => product.sku), ['SJ-STR-BLU'])
+      assert.deepEqual(body.data.facets.size.map(facet => facet.value), ['30', '32', '34', 'M'])
+      assert.deepEqual(body.data.facets.fit, [{ value: 'Straight Fit', count: 1 }])
+    })
+
+    it('combines colour, fit and price filters', async () => {
+      const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', color: ['black'], fit: ['Slim Fit'], priceMin: 1400, priceMax: 2500 })
+      assert.deepEqual(body.data.items.map(product => product.sku), ['SJ-SLIM-BLK'])
+      const { body: cheaper } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', priceMax: 1400 })
+      assert.deepEqual(cheaper.data.items.map(product => product.sku).sort(), ['SJ-SHIRT', 'SJ-STR-BLU'])
+      const { body: navy } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', color: ['Navy'] })
+      assert.deepEqual(navy.data.items.map(product => product.sku), ['SJ-SHIRT'])
+    })
+
+    it('pages the filtered drops', async () => {
+      const { body } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', inStockOnly: true, pageSize: 1, page: 2 })
+      assert.equal(body.data.items.length, 1)
+      assert.equal(body.data.total, 3)
+    })
+
+    it('rejects malformed filters', async () => {
+      const { status } = await app.post('/product/getCategoryWiseDrops', { categoryId: '11', size: '32', inStockOnly: 'yes' })
+      assert.equal(status, 400)
+    })
+  })
+
+  describe('POST /getProduct', () => {
+    it('lists the products of the default category in the drops shape', async () => {
+      const { status, body } = await app.post('/product/getProduct', { pageSize: 10 })
+      assert.equal(status, 200)
+      const slim = body.data.find(product => product.sku === 'SJ-SLIM-BLK')
+      assert.deepEqual(slim.configurable_product_options[0].values.map(value => value.sku), ['SJ-SLIM-BLK-30', 'SJ-SLIM-BLK-34'])
+    })
+
+    it('lists the category passed in the body', async () => {
+      const { body } = await app.post('/product/getProduct', { pageSize: 10, categoryId: '14' })
+      assert.deepEqual(body.data.map(product => product.sku), ['SJ-SHIRT'])
+    })
+  })
+
+  describe('POST /getProductDetail', () => {
+    it('returns description, variants, enabled images, attributes and links by sku', async () => {
+      const { status, body } = await app.post('/product/getProductDetail', { sku: 'SJ-SLIM-BLK' })
+      assert.equal(status, 200)
+      const product = body.data
+      assert.equal(product.description, 'Mid-rise slim fit jeans in washed black stretch denim.')
+      assert.deepEqual(product.variants.map(variant => [variant.sku, variant.stock]), [['SJ-SLIM-BLK-30', 5], ['SJ-SLIM-BLK-32', 0], ['SJ-SLIM-BLK-34', 3]])
+      assert.deepEqual(product.images.map(image => image.label), ['Front', 'Back'])
+      assert.deepEqual(product.attributes, [
+        { code: 'fabric', label: 'Fabric', value: 'Cotton Stretch Denim' },
+        { code: 'fit', label: 'Fit', value: 'Slim Fit' },
+        { code: 'color', label: 'Color', value: 'Black' },
+        { code: 'wash_care', label: 'Wash Care', value: 'Machine wash cold, inside out. Do not bleach.' }
+      ])
+      // the disabled SJ-OLD-GRY is linked as related but left out
+      assert.deepEqual(product.links.related.map(link => [link.sku, link.price, link.in_stock]), [['SJ-STR-BLU', 1199, true]])
+      assert.deepEqual(product.links.upsell.map(link => link.sku), ['SJ-SHIRT'])
+      assert.deepEqual(product.links.crosssell.map(link => [link.sku, link.price, link.in_stock]), [['SJ-BELT', 499, true]])
+    })
+
+    it('finds a product by url key and skips disabled images', async () => {
+      const { status, body } = await app.post('/product/getProductDetail', { urlKey: 'blue-straight-jeans' })
+      assert.equal(status, 200)
+      assert.equal(body.data.sku, 'SJ-STR-BLU')
+      assert.deepEqual(body.data.images.map(image => image.label), ['Front', 'Side'])
+    })
+
+    it('returns a simple product as a single variant', async () => {
+      const { body } = await app.post('/product/getProductDetail', { sku: 'SJ-BELT' })
+      assert.deepEqual(body.data.variants.map(variant => [variant.sku, variant.stock, variant.price]), [['SJ-BELT', 20, 499]])
+    })
+
+    it('answers 404 for unknown and disabled products', async () => {
+      assert.equal((await app.post('/product/getProductDetail', { sku: 'SJ-NOPE' })).status, 404)
+      assert.equal((await app.post('/product/getProductDetail', { urlKey: 'nope' })).status, 404)
+      assert.equal((await app.post('/product/getProductDetail', { sku: 'SJ-OLD-GRY' })).status, 404)
+    })
+
+    it('requires a sku or url key', async () => {
+      const { status } = await app.post('/product/getProductDetail', {})
+      assert.equal(status, 400)
+    })
+  })
+
+  describe('POST /search', () => {
+    it('requires a query', async () => {
+      const { status } = await app.post('/product/search', { pageSize: 10 })
+      assert.equal(status, 400)
+    })
+
+    it('reports search as unavailable when elasticsearch is not enabled', async () => {
+      const { status, body } = await app.post('/product/search', { query: 'black slim fit 32' })
+      assert.equal(status, 503)
+      assert.equal(body.code, 5004)
+    })
+  })
+
+  describe('GET /getCategories', () => {
+    it('returns active second level categories', async () => {
+      const { status, body } = await app.get('/product/getCategories')
+      assert.equal(status, 200)
+      assert.deepEqual(body.data, [{ name: 'Jeans', id: 12 }, { name: 'Shirts', id: 14 }, { name: 'Sale', id: 16 }])
+    })
+  })
+
+  describe('GET /getCategoryTree', () => {
+    it('keeps the active hierarchy with counts and breadcrumbs', async () => {
+      const { status, body } = await app.get('/product/getCategoryTree')
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.map(category => category.name), ['Men', 'Sale'])
+      const men = body.data[0]
+      assert.deepEqual(men.children.map(category => [category.name, category.product_count]), [['Jeans', 1], ['Shirts', 1]])
+      const slimFit = men.children[0].children[0]
+      assert.deepEqual(slimFit.breadcrumbs.map(crumb => crumb.name), ['Men', 'Jeans', 'Slim Fit'])
+    })
+
+    it('includes inactive categories on request', async () => {
+      const { body } = await app.get('/product/getCategoryTree?includeInactive=true')
+      assert.deepEqual(body.data.map(category => [category.name, category.is_active]), [['Men', true], ['Women', false], ['Sale', true]])
+    })
+  })
+
+  describe('GET /getCategory', () => {
+    it('returns a category with its direct children', async () => {
+      const { status, body } = await app.get('/product/getCategory?categoryId=11')
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.children.map(category => [category.name, category.children_count]), [['Jeans', 1], ['Shirts', 0]])
+      assert.equal(body.data.children[0].children, undefined)
+    })
+
+    it('answers 404 for unknown and inactive categories', async () => {
+      assert.equal((await app.get('/product/getCategory?categoryId=999')).status, 404)
+      assert.equal((await app.get('/product/getCategory?categoryId=17')).status, 404)
+      assert.equal((await app.get('/product/getCategory?categoryId=17&includeInactive=true')).status, 200)
+    })
+
+    it('requires a numeric category id', async () => {
+      assert.equal((await app.get('/product/getCategory?categoryId=men')).status, 400)
+    })
+  })
+
+  describe('POST /getCustomerOrders', () => {
+    it('returns the orders of the customer with that email', async () => {
+      const { status, body } = await app.post('/product/getCustomerOrders', { emailId: 'aarav@example.com' })
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.items.map(order => order.increment_id), ['000000501'])
+    })
+
+    it('fails for an unknown email', async () => {
+      const { status } = await app.post('/product/getCustomerOrders', { emailId: 'nobody@example.com' })
+      assert.equal(status, 500)
+    })
+  })
+
+  describe('POST /trackOrder', () => {
+    it('returns the Shiprocket tracking of the order shipment', async () => {
+      const { status, body } = await app.post('/product/trackOrder', { orderId: 5001 })
+      assert.equal(status, 200)
+      assert.equal(body.data.tracking_data.shipment_track[0].current_status, 'Shipped')
+    })
+
+    it('fails for an order without shipments', async () => {
+      const { status } = await app.post('/product/trackOrder', { orderId: 9999 })
+      assert.equal(status, 500)
+    })
+  })
+
+  describe('POST /createPaymentLink', () => {
+    const link = { linkId: 'standin-link-1', amount: 1999, name: 'Aarav', purpose: 'Order 000000501', expiry_time: 30, whatsappNumber: '919876543210' }
+
+    it('creates a Cashfree payment link', async () => {
+      const { status, body } = await app.post('/product/createPaymentLink', link)
+      assert.equal(status, 200)
+      assert.deepEqual(body.data, { linkId: 'standin-link-1', paymentLink: 'https://payments-test.cashfree.com/links/standin-link-1', amount: 1999, reservedUntil: null })
+      assert.equal(app.standIn.state.links[0].customer_details.customer_phone, '919876543210')
+    })
+
+    it('rejects a request with missing fields', async () => {
+      const { status } = await app.post('/product/createPaymentLink', { linkId: 'standin-link-2' })
+      assert.equal(status, 400)
+      // without an order the link needs its amount and purpose
+      const { purpose, ...withoutPurpose } = link
+      assert.equal((await app.post('/product/createPaymentLink', { ...withoutPurpose, linkId: 'standin-link-2' })).status, 400)
+      assert.ok(!app.standIn.state.links.some(item => item.link_id === 'standin-link-2'))
+    })
+
+    it('surfaces the Cashfree error message', async () => {
+      app.standIn.state.links.push({ link_id: 'standin-link-taken', link_status: 'ACTIVE' })
+      const { status, body } = await app.post('/product/createPaymentLink', { ...link, linkId: 'standin-link-taken' })
+      assert.deepEqual([status, body.code], [500, 5005])
+      assert.equal(body.error, 'link_id already exists')
+    })
+
+    it('answers a link Cashfree rejects as an invalid request', async () => {
+      app.standIn.failNext('POST', '/cashfree/pg/links', 400, { message: 'link_expiry_time is invalid' })
+      const { status, body } = await app.post('/product/createPaymentLink', { ...link, linkId: 'standin-link-3' })
+      assert.deepEqual([status, body.error], [400, 'link_expiry_time is invalid'])
+    })
+  })
+
+  describe('POST /getClosestStore', () => {
+    it('picks the store with the shortest road distance', async () => {
+      const { status, body } = await app.post('/product/getClosestStore', { userPincode: '400703' })
+      assert.equal(status, 200)
+      assert.equal(body.data.pincode, '400706')
+    })
+
+    it('fails for a pincode that cannot be geocoded', async () => {
+      const { status, body } = await app.post('/product/getClosestStore', { userPincode: '999999' })
+      assert.equal(status, 500)
+      assert.match(body.error, /ZERO_RESULTS/)
+    })
+  })
+
+  describe('GET /storeAddresses', () => {
+    it('returns every store with a maps link', async () => {
+      const { status, body } = await app.get('/product/storeAddresses')
+      assert.equal(status, 200)
+      assert.ok(body.data.length > 0)
+      body.data.forEach(store => assert.ok(store.mapsUrl.startsWith('https://www.google.com/maps/search/')))
+    })
+  })
+
+  // mongo is not started by the suite, so only validation and the unavailable database are covered here, see backInStock.test.js
+  describe('POST /subscribeBackInStock', () => {
+    it('rejects a number without country code', async () => {
+      const { status } = await app.post('/product/subscribeBackInStock', { sku: 'SJ-SLIM-BLK-32', whatsappNumber: '98765' })
+      assert.equal(status, 400)
+    })
+
+    it('answers 503 while the database is down', async () => {
+      const { status, body } = await app.post('/product/subscribeBackInStock', { sku: 'SJ-SLIM-BLK-32', whatsappNumber: '919876543210' })
+      assert.equal(status, 503)
+      assert.equal(body.code, 5003)
+      const { status: unsubscribeStatus } = await app.post('/product/unsubscribeBackInStock', { sku: 'SJ-SLIM-BLK-32', whatsappNumber: '919876543210' })
+      assert.equal(unsubscribeStatus, 503)
+    })
+  })
+})
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('/api/recovery', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const number = '919812000001'
+  const activity = () => {
+    const entry = app.standIn.redis.store.get('cart_activity')
+    return entry ? entry.value : new Map()
+  }
+
+  it('notes when a cart last changed so the recovery job can find it', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const { updatedAt } = JSON.parse(app.standIn.redis.store.get(`cart:${number}`).value)
+    assert.equal(activity().get(number), updatedAt)
+    await app.post('/cart/removeItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    assert.equal(activity().has(number), false)
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    await app.post('/cart/clearCart', { whatsappNumber: number })
+    assert.equal(activity().has(number), false)
+  })
+
+  it('needs mongo for opt outs and stats', async () => {
+    const optOut = await app.post('/recovery/optOut', { whatsappNumber: number })
+    assert.deepEqual([optOut.status, optOut.body.code], [503, 5003])
+    assert.equal((await app.post('/recovery/optIn', { whatsappNumber: number })).status, 503)
+    assert.equal((await app.get('/recovery/getStats?days=7')).status, 503)
+    assert.equal((await app.post('/recovery/optOut', { whatsappNumber: '12345' })).status, 400)
+    assert.equal((await app.get('/recovery/getStats?days=0')).status, 400)
+  })
+
+  it('lets links and orders through untracked without mongo', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: number, sku: 'SJ-BELT' })
+    const link = await app.post('/product/createPaymentLink', { linkId: 'recovery-link-1', amount: 499, name: 'Aarav', purpose: 'Belt', expiry_time: 30, whatsappNumber: number })
+    assert.equal(link.status, 200)
+    const paid = app.standIn.state.links.find(item => item.link_id === 'recovery-link-1')
+    paid.link_status = 'PAID'
+    const { status, body } = await app.get('/product/getPaymentLinkStatus?linkId=recovery-link-1')
+    assert.deepEqual([status, body.data.status], [200, 'PAID'])
+  })
+})
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+const CART = '919813000001'
+const LINK = '919813000002'
+const OPTED_OUT = '919813000003'
+const HOUR = 60 * 60 * 1000
+
+// the recovery job calls run on an interval, the suite runs it directly and moves the due dates instead of waiting
+describe('recovery job with mongo', () => {
+  let app
+  let recoveryService
+  const sequence = (kind, whatsappNumber) => app.standIn.mongo.docs('recoverysequences').find(doc => doc.kind === kind && doc.whatsappNumber === whatsappNumber)
+  const makeDue = (kind, whatsappNumber) => { sequence(kind, whatsappNumber).nextReminderAt = new Date(Date.now() - 1000) }
+  // createPaymentLink answers without waiting for the link to be tracked
+  const tracked = async (whatsappNumber) => {
+    for (let attempt = 0; attempt < 50 && !sequence('payment_link', whatsappNumber); attempt++) await new Promise(resolve => setTimeout(resolve, 20))
+    assert.ok(sequence('payment_link', whatsappNumber))
+  }
+  const leftFor = (whatsappNumber, ms) => app.standIn.redis.store.get('cart_activity').value.set(whatsappNumber, new Date(Date.now() - ms).toISOString())
+  const link = linkId => app.standIn.state.links.find(item => item.link_id === linkId)
+  const messagesTo = whatsappNumber => app.standIn.state.messages.filter(message => message.to === whatsappNumber)
+  const messagesPath = () => app.standIn.callsTo('POST', /^\/whatsapp\/.*\/messages$/)[0].path
+  const summary = (counts) => ({ cartsFound: 0, due: 0, reminded: 0, converted: 0, optedOut: 0, exhausted: 0, failed: 0, ...counts })
+
+  before(async () => {
+    app = await startApp({ REDIS_INIT: 'true', MONGO_INIT: 'true' })
+    recoveryService = require('../services/order/RecoveryService')
+  })
+  after(async () => { await app.stop() })
+
+  it('reminds a cart once it was left alone for the cart delay', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: CART, sku: 'SJ-BELT' })
+    assert.deepEqual(await recoveryService.run(), summary())
+    leftFor(CART, 2 * HOUR)
+    assert.deepEqual(await recoveryService.run(), summary({ cartsFound: 1, due: 1, reminded: 1 }))
+    assert.deepEqual(messagesTo(CART).map(message => [message.template, message.parameters]), [['cart_reminder', ['Canvas Belt', '₹499']]])
+    assert.equal(sequence('cart', CART).remindersSent, 1)
+    // the next reminder waits for the reminder interval
+    assert.deepEqual(await recoveryService.run(), summary())
+  })
+
+  it('reminds an unpaid link with a fresh link once the link delay is over', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: LINK, sku: 'SJ-BELT' })
+    const created = await app.post('/product/createPaymentLink', { linkId: 'job-link-1', amount: 499, name: 'Kabir', purpose: 'Belt', expiry_time: 30, whatsappNumber: LINK })
+    assert.equal(created.status, 200)
+    await tracked(LINK)
+    assert.deepEqual(await recoveryService.run(), summary())
+    makeDue('payment_link', LINK)
+    assert.deepEqual(await recoveryService.run(), summary({ due: 1, reminded: 1 }))
+    const reminderLinkId = `rcv-${sequence('payment_link', LINK)._id}-1-0`
+    assert.equal(link('job-link-1').link_status, 'CANCELLED')
+    assert.deepEqual([link(reminderLinkId).link_status, link(reminderLinkId).link_amount], ['ACTIVE', 499])
+    assert.deepEqual(messagesTo(LINK).map(message => [message.template, message.parameters]), [['payment_reminder', ['₹499', link(reminderLinkId).link_url]]])
+  })
+
+  it('counts a reminder that could not be sent and sends it on the next run', async () => {
+    makeDue('payment_link', LINK)
+    app.standIn.failNext('POST', messagesPath(), 500, { error: { message: 'Service unavailable' } })
+    assert.deepEqual(await recoveryService.run(), summary({ due: 1, failed: 1 }))
+    const failed = sequence('payment_link', LINK)
+    assert.deepEqual([failed.status, failed.attempts, failed.remindersSent], ['active', 1, 1])
+    assert.ok(failed.lastError)
+    assert.ok(failed.nextReminderAt <= new Date())
+    // the link of the unsent reminder cannot be paid
+    assert.equal(link(`rcv-${failed._id}-2-0`).link_status, 'CANCELLED')
+
+    assert.deepEqual(await recoveryService.run(), summary({ due: 1, reminded: 1 }))
+    const sent = sequence('payment_link', LINK)
+    assert.deepEqual([sent.attempts, sent.remindersSent, sent.reminders.map(reminder => reminder.linkId)], [0, 2, [`rcv-${sent._id}-1-0`, `rcv-${sent._id}-2-1`]])
+    assert.equal(messagesTo(LINK).length, 2)
+  })
+
+  it('ends the sequences a paid link converted without reminding them', async () => {
+    const created = await app.post('/product/createPaymentLink', { linkId: 'job-link-2', amount: 499, name: 'Aarav', purpose: 'Belt', expiry_time: 30, whatsappNumber: CART })
+    assert.equal(created.status, 200)
+    await tracked(CART)
+    link('job-link-2').link_status = 'PAID'
+    makeDue('cart', CART)
+    makeDue('payment_link', CART)
+    const sent = app.standIn.state.messages.length
+    assert.deepEqual(await recoveryService.run(), summary({ due: 2, converted: 2 }))
+    assert.deepEqual([sequence('cart', CART).status, sequence('payment_link', CART).status], ['converted', 'converted'])
+    assert.equal(app.standIn.state.messages.length, sent)
+  })
+
+  it('leaves the carts of customers who opted out alone', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: OPTED_OUT, sku: 'SJ-BELT' })
+    assert.equal((await app.post('/recovery/optOut', { whatsappNumber: OPTED_OUT })).status, 200)
+    leftFor(OPTED_OUT, 2 * HOUR)
+    assert.deepEqual(await recoveryService.run(), summary())
+    assert.equal(sequence('cart', OPTED_OUT), undefined)
+    assert.deepEqual(messagesTo(OPTED_OUT), [])
+  })
+})
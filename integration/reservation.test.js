@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+describe('stock reservations', () => {
+  let app
+
+  before(async () => { app = await startApp({ REDIS_INIT: 'true' }) })
+  after(async () => { await app.stop() })
+
+  const first = '919811000001'
+  const second = '919811000002'
+  const getCart = whatsappNumber => app.get(`/cart/getCart?whatsappNumber=${whatsappNumber}`)
+  const link = (linkId, whatsappNumber, extra) => ({ linkId, amount: 2998, name: 'Aarav', purpose: 'Drop', expiry_time: 30, whatsappNumber, ...extra })
+  const reservations = () => {
+    const entry = app.standIn.redis.store.get('stock_reservations')
+    return entry ? entry.value : new Map()
+  }
+
+  it('holds the units of a cart link from other customers until the link expires', async () => {
+    await app.post('/cart/addItem', { whatsappNumber: first, sku: 'SJ-STR-BLU-32' })
+    await app.post('/cart/addItem', { whatsappNumber: second, sku: 'SJ-STR-BLU-32' })
+    const { status, body } = await app.post('/product/createPaymentLink', link('hold-1', first))
+    assert.equal(status, 200)
+    assert.ok(Math.abs(Date.parse(body.data.reservedUntil) - Date.now() - 30 * 60 * 1000) < 60 * 1000)
+    assert.deepEqual(JSON.parse(reservations().get('hold-1')).items, [{ sku: 'SJ-STR-BLU-32', qty: 1 }])
+
+    const own = (await getCart(first)).body.data.items[0]
+    const other = (await getCart(second)).body.data.items[0]
+    assert.deepEqual([own.available, own.stock, other.available, other.stock], [true, 2, true, 1])
+    const more = await app.post('/cart/addItem', { whatsappNumber: second, sku: 'SJ-STR-BLU-32' })
+    assert.deepEqual([more.status, more.body.code], [409, 4010])
+    assert.match(more.body.error, /^Only 1 of /)
+  })
+
+  it('refuses the last piece to a second customer while it is held', async () => {
+    assert.equal((await app.post('/product/cancelPaymentLink', { linkId: 'hold-1' })).status, 200)
+    await app.post('/cart/updateItem', { whatsappNumber: first, sku: 'SJ-STR-BLU-32', qty: 2 })
+    assert.equal((await app.post('/product/createPaymentLink', link('hold-3', first))).status, 200)
+    const { status, body } = await app.post('/product/createPaymentLink', link('hold-4', second))
+    assert.deepEqual([status, body.code], [409, 4010])
+    assert.match(body.error, /held for other customers/)
+    assert.equal(app.standIn.state.links.find(item => item.link_id === 'hold-4'), undefined)
+    assert.deepEqual((await getCart(second)).body.data.items.map(item => [item.available, item.stock]), [[false, 0]])
+  })
+
+  it('gives the units back when the link is cancelled', async () => {
+    const { status, body } = await app.post('/product/cancelPaymentLink', { linkId: 'hold-3' })
+    assert.deepEqual([status, body.data.status, body.data.reserved_until], [200, 'CANCELLED', null])
+    assert.equal(reservations().has('hold-3'), false)
+    assert.equal((await getCart(second)).body.data.items[0].stock, 2)
+    await app.post('/cart/updateItem', { whatsappNumber: first, sku: 'SJ-STR-BLU-32', qty: 1 })
+    const again = await app.post('/product/cancelPaymentLink', { linkId: 'hold-3' })
+    assert.equal(again.status, 400)
+    assert.equal((await app.post('/product/cancelPaymentLink', { linkId: 'hold-missing' })).status, 404)
+  })
+
+  it('gives the units back once the link is paid', async () => {
+    assert.equal((await app.post('/product/createPaymentLink', link('hold-5', second))).status, 200)
+    const open = await app.get('/product/getPaymentLinkStatus?linkId=hold-5')
+    assert.deepEqual([open.status, open.body.data.status, typeof open.body.data.reserved_until], [200, 'ACTIVE', 'string'])
+    assert.equal((await getCart(first)).body.data.items[0].stock, 1)
+
+    const paid = app.standIn.state.links.find(item => item.link_id === 'hold-5')
+    Object.assign(paid, { link_status: 'PAID', link_amount_paid: paid.link_amount })
+    const { body } = await app.get('/product/getPaymentLinkStatus?linkId=hold-5')
+    assert.deepEqual([body.data.status, body.data.amount_paid, body.data.reserved_until], ['PAID', 2998, null])
+    assert.equal(reservations().has('hold-5'), false)
+  })
+
+  it('stops holding units once the reservation expires', async () => {
+    assert.equal((await app.post('/product/createPaymentLink', link('hold-6', second))).status, 200)
+    assert.equal((await getCart(first)).body.data.items[0].stock, 1)
+    const reservation = JSON.parse(reservations().get('hold-6'))
+    reservations().set('hold-6', JSON.stringify({ ...reservation, expiresAt: Date.now() - 1000 }))
+    assert.equal((await getCart(first)).body.data.items[0].stock, 2)
+    assert.equal(reservations().has('hold-6'), false)
+  })
+
+  it('holds the units for as long as the link is payable and refuses a link id twice', async () => {
+    const { body } = await app.post('/product/createPaymentLink', link('hold-7', second, { expiry_time: 24 * 60 }))
+    assert.ok(Math.abs(Date.parse(body.data.reservedUntil) - Date.now() - 24 * 60 * 60 * 1000) < 60 * 1000)
+    const repeat = await app.post('/product/createPaymentLink', link('hold-7', second))
+    assert.equal(repeat.status, 400)
+    assert.ok(reservations().has('hold-7'))
+    await app.post('/product/cancelPaymentLink', { linkId: 'hold-7' })
+  })
+
+  it('releases the units when cashfree does not create the link', async () => {
+    app.standIn.state.links.push({ link_id: 'hold-8', link_status: 'ACTIVE' })
+    const { status } = await app.post('/product/createPaymentLink', link('hold-8', second))
+    assert.equal(status, 500)
+    assert.equal(reservations().has('hold-8'), false)
+    assert.equal((await getCart(first)).body.data.items[0].stock, 2)
+  })
+
+  it('only gives back its own lock', async () => {
+    const stockReservations = require('../services/product/StockReservationService')
+    await stockReservations.withLock(async () => {
+      assert.match(app.standIn.redis.store.get('stock_reservations:lock').value, /^[0-9a-f]{32}$/)
+    })
+    assert.equal(app.standIn.redis.store.has('stock_reservations:lock'), false)
+    // the lock ran out while the work was still going and another process took it
+    await stockReservations.withLock(async () => {
+      app.standIn.redis.store.set('stock_reservations:lock', { value: 'another-holder', expiresAt: Date.now() + 10 * 1000 })
+    })
+    assert.equal(app.standIn.redis.store.get('stock_reservations:lock').value, 'another-holder')
+    app.standIn.redis.store.delete('stock_reservations:lock')
+  })
+})
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+
+const skus = body => body.data.items.map(item => item.sku)
+
+describe('/api/product/search with elasticsearch', () => {
+  let app
+
+  before(async () => {
+    app = await startApp({ ELASTIC_INIT_SEARCH: 'true' })
+    const { status } = await app.post('/product/reindexSearch', {})
+    assert.equal(status, 200)
+  })
+  after(async () => { await app.stop() })
+
+  it('indexes every configurable with its attribute and option labels', async () => {
+    const { products } = app.standIn.state.indices
+    assert.deepEqual([...products.docs.keys()].sort(), ['101', '102', '103', '105'])
+    const shirt = products.docs.get('103')
+    assert.deepEqual(shirt.options, ['Olive', 'Navy', 'M', 'L'])
+    assert.ok(products.docs.get('101').attributes.includes('Slim Fit'))
+  })
+
+  it('finds products by name, description and attributes in the drops shape', async () => {
+    const { status, body } = await app.post('/product/search', { query: 'black slim fit jeans' })
+    assert.equal(status, 200)
+    assert.deepEqual(skus(body), ['SJ-SLIM-BLK'])
+    assert.equal(body.data.total, 1)
+    // in the drops shape, with the in-stock sizes only
+    assert.deepEqual(body.data.items[0].configurable_product_options[0].values.map(value => [value.label, value.stock]), [['30', 5], ['34', 3]])
+  })
+
+  it('matches a synonym of a word the products use', async () => {
+    const { status, body } = await app.post('/product/search', { query: 'army green' })
+    assert.equal(status, 200)
+    assert.deepEqual(skus(body), ['SJ-SHIRT'])
+  })
+
+  it('matches a misspelt word', async () => {
+    const { status, body } = await app.post('/product/search', { query: 'jeens' })
+    assert.equal(status, 200)
+    assert.deepEqual(skus(body).sort(), ['SJ-SLIM-BLK', 'SJ-STR-BLU'])
+  })
+
+  it('leaves disabled products out of the results', async () => {
+    const { body } = await app.post('/product/search', { query: 'grey washed jeans' })
+    assert.ok(!skus(body).includes('SJ-OLD-GRY'))
+  })
+
+  it('suggests names completing the query when nothing matches', async () => {
+    const { status, body } = await app.post('/product/search', { query: 'strai' })
+    assert.equal(status, 200)
+    assert.deepEqual(body.data.items, [])
+    assert.equal(body.data.total, 0)
+    assert.deepEqual(body.data.suggestions, ['Blue Straight Jeans'])
+  })
+
+  it('drops documents of products magento no longer has on a reindex', async () => {
+    app.standIn.state.products = app.standIn.state.products.filter(product => product.sku !== 'SJ-OLD-GRY')
+    const { status, body } = await app.post('/product/reindexSearch', {})
+    assert.equal(status, 200)
+    assert.deepEqual(body.data, { indexed: 3, removed: 1 })
+    assert.ok(!app.standIn.state.indices.products.docs.has('105'))
+  })
+})
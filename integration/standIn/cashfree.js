@@ -0,0 +1,61 @@
+const express = require('express')
+
+const CLIENT_ID = 'standin-client-id'
+const CLIENT_SECRET = 'standin-client-secret'
+
+const cashfreeError = (res, status, message, code) => res.status(status).json({ message, code, type: 'invalid_request_error' })
+
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.use((req, res, next) => {
+    if (req.headers['x-client-id'] !== CLIENT_ID || req.headers['x-client-secret'] !== CLIENT_SECRET) {
+      return cashfreeError(res, 401, 'authentication Failed', 'request_failed')
+    }
+    if (!req.headers['x-api-version']) return cashfreeError(res, 400, 'x-api-version missing in the request', 'request_failed')
+    next()
+  })
+
+  router.post('/pg/links', (req, res) => {
+    const body = req.body || {}
+    if (!body.link_id) return cashfreeError(res, 400, 'link_id : is missing in the request', 'link_id_missing')
+    if (!(Number(body.link_amount) >= 1)) return cashfreeError(res, 400, 'link_amount : must be greater than or equal to 1', 'link_amount_invalid')
+    if (state.links.find(link => link.link_id === body.link_id)) return cashfreeError(res, 409, 'link_id already exists', 'link_post_failed')
+    const link = {
+      cf_link_id: String(9000 + state.links.length + 1),
+      link_id: body.link_id,
+      link_status: 'ACTIVE',
+      link_currency: body.link_currency,
+      link_amount: Number(body.link_amount),
+      link_amount_paid: 0,
+      link_purpose: body.link_purpose,
+      link_created_at: new Date().toISOString(),
+      link_expiry_time: body.link_expiry_time,
+      customer_details: body.customer_details,
+      link_meta: body.link_meta,
+      link_notify: body.link_notify,
+      link_url: `https://payments-test.cashfree.com/links/${body.link_id}`
+    }
+    state.links.push(link)
+    res.json(link)
+  })
+
+  router.get('/pg/links/:linkId', (req, res) => {
+    const link = state.links.find(item => item.link_id === req.params.linkId)
+    if (!link) return cashfreeError(res, 404, 'link does not exist', 'link_not_found')
+    res.json(link)
+  })
+
+  router.post('/pg/links/:linkId/cancel', (req, res) => {
+    const link = state.links.find(item => item.link_id === req.params.linkId)
+    if (!link) return cashfreeError(res, 404, 'link does not exist', 'link_not_found')
+    if (link.link_status !== 'ACTIVE') return cashfreeError(res, 400, `link is not active, it is ${link.link_status}`, 'link_cancel_failed')
+    link.link_status = 'CANCELLED'
+    res.json(link)
+  })
+
+  return router
+}
+
+module.exports.CLIENT_ID = CLIENT_ID
+module.exports.CLIENT_SECRET = CLIENT_SECRET
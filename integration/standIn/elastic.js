@@ -0,0 +1,193 @@
+const express = require('express')
+
+const USERNAME = 'standin-elastic'
+const PASSWORD = 'standin-elastic-password'
+
+const tokenize = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (value, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1))
+      diagonal = above
+    }
+  }
+  return row[b.length]
+}
+
+// fuzziness AUTO: exact up to 2 characters, one edit up to 5, two beyond
+const allowedEdits = (term) => term.length <= 2 ? 0 : term.length <= 5 ? 1 : 2
+const fuzzyEquals = (term, token, prefixLength = 0) =>
+  term.slice(0, prefixLength) === token.slice(0, prefixLength) && editDistance(term, token) <= allowedEdits(term)
+
+// "2<75%": up to 2 clauses all are needed, above that 75% of them rounded down
+const requiredClauses = (count, minimumShouldMatch) => {
+  const conditional = /^(\d+)<(\d+)%$/.exec(String(minimumShouldMatch || ''))
+  if (!conditional) return count
+  return count <= Number(conditional[1]) ? count : Math.floor(count * Number(conditional[2]) / 100)
+}
+
+const containsSequence = (tokens, sequence, equals) => tokens.some((token, start) => sequence.every((term, offset) => tokens[start + offset] !== undefined && equals(term, tokens[start + offset])))
+
+/**
+ * Elasticsearch stand-in for the product search index. It analyses like the index settings say closely enough for the tests:
+ * standard tokens, lowercase and folded, solr synonym groups on the search analyzer, AUTO fuzziness, completion suggestions.
+ */
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.use(express.text({ type: () => true, limit: '10mb' }))
+  router.use((req, res, next) => {
+    res.set('x-elastic-product', 'Elasticsearch')
+    const expected = 'Basic ' + Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')
+    if (req.headers.authorization !== expected) return res.status(401).json({ error: { type: 'security_exception' }, status: 401 })
+    if (typeof req.body === 'string' && req.body && !req.path.endsWith('/_bulk')) req.body = JSON.parse(req.body)
+    next()
+  })
+
+  const synonymGroups = (index) => {
+    const filters = ((index.settings.analysis || {}).filter) || {}
+    return [].concat(...Object.values(filters).filter(filter => filter.type === 'synonym_graph' || filter.type === 'synonym')
+      .map(filter => filter.synonyms.map(line => line.split(',').map(tokenize))))
+  }
+
+  // the clauses a match query is made of: a word, or every spelling of a synonym group found at that place in the query
+  const analyzeQuery = (index, query, analyzer) => {
+    const groups = analyzer === 'product_text' ? [] : synonymGroups(index)
+    const tokens = tokenize(query)
+    const clauses = []
+    for (let position = 0; position < tokens.length;) {
+      const group = groups.find(words => words.some(sequence => sequence.every((term, offset) => tokens[position + offset] === term)))
+      if (!group) {
+        clauses.push([[tokens[position]]])
+        position++
+        continue
+      }
+      const length = Math.max(...group.filter(sequence => sequence.every((term, offset) => tokens[position + offset] === term)).map(sequence => sequence.length))
+      clauses.push(group)
+      position += length
+    }
+    return clauses
+  }
+
+  // copy_to fields receive the values of their sources, as elasticsearch builds them at index time
+  const fieldText = (index, source, field) => {
+    const properties = ((index.mappings || {}).properties) || {}
+    const copied = Object.entries(properties).filter(([, mapping]) => mapping.copy_to === field).map(([name]) => source[name])
+    return tokenize([].concat(source[field] === undefined ? [] : source[field], ...copied).join(' '))
+  }
+
+  const matchScore = (index, source, field, options) => {
+    const spec = typeof options === 'object' ? options : { query: options }
+    const clauses = analyzeQuery(index, spec.query, spec.analyzer)
+    const tokens = fieldText(index, source, field)
+    const equals = spec.fuzziness ? (term, token) => fuzzyEquals(term, token, spec.prefix_length || 0) : (term, token) => term === token
+    const matched = clauses.filter(alternatives => alternatives.some(sequence => containsSequence(tokens, sequence, equals))).length
+    if (!clauses.length || !matched || matched < requiredClauses(clauses.length, spec.minimum_should_match)) return 0
+    return matched / clauses.length
+  }
+
+  const score = (index, source, query) => {
+    const [type, spec] = Object.entries(query)[0]
+    if (type === 'term') {
+      const [field, value] = Object.entries(spec)[0]
+      const expected = typeof value === 'object' ? value.value : value
+      return [].concat(source[field]).some(actual => String(actual) === String(expected)) ? 1 : 0
+    }
+    if (type === 'match') return matchScore(index, source, ...Object.entries(spec)[0])
+    if (type === 'match_phrase') {
+      const [field, options] = Object.entries(spec)[0]
+      const phrase = tokenize(typeof options === 'object' ? options.query : options)
+      return containsSequence(fieldText(index, source, field), phrase, (a, b) => a === b) ? (options.boost || 1) : 0
+    }
+    if (type === 'range') {
+      const [field, bounds] = Object.entries(spec)[0]
+      const value = new Date(source[field]).getTime()
+      const passes = (!bounds.lt || value < new Date(bounds.lt).getTime()) && (!bounds.gte || value >= new Date(bounds.gte).getTime())
+      return passes ? 1 : 0
+    }
+    if (type === 'bool') {
+      if ((spec.filter || []).some(clause => !score(index, source, clause))) return 0
+      if ((spec.must || []).some(clause => !score(index, source, clause))) return 0
+      const should = (spec.should || []).map(clause => score(index, source, clause))
+      const required = spec.minimum_should_match === undefined ? (spec.must || spec.filter ? 0 : 1) : spec.minimum_should_match
+      if (should.filter(Boolean).length < Math.min(required, should.length)) return 0
+      return 1 + should.reduce((sum, value) => sum + value, 0)
+    }
+    if (type === 'match_all') return 1
+    throw new Error(`The elastic stand-in does not support ${type} queries`)
+  }
+
+  const pick = (source, fields) => fields ? Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]])) : source
+
+  const suggest = (index, fields, { prefix, completion }) => {
+    const typed = tokenize(prefix).join(' ')
+    const fuzzy = completion.fuzzy ? term => fuzzyEquals(typed, term.slice(0, typed.length), 1) : term => term.startsWith(typed)
+    const options = []
+    index.docs.forEach((source, id) => {
+      const inputs = [].concat((source[completion.field] || {}).input || [])
+      const input = inputs.find(text => fuzzy(tokenize(text).join(' ')))
+      if (input) options.push({ text: input, _index: index.name, _id: id, _score: 1, _source: pick(source, fields) })
+    })
+    const unique = completion.skip_duplicates ? options.filter((option, i) => options.findIndex(other => other.text === option.text) === i) : options
+    return [{ text: prefix, offset: 0, length: prefix.length, options: unique.slice(0, completion.size || 5) }]
+  }
+
+  const indexOr404 = (req, res) => {
+    const index = state.indices[req.params.index]
+    if (!index) res.status(404).json({ error: { type: 'index_not_found_exception', index: req.params.index }, status: 404 })
+    return index
+  }
+
+  router.head('/:index', (req, res) => res.status(state.indices[req.params.index] ? 200 : 404).end())
+
+  router.put('/:index', (req, res) => {
+    if (state.indices[req.params.index]) return res.status(400).json({ error: { type: 'resource_already_exists_exception' }, status: 400 })
+    state.indices[req.params.index] = { name: req.params.index, settings: req.body.settings || {}, mappings: req.body.mappings || {}, docs: new Map() }
+    res.json({ acknowledged: true, shards_acknowledged: true, index: req.params.index })
+  })
+
+  router.post(['/_bulk', '/:index/_bulk'], (req, res) => {
+    const lines = String(req.body).split('\n').filter(Boolean).map(line => JSON.parse(line))
+    const items = []
+    for (let i = 0; i < lines.length; i += 2) {
+      const { _index, _id } = lines[i].index
+      const index = state.indices[_index || req.params.index]
+      index.docs.set(String(_id), lines[i + 1])
+      items.push({ index: { _index: index.name, _id: String(_id), status: 201, result: 'created' } })
+    }
+    res.json({ took: 1, errors: false, items })
+  })
+
+  router.post('/:index/_search', (req, res) => {
+    const index = indexOr404(req, res)
+    if (!index) return
+    const body = req.body || {}
+    const fields = body._source || (req.query._source ? String(req.query._source).split(',') : undefined)
+    const hits = [...index.docs.entries()]
+      .map(([id, source]) => ({ _index: index.name, _id: id, _score: body.query ? score(index, source, body.query) : 1, _source: pick(source, fields) }))
+      .filter(hit => hit._score > 0)
+      .sort((a, b) => b._score - a._score || Number(a._id) - Number(b._id))
+    const from = body.from || 0
+    const response = { took: 1, timed_out: false, hits: { total: { value: hits.length, relation: 'eq' }, max_score: hits.length ? hits[0]._score : null, hits: hits.slice(from, from + (body.size === undefined ? 10 : body.size)) } }
+    if (body.suggest) response.suggest = Object.fromEntries(Object.entries(body.suggest).map(([name, spec]) => [name, suggest(index, fields, spec)]))
+    res.json(response)
+  })
+
+  router.post('/:index/_delete_by_query', (req, res) => {
+    const index = indexOr404(req, res)
+    if (!index) return
+    const doomed = [...index.docs.entries()].filter(([, source]) => score(index, source, req.body.query))
+    doomed.forEach(([id]) => index.docs.delete(id))
+    res.json({ took: 1, deleted: doomed.length, total: doomed.length, failures: [] })
+  })
+
+  return router
+}
+
+module.exports.USERNAME = USERNAME
+module.exports.PASSWORD = PASSWORD
@@ -0,0 +1,455 @@
+const express = require('express')
+const { search, defaultResolveField } = require('./searchCriteria')
+
+const ADMIN_USERNAME = 'standin-admin'
+const ADMIN_PASSWORD = 'standin-password'
+
+const magentoError = (res, status, message, parameters) => res.status(status).json({ message, parameters })
+
+// category_id is not a product field in magento, it is matched against the category links, entity_id is the product id
+const resolveProductField = (product, field) => {
+  if (field === 'entity_id') return product.id
+  if (field === 'category_id') return ((product.extension_attributes || {}).category_links || []).map(link => link.category_id)
+  return defaultResolveField(product, field)
+}
+
+const ADDRESS_REQUIRED_FIELDS = ['firstname', 'lastname', 'street', 'city', 'postcode', 'telephone', 'country_id']
+
+// magento flags the default addresses on the address itself when it returns a customer
+const withDefaultFlags = (customer) => ({
+  ...customer,
+  addresses: (customer.addresses || []).map(address => ({
+    ...address,
+    default_shipping: String(address.id) === customer.default_shipping,
+    default_billing: String(address.id) === customer.default_billing
+  }))
+})
+
+const PAYMENT_METHODS = [{ code: 'cashfree', title: 'Pay Online with UPI | Cards | NetBanking' }, { code: 'cashondelivery', title: 'Cash On Delivery' }, { code: 'checkmo', title: 'Check / Money order' }]
+
+// free shipping from state.shippingRates.freeShippingFrom, the flat rate below that, in-store pickup (msi) is free
+const shippingMethods = (state, subtotal) => [
+  { carrier_code: 'flatrate', method_code: 'flatrate', carrier_title: 'Flat Rate', method_title: 'Fixed', amount: state.shippingRates.flatRate, available: true },
+  { carrier_code: 'freeshipping', method_code: 'freeshipping', carrier_title: 'Free Shipping', method_title: 'Free', amount: 0, available: subtotal >= state.shippingRates.freeShippingFrom },
+  { carrier_code: 'instore', method_code: 'pickup', carrier_title: 'In-Store Pickup Delivery', method_title: 'In Store Pickup', amount: 0, available: true }
+]
+
+// msi: the source quantity less the units reserved by orders that did not ship yet
+const salable = (state, sku) => (state.stock[sku] || 0) - (state.reservations[sku] || 0)
+
+const attributeValue = (product, code) => ((product.custom_attributes || []).find(attr => attr.attribute_code === code) || {}).value
+
+// the lowest of the regular price, a special price inside its window, the catalog rule price and the customer's tier prices for the quantity
+const unitPrice = (state, product, qty, groupId) => {
+  const today = new Date().toISOString().slice(0, 10)
+  const prices = [Number(product.price)]
+  const special = attributeValue(product, 'special_price')
+  const from = String(attributeValue(product, 'special_from_date') || '').slice(0, 10)
+  const to = String(attributeValue(product, 'special_to_date') || '').slice(0, 10)
+  if (special !== undefined && (!from || from <= today) && (!to || to >= today)) prices.push(Number(special))
+  if (state.catalogRules[product.sku] !== undefined) prices.push(state.catalogRules[product.sku])
+  ;(product.tier_prices || []).filter(tier => tier.qty <= qty && [groupId, 32000].includes(tier.customer_group_id)).forEach(tier => prices.push(tier.value))
+  return Math.min(...prices)
+}
+
+// the skus a rule's action conditions name, null when it applies to every item
+const ruleSkus = (rule) => {
+  const condition = ((rule.action_condition || {}).conditions || []).find(item => item.attribute_name === 'sku' && item.operator === '()')
+  return condition ? condition.value.split(',').map(sku => sku.trim()) : null
+}
+
+const ruleDiscount = (rule, items) => {
+  const skus = ruleSkus(rule)
+  const eligible = items.filter(item => !skus || skus.includes(item.sku))
+  const total = eligible.reduce((sum, item) => sum + item.row_total, 0)
+  if (rule.simple_action === 'cart_fixed') return Math.min(total, rule.discount_amount)
+  if (rule.simple_action === 'by_fixed') return eligible.reduce((sum, item) => sum + Math.min(item.price, rule.discount_amount) * item.qty, 0)
+  return Math.round(total * rule.discount_amount) / 100
+}
+
+// orders of the customer the rule was applied to, a canceled order gives its use back
+const customerUses = (state, rule, customer) => state.orders.filter(order => order.customer_id === customer.id && order.state !== 'canceled' &&
+  String(order.applied_rule_ids || '').split(',').includes(String(rule.rule_id))).length
+
+// active, inside its dates, not used up overall or by the customer, for the customer's group, subtotal conditions met and a discount on some item
+const couponApplies = (state, rule, coupon, customer, totals) => {
+  const today = new Date().toISOString().slice(0, 10)
+  if (!rule.is_active || (rule.from_date && rule.from_date > today) || (rule.to_date && rule.to_date < today)) return false
+  if (coupon.usage_limit && coupon.times_used >= coupon.usage_limit) return false
+  if (rule.uses_per_customer && customerUses(state, rule, customer) >= rule.uses_per_customer) return false
+  if (!rule.customer_group_ids.includes(customer.group_id)) return false
+  const conditionsMet = ((rule.condition || {}).conditions || [])
+    .filter(condition => condition.attribute_name === 'base_subtotal')
+    .every(condition => totals.subtotal >= Number(condition.value))
+  return conditionsMet && ruleDiscount(rule, totals.items) > 0
+}
+
+// magento filters sales rules by the ids behind is_active and coupon_type
+const COUPON_TYPES = { NO_COUPON: 1, SPECIFIC_COUPON: 2, AUTO: 3 }
+const resolveRuleField = (rule, field) => {
+  if (field === 'is_active') return rule.is_active ? 1 : 0
+  if (field === 'coupon_type') return COUPON_TYPES[rule.coupon_type]
+  return defaultResolveField(rule, field)
+}
+
+// rules without a coupon on the payment method (the prepaid discount), taken from what is left after the coupon
+const paymentDiscount = (rules, quote, customer, subtotal, couponRule, couponDiscount) => {
+  if (!quote.paymentMethod || (couponRule && couponRule.stop_rules_processing)) return 0
+  const today = new Date().toISOString().slice(0, 10)
+  return rules
+    .filter(rule => rule.coupon_type === 'NO_COUPON' && rule.is_active && !(rule.from_date && rule.from_date > today) && !(rule.to_date && rule.to_date < today))
+    .filter(rule => rule.customer_group_ids.includes(customer.group_id))
+    .filter(rule => rule.condition.conditions.every(condition => condition.attribute_name !== 'payment_method' || condition.value === quote.paymentMethod))
+    .reduce((discount, rule) => discount + Math.round((subtotal - couponDiscount - discount) * rule.discount_amount) / 100, 0)
+}
+
+const quoteTotals = (state, quote) => {
+  const customer = state.customers.find(item => item.id === quote.customer_id)
+  const items = quote.items.map((item) => {
+    const price = unitPrice(state, state.products.find(product => product.sku === item.sku), item.qty, customer.group_id)
+    return { sku: item.sku, name: item.name, qty: item.qty, price, row_total: price * item.qty }
+  })
+  const subtotal = items.reduce((sum, item) => sum + item.row_total, 0)
+  const coupon = quote.couponCode && state.coupons.find(item => item.code === quote.couponCode)
+  const couponRule = coupon && state.salesRules.find(rule => rule.rule_id === coupon.rule_id)
+  const couponDiscount = couponRule ? ruleDiscount(couponRule, items) : 0
+  const discount = Math.round((couponDiscount + paymentDiscount(state.salesRules, quote, customer, subtotal, couponRule, couponDiscount)) * 100) / 100
+  const shippingAmount = quote.shippingMethod ? quote.shippingMethod.amount : 0
+  return { items, subtotal, discount_amount: -discount, shipping_amount: shippingAmount, grand_total: Math.round((subtotal - discount + shippingAmount) * 100) / 100 }
+}
+
+const quoteSubtotal = (state, quote) => quoteTotals(state, quote).subtotal
+
+const findAttribute = (state, idOrCode) => state.attributes.find(attribute => String(attribute.attribute_id) === String(idOrCode) || attribute.attribute_code === idOrCode)
+
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.post('/V1/integration/admin/token', (req, res) => {
+    state.adminLogins++
+    if (!req.body || req.body.username !== ADMIN_USERNAME || req.body.password !== ADMIN_PASSWORD) {
+      return magentoError(res, 401, 'The account sign-in was incorrect or your account is disabled temporarily. Please wait and try again later.')
+    }
+    const token = `standin-admin-token-${state.adminLogins}`
+    state.adminTokens.add(token)
+    res.json(token)
+  })
+
+  router.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace('Bearer ', '')
+    if (!state.adminTokens.has(token)) return magentoError(res, 401, 'The consumer isn\'t authorized to access %resources.', { resources: 'Magento_Catalog::products' })
+    next()
+  })
+
+  router.get('/V1/products', (req, res) => {
+    res.json(search(state.products, req.query.searchCriteria, resolveProductField))
+  })
+
+  router.get('/V1/products/:sku', (req, res) => {
+    const product = state.products.find(item => item.sku === req.params.sku)
+    if (!product) return magentoError(res, 404, 'The product that was requested doesn\'t exist. Verify the product and try again.')
+    res.json(product)
+  })
+
+  // catalogRules holds the rule price per sku, magento's final price is the lower of it and the regular price
+  router.get('/V1/products-render-info', (req, res) => {
+    if (!req.query.storeId || !req.query.currencyCode) return magentoError(res, 400, '"%fieldName" is required. Enter and try again.', { fieldName: 'storeId' })
+    const result = search(state.products, req.query.searchCriteria, resolveProductField)
+    res.json({
+      items: result.items.map(product => ({
+        id: product.id,
+        name: product.name,
+        type: product.type_id,
+        currency_code: req.query.currencyCode,
+        price_info: {
+          regular_price: product.price,
+          final_price: state.catalogRules[product.sku] !== undefined ? Math.min(product.price, state.catalogRules[product.sku]) : product.price
+        }
+      })),
+      total_count: result.total_count
+    })
+  })
+
+  router.get('/V1/products/attributes/:attributeCode', (req, res) => {
+    const attribute = findAttribute(state, req.params.attributeCode)
+    if (!attribute) return magentoError(res, 404, 'An attribute with the "%1" attribute code doesn\'t exist.', [req.params.attributeCode])
+    res.json(attribute)
+  })
+
+  router.get('/V1/configurable-products/:sku/children', (req, res) => {
+    const parent = state.products.find(item => item.sku === req.params.sku)
+    if (!parent) return magentoError(res, 404, 'The product that was requested doesn\'t exist. Verify the product and try again.')
+    const links = (parent.extension_attributes || {}).configurable_product_links || []
+    res.json(state.products.filter(item => links.includes(item.id)))
+  })
+
+  // state.stock is what the default source holds, an order reserves its units (state.reservations) until it ships or is cancelled
+  router.get('/V1/inventory/source-items', (req, res) => {
+    const sourceItems = Object.entries(state.stock).map(([sku, quantity]) => ({ sku, source_code: 'default', quantity, status: quantity > 0 ? 1 : 0 }))
+    res.json(search(sourceItems, req.query.searchCriteria))
+  })
+
+  router.get('/V1/inventory/get-product-salable-qty/:sku/:stockId', (req, res) => {
+    if (req.params.stockId !== '1') return magentoError(res, 404, 'Stock with id "%value" does not exist.', { value: req.params.stockId })
+    if (!(req.params.sku in state.stock)) return magentoError(res, 404, 'The product that was requested doesn\'t exist. Verify the product and try again.')
+    res.json(salable(state, req.params.sku))
+  })
+
+  // only active pickup locations of the website are returned, without the flag
+  router.get('/V1/inventory/in-store-pickup/pickup-locations', (req, res) => {
+    const searchRequest = req.query.searchRequest || {}
+    if (!searchRequest.scopeCode) return magentoError(res, 400, '"%fieldName" is required. Enter and try again.', { fieldName: 'scopeCode' })
+    if (searchRequest.scopeCode !== 'base') return magentoError(res, 404, 'The website with code "%1" that was requested wasn\'t found.', [searchRequest.scopeCode])
+    const items = state.pickupLocations.filter(location => location.is_pickup_location_active).map(({ is_pickup_location_active: active, ...location }) => location)
+    res.json({ items, total_count: items.length, search_request: { scope_code: searchRequest.scopeCode } })
+  })
+
+  router.get('/V1/categories', (req, res) => {
+    res.json(state.categories)
+  })
+
+  router.get('/V1/customers/search', (req, res) => {
+    res.json(search(state.customers, req.query.searchCriteria))
+  })
+
+  router.get('/V1/customers/:customerId', (req, res) => {
+    const customer = state.customers.find(item => String(item.id) === req.params.customerId)
+    if (!customer) return magentoError(res, 404, 'No such entity with %fieldName = %fieldValue', { fieldName: 'customerId', fieldValue: req.params.customerId })
+    res.json(withDefaultFlags(customer))
+  })
+
+  // like magento, the addresses sent replace the customer's addresses, new ones (without id) get an id
+  router.put('/V1/customers/:customerId', (req, res) => {
+    const customer = state.customers.find(item => String(item.id) === req.params.customerId)
+    if (!customer) return magentoError(res, 404, 'No such entity with %fieldName = %fieldValue', { fieldName: 'customerId', fieldValue: req.params.customerId })
+    const update = (req.body && req.body.customer) || {}
+    const addresses = update.addresses || customer.addresses || []
+    const missing = ADDRESS_REQUIRED_FIELDS.find(field => addresses.some(address => !address[field] || (Array.isArray(address[field]) && !address[field].length)))
+    if (missing) return magentoError(res, 400, '"%fieldName" is required. Enter and try again.', { fieldName: missing })
+    const nextId = () => 1 + Math.max(100, ...state.customers.flatMap(item => (item.addresses || []).map(address => address.id)))
+    customer.addresses = []
+    addresses.forEach((address) => {
+      const saved = { ...address, id: address.id || nextId(), customer_id: customer.id }
+      customer.addresses.push(saved)
+      if (address.default_shipping) customer.default_shipping = String(saved.id)
+      if (address.default_billing) customer.default_billing = String(saved.id)
+      delete saved.default_shipping
+      delete saved.default_billing
+    })
+    ;['default_shipping', 'default_billing'].forEach((field) => {
+      if (!customer.addresses.some(address => String(address.id) === customer[field])) delete customer[field]
+    })
+    res.json(withDefaultFlags(customer))
+  })
+
+  router.delete('/V1/addresses/:addressId', (req, res) => {
+    const customer = state.customers.find(item => (item.addresses || []).some(address => String(address.id) === req.params.addressId))
+    if (!customer) return magentoError(res, 404, 'No such entity with %fieldName = %fieldValue', { fieldName: 'addressId', fieldValue: req.params.addressId })
+    customer.addresses = customer.addresses.filter(address => String(address.id) !== req.params.addressId)
+    ;['default_shipping', 'default_billing'].forEach((field) => {
+      if (customer[field] === req.params.addressId) delete customer[field]
+    })
+    res.json(true)
+  })
+
+  router.get('/V1/coupons/search', (req, res) => {
+    res.json(search(state.coupons, req.query.searchCriteria))
+  })
+
+  router.get('/V1/salesRules/search', (req, res) => {
+    res.json(search(state.salesRules, req.query.searchCriteria, resolveRuleField))
+  })
+
+  router.get('/V1/salesRules/:ruleId', (req, res) => {
+    const rule = state.salesRules.find(item => String(item.rule_id) === req.params.ruleId)
+    if (!rule) return magentoError(res, 404, 'Rule with specified ID "%1" not found.', [req.params.ruleId])
+    res.json(rule)
+  })
+
+  router.get('/V1/directory/countries/:countryId', (req, res) => {
+    const country = state.countries.find(item => item.id === req.params.countryId)
+    if (!country) return magentoError(res, 404, 'Requested country is not available.')
+    res.json(country)
+  })
+
+  router.get('/V1/orders', (req, res) => {
+    res.json(search(state.orders, req.query.searchCriteria))
+  })
+
+  router.get('/V1/orders/:orderId', (req, res) => {
+    const order = state.orders.find(item => String(item.entity_id) === req.params.orderId)
+    if (!order) return magentoError(res, 404, 'The entity that was requested doesn\'t exist. Verify the entity and try again.')
+    res.json(order)
+  })
+
+  router.post('/V1/orders/:orderId/comments', (req, res) => {
+    const order = state.orders.find(item => String(item.entity_id) === req.params.orderId)
+    if (!order) return magentoError(res, 404, 'The entity that was requested doesn\'t exist. Verify the entity and try again.')
+    order.status_histories = (order.status_histories || []).concat({ ...(req.body && req.body.statusHistory), created_at: new Date().toISOString() })
+    res.json(true)
+  })
+
+  router.post('/V1/orders/:orderId/cancel', (req, res) => {
+    const order = state.orders.find(item => String(item.entity_id) === req.params.orderId)
+    if (!order) return magentoError(res, 404, 'The entity that was requested doesn\'t exist. Verify the entity and try again.')
+    if (!['new', 'pending_payment', 'processing'].includes(order.state)) return magentoError(res, 400, 'We cannot cancel this order.')
+    order.state = 'canceled'
+    order.status = 'canceled'
+    // msi compensates the order's reservations, the units are salable again
+    order.items.forEach(item => { state.reservations[item.sku] -= item.qty_ordered })
+    res.json(true)
+  })
+
+  // invoicing a new order captures its grand total and moves it to processing, magento allows one invoice for the whole order
+  router.post('/V1/order/:orderId/invoice', (req, res) => {
+    const order = state.orders.find(item => String(item.entity_id) === req.params.orderId)
+    if (!order) return magentoError(res, 404, 'The entity that was requested doesn\'t exist. Verify the entity and try again.')
+    if (!['new', 'pending_payment'].includes(order.state)) return magentoError(res, 400, 'The order does not allow an invoice to be created.')
+    const invoice = { entity_id: state.invoices.length + 1, order_id: order.entity_id, grand_total: order.grand_total, capture: !!(req.body && req.body.capture) }
+    state.invoices.push(invoice)
+    order.state = 'processing'
+    order.status = 'processing'
+    order.total_paid = order.grand_total
+    res.json(invoice.entity_id)
+  })
+
+  // quotes: one active quote per customer, placing the order turns it into an order and deducts the stock
+  router.post('/V1/customers/:customerId/carts', (req, res) => {
+    const customer = state.customers.find(item => String(item.id) === req.params.customerId)
+    if (!customer) return magentoError(res, 404, 'No such entity with %fieldName = %fieldValue', { fieldName: 'customerId', fieldValue: req.params.customerId })
+    let quote = state.quotes.find(item => item.customer_id === customer.id)
+    if (!quote) {
+      quote = { id: 900 + state.quotes.length + state.orders.length + 1, customer_id: customer.id, items: [], nextItemId: 1 }
+      state.quotes.push(quote)
+    }
+    res.json(quote.id)
+  })
+
+  router.use('/V1/carts/:quoteId', (req, res, next) => {
+    req.quote = state.quotes.find(item => String(item.id) === req.params.quoteId)
+    if (!req.quote) return magentoError(res, 404, 'No such entity with %fieldName = %fieldValue', { fieldName: 'cartId', fieldValue: req.params.quoteId })
+    next()
+  })
+
+  router.get('/V1/carts/:quoteId', (req, res) => {
+    res.json({ id: req.quote.id, customer: { id: req.quote.customer_id }, items: req.quote.items, items_qty: req.quote.items.reduce((sum, item) => sum + item.qty, 0) })
+  })
+
+  router.delete('/V1/carts/:quoteId/items/:itemId', (req, res) => {
+    req.quote.items = req.quote.items.filter(item => String(item.item_id) !== req.params.itemId)
+    res.json(true)
+  })
+
+  router.post('/V1/carts/:quoteId/items', (req, res) => {
+    const { sku, qty } = (req.body && req.body.cartItem) || {}
+    const product = state.products.find(item => item.sku === sku)
+    if (!product) return magentoError(res, 404, 'The product that was requested doesn\'t exist. Verify the product and try again.')
+    const existing = req.quote.items.find(item => item.sku === sku)
+    if (salable(state, sku) < (existing ? existing.qty : 0) + qty) return magentoError(res, 400, 'The requested qty is not available')
+    if (existing) {
+      existing.qty += qty
+      return res.json(existing)
+    }
+    const item = { item_id: req.quote.nextItemId++, sku, qty, name: product.name, product_type: product.type_id, quote_id: String(req.quote.id) }
+    req.quote.items.push(item)
+    res.json(item)
+  })
+
+  router.put('/V1/carts/:quoteId/coupons/:couponCode', (req, res) => {
+    const coupon = state.coupons.find(item => item.code.toLowerCase() === req.params.couponCode.toLowerCase())
+    const rule = coupon && state.salesRules.find(item => item.rule_id === coupon.rule_id)
+    const customer = state.customers.find(item => item.id === req.quote.customer_id)
+    if (!rule || !couponApplies(state, rule, coupon, customer, quoteTotals(state, { ...req.quote, couponCode: null }))) {
+      return magentoError(res, 404, 'The coupon code isn\'t valid. Verify the code and try again.')
+    }
+    req.quote.couponCode = coupon.code
+    res.json(true)
+  })
+
+  router.delete('/V1/carts/:quoteId/coupons', (req, res) => {
+    req.quote.couponCode = null
+    res.json(true)
+  })
+
+  router.post('/V1/carts/:quoteId/estimate-shipping-methods', (req, res) => {
+    res.json(shippingMethods(state, quoteSubtotal(state, req.quote)))
+  })
+
+  router.post('/V1/carts/:quoteId/shipping-information', (req, res) => {
+    const information = (req.body && req.body.addressInformation) || {}
+    const address = information.shipping_address || {}
+    if (!address.postcode || !address.city || !(address.street || []).length) return magentoError(res, 400, '"%fieldName" is required. Enter and try again.', { fieldName: 'postcode' })
+    const method = shippingMethods(state, quoteSubtotal(state, req.quote))
+      .find(candidate => candidate.available && candidate.carrier_code === information.shipping_carrier_code && candidate.method_code === information.shipping_method_code)
+    if (!method) return magentoError(res, 400, 'Carrier with such method not found: %1, %2', [information.shipping_carrier_code, information.shipping_method_code])
+    const pickupLocationCode = (address.extension_attributes || {}).pickup_location_code
+    if (method.carrier_code === 'instore') {
+      const location = state.pickupLocations.find(item => item.pickup_location_code === pickupLocationCode && item.is_pickup_location_active)
+      if (!location) return magentoError(res, 400, 'Quote does not match Pickup Location address.')
+    } else if (pickupLocationCode) {
+      return magentoError(res, 400, 'A pickup location can only be set with the In-Store Pickup Delivery method.')
+    }
+    req.quote.pickupLocationCode = pickupLocationCode || null
+    req.quote.shippingAddress = address
+    req.quote.billingAddress = information.billing_address || address
+    req.quote.shippingMethod = method
+    res.json({ payment_methods: PAYMENT_METHODS, totals: quoteTotals(state, req.quote) })
+  })
+
+  router.put('/V1/carts/:quoteId/order', (req, res) => {
+    const quote = req.quote
+    const method = req.body && req.body.paymentMethod && req.body.paymentMethod.method
+    if (!quote.items.length) return magentoError(res, 400, 'Cart %1 doesn\'t contain products', [quote.id])
+    if (!quote.shippingMethod) return magentoError(res, 400, 'The shipping method is missing. Select the shipping method and try again.')
+    if (!PAYMENT_METHODS.some(payment => payment.code === method)) return magentoError(res, 400, 'The requested Payment Method is not available.')
+    if (quote.items.some(item => salable(state, item.sku) < item.qty)) return magentoError(res, 400, 'Not all of your products are available in the requested quantity.')
+    const customer = state.customers.find(item => item.id === quote.customer_id)
+    quote.paymentMethod = method
+    const totals = quoteTotals(state, quote)
+    const entityId = 5000 + state.orders.length + 1
+    const order = {
+      entity_id: entityId,
+      increment_id: String(entityId - 4500).padStart(9, '0'),
+      quote_id: quote.id,
+      customer_id: customer.id,
+      customer_email: customer.email,
+      customer_firstname: customer.firstname,
+      customer_lastname: customer.lastname,
+      state: 'new',
+      status: 'pending',
+      subtotal: totals.subtotal,
+      discount_amount: totals.discount_amount,
+      coupon_code: quote.couponCode || undefined,
+      applied_rule_ids: quote.couponCode ? String(state.coupons.find(item => item.code === quote.couponCode).rule_id) : undefined,
+      shipping_amount: totals.shipping_amount,
+      shipping_description: `${quote.shippingMethod.carrier_title} - ${quote.shippingMethod.method_title}`,
+      tax_amount: 0,
+      grand_total: totals.grand_total,
+      base_grand_total: totals.grand_total,
+      total_qty_ordered: quote.items.reduce((sum, item) => sum + item.qty, 0),
+      created_at: new Date().toISOString(),
+      items: totals.items.map((item, index) => ({ item_id: index + 1, sku: item.sku, name: item.name, qty_ordered: item.qty, price: item.price, row_total: item.row_total })),
+      billing_address: { ...quote.billingAddress, address_type: 'billing' },
+      payment: { method },
+      extension_attributes: {
+        shipping_assignments: [{ shipping: { address: { ...quote.shippingAddress, address_type: 'shipping' }, method: `${quote.shippingMethod.carrier_code}_${quote.shippingMethod.method_code}` } }],
+        ...(quote.pickupLocationCode ? { pickup_location_code: quote.pickupLocationCode } : {})
+      },
+      status_histories: []
+    }
+    quote.items.forEach(item => { state.reservations[item.sku] = (state.reservations[item.sku] || 0) + item.qty })
+    if (quote.couponCode) state.coupons.find(item => item.code === quote.couponCode).times_used++
+    state.orders.push(order)
+    state.quotes = state.quotes.filter(item => item !== quote)
+    res.json(entityId)
+  })
+
+  router.get('/V1/shipments', (req, res) => {
+    res.json(search(state.shipments, req.query.searchCriteria))
+  })
+
+  return router
+}
+
+module.exports.ADMIN_USERNAME = ADMIN_USERNAME
+module.exports.ADMIN_PASSWORD = ADMIN_PASSWORD
@@ -0,0 +1,49 @@
+const express = require('express')
+
+const API_KEY = 'standin-maps-key'
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+
+// straight line distance stretched by a road factor, good enough to rank stores
+const roadDistance = (origin, destination) => {
+  const [lat1, lng1] = origin.split(',').map(Number)
+  const [lat2, lng2] = destination.split(',').map(Number)
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2
+  return Math.round(6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 1.3)
+}
+
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.use((req, res, next) => {
+    if (req.query.key !== API_KEY) return res.json({ status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid.', results: [], rows: [] })
+    next()
+  })
+
+  router.get('/geocode/json', (req, res) => {
+    const postalCode = /postal_code:(\d+)/.exec(req.query.components || '')
+    const location = postalCode && state.geocodes[postalCode[1]]
+    if (!location) return res.json({ status: 'ZERO_RESULTS', results: [] })
+    res.json({ status: 'OK', results: [{ geometry: { location } }] })
+  })
+
+  router.get('/distancematrix/json', (req, res) => {
+    const distance = roadDistance(req.query.origins, req.query.destinations)
+    const duration = Math.round(distance / 8)
+    res.json({
+      status: 'OK',
+      rows: [{
+        elements: [{
+          status: 'OK',
+          distance: { text: (distance / 1000).toFixed(1) + ' km', value: distance },
+          duration: { text: Math.round(duration / 60) + ' mins', value: duration }
+        }]
+      }]
+    })
+  })
+
+  return router
+}
+
+module.exports.API_KEY = API_KEY
@@ -0,0 +1,31 @@
+const express = require('express')
+const sharp = require('sharp')
+
+const SOURCE_WIDTH = 1600
+const SOURCE_HEIGHT = 2000
+
+const knownFiles = (state) => {
+  const files = new Set()
+  state.products.forEach((product) => {
+    (product.media_gallery_entries || []).forEach(entry => files.add(entry.file))
+    ;(product.custom_attributes || []).filter(attr => ['image', 'small_image', 'thumbnail'].includes(attr.attribute_code)).forEach(attr => files.add(attr.value))
+  })
+  return files
+}
+
+// every image any product refers to exists, as a plain 1600x2000 jpeg
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.get('/catalog/product/*', async (req, res) => {
+    const file = '/' + req.params[0]
+    if (!knownFiles(state).has(file)) return res.status(404).send('Not Found')
+    const image = await sharp({ create: { width: SOURCE_WIDTH, height: SOURCE_HEIGHT, channels: 3, background: { r: 40, g: 60, b: 90 } } }).jpeg().toBuffer()
+    res.type('image/jpeg').send(image)
+  })
+
+  return router
+}
+
+module.exports.SOURCE_WIDTH = SOURCE_WIDTH
+module.exports.SOURCE_HEIGHT = SOURCE_HEIGHT
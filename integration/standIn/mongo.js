@@ -0,0 +1,572 @@
+const net = require('net')
+const { BSON } = require('mongoose').mongo
+
+const OP_REPLY = 1
+const OP_QUERY = 2004
+const OP_MSG = 2013
+const MORE_TO_COME = 2
+const CHECKSUM_PRESENT = 1
+const DUPLICATE_KEY = 11000
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'))
+const clone = value => BSON.deserialize(BSON.serialize({ value })).value
+
+const canon = (value) => {
+  if (value === undefined || value === null) return null
+  if (value instanceof Date) return { $date: value.getTime() }
+  if (value instanceof RegExp) return { $regex: String(value) }
+  if (value._bsontype) return { [value._bsontype]: value.toString() }
+  if (Array.isArray(value)) return value.map(canon)
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, canon(item)]))
+  return value
+}
+const equals = (a, b) => JSON.stringify(canon(a)) === JSON.stringify(canon(b))
+
+// mongo orders values of different types by type first
+const rank = (value) => {
+  if (value === null || value === undefined) return 1
+  if (typeof value === 'number') return 2
+  if (typeof value === 'string') return 3
+  if (Array.isArray(value)) return 5
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return 7
+  if (typeof value === 'boolean') return 8
+  if (value instanceof Date) return 9
+  return 4
+}
+const compare = (a, b) => {
+  const ranks = rank(a) - rank(b)
+  if (ranks) return ranks
+  if (rank(a) === 1) return 0
+  if (a instanceof Date) return a.getTime() - b.getTime()
+  if (typeof a === 'number' || typeof a === 'boolean') return a - b
+  const left = typeof a === 'string' ? a : JSON.stringify(canon(a))
+  const right = typeof b === 'string' ? b : JSON.stringify(canon(b))
+  return left < right ? -1 : left > right ? 1 : 0
+}
+const truthy = value => value !== false && value !== null && value !== undefined && value !== 0
+
+// every value a dotted path reaches, arrays on the way are walked into like mongo does
+const valuesAt = (value, parts) => {
+  if (!parts.length) return [value]
+  const [head, ...rest] = parts
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return value[Number(head)] === undefined ? [] : valuesAt(value[Number(head)], rest)
+    return [].concat(...value.map(item => isPlainObject(item) ? valuesAt(item, parts) : []))
+  }
+  if (!isPlainObject(value) || value[head] === undefined) return []
+  return valuesAt(value[head], rest)
+}
+const getPath = (doc, path) => path.split('.').reduce((value, part) => value === undefined || value === null ? undefined : value[part], doc)
+const setPath = (doc, path, value) => {
+  const parts = path.split('.')
+  const target = parts.slice(0, -1).reduce((parent, part) => {
+    if (parent[part] === undefined || parent[part] === null) parent[part] = {}
+    return parent[part]
+  }, doc)
+  target[parts[parts.length - 1]] = value
+}
+const unsetPath = (doc, path) => {
+  const parts = path.split('.')
+  const target = getPath(doc, parts.slice(0, -1).join('.')) || (parts.length === 1 ? doc : undefined)
+  if (target && typeof target === 'object') delete target[parts[parts.length - 1]]
+}
+
+// a field compares against itself and, for an array, against each of its items
+const expand = values => [].concat(...values.map(value => Array.isArray(value) ? [value, ...value] : [value]))
+const sameRank = (value, arg) => rank(value) === rank(arg)
+
+const QUERY_OPERATORS = {
+  $eq: (values, arg) => arg === null
+    ? values.length === 0 || expand(values).some(value => value === null)
+    : expand(values).some(value => equals(value, arg)),
+  $ne: (values, arg) => !QUERY_OPERATORS.$eq(values, arg),
+  $gt: (values, arg) => expand(values).some(value => sameRank(value, arg) && compare(value, arg) > 0),
+  $gte: (values, arg) => expand(values).some(value => sameRank(value, arg) && compare(value, arg) >= 0),
+  $lt: (values, arg) => expand(values).some(value => sameRank(value, arg) && compare(value, arg) < 0),
+  $lte: (values, arg) => expand(values).some(value => sameRank(value, arg) && compare(value, arg) <= 0),
+  $in: (values, arg) => arg.some(item => matchCondition(values, item)),
+  $nin: (values, arg) => !QUERY_OPERATORS.$in(values, arg),
+  $exists: (values, arg) => (values.length > 0) === Boolean(arg),
+  $size: (values, arg) => values.some(value => Array.isArray(value) && value.length === arg),
+  $not: (values, arg) => !matchCondition(values, arg),
+  $regex: (values, arg, condition) => {
+    const pattern = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options || '')
+    return expand(values).some(value => typeof value === 'string' && pattern.test(value))
+  },
+  $elemMatch: (values, arg) => values.some(value => Array.isArray(value) && value.some(item =>
+    isPlainObject(item) && !isOperatorObject(arg) ? matches(item, arg) : matchCondition([item], arg)))
+}
+
+const matchCondition = (values, condition) => {
+  if (condition instanceof RegExp) return expand(values).some(value => typeof value === 'string' && condition.test(value))
+  if (!isOperatorObject(condition)) return QUERY_OPERATORS.$eq(values, condition)
+  return Object.entries(condition).every(([name, arg]) => {
+    if (name === '$options') return true
+    if (!QUERY_OPERATORS[name]) throw new Error(`The mongo stand-in does not support ${name}`)
+    return QUERY_OPERATORS[name](values, arg, condition)
+  })
+}
+
+const matches = (doc, query = {}) => Object.entries(query || {}).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part))
+  if (key === '$or') return condition.some(part => matches(doc, part))
+  if (key === '$nor') return !condition.some(part => matches(doc, part))
+  if (key.startsWith('$')) throw new Error(`The mongo stand-in does not support ${key}`)
+  return matchCondition(valuesAt(doc, key.split('.')), condition)
+})
+
+const sortDocs = (docs, sort = {}) => [...docs].sort((a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const order = compare(valuesAt(a, key.split('.'))[0], valuesAt(b, key.split('.'))[0]) * (Number(direction) < 0 ? -1 : 1)
+    if (order) return order
+  }
+  return 0
+})
+
+const project = (doc, projection) => {
+  const fields = Object.entries(projection || {})
+  if (!fields.length) return clone(doc)
+  if (fields.some(([key, value]) => key !== '_id' && truthy(value))) {
+    const result = {}
+    if (!projection || projection._id === undefined || truthy(projection._id)) result._id = doc._id
+    fields.filter(([key, value]) => key !== '_id' && truthy(value)).forEach(([key]) => {
+      const value = getPath(doc, key)
+      if (value !== undefined) setPath(result, key, clone(value))
+    })
+    return result
+  }
+  const result = clone(doc)
+  fields.forEach(([key]) => unsetPath(result, key))
+  return result
+}
+
+const pull = (items, condition) => items.filter(item => !(isPlainObject(condition) && !isOperatorObject(condition)
+  ? isPlainObject(item) && matches(item, condition)
+  : matchCondition([item], condition)))
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, clone(value)),
+  $setOnInsert: (doc, path, value, inserting) => { if (inserting) setPath(doc, path, clone(value)) },
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, value) => setPath(doc, path, (getPath(doc, path) || 0) + value),
+  $mul: (doc, path, value) => setPath(doc, path, (getPath(doc, path) || 0) * value),
+  $min: (doc, path, value) => { if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) < 0) setPath(doc, path, clone(value)) },
+  $max: (doc, path, value) => { if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) > 0) setPath(doc, path, clone(value)) },
+  $currentDate: (doc, path) => setPath(doc, path, new Date()),
+  $push: (doc, path, value) => {
+    const items = getPath(doc, path) || []
+    const added = isPlainObject(value) && value.$each ? value.$each : [value]
+    let result = [...items, ...added.map(clone)]
+    if (isPlainObject(value) && value.$slice !== undefined) result = value.$slice < 0 ? result.slice(value.$slice) : result.slice(0, value.$slice)
+    setPath(doc, path, result)
+  },
+  $addToSet: (doc, path, value) => {
+    const items = [...(getPath(doc, path) || [])]
+    const added = isPlainObject(value) && value.$each ? value.$each : [value]
+    added.forEach(item => { if (!items.some(existing => equals(existing, item))) items.push(clone(item)) })
+    setPath(doc, path, items)
+  },
+  $pull: (doc, path, condition) => {
+    const items = getPath(doc, path)
+    if (Array.isArray(items)) setPath(doc, path, pull(items, condition))
+  }
+}
+
+const applyUpdate = (doc, update, inserting) => {
+  if (Array.isArray(update)) throw new Error('The mongo stand-in does not support pipeline updates')
+  if (!Object.keys(update).some(key => key.startsWith('$'))) return { _id: doc._id, ...clone(update) }
+  Object.entries(update).forEach(([name, fields]) => {
+    if (!UPDATE_OPERATORS[name]) throw new Error(`The mongo stand-in does not support ${name}`)
+    Object.entries(fields).forEach(([path, value]) => UPDATE_OPERATORS[name](doc, path, value, inserting))
+  })
+  return doc
+}
+
+// an upsert starts from the equality parts of its query
+const upsertSeed = (query = {}, seed = {}) => {
+  Object.entries(query).forEach(([key, condition]) => {
+    if (key === '$and') return condition.forEach(part => upsertSeed(part, seed))
+    if (key.startsWith('$')) return
+    if (isOperatorObject(condition)) {
+      if (condition.$eq !== undefined) setPath(seed, key, clone(condition.$eq))
+      return
+    }
+    setPath(seed, key, clone(condition))
+  })
+  return seed
+}
+
+const writeError = (message, extra = {}) => Object.assign(new Error(message), { code: DUPLICATE_KEY, ...extra })
+
+const EXPRESSIONS = {
+  $eq: ([a, b]) => equals(a, b),
+  $ne: ([a, b]) => !equals(a, b),
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $lt: ([a, b]) => compare(a, b) < 0,
+  $lte: ([a, b]) => compare(a, b) <= 0,
+  $and: args => args.every(truthy),
+  $or: args => args.some(truthy),
+  $not: ([a]) => !truthy(a),
+  $cond: ([condition, then, otherwise]) => truthy(condition) ? then : otherwise,
+  $ifNull: ([a, b]) => a === null || a === undefined ? b : a,
+  $add: args => args.reduce((sum, value) => sum + (value || 0), 0),
+  $subtract: ([a, b]) => a - b,
+  $multiply: args => args.reduce((product, value) => product * value, 1),
+  $size: ([a]) => (a || []).length
+}
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1))
+  if (Array.isArray(expression)) return expression.map(item => evaluate(item, doc))
+  if (isOperatorObject(expression)) {
+    const [name, args] = Object.entries(expression)[0]
+    if (name === '$literal') return args
+    if (!EXPRESSIONS[name]) throw new Error(`The mongo stand-in does not support ${name}`)
+    const list = name === '$cond' && isPlainObject(args) ? [args.if, args.then, args.else] : Array.isArray(args) ? args : [args]
+    return EXPRESSIONS[name](list.map(item => evaluate(item, doc)))
+  }
+  if (isPlainObject(expression)) return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc)]))
+  return expression
+}
+
+const ACCUMULATORS = {
+  $sum: values => values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0),
+  $avg: values => values.length ? ACCUMULATORS.$sum(values) / values.length : null,
+  $min: values => values.filter(value => value !== undefined).sort(compare)[0],
+  $max: values => values.filter(value => value !== undefined).sort(compare).pop(),
+  $first: values => values[0],
+  $last: values => values[values.length - 1],
+  $push: values => values.filter(value => value !== undefined),
+  $addToSet: values => values.filter((value, index) => value !== undefined && values.findIndex(other => equals(other, value)) === index)
+}
+
+const STAGES = {
+  $match: (docs, query) => docs.filter(doc => matches(doc, query)),
+  $sort: (docs, sort) => sortDocs(docs, sort),
+  $skip: (docs, skip) => docs.slice(skip),
+  $limit: (docs, limit) => docs.slice(0, limit),
+  $count: (docs, field) => docs.length ? [{ [field]: docs.length }] : [],
+  $project: (docs, spec) => docs.map((doc) => {
+    const computed = Object.entries(spec).filter(([, value]) => typeof value !== 'number' && typeof value !== 'boolean')
+    const result = project(doc, Object.fromEntries(Object.entries(spec).filter(([, value]) => typeof value === 'number' || typeof value === 'boolean')))
+    computed.forEach(([key, value]) => setPath(result, key, evaluate(value, doc)))
+    return result
+  }),
+  $unwind: (docs, spec) => {
+    const path = (typeof spec === 'string' ? spec : spec.path).slice(1)
+    return [].concat(...docs.map(doc => (getPath(doc, path) || []).map((item) => {
+      const copy = clone(doc)
+      setPath(copy, path, item)
+      return copy
+    })))
+  },
+  $group: (docs, spec) => {
+    const groups = new Map()
+    docs.forEach((doc) => {
+      const id = evaluate(spec._id, doc)
+      const key = JSON.stringify(canon(id))
+      if (!groups.has(key)) groups.set(key, { _id: id === undefined ? null : id, docs: [] })
+      groups.get(key).docs.push(doc)
+    })
+    return [...groups.values()].map(({ _id, docs }) => {
+      const row = { _id }
+      Object.entries(spec).filter(([field]) => field !== '_id').forEach(([field, accumulator]) => {
+        const [name, expression] = Object.entries(accumulator)[0]
+        if (!ACCUMULATORS[name]) throw new Error(`The mongo stand-in does not support ${name}`)
+        row[field] = ACCUMULATORS[name](docs.map(doc => evaluate(expression, doc)))
+      })
+      return row
+    })
+  }
+}
+
+/**
+ * In-memory stand-in for the mongo server the api talks to through mongoose, it speaks the wire protocol (OP_MSG, and OP_QUERY for the
+ * first handshake) and the commands the services send. Documents live in `collections`, name → { docs, indexes },
+ * unique indexes are enforced so duplicate keys fail with 11000 like they do on a server.
+ */
+const createMongoStandIn = () => {
+  const collections = new Map()
+  // every command the api sent, { command, collection, filter }
+  const commands = []
+  const sockets = new Set()
+  let requestId = 0
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, { docs: [], indexes: [{ v: 2, key: { _id: 1 }, name: '_id_', unique: true }] })
+    return collections.get(name)
+  }
+
+  const assertUnique = (name, doc, replacing) => {
+    collection(name).indexes.filter(index => index.unique).forEach((index) => {
+      const fields = Object.keys(index.key)
+      const keyValue = Object.fromEntries(fields.map(field => [field, valuesAt(doc, field.split('.'))[0]]))
+      if (index.sparse && fields.every(field => keyValue[field] === undefined)) return
+      const taken = collection(name).docs.some(other => other !== replacing &&
+        fields.every(field => equals(valuesAt(other, field.split('.'))[0], keyValue[field])))
+      if (taken) {
+        throw writeError(`E11000 duplicate key error collection: ${name} index: ${index.name} dup key: ${JSON.stringify(canon(keyValue))}`, { keyPattern: index.key, keyValue })
+      }
+    })
+  }
+
+  const updateDocs = (name, query, update, { multi, upsert, sort } = {}) => {
+    let targets = collection(name).docs.filter(doc => matches(doc, query))
+    if (sort) targets = sortDocs(targets, sort)
+    if (!multi) targets = targets.slice(0, 1)
+    if (!targets.length) {
+      if (!upsert) return { n: 0, nModified: 0, before: null, after: null }
+      const doc = applyUpdate(upsertSeed(query), update, true)
+      if (doc._id === undefined) doc._id = new BSON.ObjectId()
+      assertUnique(name, doc)
+      collection(name).docs.push(doc)
+      return { n: 1, nModified: 0, upsertedId: doc._id, before: null, after: doc }
+    }
+    let nModified = 0
+    const updated = targets.map((target) => {
+      const doc = applyUpdate(clone(target), update, false)
+      assertUnique(name, doc, target)
+      if (!equals(doc, target)) nModified++
+      const docs = collection(name).docs
+      docs[docs.indexOf(target)] = doc
+      return doc
+    })
+    return { n: targets.length, nModified, before: targets[0], after: updated[0] }
+  }
+
+  const cursor = (body, name, docs) => ({ cursor: { firstBatch: docs, id: BSON.Long.fromNumber(0), ns: `${body.$db}.${name}` }, ok: 1 })
+  const commandError = err => ({ ok: 0, errmsg: err.message, code: err.code || 8000, ...(err.keyPattern ? { keyPattern: err.keyPattern, keyValue: err.keyValue } : {}) })
+
+  const hello = () => ({
+    ismaster: true,
+    isWritablePrimary: true,
+    helloOk: true,
+    maxBsonObjectSize: 16777216,
+    maxMessageSizeBytes: 48000000,
+    maxWriteBatchSize: 100000,
+    localTime: new Date(),
+    logicalSessionTimeoutMinutes: 30,
+    connectionId: requestId,
+    minWireVersion: 0,
+    maxWireVersion: 13,
+    readOnly: false,
+    ok: 1
+  })
+
+  const COMMANDS = {
+    hello,
+    ismaster: hello,
+    isMaster: hello,
+    ping: () => ({ ok: 1 }),
+    buildInfo: () => ({ version: '5.0.0', versionArray: [5, 0, 0, 0], ok: 1 }),
+    getParameter: () => ({ ok: 1 }),
+    endSessions: () => ({ ok: 1 }),
+    killCursors: body => ({ cursorsKilled: body.cursors || [], ok: 1 }),
+    getMore: body => ({ cursor: { nextBatch: [], id: BSON.Long.fromNumber(0), ns: `${body.$db}.${body.collection}` }, ok: 1 }),
+    create: (body) => {
+      collection(body.create)
+      return { ok: 1 }
+    },
+    drop: (body) => {
+      if (!collections.delete(body.drop)) return { ok: 0, errmsg: 'ns not found', code: 26 }
+      return { ok: 1 }
+    },
+    dropDatabase: () => {
+      collections.clear()
+      return { ok: 1 }
+    },
+    listCollections: body => cursor(body, '$cmd.listCollections', [...collections.keys()].map(name => ({ name, type: 'collection', options: {}, info: { readOnly: false } }))),
+    createIndexes: (body) => {
+      const { indexes } = collection(body.createIndexes)
+      const numIndexesBefore = indexes.length
+      body.indexes.forEach((index) => {
+        if (!indexes.some(existing => existing.name === index.name)) indexes.push({ v: 2, ...index })
+      })
+      return { numIndexesBefore, numIndexesAfter: indexes.length, ok: 1 }
+    },
+    listIndexes: body => cursor(body, body.listIndexes, collection(body.listIndexes).indexes),
+    insert: (body) => {
+      const writeErrors = []
+      let n = 0
+      for (const [index, document] of body.documents.entries()) {
+        const doc = clone(document)
+        if (doc._id === undefined) doc._id = new BSON.ObjectId()
+        try {
+          assertUnique(body.insert, doc)
+        } catch (err) {
+          writeErrors.push({ index, code: err.code, errmsg: err.message, keyPattern: err.keyPattern, keyValue: err.keyValue })
+          if (body.ordered !== false) break
+          continue
+        }
+        collection(body.insert).docs.push(doc)
+        n++
+      }
+      return { n, ...(writeErrors.length ? { writeErrors } : {}), ok: 1 }
+    },
+    update: (body) => {
+      const upserted = []
+      const writeErrors = []
+      let n = 0
+      let nModified = 0
+      for (const [index, statement] of body.updates.entries()) {
+        try {
+          const result = updateDocs(body.update, statement.q, statement.u, { multi: statement.multi, upsert: statement.upsert })
+          n += result.n
+          nModified += result.nModified
+          if (result.upsertedId !== undefined) upserted.push({ index, _id: result.upsertedId })
+        } catch (err) {
+          if (err.code !== DUPLICATE_KEY) throw err
+          writeErrors.push({ index, code: err.code, errmsg: err.message, keyPattern: err.keyPattern, keyValue: err.keyValue })
+          if (body.ordered !== false) break
+        }
+      }
+      return { n, nModified, ...(upserted.length ? { upserted } : {}), ...(writeErrors.length ? { writeErrors } : {}), ok: 1 }
+    },
+    delete: (body) => {
+      let n = 0
+      body.deletes.forEach(({ q, limit }) => {
+        let targets = collection(body.delete).docs.filter(doc => matches(doc, q))
+        if (limit) targets = targets.slice(0, limit)
+        collection(body.delete).docs = collection(body.delete).docs.filter(doc => !targets.includes(doc))
+        n += targets.length
+      })
+      return { n, ok: 1 }
+    },
+    findAndModify: (body) => {
+      const name = body.findAndModify
+      if (body.remove) {
+        const [target] = sortDocs(collection(name).docs.filter(doc => matches(doc, body.query)), body.sort)
+        if (target) collection(name).docs = collection(name).docs.filter(doc => doc !== target)
+        return { lastErrorObject: { n: target ? 1 : 0 }, value: target ? project(target, body.fields) : null, ok: 1 }
+      }
+      const result = updateDocs(name, body.query || {}, body.update, { upsert: body.upsert, sort: body.sort })
+      const value = body.new ? result.after : result.before
+      const upserted = result.upsertedId !== undefined
+      return {
+        lastErrorObject: { n: result.n, updatedExisting: result.n > 0 && !upserted, ...(upserted ? { upserted: result.upsertedId } : {}) },
+        value: value ? project(value, body.fields) : null,
+        ok: 1
+      }
+    },
+    find: (body) => {
+      let docs = sortDocs(collection(body.find).docs.filter(doc => matches(doc, body.filter)), body.sort)
+      if (body.skip) docs = docs.slice(body.skip)
+      if (body.limit) docs = docs.slice(0, Math.abs(body.limit))
+      return cursor(body, body.find, docs.map(doc => project(doc, body.projection)))
+    },
+    count: body => ({ n: collection(body.count).docs.filter(doc => matches(doc, body.query)).length, ok: 1 }),
+    distinct: (body) => {
+      const values = []
+      collection(body.distinct).docs.filter(doc => matches(doc, body.query)).forEach((doc) => {
+        [].concat(...valuesAt(doc, body.key.split('.')).map(value => Array.isArray(value) ? value : [value])).forEach((value) => {
+          if (!values.some(existing => equals(existing, value))) values.push(value)
+        })
+      })
+      return { values, ok: 1 }
+    },
+    aggregate: (body) => {
+      const docs = body.pipeline.reduce((docs, stage) => {
+        const [name, spec] = Object.entries(stage)[0]
+        if (!STAGES[name]) throw new Error(`The mongo stand-in does not support ${name}`)
+        return STAGES[name](docs, spec)
+      }, collection(body.aggregate).docs.map(clone))
+      return cursor(body, body.aggregate, docs)
+    }
+  }
+
+  const run = (body) => {
+    const name = Object.keys(body)[0]
+    commands.push({ command: name, collection: body[name], filter: body.filter || body.query })
+    if (!COMMANDS[name]) return { ok: 0, errmsg: `no such command: '${name}'`, code: 59, codeName: 'CommandNotFound' }
+    try {
+      return COMMANDS[name](body)
+    } catch (err) {
+      return commandError(err)
+    }
+  }
+
+  const header = (length, responseTo, opCode) => {
+    const buffer = Buffer.alloc(16)
+    buffer.writeInt32LE(length, 0)
+    buffer.writeInt32LE(++requestId, 4)
+    buffer.writeInt32LE(responseTo, 8)
+    buffer.writeInt32LE(opCode, 12)
+    return buffer
+  }
+
+  const respond = (message) => {
+    const opCode = message.readInt32LE(12)
+    const responseTo = message.readInt32LE(4)
+    if (opCode === OP_QUERY) {
+      // flags, then the namespace as a cstring, numberToSkip, numberToReturn and the query
+      const nameEnd = message.indexOf(0, 20)
+      const query = BSON.deserialize(message.subarray(nameEnd + 9))
+      const body = BSON.serialize(run(query.$query || query))
+      const prefix = Buffer.alloc(20)
+      prefix.writeInt32LE(1, 16)
+      return Buffer.concat([header(16 + 20 + body.length, responseTo, OP_REPLY), prefix, body])
+    }
+    if (opCode !== OP_MSG) return null
+    const flags = message.readUInt32LE(16)
+    const end = message.length - (flags & CHECKSUM_PRESENT ? 4 : 0)
+    let body = {}
+    const sequences = {}
+    for (let offset = 20; offset < end;) {
+      const kind = message[offset]
+      if (kind === 0) {
+        const size = message.readInt32LE(offset + 1)
+        body = BSON.deserialize(message.subarray(offset + 1, offset + 1 + size))
+        offset += 1 + size
+      } else {
+        const size = message.readInt32LE(offset + 1)
+        const sectionEnd = offset + 1 + size
+        const identifierEnd = message.indexOf(0, offset + 5)
+        const identifier = message.toString('utf8', offset + 5, identifierEnd)
+        sequences[identifier] = []
+        for (let docOffset = identifierEnd + 1; docOffset < sectionEnd;) {
+          const docSize = message.readInt32LE(docOffset)
+          sequences[identifier].push(BSON.deserialize(message.subarray(docOffset, docOffset + docSize)))
+          docOffset += docSize
+        }
+        offset = sectionEnd
+      }
+    }
+    const result = BSON.serialize(run({ ...body, ...sequences }))
+    if (flags & MORE_TO_COME) return null
+    return Buffer.concat([header(16 + 5 + result.length, responseTo, OP_MSG), Buffer.alloc(5), result])
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+    socket.on('error', () => socket.destroy())
+    let pending = Buffer.alloc(0)
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk])
+      while (pending.length >= 4 && pending.length >= pending.readInt32LE(0)) {
+        const length = pending.readInt32LE(0)
+        const response = respond(pending.subarray(0, length))
+        pending = pending.subarray(length)
+        if (response) socket.write(response)
+      }
+    })
+  })
+
+  return {
+    collections,
+    commands,
+    // the stored documents of a collection, mongoose names them after the model, lowercased and pluralized
+    docs: name => collection(name).docs,
+    reset: () => collections.clear(),
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy())
+      server.close(() => resolve())
+    })
+  }
+}
+
+module.exports = createMongoStandIn
@@ -0,0 +1,155 @@
+const net = require('net')
+
+const bulk = (value) => value === null ? '$-1' : `$${Buffer.byteLength(value)}\r\n${value}`
+
+const read = (store, key) => {
+  const entry = store.get(key)
+  if (!entry) return null
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    store.delete(key)
+    return null
+  }
+  return entry.value
+}
+
+// the lua scripts the api evaluates, by their source, run against the store with their keys and arguments
+const SCRIPTS = {
+  "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end": (store, [key], [value]) => {
+    if (read(store, key) !== value) return ':0'
+    store.delete(key)
+    return ':1'
+  }
+}
+
+// the handful of commands the api uses, values live in `store` as { value, expiresAt }, a hash keeps a Map as its value
+const COMMANDS = {
+  PING: () => '+PONG',
+  QUIT: () => '+OK',
+  SELECT: () => '+OK',
+  INFO: () => bulk('# Server\r\nredis_version:6.2.0\r\nloading:0\r\n'),
+  GET: (store, [key]) => bulk(read(store, key)),
+  SET: (store, [key, value, ...options]) => {
+    const flags = options.map(option => String(option).toUpperCase())
+    const current = store.get(key)
+    if (flags.includes('NX') && read(store, key) !== null) return '$-1'
+    let expiresAt = null
+    if (flags.includes('EX')) expiresAt = Date.now() + Number(options[flags.indexOf('EX') + 1]) * 1000
+    if (flags.includes('PX')) expiresAt = Date.now() + Number(options[flags.indexOf('PX') + 1])
+    if (flags.includes('KEEPTTL') && current) expiresAt = current.expiresAt
+    store.set(key, { value, expiresAt })
+    return '+OK'
+  },
+  DEL: (store, keys) => `:${keys.filter(key => read(store, key) !== null && store.delete(key)).length}`,
+  EXISTS: (store, keys) => `:${keys.filter(key => read(store, key) !== null).length}`,
+  INCR: (store, [key]) => COMMANDS.INCRBY(store, [key, '1']),
+  INCRBY: (store, [key, by]) => {
+    const current = read(store, key)
+    const value = String(Number(current || 0) + Number(by))
+    store.set(key, { value, expiresAt: current === null ? null : store.get(key).expiresAt })
+    return `:${value}`
+  },
+  EXPIRE: (store, [key, seconds]) => {
+    if (read(store, key) === null) return ':0'
+    store.get(key).expiresAt = Date.now() + Number(seconds) * 1000
+    return ':1'
+  },
+  HSET: (store, [key, ...pairs]) => {
+    if (read(store, key) === null) store.set(key, { value: new Map(), expiresAt: null })
+    const hash = store.get(key).value
+    let added = 0
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) added++
+      hash.set(pairs[i], pairs[i + 1])
+    }
+    return `:${added}`
+  },
+  HGET: (store, [key, field]) => {
+    const hash = read(store, key)
+    return bulk(hash && hash.has(field) ? hash.get(field) : null)
+  },
+  HGETALL: (store, [key]) => {
+    const entries = [...(read(store, key) || new Map()).entries()]
+    return [`*${entries.length * 2}`, ...[].concat(...entries).map(bulk)].join('\r\n')
+  },
+  HDEL: (store, [key, ...fields]) => {
+    const hash = read(store, key)
+    if (!hash) return ':0'
+    const removed = fields.filter(field => hash.delete(field)).length
+    if (!hash.size) store.delete(key)
+    return `:${removed}`
+  },
+  EVAL: (store, [script, count, ...rest]) => {
+    const run = SCRIPTS[script]
+    if (!run) return '-ERR the redis stand-in does not know this script'
+    return run(store, rest.slice(0, Number(count)), rest.slice(Number(count)))
+  },
+  TTL: (store, [key]) => {
+    if (read(store, key) === null) return ':-2'
+    const { expiresAt } = store.get(key)
+    return expiresAt === null ? ':-1' : `:${Math.ceil((expiresAt - Date.now()) / 1000)}`
+  }
+}
+
+// reads one RESP array of bulk strings from the start of buffer, null until it is complete
+const parseCommand = (buffer) => {
+  const lineEnd = (from) => buffer.indexOf('\r\n', from)
+  let end = lineEnd(0)
+  if (end === -1) return null
+  const count = Number(buffer.slice(1, end).toString())
+  let offset = end + 2
+  const args = []
+  for (let i = 0; i < count; i++) {
+    end = lineEnd(offset)
+    if (end === -1) return null
+    const length = Number(buffer.slice(offset + 1, end).toString())
+    if (buffer.length < end + 2 + length + 2) return null
+    args.push(buffer.slice(end + 2, end + 2 + length).toString())
+    offset = end + 2 + length + 2
+  }
+  return { args, rest: buffer.slice(offset) }
+}
+
+/**
+ * Redis stand-in speaking just enough RESP for the redis client, so redis backed features run offline.
+ */
+const createRedisStandIn = () => {
+  const store = new Map()
+  const sockets = new Set()
+  const failures = []
+  const server = net.createServer((socket) => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+    let buffer = Buffer.alloc(0)
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data])
+      let command = parseCommand(buffer)
+      while (command) {
+        buffer = command.rest
+        const [name, ...args] = command.args
+        const handler = COMMANDS[String(name).toUpperCase()]
+        const failure = failures.findIndex(item => item.command === String(name).toUpperCase() && (!item.key || String(args[0]).startsWith(item.key)))
+        if (failure !== -1) socket.write(`-ERR ${failures.splice(failure, 1)[0].message}\r\n`)
+        else socket.write((handler ? handler(store, args) : `-ERR unknown command '${name}'`) + '\r\n')
+        if (String(name).toUpperCase() === 'QUIT') return socket.end()
+        command = parseCommand(buffer)
+      }
+    })
+  })
+
+  return {
+    store,
+    // the next `command` (on a key starting with `key` when given) answers an error instead
+    failNext (command, key, message = 'the redis stand-in failed this command') {
+      failures.push({ command: command.toUpperCase(), key, message })
+    },
+    listen () {
+      return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)))
+    },
+    close () {
+      sockets.forEach(socket => socket.destroy())
+      return new Promise(resolve => server.listening ? server.close(() => resolve()) : resolve())
+    }
+  }
+}
+
+module.exports = createRedisStandIn
@@ -0,0 +1,78 @@
+// Evaluates magento searchCriteria query parameters against fixture records
+
+const asList = (value) => {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : Object.values(value)
+}
+
+const likeToRegExp = (pattern) => {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp('^' + escaped.replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i')
+}
+
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+
+const compare = (actual, expected) => {
+  const a = Number(actual)
+  const b = Number(expected)
+  if (!isNaN(a) && !isNaN(b)) return a - b
+  return String(actual).localeCompare(String(expected))
+}
+
+const matchesValue = (actual, conditionType, expected) => {
+  switch (conditionType) {
+    case 'eq': return sameValue(actual, expected)
+    case 'neq': return !sameValue(actual, expected)
+    case 'like': return likeToRegExp(expected).test(String(actual))
+    case 'nlike': return !likeToRegExp(expected).test(String(actual))
+    case 'in': return String(expected).split(',').some(value => sameValue(actual, value))
+    case 'nin': return !String(expected).split(',').some(value => sameValue(actual, value))
+    case 'finset': return String(actual).split(',').some(value => sameValue(value, expected))
+    case 'gt': return compare(actual, expected) > 0
+    case 'gteq':
+    case 'from': return compare(actual, expected) >= 0
+    case 'lt': return compare(actual, expected) < 0
+    case 'lteq':
+    case 'to': return compare(actual, expected) <= 0
+    default: throw new Error(`Unsupported condition type ${conditionType}`)
+  }
+}
+
+const matchesFilter = (record, filter, resolveField) => {
+  const conditionType = filter.conditionType || filter.condition_type || 'eq'
+  const actual = resolveField(record, filter.field)
+  const values = Array.isArray(actual) ? actual : [actual]
+  const present = values.filter(value => value !== undefined && value !== null && value !== '')
+  if (conditionType === 'null') return !present.length
+  if (conditionType === 'notnull') return present.length > 0
+  if (conditionType === 'neq' || conditionType === 'nin' || conditionType === 'nlike') {
+    return present.every(value => matchesValue(value, conditionType, filter.value))
+  }
+  return present.some(value => matchesValue(value, conditionType, filter.value))
+}
+
+// top level field first, then custom attributes, the way magento resolves EAV attributes
+const defaultResolveField = (record, field) => {
+  if (record[field] !== undefined) return record[field]
+  const attribute = (record.custom_attributes || []).find(attr => attr.attribute_code === field)
+  return attribute ? attribute.value : undefined
+}
+
+const search = (records, searchCriteria, resolveField = defaultResolveField) => {
+  const criteria = searchCriteria && typeof searchCriteria === 'object' ? searchCriteria : {}
+  const groups = asList(criteria.filterGroups || criteria.filter_groups).map(group => asList(group.filters))
+  let items = records.filter(record => groups.every(filters => !filters.length || filters.some(filter => matchesFilter(record, filter, resolveField))))
+
+  asList(criteria.sortOrders || criteria.sort_orders).reverse().forEach(sortOrder => {
+    const direction = String(sortOrder.direction || 'ASC').toUpperCase() === 'DESC' ? -1 : 1
+    items = items.slice().sort((a, b) => direction * compare(resolveField(a, sortOrder.field), resolveField(b, sortOrder.field)))
+  })
+
+  const totalCount = items.length
+  const pageSize = Number(criteria.pageSize || criteria.page_size) || 0
+  const currentPage = Number(criteria.currentPage || criteria.current_page) || 1
+  if (pageSize) items = items.slice((currentPage - 1) * pageSize, currentPage * pageSize)
+  return { items, search_criteria: criteria, total_count: totalCount }
+}
+
+module.exports = { search, defaultResolveField }
@@ -0,0 +1,149 @@
+const express = require('express')
+const http = require('http')
+const magento = require('./magento')
+const shiprocket = require('./shiprocket')
+const cashfree = require('./cashfree')
+const maps = require('./maps')
+const media = require('./media')
+const whatsapp = require('./whatsapp')
+const elastic = require('./elastic')
+const createRedisStandIn = require('./redis')
+const createMongoStandIn = require('./mongo')
+
+const fixture = (name) => JSON.parse(JSON.stringify(require(`./fixtures/${name}.json`)))
+
+const freshState = () => ({
+  products: fixture('products'),
+  attributes: fixture('attributes'),
+  stock: fixture('stock'),
+  reservations: {},
+  catalogRules: fixture('catalogRules'),
+  categories: fixture('categories'),
+  customers: fixture('customers'),
+  countries: fixture('countries'),
+  orders: fixture('orders'),
+  quotes: [],
+  invoices: [],
+  // magento's shipping settings: the flat rate and the minimum order amount of free shipping
+  shippingRates: { flatRate: 99, freeShippingFrom: 999 },
+  salesRules: fixture('salesRules'),
+  coupons: fixture('coupons'),
+  shipments: fixture('shipments'),
+  tracking: fixture('tracking'),
+  serviceability: fixture('serviceability'),
+  shiprocketOrders: fixture('shiprocketOrders'),
+  geocodes: fixture('geocodes'),
+  pickupLocations: fixture('pickupLocations'),
+  links: [],
+  indices: {},
+  messages: [],
+  adminLogins: 0,
+  adminTokens: new Set(),
+  failures: [],
+  calls: []
+})
+
+/**
+ * Stand-in for the Magento REST and media, Shiprocket, Cashfree, Google Maps, WhatsApp Cloud and Elasticsearch APIs used by the product service, and for redis and mongo.
+ * Serves fixture data so the api can be exercised offline, see env() for the variables to point the app at it.
+ */
+const createStandIn = () => {
+  const state = freshState()
+  const app = express()
+  app.use(express.json())
+
+  app.use((req, res, next) => {
+    state.calls.push({ method: req.method, path: req.path, query: req.query })
+    const index = state.failures.findIndex(failure => failure.method === req.method && failure.path === req.path)
+    if (index === -1) return next()
+    const [failure] = state.failures.splice(index, 1)
+    res.status(failure.status).json(failure.body)
+  })
+
+  const magentoRouter = magento(state)
+  app.use('/rest/default', magentoRouter)
+  app.use('/rest', magentoRouter)
+  app.use('/shiprocket/v1/external', shiprocket(state))
+  app.use('/cashfree', cashfree(state))
+  app.use('/maps/api', maps(state))
+  app.use('/media', media(state))
+  app.use('/whatsapp', whatsapp(state))
+  app.use('/elastic', elastic(state))
+
+  const standIn = {
+    app,
+    state,
+    server: null,
+    origin: null,
+    redis: createRedisStandIn(),
+    redisPort: null,
+    mongo: createMongoStandIn(),
+    mongoPort: null,
+    async listen (port = 0) {
+      standIn.redisPort = await standIn.redis.listen()
+      standIn.mongoPort = await standIn.mongo.listen()
+      return new Promise((resolve) => {
+        standIn.server = http.createServer(app).listen(port, '127.0.0.1', () => {
+          standIn.origin = `http://127.0.0.1:${standIn.server.address().port}`
+          resolve(standIn)
+        })
+      })
+    },
+    async close () {
+      await standIn.redis.close()
+      await standIn.mongo.close()
+      return new Promise(resolve => standIn.server ? standIn.server.close(() => resolve()) : resolve())
+    },
+    // the next matching request gets this response instead of the fixture one
+    failNext (method, path, status, body = { message: 'Service Unavailable' }) {
+      state.failures.push({ method, path, status, body })
+    },
+    revokeTokens () {
+      state.adminTokens.clear()
+    },
+    callsTo (method, path) {
+      return state.calls.filter(call => call.method === method && (path instanceof RegExp ? path.test(call.path) : call.path === path))
+    },
+    env () {
+      return {
+        MAGENTO_BASE_URL: `${standIn.origin}/rest`,
+        MAGENTO_USERNAME: magento.ADMIN_USERNAME,
+        MAGENTO_PASSWORD: magento.ADMIN_PASSWORD,
+        MAGENTO_MEDIA_BASE_URL: `${standIn.origin}/media/catalog/product`,
+        SHIPROCKET_BASE_URL: `${standIn.origin}/shiprocket/v1/external`,
+        SHIPROCKET_EMAIL: shiprocket.SHIPROCKET_EMAIL,
+        SHIPROCKET_PASSWORD: shiprocket.SHIPROCKET_PASSWORD,
+        SHIPROCKET_PICKUP_POSTCODE: '400706',
+        CF_BASE_URL: `${standIn.origin}/cashfree`,
+        CF_CLIENT_ID: cashfree.CLIENT_ID,
+        CF_CLIENT_SECRET: cashfree.CLIENT_SECRET,
+        API_VERSION: '2023-08-01',
+        GOOGLE_MAPS_BASE_URL: `${standIn.origin}/maps/api`,
+        GOOGLE_MAPS_API_KEY: maps.API_KEY,
+        WHATSAPP_BASE_URL: `${standIn.origin}/whatsapp`,
+        WHATSAPP_PHONE_NUMBER_ID: whatsapp.PHONE_NUMBER_ID,
+        WHATSAPP_ACCESS_TOKEN: whatsapp.ACCESS_TOKEN,
+        // elasticsearch is only used when ELASTIC_INIT_SEARCH = true
+        ELASTIC_NODE: `${standIn.origin}/elastic`,
+        ELASTIC_USERNAME: elastic.USERNAME,
+        ELASTIC_PASSWORD: elastic.PASSWORD,
+        // redis is only used when REDIS_INIT = true
+        REDIS_HOST: '127.0.0.1',
+        REDIS_PORT: String(standIn.redisPort),
+        REDIS_NO_READY_CHECK: 'true',
+        // mongo is only used when MONGO_INIT = true
+        MONGO_URL: `mongodb://127.0.0.1:${standIn.mongoPort}/standin?directConnection=true`
+      }
+    }
+  }
+  return standIn
+}
+
+if (require.main === module) {
+  createStandIn().listen(+process.env.STAND_IN_PORT || 4010).then((standIn) => {
+    console.log('Stand-in listening on', standIn.origin, '\nAdd these to your .env to run the api offline:\n')
+    Object.entries(standIn.env()).forEach(([key, value]) => console.log(`${key} = ${value}`))
+  })
+}
+
+module.exports = createStandIn
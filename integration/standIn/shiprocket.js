@@ -0,0 +1,47 @@
+const express = require('express')
+
+const SHIPROCKET_EMAIL = 'standin@sparkyjeans.in'
+const SHIPROCKET_PASSWORD = 'standin-shiprocket'
+const SHIPROCKET_TOKEN = 'standin-shiprocket-token'
+
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.post('/auth/login', (req, res) => {
+    if (!req.body || req.body.email !== SHIPROCKET_EMAIL || req.body.password !== SHIPROCKET_PASSWORD) {
+      return res.status(400).json({ message: 'Invalid email and password combination', status_code: 400 })
+    }
+    res.json({ id: 1, email: SHIPROCKET_EMAIL, token: SHIPROCKET_TOKEN })
+  })
+
+  router.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${SHIPROCKET_TOKEN}`) return res.status(401).json({ message: 'Token has expired', status_code: 401 })
+    next()
+  })
+
+  // couriers for the pickup and delivery pincodes, with cod=1 only those collecting cash
+  router.get('/courier/serviceability', (req, res) => {
+    const { pickup_postcode: pickup, delivery_postcode: delivery, cod } = req.query
+    if (!pickup || !delivery) return res.status(422).json({ message: 'The pickup postcode and delivery postcode fields are required.', status_code: 422 })
+    const couriers = (state.serviceability[delivery] || []).filter(courier => String(cod) !== '1' || courier.cod === 1)
+    if (!couriers.length) return res.status(404).json({ message: `No courier serviceable for delivery postcode ${delivery}`, status: 404 })
+    res.json({ status: 200, data: { available_courier_companies: couriers } })
+  })
+
+  router.get('/orders', (req, res) => {
+    const search = String(req.query.search || '')
+    const orders = state.shiprocketOrders.filter(order => !search || order.customer_phone.includes(search) || order.channel_order_id === search)
+    res.json({ data: orders, meta: { pagination: { total: orders.length, count: orders.length, per_page: +req.query.per_page || 15, current_page: 1, total_pages: 1 } } })
+  })
+
+  router.get('/courier/track/awb/:awb', (req, res) => {
+    const tracking = state.tracking[req.params.awb]
+    if (!tracking) return res.json({ tracking_data: { track_status: 0, shipment_status: 0, error: 'Aahh! There is no activities found in our DB. Please have some patience it will be updated soon.' } })
+    res.json(tracking)
+  })
+
+  return router
+}
+
+module.exports.SHIPROCKET_EMAIL = SHIPROCKET_EMAIL
+module.exports.SHIPROCKET_PASSWORD = SHIPROCKET_PASSWORD
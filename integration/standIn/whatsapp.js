@@ -0,0 +1,28 @@
+const express = require('express')
+
+const PHONE_NUMBER_ID = 'standin-phone-number-id'
+const ACCESS_TOKEN = 'standin-whatsapp-token'
+
+const whatsappError = (res, status, message, code) => res.status(status).json({ error: { message, type: 'OAuthException', code } })
+
+// every template sent is kept in state.messages as { to, template, parameters, id }
+module.exports = (state) => {
+  const router = express.Router()
+
+  router.post('/:phoneNumberId/messages', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) return whatsappError(res, 401, 'Invalid OAuth access token.', 190)
+    if (req.params.phoneNumberId !== PHONE_NUMBER_ID) return whatsappError(res, 400, 'Unsupported post request.', 100)
+    const body = req.body || {}
+    if (!/^[0-9]{10,15}$/.test(body.to || '')) return whatsappError(res, 400, '(#131030) Recipient phone number not in allowed list', 131030)
+    const template = body.template || {}
+    const parameters = (template.components || []).flatMap(component => (component.parameters || []).map(parameter => parameter.text))
+    const message = { to: body.to, template: template.name, parameters, id: `wamid.standin${state.messages.length + 1}` }
+    state.messages.push(message)
+    res.json({ messaging_product: 'whatsapp', contacts: [{ input: body.to, wa_id: body.to }], messages: [{ id: message.id }] })
+  })
+
+  return router
+}
+
+module.exports.PHONE_NUMBER_ID = PHONE_NUMBER_ID
+module.exports.ACCESS_TOKEN = ACCESS_TOKEN
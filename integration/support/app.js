@@ -0,0 +1,51 @@
+const { once } = require('events')
+const createStandIn = require('../standIn/server')
+
+/**
+ * Boots app.js against a fresh stand-in, every test file gets its own process so config is read once per file.
+ * Extra env (e.g. feature flags) can be passed in and is applied before the app is required.
+ */
+const startApp = async (env = {}) => {
+  const standIn = await createStandIn().listen()
+  Object.assign(process.env, {
+    PORT: '0',
+    REDIS_INIT: 'false',
+    MONGO_INIT: 'false',
+    DEBUG_MODE: 'false'
+  }, standIn.env(), env)
+
+  const { worker } = require('../../app')
+  await worker.startServer()
+  const server = worker.app.server
+  if (!server.listening) await once(server, 'listening')
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`
+
+  const request = async (method, path, { body, headers } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const text = await response.text()
+    let json = null
+    try { json = JSON.parse(text) } catch (err) { json = null }
+    return { status: response.status, body: json, text, headers: response.headers }
+  }
+
+  return {
+    standIn,
+    baseUrl,
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    stop: async () => {
+      await new Promise(resolve => server.close(() => resolve()))
+      // quit redis first, a dropped connection makes the redis lib exit the process
+      await require('../../lib/db').redis.close()
+      await require('../../lib/db').mongo.close()
+      await standIn.close()
+    }
+  }
+}
+
+module.exports = { startApp }
@@ -0,0 +1,48 @@
+const crypto = require('crypto')
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./support/app')
+const { CLIENT_SECRET } = require('./standIn/cashfree')
+
+describe('/api/webhook/cashfree without mongo', () => {
+  let app
+
+  before(async () => { app = await startApp() })
+  after(async () => { await app.stop() })
+
+  const event = {
+    type: 'PAYMENT_LINK_EVENT',
+    event_time: new Date().toISOString(),
+    data: { link_id: 'order_000000501', link_status: 'PAID', link_amount: 573.05, link_amount_paid: 573.05 }
+  }
+  const sign = (body, timestamp, secret = CLIENT_SECRET) => crypto.createHmac('sha256', secret).update(timestamp + JSON.stringify(body)).digest('base64')
+  const deliver = (body, { timestamp = String(Date.now()), signature } = {}) => app.post('/webhook/cashfree', body, {
+    headers: { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature === undefined ? sign(body, timestamp) : signature }
+  })
+
+  it('answers 503 without mongo so cashfree retries the event', async () => {
+    const { status, body } = await deliver(event)
+    assert.deepEqual([status, body.code], [503, 5003])
+  })
+
+  it('refuses events without a matching signature', async () => {
+    const timestamp = String(Date.now())
+    const forged = await deliver(event, { timestamp, signature: sign(event, timestamp, 'someone-else') })
+    assert.deepEqual([forged.status, forged.body.error], [401, 'The webhook signature does not match'])
+    const tampered = await deliver({ ...event, data: { ...event.data, link_amount_paid: 1 } }, { timestamp, signature: sign(event, timestamp) })
+    assert.equal(tampered.status, 401)
+    const unsigned = await deliver(event, { signature: '' })
+    assert.deepEqual([unsigned.status, unsigned.body.error], [401, 'The webhook is not signed'])
+  })
+
+  it('refuses a replayed delivery', async () => {
+    const old = await deliver(event, { timestamp: String(Date.now() - 10 * 60 * 1000) })
+    assert.deepEqual([old.status, old.body.error], [401, 'The webhook timestamp is not recent, it is refused as a replay'])
+    assert.equal((await deliver(event, { timestamp: String(Date.now() + 10 * 60 * 1000) })).status, 401)
+  })
+
+  it('refuses a body that is not a cashfree event', async () => {
+    const { status } = await deliver({ data: {} })
+    assert.equal(status, 400)
+  })
+})
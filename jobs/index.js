@@ -0,0 +1,61 @@
+const __config = require('../config')
+const catalogSyncService = require('../services/catalog/CatalogSyncService')
+const backInStockService = require('../services/product/BackInStockService')
+const recoveryService = require('../services/order/RecoveryService')
+
+/**
+ * Background jobs, started once from the cluster master (or the single process) after the databases are up.
+ * A job is skipped while its previous run is still going, intervalMinutes of 0 disables it.
+ */
+const JOBS = [
+  {
+    name: 'catalogSync',
+    intervalMinutes: () => __config.catalogMirror.syncIntervalMinutes,
+    run: () => catalogSyncService.sync()
+  },
+  {
+    name: 'backInStock',
+    intervalMinutes: () => __config.backInStock.checkIntervalMinutes,
+    run: () => backInStockService.checkStock()
+  },
+  {
+    name: 'recovery',
+    intervalMinutes: () => __config.recovery.checkIntervalMinutes,
+    run: () => recoveryService.run()
+  }
+]
+
+class Jobs {
+  constructor () {
+    this.timers = []
+  }
+
+  start () {
+    JOBS.forEach((job) => {
+      const intervalMinutes = job.intervalMinutes()
+      if (!intervalMinutes) return
+      let running = false
+      const tick = async () => {
+        if (running) return
+        running = true
+        try {
+          await job.run()
+        } catch (err) {
+          console.log(`Error in ${job.name} job :: err`, err.err || err.message || err)
+        } finally {
+          running = false
+        }
+      }
+      console.log(`Starting ${job.name} job every ${intervalMinutes} minutes`)
+      this.timers.push(setInterval(tick, intervalMinutes * 60 * 1000))
+      tick()
+    })
+  }
+
+  stop () {
+    this.timers.forEach(timer => clearInterval(timer))
+    this.timers = []
+  }
+}
+
+module.exports = new Jobs()
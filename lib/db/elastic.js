@@ -1,11 +1,10 @@
 const { Client } = require('@elastic/elasticsearch');
 const __config = require('./../../config')
 let client = {}
-if (__config.elastic.trackUserActivtyLogs) {
+if (__config.elastic.trackUserActivtyLogs || __config.elastic.initSearch) {
   client = new Client({
-    cloud: {
-      id: __config.elastic.cloudId
-    },
+    // ELASTIC_NODE points at a self hosted cluster, otherwise the elastic cloud deployment is used
+    ...(__config.elastic.node ? { node: __config.elastic.node } : { cloud: { id: __config.elastic.cloudId } }),
     auth: {
       username: __config.elastic.username,
       password: __config.elastic.password
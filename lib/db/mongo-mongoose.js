@@ -46,6 +46,11 @@ class MongoDb { // Singleton
     }
   }
 
+  // true while mongoose is connected, services that keep their data in mongo answer DATABASE_NOT_CONNECTED otherwise
+  isConnected() {
+    return this.connection.readyState === 1;
+  }
+
   async close() {
     if (__config.mongo.init) {
       try {
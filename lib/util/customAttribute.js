@@ -0,0 +1,5 @@
+// value of a magento custom attribute of a product, undefined when the product does not have it
+module.exports = (product, code) => {
+  const attribute = (product.custom_attributes || []).find(attr => attr.attribute_code === code)
+  return attribute ? attribute.value : undefined
+}
@@ -76,6 +76,19 @@ class redis_lib {
     })
   }
 
+  // Sets the key with an expiry only when it does not exist, resolves true when it was set.
+  setnx_ex (key, value, expiry_sec) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.set(key, value, 'EX', expiry_sec, 'NX', (error, result) => {
+          if (error) { reject(error) } else { resolve(result === 'OK') }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
+
   keep_ttl (key, value) {
     return new Promise((resolve, reject) => {
       if (this.connection) {
@@ -276,5 +289,20 @@ class redis_lib {
       }
     })
   }
+
+  // Deletes the key only while it still holds value, in one step on the server. Resolves true when it was deleted.
+  key_delete_if (key, value) {
+    return new Promise((resolve, reject) => {
+      if (this.connection) {
+        this.connection.eval(redis_lib.DELETE_IF_EQUAL_SCRIPT, 1, key, value, (err, result) => {
+          if (err) { reject(err) } else { resolve(result === 1) }
+        })
+      } else {
+        reject(new Error('redis connection failed'))
+      }
+    })
+  }
 }
+redis_lib.DELETE_IF_EQUAL_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end"
+
 module.exports = redis_lib
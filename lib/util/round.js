@@ -0,0 +1,2 @@
+// rupee amounts to paise, the precision magento keeps
+module.exports = (amount) => Math.round(amount * 100) / 100
@@ -0,0 +1,7 @@
+// an error the controllers answer with its response type, err is the message sent to the client
+module.exports = (type, message) => {
+  const error = new Error(message)
+  error.type = type
+  error.err = message
+  return error
+}
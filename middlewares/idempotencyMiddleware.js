@@ -0,0 +1,69 @@
+const crypto = require('crypto')
+const __db = require('./../lib/db')
+const __constants = require('./../config/constants')
+const __config = require('./../config')
+
+// the same body with its keys in another order is the same request
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+const fingerprintOf = (req) => crypto.createHash('sha256').update(canonical(req.body || {})).digest('hex')
+
+/**
+ * Makes a route safe to retry: a request sent with an Idempotency-Key header runs once and its response is kept in redis
+ * for IDEMPOTENCY_TTL_SECONDS. A repeat of the key with the same body gets the stored response (with Idempotent-Replayed: true),
+ * with another body 422 (IDEMPOTENCY_KEY_REUSED), and while the first request is still running 409 (IDEMPOTENCY_REQUEST_IN_PROGRESS).
+ * Server errors (5xx) are not kept so the request can be retried with the same key. Requests without the header,
+ * or while redis is not connected, run as usual.
+ * @example router.post('/placingOrder', validation, idempotency.route(), placingOrder)
+ */
+const idempotent = () => {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key')
+    if (idempotencyKey === undefined) return next()
+    if (!new RegExp(__constants.VALIDATOR.idempotencyKey).test(idempotencyKey)) {
+      return res.sendJson({ type: __constants.RESPONSE_MESSAGES.INVALID_REQUEST, err: 'Idempotency-Key must be 1 to 255 printable characters without spaces' })
+    }
+    if (!__db.redis.connection) {
+      console.log(`Idempotency-Key ${idempotencyKey} not checked, redis is not connected`)
+      return next()
+    }
+    const key = `${__constants.IDEMPOTENCY_KEY_PREFIX}${req.baseUrl}${req.path}:${idempotencyKey}`
+    const fingerprint = fingerprintOf(req)
+    try {
+      const claimed = await __db.redis.setnx_ex(key, JSON.stringify({ fingerprint, done: false }), __constants.IDEMPOTENCY_LOCK_TTL)
+      if (!claimed) {
+        const stored = JSON.parse(await __db.redis.get(key)) || { fingerprint, done: false }
+        if (stored.fingerprint !== fingerprint) {
+          return res.sendJson({ type: __constants.RESPONSE_MESSAGES.IDEMPOTENCY_KEY_REUSED, err: `Idempotency-Key ${idempotencyKey} was already used for a request with another body` })
+        }
+        if (!stored.done) {
+          return res.sendJson({ type: __constants.RESPONSE_MESSAGES.IDEMPOTENCY_REQUEST_IN_PROGRESS, err: `The request with Idempotency-Key ${idempotencyKey} is still being processed, try again shortly` })
+        }
+        res.set('Idempotent-Replayed', 'true')
+        return res.status(stored.status).json(stored.body)
+      }
+    } catch (err) {
+      console.log('Error in idempotency :: ', err.message)
+      return next()
+    }
+    const json = res.json
+    res.json = (body) => {
+      const saved = res.statusCode >= 500
+        ? __db.redis.key_delete(key)
+        : __db.redis.setex(key, JSON.stringify({ fingerprint, done: true, status: res.statusCode, body }), __config.idempotency.ttl)
+      saved.catch(err => console.log('Error in storing the idempotent response :: ', err.message))
+      return json.call(res, body)
+    }
+    next()
+  }
+}
+
+module.exports = {
+  route: idempotent
+}
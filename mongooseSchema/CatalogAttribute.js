@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const schema = new Schema({
+  attributeId: {
+    type: Number,
+    unique: true
+  },
+  attributeCode: {
+    type: String
+  },
+  label: {
+    type: String
+  },
+  options: {
+    type: Array
+  },
+  syncedAt: {
+    type: Date
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('CatalogAttribute', schema)
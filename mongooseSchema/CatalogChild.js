@@ -0,0 +1,33 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// simple products of the mirrored configurables with their salable quantity and catalog rule price
+const schema = new Schema({
+  productId: {
+    type: Number,
+    unique: true
+  },
+  sku: {
+    type: String,
+    unique: true
+  },
+  stock: {
+    type: Number,
+    default: 0
+  },
+  rulePrice: {
+    type: Number,
+    default: null
+  },
+  magentoUpdatedAt: {
+    type: String
+  },
+  data: {
+    type: Object
+  },
+  syncedAt: {
+    type: Date
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('CatalogChild', schema)
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// configurable products mirrored from magento, `data` is the product payload as magento returned it
+const schema = new Schema({
+  productId: {
+    type: Number,
+    unique: true
+  },
+  sku: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: Number
+  },
+  visibility: {
+    type: Number
+  },
+  categoryIds: {
+    type: [String],
+    index: true
+  },
+  childIds: {
+    type: [Number]
+  },
+  magentoUpdatedAt: {
+    type: String,
+    index: true
+  },
+  data: {
+    type: Object
+  },
+  // in-stock sizes, colors, fits, lowest price and inStock as DropFilters describes the product
+  facets: {
+    type: Object
+  },
+  syncedAt: {
+    type: Date
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('CatalogProduct', schema)
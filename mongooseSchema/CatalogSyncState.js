@@ -0,0 +1,24 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// one document per synced catalog, `cursor` is the newest magento updated_at seen so far
+const schema = new Schema({
+  name: {
+    type: String,
+    unique: true
+  },
+  cursor: {
+    type: String
+  },
+  lastFullSyncAt: {
+    type: Date
+  },
+  lastIncrementalSyncAt: {
+    type: Date
+  },
+  lastRun: {
+    type: Object
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('CatalogSyncState', schema)
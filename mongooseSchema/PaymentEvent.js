@@ -0,0 +1,57 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// one cashfree webhook delivery, kept as received with what it did to the magento order
+const schema = new Schema({
+  // x-idempotency-key of the delivery, or the sha256 of its body, cashfree retries send the same event again
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  eventTime: {
+    type: Date
+  },
+  linkId: {
+    type: String,
+    index: true
+  },
+  cfOrderId: {
+    type: String
+  },
+  cfPaymentId: {
+    type: String
+  },
+  amount: {
+    type: Number
+  },
+  // received while it is handled (for at most PAYMENT_EVENT_LEASE), then invoiced, ignored (not a payment or no order to invoice), already_invoiced,
+  // amount_mismatch and order_closed (the team has to look at the order) or failed (handled again when cashfree retries)
+  status: {
+    type: String,
+    enum: ['received', 'invoiced', 'ignored', 'already_invoiced', 'amount_mismatch', 'order_closed', 'failed'],
+    default: 'received'
+  },
+  orderId: {
+    type: Number
+  },
+  incrementId: {
+    type: String
+  },
+  invoiceId: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  payload: {
+    type: Object,
+    required: true
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('PaymentEvent', schema)
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// the magento order a cashfree payment link pays, kept when the link is created so its payment can invoice the order
+const schema = new Schema({
+  linkId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: Number,
+    required: true
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('PaymentLinkOrder', schema)
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// a customer who asked not to get cart or payment reminders
+const schema = new Schema({
+  whatsappNumber: {
+    type: String,
+    required: true,
+    unique: true
+  }
+},
+{ timestamps: true })
+module.exports = mongoose.model('RecoveryOptOut', schema)
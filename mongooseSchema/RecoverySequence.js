@@ -0,0 +1,94 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// one whatsapp reminder of a sequence, with the fresh link or the incentive code it carried
+const reminderSchema = new Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  },
+  linkId: {
+    type: String
+  },
+  linkUrl: {
+    type: String
+  },
+  couponCode: {
+    type: String
+  },
+  messageId: {
+    type: String
+  }
+}, { _id: false })
+
+// the reminders sent for one abandoned cart or one unpaid payment link, kept after it ends to measure the recovery job
+const schema = new Schema({
+  kind: {
+    type: String,
+    enum: ['cart', 'payment_link'],
+    required: true
+  },
+  whatsappNumber: {
+    type: String,
+    required: true
+  },
+  // the link the customer did not pay, for kind payment_link
+  linkId: {
+    type: String
+  },
+  orderId: {
+    type: Number
+  },
+  name: {
+    type: String
+  },
+  // what was left unpaid: the link amount, or the cart total when the cart was found
+  amount: {
+    type: Number
+  },
+  // active while reminders are due, converted once the customer paid or ordered, opted_out when they asked for no reminders,
+  // replaced when the customer was sent a newer link, exhausted after the last reminder and failed when sending kept failing
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'opted_out', 'replaced', 'exhausted', 'failed'],
+    default: 'active'
+  },
+  nextReminderAt: {
+    type: Date
+  },
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  convertedAt: {
+    type: Date
+  },
+  // the link that was paid or the order that was placed
+  convertedBy: {
+    type: Object
+  },
+  endedAt: {
+    type: Date
+  }
+},
+{ timestamps: true })
+schema.index({ status: 1, nextReminderAt: 1 })
+schema.index({ whatsappNumber: 1, kind: 1, status: 1 })
+schema.index({ linkId: 1 }, { unique: true, sparse: true })
+schema.index({ 'reminders.linkId': 1 })
+module.exports = mongoose.model('RecoverySequence', schema)
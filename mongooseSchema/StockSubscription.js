@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// a customer waiting for one out of stock variant, one document per sku and number
+const schema = new Schema({
+  sku: {
+    type: String,
+    required: true
+  },
+  whatsappNumber: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  // active until the alert went out (notified), the customer opted out (unsubscribed) or sending kept failing (failed)
+  status: {
+    type: String,
+    enum: ['active', 'notified', 'unsubscribed', 'failed'],
+    default: 'active'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  notifiedAt: {
+    type: Date
+  }
+},
+{ timestamps: true })
+schema.index({ sku: 1, whatsappNumber: 1 }, { unique: true })
+schema.index({ status: 1, sku: 1 })
+module.exports = mongoose.model('StockSubscription', schema)
@@ -246,6 +246,56 @@ module.exports = {
     code: 5005,
     message: 'Something went wrong. Please try again later.'
   },
+  DATABASE_NOT_CONNECTED: {
+    status_code: 503,
+    code: 5003,
+    message: 'Database is not connected. Please try again later.'
+  },
+  SEARCH_NOT_AVAILABLE: {
+    status_code: 503,
+    code: 5004,
+    message: 'Product search is not available right now.'
+  },
+  PRODUCT_IN_STOCK: {
+    status_code: 409,
+    code: 4009,
+    message: 'The product is in stock.'
+  },
+  OUT_OF_STOCK: {
+    status_code: 409,
+    code: 4010,
+    message: 'Not enough stock.'
+  },
+  COUPON_NOT_APPLICABLE: {
+    status_code: 400,
+    code: 4011,
+    message: 'The coupon cannot be applied.'
+  },
+  COD_NOT_AVAILABLE: {
+    status_code: 400,
+    code: 4012,
+    message: 'Cash on delivery is not available for this order.'
+  },
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: {
+    status_code: 409,
+    code: 4013,
+    message: 'A request with this Idempotency-Key is still being processed.'
+  },
+  IDEMPOTENCY_KEY_REUSED: {
+    status_code: 422,
+    code: 4014,
+    message: 'The Idempotency-Key was already used for a different request.'
+  },
+  PICKUP_NOT_VERIFIED: {
+    status_code: 400,
+    code: 4015,
+    message: 'The pickup could not be verified.'
+  },
+  CHECKOUT_LINK_FAILED: {
+    status_code: 424,
+    code: 4016,
+    message: 'The payment link could not be created, the order was rolled back.'
+  },
   NOT_AUTHORIZED_JWT: {
     status_code: 401,
     code: 4001,
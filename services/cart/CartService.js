@@ -0,0 +1,214 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const catalogEnrichment = require('../product/CatalogEnrichment')
+const priceResolver = require('../product/PriceResolver')
+const couponService = require('./CouponService')
+const typedError = require('../../lib/util/typedError')
+const customAttribute = require('../../lib/util/customAttribute')
+const round = require('../../lib/util/round')
+
+const isSellable = (product) => !!product && product.type_id === 'simple' && Number(product.status) === 1
+
+/**
+ * Shopping cart of a whatsapp customer, kept in redis under CART_KEY_PREFIX + number as { items: [{ sku, name, qty, price, addedAt }], coupon }.
+ * Only skus, quantities and the coupon code are trusted from redis: stock, prices and the coupon are checked again every time the cart is shown.
+ * Every change and every view keeps the cart alive for another cart.ttl seconds.
+ */
+class CartService {
+  key (whatsappNumber) {
+    return __constants.CART_KEY_PREFIX + whatsappNumber
+  }
+
+  assertConnected () {
+    if (!__db.redis.connection) {
+      throw typedError(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED, __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+    }
+  }
+
+  async load (whatsappNumber) {
+    const raw = await __db.redis.get(this.key(whatsappNumber))
+    return raw ? JSON.parse(raw) : { items: [] }
+  }
+
+  // the last change of every cart is also kept in CART_ACTIVITY_KEY, the recovery job finds abandoned carts there
+  async save (whatsappNumber, cart) {
+    if (!cart.items.length) return this.drop(whatsappNumber)
+    const updatedAt = new Date().toISOString()
+    await __db.redis.setex(this.key(whatsappNumber), JSON.stringify({ ...cart, updatedAt }), __config.cart.ttl)
+    await __db.redis.hash_set(__constants.CART_ACTIVITY_KEY, whatsappNumber, updatedAt)
+  }
+
+  async drop (whatsappNumber) {
+    await __db.redis.key_delete(this.key(whatsappNumber))
+    await __db.redis.hash_delete(__constants.CART_ACTIVITY_KEY, whatsappNumber)
+  }
+
+  // current price and stock of one sku, only enabled simple products (a size or variant) can be bought
+  async quote (sku, whatsappNumber) {
+    const product = await magentoClient.get(`/V1/products/${encodeURIComponent(sku)}`)
+    if (!isSellable(product)) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'Only an enabled size or variant sku can be added to the cart')
+    const [stock, rulePrices] = await Promise.all([
+      catalogEnrichment.getAvailableStock([product.sku], whatsappNumber, { fresh: true }),
+      catalogEnrichment.getCatalogRulePrices([product])
+    ])
+    return { product, stock: stock[product.sku] || 0, price: catalogEnrichment.priceFields(product, rulePrices[product.sku]).price }
+  }
+
+  assertQuantity (name, qty, stock) {
+    if (qty > __constants.CART_MAX_QTY) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `At most ${__constants.CART_MAX_QTY} of one item can be ordered`)
+    if (qty > stock) throw typedError(__constants.RESPONSE_MESSAGES.OUT_OF_STOCK, stock ? `Only ${stock} of ${name} left` : `${name} is out of stock`)
+  }
+
+  async addItem (whatsappNumber, sku, qty = 1) {
+    this.assertConnected()
+    const { product, stock, price } = await this.quote(sku, whatsappNumber)
+    const cart = await this.load(whatsappNumber)
+    const line = cart.items.find(item => item.sku === product.sku)
+    if (!line && cart.items.length >= __constants.CART_MAX_ITEMS) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `A cart holds at most ${__constants.CART_MAX_ITEMS} items`)
+    }
+    this.assertQuantity(product.name, (line ? line.qty : 0) + qty, stock)
+    if (line) {
+      line.qty += qty
+      line.price = price
+    } else {
+      cart.items.push({ sku: product.sku, name: product.name, qty, price, addedAt: new Date().toISOString() })
+    }
+    await this.save(whatsappNumber, cart)
+    return this.getCart(whatsappNumber)
+  }
+
+  // a quantity of 0 removes the item
+  async updateItem (whatsappNumber, sku, qty) {
+    this.assertConnected()
+    const cart = await this.load(whatsappNumber)
+    const line = cart.items.find(item => item.sku === sku)
+    if (!line) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, `${sku} is not in the cart`)
+    if (qty === 0) return this.removeItem(whatsappNumber, sku)
+    const { product, stock, price } = await this.quote(sku, whatsappNumber)
+    this.assertQuantity(product.name, qty, stock)
+    line.qty = qty
+    line.price = price
+    await this.save(whatsappNumber, cart)
+    return this.getCart(whatsappNumber)
+  }
+
+  async removeItem (whatsappNumber, sku) {
+    this.assertConnected()
+    const cart = await this.load(whatsappNumber)
+    if (!cart.items.some(item => item.sku === sku)) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, `${sku} is not in the cart`)
+    cart.items = cart.items.filter(item => item.sku !== sku)
+    await this.save(whatsappNumber, cart)
+    return this.getCart(whatsappNumber)
+  }
+
+  async clear (whatsappNumber) {
+    this.assertConnected()
+    await this.drop(whatsappNumber)
+    return this.summarize(whatsappNumber, [])
+  }
+
+  // checks a coupon against the cart as it is now, without keeping it
+  async validateCoupon (whatsappNumber, code) {
+    const cart = await this.getCart(whatsappNumber)
+    return couponService.evaluate(code, cart.items.filter(item => item.available), whatsappNumber)
+  }
+
+  // one coupon per cart, a new code replaces the one applied before
+  async applyCoupon (whatsappNumber, code) {
+    const coupon = await this.validateCoupon(whatsappNumber, code)
+    const cart = await this.load(whatsappNumber)
+    cart.coupon = coupon.code
+    await this.save(whatsappNumber, cart)
+    return this.getCart(whatsappNumber)
+  }
+
+  async removeCoupon (whatsappNumber) {
+    this.assertConnected()
+    const cart = await this.load(whatsappNumber)
+    if (!cart.coupon) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, 'No coupon is applied to the cart')
+    delete cart.coupon
+    await this.save(whatsappNumber, cart)
+    return this.getCart(whatsappNumber)
+  }
+
+  // a coupon that stopped applying (expired, cart below its minimum ...) stays on the cart with valid: false and the reason
+  async checkCoupon (whatsappNumber, code, items) {
+    try {
+      return { ...await couponService.evaluate(code, items.filter(item => item.available), whatsappNumber), valid: true }
+    } catch (err) {
+      if (err.type !== __constants.RESPONSE_MESSAGES.COUPON_NOT_APPLICABLE) throw err
+      return { code, valid: false, reason: err.data.reason, message: err.message, discount: 0, discount_display: priceResolver.format(0), items: [] }
+    }
+  }
+
+  summarize (whatsappNumber, items, coupon = null) {
+    const available = items.filter(item => item.available)
+    const subtotal = round(available.reduce((sum, item) => sum + item.row_total, 0))
+    const discount = coupon ? coupon.discount : 0
+    return {
+      whatsappNumber,
+      items,
+      items_count: available.reduce((sum, item) => sum + item.qty, 0),
+      subtotal,
+      subtotal_display: priceResolver.format(subtotal),
+      coupon,
+      discount,
+      total: round(subtotal - discount),
+      total_display: priceResolver.format(round(subtotal - discount)),
+      has_issues: items.some(item => !item.available || item.price_changed) || !!(coupon && !coupon.valid)
+    }
+  }
+
+  /**
+   * The cart with live stock and prices. Items that are disabled, gone or short of stock stay in the cart
+   * flagged available: false (with max_qty when some are left) and do not count towards the subtotal.
+   * The coupon's discount is an estimate from its cart price rule, magento works out the final one when the order is placed.
+   * @returns {{whatsappNumber, items: Array, items_count: number, subtotal: number, subtotal_display: string, coupon: Object,
+   * discount: number, total: number, total_display: string, has_issues: boolean}}
+   */
+  async getCart (whatsappNumber) {
+    this.assertConnected()
+    const cart = await this.load(whatsappNumber)
+    if (!cart.items.length) return this.summarize(whatsappNumber, [])
+    await __db.redis.ex(this.key(whatsappNumber), __config.cart.ttl)
+
+    const skus = cart.items.map(item => item.sku)
+    const { items: products } = await magentoClient.get(`/V1/products?${new SearchCriteria().where('sku', skus, 'in')}`)
+    const sellable = products.filter(isSellable)
+    const [stock, rulePrices] = await Promise.all([
+      catalogEnrichment.getAvailableStock(sellable.map(product => product.sku), whatsappNumber, { fresh: true }),
+      catalogEnrichment.getCatalogRulePrices(sellable)
+    ])
+
+    const items = cart.items.map((item) => {
+      const product = sellable.find(candidate => candidate.sku === item.sku)
+      if (!product) {
+        return { sku: item.sku, name: item.name, qty: item.qty, available: false, stock: 0, max_qty: 0, price: null, row_total: 0, price_changed: false, image: null }
+      }
+      const prices = catalogEnrichment.priceFields(product, rulePrices[product.sku])
+      const available = stock[product.sku] || 0
+      const image = customAttribute(product, 'small_image') || customAttribute(product, 'image')
+      return {
+        sku: product.sku,
+        name: product.name,
+        qty: item.qty,
+        available: available >= item.qty,
+        stock: available,
+        max_qty: Math.min(available, __constants.CART_MAX_QTY),
+        ...prices,
+        row_total: round(prices.price * item.qty),
+        added_price: item.price,
+        price_changed: item.price !== prices.price,
+        image: catalogEnrichment.imageUrl(image)
+      }
+    })
+    const coupon = cart.coupon ? await this.checkCoupon(whatsappNumber, cart.coupon, items) : null
+    return this.summarize(whatsappNumber, items, coupon)
+  }
+}
+
+module.exports = new CartService()
@@ -0,0 +1,275 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const priceResolver = require('../product/PriceResolver')
+const ProductService = require('../product/ProductService')
+const typedError = require('../../lib/util/typedError')
+const round = require('../../lib/util/round')
+
+const CONDITION_PREFIX = 'Magento\\SalesRule\\Model\\Rule\\Condition\\'
+
+// reason is the machine readable cause (see evaluate), the message is what the customer is told
+const couponError = (code, reason, message, details = {}) => {
+  const error = typedError(__constants.RESPONSE_MESSAGES.COUPON_NOT_APPLICABLE, message)
+  error.data = { coupon_code: code, reason, ...details }
+  return error
+}
+
+const compareValues = (actual, operator, expected) => {
+  const list = String(expected).split(',').map(value => value.trim().toLowerCase()).filter(Boolean)
+  switch (operator) {
+    case '==': return String(actual).toLowerCase() === String(expected).toLowerCase()
+    case '!=': return String(actual).toLowerCase() !== String(expected).toLowerCase()
+    case '>=': return Number(actual) >= Number(expected)
+    case '>': return Number(actual) > Number(expected)
+    case '<=': return Number(actual) <= Number(expected)
+    case '<': return Number(actual) < Number(expected)
+    case '()': return list.includes(String(actual).toLowerCase())
+    case '!()': return !list.includes(String(actual).toLowerCase())
+    case '{}': return String(actual).toLowerCase().includes(String(expected).toLowerCase())
+    case '!{}': return !String(actual).toLowerCase().includes(String(expected).toLowerCase())
+    default: return null
+  }
+}
+
+/**
+ * Evaluates a magento condition tree against a context: true, false, or null when the condition is one this service
+ * cannot see (payment method, shipping region, category ...) and is left to magento when the order is placed.
+ * @param {Object} values attribute_name -> value of the cart (base_subtotal, total_qty) or of a cart line (sku, quote_item_qty ...)
+ */
+const evaluateCondition = (condition, values) => {
+  if (!condition) return true
+  if (Array.isArray(condition.conditions)) {
+    const results = condition.conditions.map(child => evaluateCondition(child, values))
+    const all = condition.aggregator_type !== 'any'
+    let result
+    if (!results.length) result = true
+    else if (all) result = results.includes(false) ? false : (results.includes(null) ? null : true)
+    else result = results.includes(true) ? true : (results.includes(null) ? null : false)
+    // a combine with value 0 means "if all / any of these conditions are FALSE"
+    return String(condition.value) === '0' && result !== null ? !result : result
+  }
+  if (!(condition.attribute_name in values)) return null
+  return compareValues(values[condition.attribute_name], condition.operator, condition.value)
+}
+
+// the rule's label for the store, its default label, its description or its name
+const describeRule = (rule) => {
+  const labels = rule.store_labels || []
+  const label = labels.find(storeLabel => Number(storeLabel.store_id) === __config.magento.storeId) || labels.find(storeLabel => Number(storeLabel.store_id) === 0)
+  return (label && label.store_label) || rule.description || rule.name
+}
+
+// whether a condition tree has a condition on the attribute anywhere in it
+const mentions = (condition, attribute) => !!condition && (condition.attribute_name === attribute ||
+  (condition.conditions || []).some(child => mentions(child, attribute)))
+
+/**
+ * Checks a coupon code against the customer's cart with the magento cart price rule behind it, so the customer is told
+ * exactly why a code does not work, and estimates the discount. Magento applies the rule itself when the order is placed.
+ */
+class CouponService {
+  constructor () {
+    this.paymentRulesCache = null
+  }
+
+  async findRule (code) {
+    const { items } = await magentoClient.get(`/V1/coupons/search?${new SearchCriteria().where('code', code)}`)
+    const coupon = (items || [])[0]
+    if (!coupon) throw couponError(code, 'not_found', `${code} is not a valid coupon code`)
+    const rule = await magentoClient.get(`/V1/salesRules/${coupon.rule_id}`)
+    return { coupon, rule }
+  }
+
+  findCustomer (whatsappNumber) {
+    return ProductService.checkExistingCustomer(String(whatsappNumber).slice(-__constants.MOBILE_NUMBER_LENGTH))
+  }
+
+  // customers without an account shop as NOT LOGGED IN
+  groupIdOf (customer) {
+    return customer ? Number(customer.group_id) : __constants.GUEST_CUSTOMER_GROUP_ID
+  }
+
+  assertUsable (code, coupon, rule, groupId, today) {
+    const from = rule.from_date ? String(rule.from_date).slice(0, 10) : null
+    const to = [rule.to_date, coupon.expiration_date].filter(Boolean).map(date => String(date).slice(0, 10)).sort()[0]
+    const usageLimit = Number(coupon.usage_limit) || Number(rule.uses_per_coupon) || 0
+    if (!rule.is_active) throw couponError(code, 'inactive', `${code} is no longer active`)
+    if (from && today < from) throw couponError(code, 'not_started', `${code} can be used from ${from}`, { valid_from: from })
+    if (to && today > to) throw couponError(code, 'expired', `${code} expired on ${to}`, { valid_to: to })
+    if (usageLimit && Number(coupon.times_used) >= usageLimit) throw couponError(code, 'used_up', `${code} has been fully used`)
+    if (!(rule.customer_group_ids || []).map(Number).includes(groupId)) {
+      throw couponError(code, 'customer_group', `${code} is not available for your account`)
+    }
+  }
+
+  // like magento, uses per customer counts the customer's orders the rule was applied to, a canceled order gives its use
+  // back and guests are not limited
+  async assertCustomerUses (code, coupon, rule, customer) {
+    const limit = Number(coupon.usage_per_customer) || Number(rule.uses_per_customer) || 0
+    if (!limit || !customer) return
+    const criteria = new SearchCriteria()
+      .where('customer_id', customer.id)
+      .where('applied_rule_ids', rule.rule_id, 'finset')
+      .where('state', 'canceled', 'neq')
+      .limit(1)
+    const { total_count: used } = await magentoClient.get(`/V1/orders?${criteria}`)
+    if (used >= limit) {
+      const times = limit === 1 ? 'once' : `${limit} times`
+      throw couponError(code, 'used_by_customer', `${code} can be used ${times} per customer and you have already used it`, { uses_per_customer: limit })
+    }
+  }
+
+  // the first top level cart condition that fails, explained
+  assertConditions (code, rule, cartValues) {
+    const condition = rule.condition || {}
+    if (evaluateCondition(condition, cartValues) !== false) return
+    const failed = (condition.conditions || []).find(child => evaluateCondition(child, cartValues) === false)
+    if (failed && failed.condition_type === `${CONDITION_PREFIX}Address` && ['>=', '>'].includes(failed.operator)) {
+      const minimum = Number(failed.value)
+      if (failed.attribute_name === 'base_subtotal') {
+        const shortfall = round(minimum - cartValues.base_subtotal + (failed.operator === '>' ? 1 : 0))
+        throw couponError(code, 'minimum_subtotal', `${code} needs a cart of at least ${priceResolver.format(minimum)}, add ${priceResolver.format(shortfall)} more`, { minimum_subtotal: minimum, shortfall })
+      }
+      if (failed.attribute_name === 'total_qty') {
+        throw couponError(code, 'minimum_quantity', `${code} needs at least ${minimum} items in the cart`, { minimum_quantity: minimum })
+      }
+    }
+    throw couponError(code, 'conditions_not_met', `${code} does not apply to this cart`)
+  }
+
+  isActiveOn (rule, today) {
+    const from = rule.from_date ? String(rule.from_date).slice(0, 10) : null
+    const to = rule.to_date ? String(rule.to_date).slice(0, 10) : null
+    return !!rule.is_active && !(from && today < from) && !(to && today > to)
+  }
+
+  discountFor (rule, line, eligibleTotal, cartDiscountLeft) {
+    const amount = Number(rule.discount_amount) || 0
+    const qty = Number(rule.discount_qty) ? Math.min(line.qty, Number(rule.discount_qty)) : line.qty
+    switch (rule.simple_action) {
+      case 'by_percent': return round(line.price * qty * Math.min(amount, 100) / 100)
+      case 'by_fixed': return round(Math.min(amount, line.price) * qty)
+      case 'cart_fixed': return round(Math.min(cartDiscountLeft, amount * line.row_total / eligibleTotal))
+      case 'buy_x_get_y': {
+        const step = Number(rule.discount_step) || 0
+        return step ? round(Math.floor(line.qty / (step + amount)) * amount * line.price) : 0
+      }
+      default: return 0
+    }
+  }
+
+  /**
+   * @param {string} code
+   * @param {Array} items available cart lines { sku, name, qty, price, row_total }
+   * @returns {{code, rule_id, description, discount, discount_display, items: [{sku, discount}]}}
+   * @throws COUPON_NOT_APPLICABLE with data.reason: not_found, inactive, not_started, expired, used_up, customer_group,
+   * used_by_customer, empty_cart, minimum_subtotal, minimum_quantity, conditions_not_met or not_applicable
+   */
+  async evaluate (code, items, whatsappNumber) {
+    const [{ coupon, rule }, customer] = await Promise.all([this.findRule(code), this.findCustomer(whatsappNumber)])
+    this.assertUsable(coupon.code, coupon, rule, this.groupIdOf(customer), priceResolver.today())
+    await this.assertCustomerUses(coupon.code, coupon, rule, customer)
+    if (!items.length) throw couponError(coupon.code, 'empty_cart', `Add items to the cart before using ${coupon.code}`)
+    const subtotal = round(items.reduce((sum, item) => sum + item.row_total, 0))
+    this.assertConditions(coupon.code, rule, { base_subtotal: subtotal, total_qty: items.reduce((sum, item) => sum + item.qty, 0) })
+
+    const eligible = items.filter(item => evaluateCondition(rule.action_condition, {
+      sku: item.sku,
+      quote_item_qty: item.qty,
+      quote_item_price: item.price,
+      quote_item_row_total: item.row_total
+    }) !== false)
+    if (!eligible.length) {
+      throw couponError(coupon.code, 'not_applicable', `${coupon.code} does not apply to ${items.map(item => item.name).join(', ')}`, { skus: items.map(item => item.sku) })
+    }
+    const eligibleTotal = eligible.reduce((sum, item) => sum + item.row_total, 0)
+    let left = Number(rule.discount_amount) || 0
+    const discounts = eligible.map((item) => {
+      const discount = this.discountFor(rule, item, eligibleTotal, left)
+      left = round(left - discount)
+      return { sku: item.sku, discount }
+    })
+    const discount = Math.min(subtotal, round(discounts.reduce((sum, item) => sum + item.discount, 0)))
+    if (!discount) throw couponError(coupon.code, 'not_applicable', `${coupon.code} gives no discount on this cart`)
+    return {
+      code: coupon.code,
+      rule_id: rule.rule_id,
+      description: describeRule(rule),
+      discount,
+      discount_display: priceResolver.format(discount),
+      items: discounts.filter(item => item.discount)
+    }
+  }
+
+  // active cart price rules without a coupon that depend on the payment method (the prepaid discount), in magento's order
+  async paymentRules () {
+    if (!this.paymentRulesCache || this.paymentRulesCache.expiresAt < Date.now()) {
+      const criteria = new SearchCriteria().where('is_active', 1).where('coupon_type', __constants.SALES_RULE_NO_COUPON)
+      const { items } = await magentoClient.get(`/V1/salesRules/search?${criteria}`)
+      const rules = (items || [])
+        .filter(rule => mentions(rule.condition, 'payment_method'))
+        .sort((a, b) => (Number(a.sort_order) || 0) - (Number(b.sort_order) || 0))
+      this.paymentRulesCache = { rules, expiresAt: Date.now() + __constants.PAYMENT_RULES_CACHE_TTL * 1000 }
+    }
+    return this.paymentRulesCache.rules
+  }
+
+  /**
+   * Discounts magento gives for paying with paymentMethod, taken like magento does from what is left after the coupon.
+   * A coupon rule with "discard subsequent rules" leaves no payment discount.
+   * @param {Array} items available cart lines { sku, name, qty, price, row_total }
+   * @param {Object} coupon the cart's valid coupon as evaluate returns it, or null
+   * @returns {Array} [{ rule_id, description, discount, items: [{sku, discount}] }]
+   */
+  async paymentDiscounts (items, paymentMethod, groupId, coupon) {
+    const rules = await this.paymentRules()
+    if (!rules.length || !items.length) return []
+    const couponRule = coupon ? await magentoClient.get(`/V1/salesRules/${coupon.rule_id}`) : null
+    if (couponRule && couponRule.stop_rules_processing) return []
+    const today = priceResolver.today()
+    const taken = new Map(((coupon && coupon.items) || []).map(item => [item.sku, item.discount]))
+    const cartValues = {
+      base_subtotal: round(items.reduce((sum, item) => sum + item.row_total, 0)),
+      total_qty: items.reduce((sum, item) => sum + item.qty, 0),
+      payment_method: paymentMethod
+    }
+    const applied = []
+    for (const rule of rules) {
+      if (!this.isActiveOn(rule, today) || !(rule.customer_group_ids || []).map(Number).includes(groupId)) continue
+      if (evaluateCondition(rule.condition, cartValues) !== true) continue
+      const lines = items
+        .map((item) => {
+          const rowTotal = round(item.row_total - (taken.get(item.sku) || 0))
+          return { sku: item.sku, qty: item.qty, price: rowTotal / item.qty, row_total: rowTotal }
+        })
+        .filter(line => line.row_total > 0 && evaluateCondition(rule.action_condition, {
+          sku: line.sku,
+          quote_item_qty: line.qty,
+          quote_item_price: line.price,
+          quote_item_row_total: line.row_total
+        }) !== false)
+      const eligibleTotal = lines.reduce((sum, line) => sum + line.row_total, 0)
+      let left = Number(rule.discount_amount) || 0
+      const discounts = lines.map((line) => {
+        const discount = Math.min(line.row_total, this.discountFor(rule, line, eligibleTotal, left))
+        left = round(left - discount)
+        taken.set(line.sku, round((taken.get(line.sku) || 0) + discount))
+        return { sku: line.sku, discount }
+      }).filter(item => item.discount)
+      if (discounts.length) {
+        applied.push({
+          rule_id: rule.rule_id,
+          description: describeRule(rule),
+          discount: round(discounts.reduce((sum, item) => sum + item.discount, 0)),
+          items: discounts
+        })
+      }
+      if (rule.stop_rules_processing) break
+    }
+    return applied
+  }
+}
+
+module.exports = new CouponService()
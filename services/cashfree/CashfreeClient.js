@@ -0,0 +1,61 @@
+const axios = require('axios')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const providerError = (type, message, status) => {
+  const error = new Error(message)
+  error.type = type
+  error.err = message
+  error.status = status
+  return error
+}
+
+/**
+ * Cashfree payment gateway API, authenticated with the client id and secret on every call.
+ */
+class CashfreeClient {
+  constructor () {
+    this.http = axios.create({ baseURL: __config.cashfree.baseUrl, timeout: __constants.CASHFREE_TIMEOUT })
+  }
+
+  headers () {
+    return {
+      'Content-Type': 'application/json',
+      'x-client-id': __config.cashfree.clientId,
+      'x-client-secret': __config.cashfree.clientSecret,
+      'x-api-version': __config.cashfree.apiVersion
+    }
+  }
+
+  async request (method, path, data) {
+    try {
+      const response = await this.http.request({ method, url: path, data, headers: this.headers() })
+      return response.data
+    } catch (err) {
+      console.log(`Error in cashfree ${method.toUpperCase()} ${path} :: err`, err.response ? err.response.data : err.message)
+      throw this.mapError(err)
+    }
+  }
+
+  async get (path) {
+    return this.request('get', path)
+  }
+
+  async post (path, data) {
+    return this.request('post', path, data)
+  }
+
+  mapError (err) {
+    if (!err.response) {
+      const message = err.code === 'ECONNABORTED' ? 'Cashfree did not respond in time' : 'Cashfree is unreachable'
+      return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message)
+    }
+    const status = err.response.status
+    const message = (err.response.data && err.response.data.message) || `Cashfree responded with status ${status}`
+    if (status === 404) return providerError(__constants.RESPONSE_MESSAGES.NOT_FOUND, message, status)
+    if (status === 400) return providerError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, message, status)
+    return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message, status)
+  }
+}
+
+module.exports = new CashfreeClient()
@@ -0,0 +1,104 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const CatalogProduct = require('../../mongooseSchema/CatalogProduct')
+const CatalogChild = require('../../mongooseSchema/CatalogChild')
+const CatalogAttribute = require('../../mongooseSchema/CatalogAttribute')
+const CatalogSyncState = require('../../mongooseSchema/CatalogSyncState')
+
+/**
+ * Read side of the mongo catalog mirror filled by CatalogSyncService.
+ * Implements getAttribute / getChildrenOf / getStock / getRulePrices so catalogEnrichment can build drops from it.
+ */
+class CatalogMirror {
+  constructor () {
+    this.ready = false
+  }
+
+  isConnected () {
+    return __db.mongo.isConnected()
+  }
+
+  // reads are served from the mirror once it is enabled, mongo is up and a full sync has completed
+  async isReadable () {
+    if (!__config.catalogMirror.reads || !this.isConnected()) return false
+    if (!this.ready) {
+      this.ready = !!(await CatalogSyncState.exists({ name: __constants.CATALOG_SYNC_STATE_NAME, lastFullSyncAt: { $ne: null } }))
+    }
+    return this.ready
+  }
+
+  /**
+   * Same filters the live drops use: enabled, visible in catalog and search, optionally in a category,
+   * oldest updated_at first, everything when no pageSize is given.
+   * @returns {Array} magento product payloads
+   */
+  async findProducts ({ ids, categoryId, visibleOnly = true, page = 1, pageSize }) {
+    const filter = {}
+    if (ids) filter.productId = { $in: ids }
+    if (visibleOnly) Object.assign(filter, { status: 1, visibility: 4 })
+    if (categoryId) filter.categoryIds = String(categoryId)
+    const query = CatalogProduct.find(filter).sort({ magentoUpdatedAt: 1, productId: 1 })
+    if (pageSize) query.skip((page - 1) * pageSize).limit(pageSize)
+    const products = await query.lean()
+    return products.map(product => product.data)
+  }
+
+  /**
+   * Filter facts of the enabled and visible products of a category, in listing order.
+   * @returns {Array|null} { productId, sizes, colors, fits, price, inStock } per product, null while a product was synced without them
+   */
+  async findDropFacets ({ categoryId }) {
+    const filter = { status: 1, visibility: 4 }
+    if (categoryId) filter.categoryIds = String(categoryId)
+    const products = await CatalogProduct.find(filter, { productId: 1, facets: 1 }).sort({ magentoUpdatedAt: 1, productId: 1 }).lean()
+    if (products.some(product => !product.facets)) return null
+    return products.map(product => ({ productId: product.productId, ...product.facets }))
+  }
+
+  // only configurables are mirrored, null means the product has to be read from magento
+  async findProduct ({ sku, urlKey }) {
+    const filter = sku
+      ? { sku }
+      : { 'data.custom_attributes': { $elemMatch: { attribute_code: 'url_key', value: urlKey } } }
+    const product = await CatalogProduct.findOne(filter).lean()
+    return product ? product.data : null
+  }
+
+  // same shape as the magento attribute payload
+  async getAttribute (attributeIdOrCode) {
+    const filter = isNaN(attributeIdOrCode) ? { attributeCode: attributeIdOrCode } : { attributeId: Number(attributeIdOrCode) }
+    const attribute = await CatalogAttribute.findOne(filter).lean()
+    return attribute
+      ? { attribute_id: attribute.attributeId, attribute_code: attribute.attributeCode, default_frontend_label: attribute.label, options: attribute.options }
+      : { attribute_id: attributeIdOrCode, options: [] }
+  }
+
+  async getAttributeOptions (attributeIdOrCode) {
+    return (await this.getAttribute(attributeIdOrCode)).options
+  }
+
+  async getChildrenOf (products) {
+    const links = products.map(product => (product.extension_attributes || {}).configurable_product_links || [])
+    const children = await CatalogChild.find({ productId: { $in: [].concat(...links) } }).sort({ productId: 1 }).lean()
+    return links.map(ids => children.filter(child => ids.includes(child.productId)).map(child => child.data))
+  }
+
+  // catalog rule prices as magento rendered them at the last sync
+  async getRulePrices (children) {
+    const prices = {}
+    const mirrored = await CatalogChild.find({ sku: { $in: children.map(child => child.sku) }, rulePrice: { $ne: null } }, { sku: 1, rulePrice: 1 }).lean()
+    mirrored.forEach(child => { prices[child.sku] = child.rulePrice })
+    return prices
+  }
+
+  async getStock (skus) {
+    const stock = {}
+    skus.forEach(sku => { stock[sku] = 0 })
+    const children = await CatalogChild.find({ sku: { $in: skus } }, { sku: 1, stock: 1 }).lean()
+    children.forEach(child => { stock[child.sku] = child.stock })
+    return stock
+  }
+}
+
+module.exports = new CatalogMirror()
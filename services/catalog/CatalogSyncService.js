@@ -0,0 +1,230 @@
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const catalogEnrichment = require('../product/CatalogEnrichment')
+const dropFilters = require('../product/DropFilters')
+const catalogMirror = require('./CatalogMirror')
+const productSearchService = require('../product/ProductSearchService')
+const CatalogProduct = require('../../mongooseSchema/CatalogProduct')
+const CatalogChild = require('../../mongooseSchema/CatalogChild')
+const CatalogAttribute = require('../../mongooseSchema/CatalogAttribute')
+const CatalogSyncState = require('../../mongooseSchema/CatalogSyncState')
+
+const databaseNotConnected = () => {
+  const error = new Error(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+  error.type = __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED
+  error.err = error.message
+  return error
+}
+
+// a configurable magento sends without options has nothing to filter on
+const NO_FACETS = { sizes: [], colors: [], fits: [], price: null, inStock: false }
+
+const latest = (current, product) => (!current || product.updated_at > current) ? product.updated_at : current
+
+/**
+ * Copies magento configurable products, their children, stock and size labels into mongo.
+ * A full sync replaces the mirror, an incremental sync only re-reads the products and children whose updated_at moved past
+ * the stored cursor. Stock and catalog rule prices that move without touching updated_at are caught up by the daily full sync.
+ */
+class CatalogSyncService {
+  constructor () {
+    this.running = null
+  }
+
+  // one sync at a time per process, a second caller waits for the running one
+  sync (mode = 'incremental') {
+    if (!catalogMirror.isConnected()) return Promise.reject(databaseNotConnected())
+    if (!this.running) {
+      this.running = this.run(mode).finally(() => { this.running = null })
+    }
+    return this.running
+  }
+
+  async run (mode) {
+    const state = await CatalogSyncState.findOne({ name: __constants.CATALOG_SYNC_STATE_NAME }).lean()
+    const fullSyncDue = !state || !state.lastFullSyncAt || !state.cursor ||
+      Date.now() - state.lastFullSyncAt.getTime() > __constants.CATALOG_FULL_SYNC_INTERVAL * 1000
+    if (mode === 'full' || fullSyncDue) return this.fullSync()
+    return this.incrementalSync(state.cursor)
+  }
+
+  async fullSync () {
+    const startedAt = new Date()
+    const summary = { mode: 'full', startedAt, products: 0, children: 0 }
+    let cursor = null
+    try {
+      await magentoClient.forEachPage('/V1/products', new SearchCriteria().where('type_id', 'configurable').sortBy('entity_id', 'ASC'), async (products) => {
+        summary.children += await this.saveProducts(products, startedAt)
+        summary.products += products.length
+        cursor = products.reduce(latest, cursor)
+      })
+      await this.syncAttributes(startedAt)
+      // whatever this run did not touch no longer exists in magento
+      const [removedProducts, removedChildren] = await Promise.all([
+        CatalogProduct.deleteMany({ syncedAt: { $lt: startedAt } }),
+        CatalogChild.deleteMany({ syncedAt: { $lt: startedAt } })
+      ])
+      summary.removed = removedProducts.deletedCount + removedChildren.deletedCount
+      summary.finishedAt = new Date()
+      await this.saveState({ cursor, lastFullSyncAt: summary.finishedAt, lastRun: summary })
+      catalogMirror.ready = true
+      return summary
+    } catch (err) {
+      await this.saveState({ lastRun: { ...summary, error: err.err || err.message } }).catch(() => {})
+      throw err
+    }
+  }
+
+  async incrementalSync (since) {
+    const startedAt = new Date()
+    const summary = { mode: 'incremental', startedAt, since, products: 0, children: 0 }
+    let cursor = since
+    try {
+      await magentoClient.forEachPage('/V1/products', new SearchCriteria().where('type_id', 'configurable').where('updated_at', since, 'gt').sortBy('entity_id', 'ASC'), async (products) => {
+        summary.children += await this.saveProducts(products, startedAt)
+        summary.products += products.length
+        cursor = products.reduce(latest, cursor)
+      })
+
+      // a changed child (price, size, new image) of a product saved above is fresh already, the others are refreshed on their own
+      const changedChildren = []
+      await magentoClient.forEachPage('/V1/products', new SearchCriteria().where('type_id', 'simple').where('updated_at', since, 'gt').sortBy('entity_id', 'ASC'), async (children) => {
+        changedChildren.push(...children)
+        cursor = children.reduce(latest, cursor)
+      })
+      const mirrored = await CatalogChild.find({ productId: { $in: changedChildren.map(child => child.id) }, syncedAt: { $lt: startedAt } }, { productId: 1 }).lean()
+      const mirroredIds = new Set(mirrored.map(child => child.productId))
+      summary.stockAndPricesUpdated = await this.refreshStockAndPrices(changedChildren.filter(child => mirroredIds.has(child.id)), startedAt)
+      await this.syncAttributes(startedAt)
+      summary.finishedAt = new Date()
+      await this.saveState({ cursor, lastIncrementalSyncAt: summary.finishedAt, lastRun: summary })
+      return summary
+    } catch (err) {
+      await this.saveState({ lastRun: { ...summary, error: err.err || err.message } }).catch(() => {})
+      throw err
+    }
+  }
+
+  // upserts the configurables with their children and stock, returns the number of children written
+  async saveProducts (products, syncedAt) {
+    const configurables = products.filter(product => product.type_id === 'configurable')
+    if (!configurables.length) return 0
+    const childrenPerProduct = await catalogEnrichment.getChildrenOf(configurables)
+    const children = new Map()
+    childrenPerProduct.forEach(list => list.forEach(child => children.set(child.id, child)))
+    const [stock, rulePrices] = await Promise.all([
+      catalogEnrichment.getStock([...children.values()].map(child => child.sku), true),
+      catalogEnrichment.getCatalogRulePrices([...children.values()])
+    ])
+    const facets = await this.describeDrops(configurables, {
+      getAttribute: id => catalogEnrichment.getAttribute(id),
+      getChildrenOf: async list => list.map(product => childrenPerProduct[configurables.indexOf(product)]),
+      getStock: async () => stock,
+      getRulePrices: async () => rulePrices
+    })
+
+    await CatalogProduct.bulkWrite(configurables.map((product, index) => ({
+      updateOne: {
+        filter: { productId: product.id },
+        update: {
+          $set: {
+            sku: product.sku,
+            status: product.status,
+            visibility: product.visibility,
+            categoryIds: ((product.extension_attributes || {}).category_links || []).map(link => String(link.category_id)),
+            childIds: childrenPerProduct[index].map(child => child.id),
+            magentoUpdatedAt: product.updated_at,
+            data: product,
+            facets: facets.get(product.id) || NO_FACETS,
+            syncedAt
+          }
+        },
+        upsert: true
+      }
+    })))
+    // keeps the search index as fresh as the mirror, a failed index write must not fail the sync
+    if (productSearchService.isEnabled()) {
+      await productSearchService.indexProducts(configurables, syncedAt)
+        .catch(err => console.log('Error indexing synced products for search :: err', err.message))
+    }
+    if (!children.size) return 0
+    await this.saveChildren([...children.values()], stock, rulePrices, syncedAt)
+    return children.size
+  }
+
+  async saveChildren (children, stock, rulePrices, syncedAt) {
+    await CatalogChild.bulkWrite(children.map(child => ({
+      updateOne: {
+        filter: { productId: child.id },
+        update: { $set: { sku: child.sku, stock: stock[child.sku] || 0, rulePrice: rulePrices[child.sku] === undefined ? null : rulePrices[child.sku], magentoUpdatedAt: child.updated_at, data: child, syncedAt } },
+        upsert: true
+      }
+    })))
+  }
+
+  /**
+   * Filter facts per product id, kept on the mirrored product so a filtered listing only enriches the page it returns.
+   * Stock held for payment links is left in, holds expire on their own.
+   */
+  async describeDrops (products, source) {
+    const drops = await catalogEnrichment.enrichProducts(products, source, false)
+    const entries = await dropFilters.describe(drops)
+    return new Map(entries.map(entry => [entry.drop.id, dropFilters.facts(entry)]))
+  }
+
+  // re-reads the stock and catalog rule prices of mirrored children magento changed, returns how many were written
+  async refreshStockAndPrices (children, syncedAt) {
+    if (!children.length) return 0
+    const [stock, rulePrices] = await Promise.all([
+      catalogEnrichment.getStock(children.map(child => child.sku), true),
+      catalogEnrichment.getCatalogRulePrices(children)
+    ])
+    await this.saveChildren(children, stock, rulePrices, syncedAt)
+    // the facts of their products follow the new stock and prices
+    const parents = await CatalogProduct.find({ childIds: { $in: children.map(child => child.id) } }, { data: 1 }).lean()
+    const facets = await this.describeDrops(parents.map(parent => parent.data), catalogMirror)
+    if (facets.size) {
+      await CatalogProduct.bulkWrite([...facets.entries()].map(([productId, facts]) => ({
+        updateOne: { filter: { productId }, update: { $set: { facets: facts } } }
+      })))
+    }
+    return children.length
+  }
+
+  // option labels of the attributes the mirrored configurables are built on and filtered by, so drops never need magento
+  async syncAttributes (syncedAt) {
+    const attributeIds = await CatalogProduct.distinct('data.extension_attributes.configurable_product_options.attribute_id')
+    const ids = [...new Set(attributeIds.concat(__constants.SIZE_ATTRIBUTE_ID).map(Number))]
+    const attributes = await Promise.all(ids.map(id => magentoClient.get(`/V1/products/attributes/${id}`)))
+    // filter attributes are optional, a store without one of them just has no such facet
+    const filterAttributes = await Promise.all(Object.values(__constants.DROP_FACET_ATTRIBUTE_CODES)
+      .map(code => magentoClient.get(`/V1/products/attributes/${code}`).catch(() => null)))
+    filterAttributes.forEach((attribute) => {
+      if (attribute && !attributes.some(known => Number(known.attribute_id) === Number(attribute.attribute_id))) attributes.push(attribute)
+    })
+    await CatalogAttribute.bulkWrite(attributes.map(attribute => ({
+      updateOne: {
+        filter: { attributeId: attribute.attribute_id },
+        update: { $set: { attributeCode: attribute.attribute_code, label: attribute.default_frontend_label, options: attribute.options || [], syncedAt } },
+        upsert: true
+      }
+    })))
+  }
+
+  async saveState (update) {
+    await CatalogSyncState.updateOne({ name: __constants.CATALOG_SYNC_STATE_NAME }, { $set: update }, { upsert: true })
+  }
+
+  async getStatus () {
+    if (!catalogMirror.isConnected()) throw databaseNotConnected()
+    const [state, products, children] = await Promise.all([
+      CatalogSyncState.findOne({ name: __constants.CATALOG_SYNC_STATE_NAME }, { _id: 0, __v: 0 }).lean(),
+      CatalogProduct.countDocuments(),
+      CatalogChild.countDocuments()
+    ])
+    return { ...state, running: !!this.running, products, children }
+  }
+}
+
+module.exports = new CatalogSyncService()
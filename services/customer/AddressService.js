@@ -0,0 +1,202 @@
+const fs = require('fs')
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const ProductService = require('../product/ProductService')
+const typedError = require('../../lib/util/typedError')
+
+const localNumber = (whatsappNumber) => String(whatsappNumber).slice(-__constants.MOBILE_NUMBER_LENGTH)
+
+/**
+ * Address book of a whatsapp customer, stored as the addresses of their magento customer.
+ * City, state and magento region come from the pincode: the offline pincode dataset gives the district and state,
+ * magento's directory gives the region id of the state.
+ */
+class AddressService {
+  constructor () {
+    this.pincodeIndex = null
+    this.regionsByName = null
+  }
+
+  // pincode -> { city, state }, built from PINCODE_DATA_FILE on first use
+  pincodes () {
+    if (!this.pincodeIndex) {
+      const data = JSON.parse(fs.readFileSync(__constants.PINCODE_DATA_FILE, 'utf8'))
+      this.pincodeIndex = new Map()
+      Object.entries(data).forEach(([state, districts]) => {
+        Object.entries(districts).forEach(([city, pincodes]) => {
+          pincodes.forEach(pincode => this.pincodeIndex.set(String(pincode), { city, state }))
+        })
+      })
+    }
+    return this.pincodeIndex
+  }
+
+  // magento's indian regions by lower case name, kept once loaded
+  async regions () {
+    if (!this.regionsByName) {
+      const country = await magentoClient.get(`/V1/directory/countries/${__constants.ORDER_COUNTRY_ID}`)
+      this.regionsByName = new Map((country.available_regions || []).map(region => [region.name.toLowerCase(), region]))
+    }
+    return this.regionsByName
+  }
+
+  /**
+   * @returns {{pincode: string, city: string, state: string, region_id: number, region_code: string}} region_id and region_code
+   * are null when magento has no region for the state
+   */
+  async lookupPincode (pincode) {
+    const place = this.pincodes().get(String(pincode))
+    if (!place) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `${pincode} is not a known pincode`)
+    const region = (await this.regions()).get(place.state.toLowerCase())
+    return { pincode: String(pincode), city: place.city, state: place.state, region_id: region ? region.id : null, region_code: region ? region.code : null }
+  }
+
+  async findCustomer (whatsappNumber) {
+    const found = await ProductService.checkExistingCustomer(localNumber(whatsappNumber))
+    if (!found) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, 'No Account')
+    return magentoClient.get(`/V1/customers/${found.id}`)
+  }
+
+  /**
+   * A magento address from what the customer typed, city is filled in from the pincode when left out
+   * and state and region always come from the pincode. Names and telephone default to the customer's.
+   * @param {Object} input { firstname, lastname, street: [], city, pincode, telephone }
+   */
+  async toMagentoAddress (input, customer, whatsappNumber) {
+    const place = await this.lookupPincode(input.pincode)
+    const address = {
+      firstname: input.firstname || customer.firstname,
+      lastname: input.lastname || customer.lastname,
+      street: [].concat(input.street),
+      city: input.city || place.city,
+      region: place.region_id ? { region: place.state, region_code: place.region_code, region_id: place.region_id } : { region: place.state },
+      postcode: place.pincode,
+      country_id: __constants.ORDER_COUNTRY_ID,
+      telephone: input.telephone || localNumber(whatsappNumber)
+    }
+    if (place.region_id) address.region_id = place.region_id
+    return address
+  }
+
+  summarize (address) {
+    return {
+      id: address.id,
+      firstname: address.firstname,
+      lastname: address.lastname,
+      street: address.street,
+      city: address.city,
+      state: address.region ? address.region.region : null,
+      region_id: address.region_id || null,
+      pincode: address.postcode,
+      telephone: address.telephone,
+      is_default: !!address.default_shipping
+    }
+  }
+
+  list (customer) {
+    return (customer.addresses || []).map(address => this.summarize(address))
+  }
+
+  // magento replaces the customer's addresses with the ones sent, so every change sends the whole book
+  async saveAddresses (customer, addresses) {
+    return magentoClient.put(`/V1/customers/${customer.id}`, { customer: { ...customer, addresses } })
+  }
+
+  findAddress (customer, addressId) {
+    const address = (customer.addresses || []).find(item => Number(item.id) === Number(addressId))
+    if (!address) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, `Address ${addressId} is not in the address book`)
+    return address
+  }
+
+  async listAddresses (whatsappNumber) {
+    return this.list(await this.findCustomer(whatsappNumber))
+  }
+
+  // the first address, or one added with isDefault, becomes the default for shipping and billing
+  async addAddress (whatsappNumber, input) {
+    const customer = await this.findCustomer(whatsappNumber)
+    const addresses = customer.addresses || []
+    if (addresses.length >= __constants.ADDRESS_BOOK_MAX_ADDRESSES) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `An address book holds at most ${__constants.ADDRESS_BOOK_MAX_ADDRESSES} addresses`)
+    }
+    const address = await this.toMagentoAddress(input, customer, whatsappNumber)
+    const isDefault = !!input.isDefault || !addresses.length
+    const saved = await this.saveAddresses(customer, [
+      ...addresses.map(item => isDefault ? { ...item, default_shipping: false, default_billing: false } : item),
+      { ...address, default_shipping: isDefault, default_billing: isDefault }
+    ])
+    const known = new Set(addresses.map(item => item.id))
+    return { address: this.summarize(saved.addresses.find(item => !known.has(item.id))), addresses: this.list(saved) }
+  }
+
+  async updateAddress (whatsappNumber, addressId, input) {
+    const customer = await this.findCustomer(whatsappNumber)
+    const current = this.findAddress(customer, addressId)
+    const address = await this.toMagentoAddress({
+      firstname: current.firstname,
+      lastname: current.lastname,
+      street: current.street,
+      telephone: current.telephone,
+      pincode: current.postcode,
+      // a new pincode brings its own city unless one is given
+      city: input.pincode && input.pincode !== current.postcode ? undefined : current.city,
+      ...input
+    }, customer, whatsappNumber)
+    const saved = await this.saveAddresses(customer, customer.addresses.map(item => item === current ? { ...current, ...address } : item))
+    return { address: this.summarize(this.findAddress(saved, addressId)), addresses: this.list(saved) }
+  }
+
+  // deleting the default address makes the first remaining one the default
+  async deleteAddress (whatsappNumber, addressId) {
+    const customer = await this.findCustomer(whatsappNumber)
+    const deleted = this.findAddress(customer, addressId)
+    await magentoClient.delete(`/V1/addresses/${addressId}`)
+    const remaining = customer.addresses.filter(item => item !== deleted)
+    if (deleted.default_shipping && remaining.length) return this.setDefaultAddress(whatsappNumber, remaining[0].id)
+    return this.listAddresses(whatsappNumber)
+  }
+
+  async setDefaultAddress (whatsappNumber, addressId) {
+    const customer = await this.findCustomer(whatsappNumber)
+    const chosen = this.findAddress(customer, addressId)
+    const saved = await this.saveAddresses(customer, customer.addresses.map(item => ({
+      ...item,
+      default_shipping: item === chosen,
+      default_billing: item === chosen
+    })))
+    return this.list(saved)
+  }
+
+  // a customer address in the shape of a quote address, which carries the region as a plain name
+  toQuoteAddress (address) {
+    const quoteAddress = {
+      firstname: address.firstname,
+      lastname: address.lastname,
+      street: address.street,
+      city: address.city,
+      region: address.region ? address.region.region : undefined,
+      postcode: address.postcode,
+      country_id: address.country_id,
+      telephone: address.telephone
+    }
+    if (address.region && address.region.region_id) {
+      quoteAddress.region_id = address.region.region_id
+      quoteAddress.region_code = address.region.region_code
+    }
+    return quoteAddress
+  }
+
+  /**
+   * The address an order ships to, as a quote address: one typed at checkout, one from the book by id, or the default one.
+   */
+  async shippingAddress (customer, whatsappNumber, { address, addressId }) {
+    if (address) return this.toQuoteAddress(await this.toMagentoAddress(address, customer, whatsappNumber))
+    const stored = addressId
+      ? this.findAddress(customer, addressId)
+      : (customer.addresses || []).find(item => item.default_shipping)
+    if (!stored) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'No delivery address, add one to the address book or send it with the order')
+    return this.toQuoteAddress(stored)
+  }
+}
+
+module.exports = new AddressService()
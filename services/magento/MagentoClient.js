@@ -0,0 +1,162 @@
+const axios = require('axios')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+
+// Magento returns messages like 'The "%1" product does not exist.' along with the values to substitute
+const formatMagentoMessage = (body) => {
+  if (!body || !body.message) return null
+  const parameters = body.parameters || []
+  return body.message.replace(/%(\w+)/g, (match, name) => {
+    const value = Array.isArray(parameters) ? parameters[name - 1] : parameters[name]
+    return value === undefined ? match : value
+  })
+}
+
+const providerError = (type, message, status) => {
+  const error = new Error(message)
+  error.type = type
+  error.err = message
+  error.status = status
+  return error
+}
+
+class MagentoClient {
+  constructor () {
+    this.http = axios.create({
+      baseURL: __config.magento.baseUrl,
+      timeout: __config.magento.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    })
+    this.memoryToken = null
+    this.pendingLogin = null
+  }
+
+  redisAvailable () {
+    return !!(__db.redis && __db.redis.connection)
+  }
+
+  async readCachedToken () {
+    if (this.redisAvailable()) {
+      try {
+        return await __db.redis.get(__constants.MAGENTO_ADMIN_TOKEN_KEY)
+      } catch (err) {
+        console.log('Error in readCachedToken function :: err', err)
+      }
+    }
+    if (this.memoryToken && this.memoryToken.expiresAt > Date.now()) return this.memoryToken.value
+    return null
+  }
+
+  async storeToken (token) {
+    const ttl = __config.magento.adminTokenTtl
+    this.memoryToken = { value: token, expiresAt: Date.now() + ttl * 1000 }
+    if (this.redisAvailable()) {
+      try {
+        await __db.redis.setex(__constants.MAGENTO_ADMIN_TOKEN_KEY, token, ttl)
+      } catch (err) {
+        console.log('Error in storeToken function :: err', err)
+      }
+    }
+  }
+
+  async invalidateToken (token) {
+    if (this.memoryToken && this.memoryToken.value === token) this.memoryToken = null
+    if (this.redisAvailable()) {
+      try {
+        const cached = await __db.redis.get(__constants.MAGENTO_ADMIN_TOKEN_KEY)
+        // another worker may already have stored a fresh token, only drop the one magento rejected
+        if (cached === token) await __db.redis.key_delete(__constants.MAGENTO_ADMIN_TOKEN_KEY)
+      } catch (err) {
+        console.log('Error in invalidateToken function :: err', err)
+      }
+    }
+  }
+
+  async login () {
+    try {
+      const { data } = await this.http.post('/V1/integration/admin/token', {
+        username: __config.magento.username,
+        password: __config.magento.password
+      })
+      await this.storeToken(data)
+      return data
+    } catch (err) {
+      console.log('Error in magento login function :: err', err.response ? err.response.data : err.message)
+      throw this.mapError(err)
+    }
+  }
+
+  async getAdminToken () {
+    const cached = await this.readCachedToken()
+    if (cached) return cached
+    // concurrent requests during a spike share a single login instead of each hitting magento
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.login().finally(() => { this.pendingLogin = null })
+    }
+    return this.pendingLogin
+  }
+
+  async request (method, path, { params, data, headers } = {}) {
+    let token = await this.getAdminToken()
+    const send = () => this.http.request({
+      method,
+      url: path,
+      params,
+      data,
+      headers: { ...headers, Authorization: `Bearer ${token}` }
+    })
+    try {
+      const response = await send().catch(async (err) => {
+        if (!err.response || err.response.status !== 401) throw err
+        // token revoked or expired before its ttl, log in again and retry once
+        await this.invalidateToken(token)
+        token = await this.getAdminToken()
+        return send()
+      })
+      return response.data
+    } catch (err) {
+      console.log(`Error in magento ${method.toUpperCase()} ${path} :: err`, err.response ? err.response.data : err.message)
+      throw this.mapError(err)
+    }
+  }
+
+  get (path, options) {
+    return this.request('get', path, options)
+  }
+
+  post (path, data, options) {
+    return this.request('post', path, { ...options, data })
+  }
+
+  put (path, data, options) {
+    return this.request('put', path, { ...options, data })
+  }
+
+  delete (path, options) {
+    return this.request('delete', path, options)
+  }
+
+  // calls handler with every page of a list endpoint (products, orders ...) matching the criteria, one page at a time
+  async forEachPage (path, criteria, handler, pageSize = __constants.MAGENTO_LIST_PAGE_SIZE) {
+    for (let page = 1; ; page++) {
+      const { items, total_count: totalCount } = await this.get(`${path}?${criteria.paginate(page, pageSize)}`)
+      if (items && items.length) await handler(items)
+      if (!items || items.length < pageSize || page * pageSize >= totalCount) return
+    }
+  }
+
+  mapError (err) {
+    if (!err.response) {
+      const message = err.code === 'ECONNABORTED' ? 'Magento did not respond in time' : 'Magento is unreachable'
+      return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message)
+    }
+    const status = err.response.status
+    const message = formatMagentoMessage(err.response.data) || `Magento responded with status ${status}`
+    if (status === 400) return providerError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, message, status)
+    if (status === 404) return providerError(__constants.RESPONSE_MESSAGES.NOT_FOUND, message, status)
+    return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message, status)
+  }
+}
+
+module.exports = new MagentoClient()
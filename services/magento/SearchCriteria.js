@@ -0,0 +1,101 @@
+const CONDITION_TYPES = ['eq', 'neq', 'like', 'nlike', 'in', 'nin', 'gt', 'gteq', 'lt', 'lteq', 'from', 'to', 'null', 'notnull', 'finset']
+
+/**
+ * Builds the searchCriteria query string understood by magento list endpoints
+ * (products, orders, customers/search, shipments ...).
+ * Filters added through separate calls are ANDed, filters passed together to whereAny are ORed.
+ * @example
+ * const criteria = new SearchCriteria()
+ *   .where('status', 1)
+ *   .where('sku', ['LWL62-GREEN-XL', 'LWL62-GREEN-L'], 'in')
+ *   .sortBy('updated_at', 'DESC')
+ *   .paginate(1, 10)
+ * magentoClient.get(`/V1/products?${criteria.toQueryString()}`)
+ */
+class SearchCriteria {
+  constructor () {
+    this.filterGroups = []
+    this.sortOrders = []
+    this.pageSize = null
+    this.currentPage = null
+    this.projection = null
+  }
+
+  static filter (field, value, conditionType = 'eq') {
+    if (!CONDITION_TYPES.includes(conditionType)) throw new Error(`Unsupported magento condition type: ${conditionType}`)
+    return { field, value: Array.isArray(value) ? value.join(',') : value, conditionType }
+  }
+
+  where (field, value, conditionType) {
+    this.filterGroups.push([SearchCriteria.filter(field, value, conditionType)])
+    return this
+  }
+
+  // each entry is [field, value, conditionType], a row matches when any of them does
+  whereAny (filters) {
+    if (filters.length) this.filterGroups.push(filters.map(args => SearchCriteria.filter(...args)))
+    return this
+  }
+
+  between (field, from, to) {
+    if (from !== undefined && from !== null) this.where(field, from, 'from')
+    if (to !== undefined && to !== null) this.where(field, to, 'to')
+    return this
+  }
+
+  sortBy (field, direction) {
+    this.sortOrders.push({ field, direction: direction ? direction.toUpperCase() : undefined })
+    return this
+  }
+
+  paginate (currentPage, pageSize) {
+    this.currentPage = currentPage
+    this.pageSize = pageSize
+    return this
+  }
+
+  limit (pageSize) {
+    this.pageSize = pageSize
+    return this
+  }
+
+  // magento "fields" parameter, e.g. 'items[id,sku,name],total_count'
+  fields (projection) {
+    this.projection = projection
+    return this
+  }
+
+  toParams () {
+    const params = []
+    this.filterGroups.forEach((group, groupIndex) => {
+      group.forEach((filter, filterIndex) => {
+        const prefix = `searchCriteria[filterGroups][${groupIndex}][filters][${filterIndex}]`
+        params.push([`${prefix}[field]`, filter.field])
+        params.push([`${prefix}[value]`, filter.value])
+        if (filter.conditionType !== 'eq') params.push([`${prefix}[conditionType]`, filter.conditionType])
+      })
+    })
+    this.sortOrders.forEach((sortOrder, index) => {
+      params.push([`searchCriteria[sortOrders][${index}][field]`, sortOrder.field])
+      if (sortOrder.direction) params.push([`searchCriteria[sortOrders][${index}][direction]`, sortOrder.direction])
+    })
+    if (this.pageSize !== null && this.pageSize !== undefined) params.push(['searchCriteria[pageSize]', this.pageSize])
+    if (this.currentPage !== null && this.currentPage !== undefined) params.push(['searchCriteria[currentPage]', this.currentPage])
+    // magento rejects a list request without any searchCriteria key, an empty one returns everything
+    if (!params.length) params.push(['searchCriteria', ''])
+    if (this.projection) params.push(['fields', this.projection])
+    return params
+  }
+
+  toQueryString () {
+    return this.toParams()
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value === null || value === undefined ? '' : value)}`)
+      .join('&')
+  }
+
+  toString () {
+    return this.toQueryString()
+  }
+}
+
+module.exports = SearchCriteria
@@ -0,0 +1,132 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+const sharp = require('sharp')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const typedError = require('../../lib/util/typedError')
+
+// magento stores "no_selection" when a product has no image for a role
+const hasFile = (file) => !!file && file !== 'no_selection'
+
+const roleRank = (entry) => {
+  const ranks = (entry.types || []).map(type => __constants.IMAGE_ROLE_ORDER.indexOf(type)).filter(rank => rank !== -1)
+  return ranks.length ? Math.min(...ranks) : __constants.IMAGE_ROLE_ORDER.length
+}
+
+/**
+ * Catalog image urls and resized renditions of them.
+ * Renditions are served by GET /api/media/getImage, which fetches the original from the magento media
+ * folder once, resizes / re-encodes it with sharp and keeps the result on disk for IMAGE_CACHE_TTL seconds.
+ */
+class ImageService {
+  constructor () {
+    this.pending = new Map()
+  }
+
+  /**
+   * @param {string} file path relative to the catalog media folder, e.g. /b/l/black-slim-front.jpg
+   * @returns {string|null} the public url of the original, null when there is no image
+   */
+  url (file) {
+    if (!hasFile(file)) return null
+    if (/^https?:\/\//.test(file)) return file
+    return `${__config.media.baseUrl}/${String(file).replace(/^\/+/, '')}`
+  }
+
+  renditionUrl (file, { width, format }) {
+    if (!hasFile(file) || /^https?:\/\//.test(file)) return null
+    const apiPrefix = __config.addBaseUrlPrefix ? '/' + __config.api_prefix : ''
+    const query = new URLSearchParams({ file: '/' + String(file).replace(/^\/+/, '') })
+    if (width) query.set('width', width)
+    if (format) query.set('format', format)
+    return `${__config.base_url}${apiPrefix}/api/media/getImage?${query}`
+  }
+
+  // one url per entry of IMAGE_RENDITIONS, e.g. { whatsapp, thumbnail }
+  renditions (file) {
+    const renditions = {}
+    Object.entries(__constants.IMAGE_RENDITIONS).forEach(([name, rendition]) => { renditions[name] = this.renditionUrl(file, rendition) })
+    return renditions
+  }
+
+  // enabled images only, base / small / thumbnail roles first, then by position
+  gallery (product) {
+    return (product.media_gallery_entries || [])
+      .filter(entry => !entry.disabled && entry.media_type === 'image' && hasFile(entry.file))
+      .sort((a, b) => roleRank(a) - roleRank(b) || (a.position || 0) - (b.position || 0))
+      .map(entry => ({ ...entry, file: this.url(entry.file), renditions: this.renditions(entry.file) }))
+  }
+
+  async fetchOriginal (file) {
+    try {
+      const response = await axios.get(this.url(file), {
+        responseType: 'arraybuffer',
+        timeout: __config.magento.timeout,
+        maxContentLength: __constants.IMAGE_MAX_SOURCE_BYTES
+      })
+      return Buffer.from(response.data)
+    } catch (err) {
+      console.log(`Error fetching image ${file} :: err`, err.response ? err.response.status : err.message)
+      if (err.response && err.response.status === 404) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, 'Image not found')
+      throw typedError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, 'Image could not be fetched')
+    }
+  }
+
+  async render (file, width, format) {
+    const original = await this.fetchOriginal(file)
+    try {
+      // rotate() applies the exif orientation before the metadata is stripped
+      const image = sharp(original).rotate()
+      if (width) image.resize({ width, withoutEnlargement: true })
+      return await image.toFormat(format, { quality: __constants.IMAGE_QUALITY }).toBuffer()
+    } catch (err) {
+      console.log(`Error resizing image ${file} :: err`, err.message)
+      throw typedError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, 'Image could not be processed')
+    }
+  }
+
+  async readCache (cachePath) {
+    try {
+      const stat = await fs.promises.stat(cachePath)
+      if (Date.now() - stat.mtimeMs > __constants.IMAGE_CACHE_TTL * 1000) return null
+      return await fs.promises.readFile(cachePath)
+    } catch (err) {
+      return null
+    }
+  }
+
+  // a half written file is never served, the rendition is written aside and renamed into place
+  async writeCache (cachePath, buffer) {
+    try {
+      await fs.promises.mkdir(path.dirname(cachePath), { recursive: true })
+      const tempPath = `${cachePath}.${process.pid}.tmp`
+      await fs.promises.writeFile(tempPath, buffer)
+      await fs.promises.rename(tempPath, cachePath)
+    } catch (err) {
+      console.log('Error in writeCache function :: err', err.message)
+    }
+  }
+
+  /**
+   * @param {{file: string, width: number, format: string}} rendition format is a key of IMAGE_RENDITION_FORMATS
+   * @returns {{buffer: Buffer, contentType: string, cached: boolean}}
+   */
+  async getRendition ({ file, width, format = 'jpeg' }) {
+    const key = crypto.createHash('sha1').update(`${file}|${width || 'original'}|${format}`).digest('hex')
+    const cachePath = path.join(__config.media.cacheDir, key.slice(0, 2), `${key}.${format}`)
+    const contentType = __constants.IMAGE_RENDITION_FORMATS[format]
+    const cached = await this.readCache(cachePath)
+    if (cached) return { buffer: cached, contentType, cached: true }
+    // concurrent requests for the same rendition share one fetch and resize
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.render(file, width, format)
+        .then(async (buffer) => { await this.writeCache(cachePath, buffer); return buffer })
+        .finally(() => this.pending.delete(key)))
+    }
+    return { buffer: await this.pending.get(key), contentType, cached: false }
+  }
+}
+
+module.exports = new ImageService()
@@ -0,0 +1,100 @@
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const cartService = require('../cart/CartService')
+const addressService = require('../customer/AddressService')
+const priceResolver = require('../product/PriceResolver')
+const orderService = require('./OrderService')
+const paymentLinkService = require('./PaymentLinkService')
+const pickupService = require('./PickupService')
+
+const addComment = (order, comment) => magentoClient.post(`/V1/orders/${order.order_id}/comments`, {
+  statusHistory: { comment, is_customer_notified: 0, is_visible_on_front: 0, parent_id: order.order_id }
+})
+
+/**
+ * Places the order and creates the cashfree link that pays it in one go. The link is ORDER_LINK_PREFIX + the order's increment id,
+ * charges the order's grand total and is noted on the magento order, so a payment can always be matched back to its order.
+ * A pickup order gets its pickup code only once its link exists, an order rolled back never sends one.
+ */
+class CheckoutService {
+  linkId (order) {
+    return __constants.ORDER_LINK_PREFIX + order.increment_id
+  }
+
+  /**
+   * A link cashfree did not create leaves an order nobody can pay: it is cancelled in magento and the customer gets the cart back.
+   * When magento does not cancel it, a comment asks the team to.
+   * @returns {{order_id, increment_id, order_state: string, cart_restored: boolean}}
+   */
+  async rollback (order, cart, whatsappNumber, reason) {
+    let orderState = 'canceled'
+    try {
+      await magentoClient.post(`/V1/orders/${order.order_id}/cancel`)
+      await addComment(order, `Cancelled, the payment link could not be created: ${reason}`)
+        .catch(err => console.log(`Error noting the cancellation of order ${order.increment_id} :: err`, err.err || err.message))
+    } catch (err) {
+      console.log(`Error cancelling order ${order.increment_id} after its payment link failed :: err`, err.err || err.message)
+      orderState = order.state
+      await addComment(order, `The payment link could not be created (${reason}) and the order was not cancelled, cancel it before it ships`)
+        .catch(commentErr => console.log(`Error marking order ${order.increment_id} :: err`, commentErr.err || commentErr.message))
+    }
+    let cartRestored = false
+    try {
+      await cartService.save(whatsappNumber, { items: cart.items, coupon: cart.coupon })
+      cartRestored = true
+    } catch (err) {
+      console.log(`Error restoring the cart of ${whatsappNumber} :: err`, err.message)
+    }
+    return { order_id: order.order_id, increment_id: order.increment_id, order_state: orderState, cart_restored: cartRestored }
+  }
+
+  /**
+   * @param {Object} checkout what placingOrder takes (whatsappNumber, address, addressId, pickupStoreId), the order is paid online
+   * with magento.paymentMethod; name is the customer's name on the link (magento's by default), expiryMinutes how long it stays payable
+   * @returns {{order: Object, payment_link: {linkId, paymentLink, amount, name, expiresAt}}}
+   * @throws what placingOrder throws, or CHECKOUT_LINK_FAILED with data { order_id, increment_id, order_state, cart_restored } once the
+   * order is rolled back. It is not a server error, so an Idempotency-Key replays it instead of placing the order again.
+   */
+  async checkout ({ whatsappNumber, address, addressId, pickupStoreId, name, expiryMinutes = __constants.CHECKOUT_LINK_EXPIRY_MINUTES }) {
+    cartService.assertConnected()
+    const cart = await cartService.load(whatsappNumber)
+    const order = await orderService.placeOrder({ whatsappNumber, address, addressId, pickupStoreId, issuePickup: false })
+    const linkId = this.linkId(order)
+    let link
+    try {
+      if (!name) {
+        const customer = await addressService.findCustomer(whatsappNumber)
+        name = `${customer.firstname} ${customer.lastname}`
+      }
+      link = (await paymentLinkService.create({
+        linkId,
+        amount: order.totals.grand_total,
+        name,
+        purpose: `Order ${order.increment_id}`,
+        expiryMinutes,
+        whatsappNumber,
+        orderId: order.order_id
+      })).link
+    } catch (err) {
+      const reason = err.err || err.message
+      const error = new Error(`The payment link for order ${order.increment_id} could not be created: ${reason}`)
+      error.type = __constants.RESPONSE_MESSAGES.CHECKOUT_LINK_FAILED
+      error.err = error.message
+      error.data = await this.rollback(order, cart, whatsappNumber, reason)
+      throw error
+    }
+    await addComment(order, `Cashfree payment link ${link.link_id} for ${priceResolver.format(link.link_amount)}: ${link.link_url}`)
+      .catch(err => console.log(`Error noting the payment link on order ${order.increment_id} :: err`, err.err || err.message))
+    // the order is placed and payable, a pickup code that could not be issued is reported like a failed whatsapp message
+    if (pickupStoreId) {
+      order.pickup = await orderService.issuePickup(order.order_id, pickupStoreId, whatsappNumber)
+        .catch(err => pickupService.notIssued({ store_id: pickupStoreId }, err))
+    }
+    return {
+      order,
+      payment_link: { linkId: link.link_id, paymentLink: link.link_url, amount: link.link_amount, name, expiresAt: link.link_expiry_time || null }
+    }
+  }
+}
+
+module.exports = new CheckoutService()
@@ -0,0 +1,93 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const shiprocketClient = require('../shiprocket/ShiprocketClient')
+const priceResolver = require('../product/PriceResolver')
+const round = require('../../lib/util/round')
+
+const localNumber = (whatsappNumber) => String(whatsappNumber).slice(-__constants.MOBILE_NUMBER_LENGTH)
+
+/**
+ * Decides whether an order can be paid cash on delivery: cod has to be enabled, the order value inside the cod limits,
+ * the customer without repeated returned (rto) shipments on shiprocket and a shiprocket courier has to collect cash at the pincode.
+ * The cod fee is not a magento total, it is added to what the courier collects and noted on the magento order.
+ */
+class CodService {
+  fee (orderValue) {
+    const { fee, freeAbove } = __config.cod
+    return freeAbove && orderValue >= freeAbove ? 0 : fee
+  }
+
+  // shiprocket orders of the customer's phone that came back to origin
+  async rtoCount (whatsappNumber) {
+    const { data } = await shiprocketClient.get('/orders', { search: localNumber(whatsappNumber), per_page: 100 })
+    return (data || []).filter(order => String(order.status || '').toUpperCase().startsWith(__constants.SHIPROCKET_RTO_STATUS_PREFIX)).length
+  }
+
+  // couriers that collect cash at the pincode, none when shiprocket does not deliver there
+  async codCouriers (pincode) {
+    try {
+      const { data } = await shiprocketClient.get('/courier/serviceability/', {
+        pickup_postcode: __config.shiprocket.pickupPostcode,
+        delivery_postcode: pincode,
+        cod: 1,
+        weight: __constants.SHIPROCKET_PACKAGE_WEIGHT
+      })
+      return ((data && data.available_courier_companies) || [])
+        .filter(courier => Number(courier.cod) === 1)
+        .map(courier => ({ name: courier.courier_name, estimated_delivery_days: Number(courier.estimated_delivery_days) || null }))
+    } catch (err) {
+      if (err.type === __constants.RESPONSE_MESSAGES.NOT_FOUND) return []
+      throw err
+    }
+  }
+
+  /**
+   * @param {number} orderValue what the customer pays for the goods, after the coupon discount
+   * @returns {{available: boolean, reason: string, message: string, fee: number, fee_display: string, couriers: Array}}
+   * reason (when not available) is one of disabled, below_minimum, above_maximum, rto_history or not_serviceable
+   */
+  async check (whatsappNumber, pincode, orderValue) {
+    const { enabled, minOrderValue, maxOrderValue, maxRtoOrders } = __config.cod
+    const unavailable = (reason, message) => ({ available: false, reason, message, fee: null, fee_display: null, couriers: [] })
+    if (!enabled) return unavailable('disabled', 'Cash on delivery is not available right now')
+    if (orderValue < minOrderValue) {
+      return unavailable('below_minimum', `Cash on delivery is available on orders of ${priceResolver.format(minOrderValue)} or more`)
+    }
+    if (orderValue > maxOrderValue) {
+      return unavailable('above_maximum', `Cash on delivery is available on orders up to ${priceResolver.format(maxOrderValue)}, please pay online`)
+    }
+    const [rtoOrders, couriers] = await Promise.all([
+      maxRtoOrders ? this.rtoCount(whatsappNumber) : 0,
+      this.codCouriers(pincode)
+    ])
+    if (maxRtoOrders && rtoOrders >= maxRtoOrders) {
+      return unavailable('rto_history', 'Cash on delivery is not available for this number because of earlier undelivered orders, please pay online')
+    }
+    if (!couriers.length) return unavailable('not_serviceable', `Cash on delivery is not available at ${pincode}, please pay online`)
+    const fee = this.fee(orderValue)
+    return { available: true, reason: null, message: null, fee, fee_display: priceResolver.format(fee), couriers }
+  }
+
+  async assertAvailable (whatsappNumber, pincode, orderValue) {
+    const result = await this.check(whatsappNumber, pincode, orderValue)
+    if (result.available) return result
+    const error = new Error(result.message)
+    error.type = __constants.RESPONSE_MESSAGES.COD_NOT_AVAILABLE
+    error.err = result.message
+    error.data = { reason: result.reason }
+    throw error
+  }
+
+  // the courier collects the order's grand total and the cod fee, the note tells the warehouse how much
+  async recordCollection (order, fee) {
+    const amount = round(Number(order.grand_total) + fee)
+    const comment = `Cash on delivery: collect ${priceResolver.format(amount)}` + (fee ? ` (order ${priceResolver.format(order.grand_total)} + cod fee ${priceResolver.format(fee)})` : '')
+    await magentoClient.post(`/V1/orders/${order.entity_id}/comments`, {
+      statusHistory: { comment, is_customer_notified: 0, is_visible_on_front: 1, parent_id: order.entity_id }
+    }).catch(err => console.log(`Error noting the cod amount on order ${order.increment_id} :: err`, err.err || err.message))
+    return { fee, amount_to_collect: amount, amount_to_collect_display: priceResolver.format(amount) }
+  }
+}
+
+module.exports = new CodService()
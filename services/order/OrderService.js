@@ -0,0 +1,167 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const cartService = require('../cart/CartService')
+const priceResolver = require('../product/PriceResolver')
+const addressService = require('../customer/AddressService')
+const codService = require('./CodService')
+const pickupService = require('./PickupService')
+const typedError = require('../../lib/util/typedError')
+
+const couponRefused = (code, reason, message) => {
+  const error = typedError(__constants.RESPONSE_MESSAGES.COUPON_NOT_APPLICABLE, message)
+  error.data = { coupon_code: code, reason }
+  return error
+}
+
+/**
+ * Places orders through magento's quote (cart) api, so prices, shipping, tax and stock deduction are magento's:
+ * the customer's quote is filled with the whatsapp cart, addressed, given a shipping and payment method and turned into an order.
+ */
+class OrderService {
+  // the cart as it will be ordered, refused when empty, when an item is gone or short of stock or when its coupon stopped applying
+  async orderableCart (whatsappNumber) {
+    const cart = await cartService.getCart(whatsappNumber)
+    if (!cart.items.length) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'The cart is empty')
+    const unavailable = cart.items.filter(item => !item.available)
+    if (unavailable.length) {
+      throw typedError(__constants.RESPONSE_MESSAGES.OUT_OF_STOCK, `Not enough stock of ${unavailable.map(item => item.name).join(', ')}`)
+    }
+    if (cart.coupon && !cart.coupon.valid) {
+      throw couponRefused(cart.coupon.code, cart.coupon.reason, `${cart.coupon.message}, remove it to order without it`)
+    }
+    return cart
+  }
+
+  // the customer's active quote, emptied so a quote left over from an earlier attempt does not add to this order,
+  // with the cart's coupon or without any
+  async prepareQuote (customer, items, couponCode) {
+    const quoteId = await magentoClient.post(`/V1/customers/${customer.id}/carts`)
+    const quote = await magentoClient.get(`/V1/carts/${quoteId}`)
+    for (const item of quote.items || []) {
+      await magentoClient.delete(`/V1/carts/${quoteId}/items/${item.item_id}`)
+    }
+    for (const item of items) {
+      await magentoClient.post(`/V1/carts/${quoteId}/items`, { cartItem: { sku: item.sku, qty: item.qty, quote_id: String(quoteId) } })
+    }
+    if (!couponCode) {
+      await magentoClient.delete(`/V1/carts/${quoteId}/coupons`)
+      return quoteId
+    }
+    await magentoClient.put(`/V1/carts/${quoteId}/coupons/${encodeURIComponent(couponCode)}`).catch((err) => {
+      throw couponRefused(couponCode, 'refused', `${couponCode} was not accepted: ${err.err || err.message}`)
+    })
+    return quoteId
+  }
+
+  // in-store pickup for a pickup order, otherwise a delivery method: MAGENTO_SHIPPING_METHOD or the cheapest
+  async chooseShippingMethod (quoteId, address, pickup = false) {
+    const available = (await magentoClient.post(`/V1/carts/${quoteId}/estimate-shipping-methods`, { address }))
+      .filter(method => method.available)
+    const isPickup = method => method.carrier_code === __constants.PICKUP_CARRIER_CODE && method.method_code === __constants.PICKUP_METHOD_CODE
+    if (pickup) {
+      const method = available.find(isPickup)
+      if (!method) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'Store pickup is not available for this order')
+      return method
+    }
+    const methods = available.filter(method => !isPickup(method))
+    const configured = __config.magento.shippingMethod
+    const method = configured
+      ? methods.find(candidate => `${candidate.carrier_code}_${candidate.method_code}` === configured)
+      : methods.slice().sort((a, b) => a.amount - b.amount)[0]
+    if (!method) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `No shipping method delivers to ${address.postcode}`)
+    return method
+  }
+
+  summarize (order) {
+    return {
+      order_id: order.entity_id,
+      increment_id: order.increment_id,
+      state: order.state,
+      status: order.status,
+      payment_method: order.payment && order.payment.method,
+      shipping_method: order.shipping_description,
+      coupon_code: order.coupon_code || null,
+      items: (order.items || []).filter(item => !item.parent_item_id).map(item => ({
+        sku: item.sku,
+        name: item.name,
+        qty: item.qty_ordered,
+        price: item.price,
+        row_total: item.row_total
+      })),
+      totals: {
+        subtotal: order.subtotal,
+        // magento stores discounts as negative amounts
+        discount: Math.abs(order.discount_amount || 0),
+        shipping: order.shipping_amount || 0,
+        tax: order.tax_amount || 0,
+        grand_total: order.grand_total,
+        grand_total_display: priceResolver.format(order.grand_total)
+      }
+    }
+  }
+
+  // whether the cart as it is now could be paid cash on delivery at the pincode
+  async codAvailability (whatsappNumber, pincode) {
+    const cart = await cartService.getCart(whatsappNumber)
+    if (!cart.items.length) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'The cart is empty')
+    return { ...await codService.check(whatsappNumber, pincode, cart.total), order_value: cart.total }
+  }
+
+  async getOrder (orderId) {
+    return this.summarize(await magentoClient.get(`/V1/orders/${orderId}`))
+  }
+
+  /**
+   * @param {{whatsappNumber: string, address: Object, addressId: number, pickupStoreId: string, paymentMethod: string}} checkout ships to address
+   * (typed at checkout), the address book entry addressId or the default address, or is collected at the store pickupStoreId.
+   * paymentMethod defaults to magento.paymentMethod.
+   * Cash on delivery (COD_PAYMENT_METHOD) is checked with codService first and the order gets cod: { fee, amount_to_collect },
+   * a pickup order gets pickup: { store, pickup_code, store_notified, code_sent } unless issuePickup is false (see issuePickup),
+   * pickup_code is null with an error when the order was placed but its code could not be issued
+   * @returns the placed order with magento's increment id and totals, the whatsapp cart is emptied
+   */
+  async placeOrder ({ whatsappNumber, address, addressId, pickupStoreId, paymentMethod = __config.magento.paymentMethod, issuePickup = true }) {
+    if (pickupStoreId && paymentMethod === __constants.COD_PAYMENT_METHOD) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'Cash on delivery is not available for store pickup, pay online')
+    }
+    const customer = await addressService.findCustomer(whatsappNumber)
+    const cart = await this.orderableCart(whatsappNumber)
+    const store = pickupStoreId ? await pickupService.getStore(pickupStoreId) : null
+    const magentoAddress = {
+      ...(store ? await pickupService.pickupAddress(store, customer, whatsappNumber) : await addressService.shippingAddress(customer, whatsappNumber, { address, addressId })),
+      email: customer.email
+    }
+    const cod = paymentMethod === __constants.COD_PAYMENT_METHOD
+      ? await codService.assertAvailable(whatsappNumber, magentoAddress.postcode, cart.total)
+      : null
+    const quoteId = await this.prepareQuote(customer, cart.items, cart.coupon && cart.coupon.code)
+    const shippingMethod = await this.chooseShippingMethod(quoteId, magentoAddress, !!store)
+    const { payment_methods: paymentMethods } = await magentoClient.post(`/V1/carts/${quoteId}/shipping-information`, {
+      addressInformation: {
+        shipping_address: magentoAddress,
+        billing_address: magentoAddress,
+        shipping_carrier_code: shippingMethod.carrier_code,
+        shipping_method_code: shippingMethod.method_code
+      }
+    })
+    if (!(paymentMethods || []).some(method => method.code === paymentMethod)) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `Payment method ${paymentMethod} is not available for this order`)
+    }
+    const orderId = await magentoClient.put(`/V1/carts/${quoteId}/order`, { paymentMethod: { method: paymentMethod } })
+    const order = await magentoClient.get(`/V1/orders/${orderId}`)
+    await cartService.clear(whatsappNumber).catch(err => console.log('Error clearing the cart after placing an order :: err', err.message))
+    const summary = this.summarize(order)
+    if (cod) summary.cod = await codService.recordCollection(order, cod.fee)
+    if (store && issuePickup) summary.pickup = await pickupService.issue(order, store, whatsappNumber).catch(err => pickupService.notIssued(store, err))
+    return summary
+  }
+
+  // the pickup code of a pickup order placed without one, for checkout to send once the order's payment link exists
+  async issuePickup (orderId, pickupStoreId, whatsappNumber) {
+    const [order, store] = await Promise.all([magentoClient.get(`/V1/orders/${orderId}`), pickupService.getStore(pickupStoreId)])
+    return pickupService.issue(order, store, whatsappNumber)
+  }
+}
+
+module.exports = new OrderService()
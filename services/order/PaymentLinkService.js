@@ -0,0 +1,100 @@
+const moment = require('moment')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const cashfreeClient = require('../cashfree/CashfreeClient')
+const cartService = require('../cart/CartService')
+const catalogEnrichment = require('../product/CatalogEnrichment')
+const stockReservations = require('../product/StockReservationService')
+const PaymentLinkOrder = require('../../mongooseSchema/PaymentLinkOrder')
+const typedError = require('../../lib/util/typedError')
+
+/**
+ * Cashfree payment links and the stock they hold: a link for the cart reserves its units until it expires,
+ * is cancelled or is paid (see StockReservationService). A link for a placed order is kept in mongo (PaymentLinkOrder) for the payment webhook.
+ */
+class PaymentLinkService {
+  /**
+   * Holds the cart items a link without an order pays for. A link for a placed order holds nothing, magento's salable
+   * quantity is already net of the order's reservation. Items still on sale but short of stock are kept so the reservation refuses them.
+   * @returns the reservation, null for an order link, an empty cart or when reservations are off
+   * @throws OUT_OF_STOCK when other customers hold the last pieces of an item of the cart
+   */
+  async reserveStock ({ linkId, whatsappNumber, orderId, expiryMinutes }) {
+    if (orderId || !stockReservations.enabled()) return null
+    const items = (await cartService.getCart(whatsappNumber)).items.filter(item => item.price !== null)
+    if (!items.length) return null
+    const stock = await catalogEnrichment.getStock(items.map(item => item.sku), true)
+    return stockReservations.reserve({ linkId, whatsappNumber, items, expiryMinutes }, stock)
+  }
+
+  /**
+   * Keeps the order a link pays before cashfree creates it, so a paid link always finds its order to invoice. Without mongo
+   * nothing is kept, the payment webhook needs mongo as well.
+   * @throws INVALID_REQUEST when the link id already pays another order
+   */
+  async recordOrder (linkId, orderId) {
+    if (!orderId || !__db.mongo.isConnected()) return
+    const record = await PaymentLinkOrder.findOneAndUpdate({ linkId }, { $setOnInsert: { orderId: Number(orderId) } }, { upsert: true, new: true }).lean()
+    if (record.orderId !== Number(orderId)) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `Payment link ${linkId} already pays order ${record.orderId}`)
+    }
+  }
+
+  // cashfree texts the customer the link, paying it returns them to the whatsapp chat
+  linkPayload ({ linkId, amount, name, purpose, expiryMinutes, whatsappNumber }) {
+    return {
+      link_id: linkId,
+      link_amount: amount,
+      link_currency: 'INR',
+      link_purpose: purpose,
+      link_expiry_time: moment().add(expiryMinutes, 'm').format('YYYY-MM-DDTHH:mm:ssZ'),
+      customer_details: { customer_name: name, customer_phone: whatsappNumber },
+      link_notify: { send_sms: true, send_email: false },
+      link_meta: { return_url: `https://wa.me/${whatsappNumber}` }
+    }
+  }
+
+  /**
+   * Creates the cashfree link and holds its stock, the hold is given back when cashfree does not create the link.
+   * @returns {{link: Object, reservation: Object}} cashfree's link and the reservation, null when the link holds no stock
+   */
+  async create ({ linkId, amount, name, purpose, expiryMinutes, whatsappNumber, orderId }) {
+    await this.recordOrder(linkId, orderId)
+    const reservation = await this.reserveStock({ linkId, whatsappNumber, orderId, expiryMinutes })
+    try {
+      const link = await cashfreeClient.post('/pg/links', this.linkPayload({ linkId, amount, name, purpose, expiryMinutes, whatsappNumber }))
+      return { link, reservation }
+    } catch (err) {
+      if (reservation) await stockReservations.release(linkId)
+      throw err
+    }
+  }
+
+  summarize (link, reservation) {
+    return {
+      linkId: link.link_id,
+      status: link.link_status,
+      amount: link.link_amount,
+      amount_paid: link.link_amount_paid,
+      reserved_until: reservation ? new Date(reservation.expiresAt).toISOString() : null
+    }
+  }
+
+  // a paid, expired or cancelled link gives its units back
+  async getStatus (linkId) {
+    const link = await cashfreeClient.get(`/pg/links/${encodeURIComponent(linkId)}`)
+    if (__constants.CASHFREE_CLOSED_LINK_STATUSES.includes(link.link_status)) {
+      await stockReservations.release(linkId)
+      return this.summarize(link, null)
+    }
+    return this.summarize(link, await stockReservations.find(linkId))
+  }
+
+  async cancel (linkId) {
+    const link = await cashfreeClient.post(`/pg/links/${encodeURIComponent(linkId)}/cancel`)
+    await stockReservations.release(linkId)
+    return this.summarize(link, null)
+  }
+}
+
+module.exports = new PaymentLinkService()
@@ -0,0 +1,192 @@
+const crypto = require('crypto')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const priceResolver = require('../product/PriceResolver')
+const stockReservations = require('../product/StockReservationService')
+const PaymentEvent = require('../../mongooseSchema/PaymentEvent')
+const PaymentLinkOrder = require('../../mongooseSchema/PaymentLinkOrder')
+const typedError = require('../../lib/util/typedError')
+
+// magento keeps an order new (pending_payment for some gateways) until it is invoiced
+const UNPAID_STATES = ['new', 'pending_payment']
+const CLOSED_STATES = ['canceled', 'closed']
+const DUPLICATE_KEY = 11000
+
+/**
+ * Cashfree payment webhooks: a delivery is checked against its x-webhook-signature (base64 hmac-sha256 of
+ * x-webhook-timestamp + the raw body with the client secret) and refused when the timestamp is more than
+ * cashfree.webhookTolerance seconds away. Every event is kept in mongo (PaymentEvent), a payment invoices the
+ * magento order it pays, which moves the order to processing. A repeated event answers what the first one did.
+ */
+class PaymentWebhookService {
+  verifySignature (rawBody, signature, timestamp) {
+    if (!__config.cashfree.clientSecret) throw typedError(__constants.RESPONSE_MESSAGES.SERVER_ERROR, 'CF_CLIENT_SECRET is not set')
+    if (!rawBody || !signature || !timestamp) throw typedError(__constants.RESPONSE_MESSAGES.NOT_AUTHORIZED, 'The webhook is not signed')
+    const expected = crypto.createHmac('sha256', __config.cashfree.clientSecret).update(timestamp + rawBody.toString('utf8')).digest()
+    const received = Buffer.from(String(signature), 'base64')
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw typedError(__constants.RESPONSE_MESSAGES.NOT_AUTHORIZED, 'The webhook signature does not match')
+    }
+    // cashfree sends milliseconds
+    const sentAt = Number(timestamp) > 1e12 ? Number(timestamp) : Number(timestamp) * 1000
+    if (!(Math.abs(Date.now() - sentAt) <= __config.cashfree.webhookTolerance * 1000)) {
+      throw typedError(__constants.RESPONSE_MESSAGES.NOT_AUTHORIZED, 'The webhook timestamp is not recent, it is refused as a replay')
+    }
+  }
+
+  /**
+   * What an event says about a payment: the link it paid (a payment of a link carries it in order_tags),
+   * and whether money was received, for a link only once it is paid in full.
+   */
+  describe (payload) {
+    const data = payload.data || {}
+    const order = data.order || {}
+    const payment = data.payment || {}
+    const linkId = data.link_id || (order.order_tags && order.order_tags.link_id) || null
+    if (payload.type === __constants.CASHFREE_LINK_EVENT) {
+      return {
+        linkId,
+        cfOrderId: order.order_id,
+        paid: data.link_status === 'PAID',
+        amount: Number(data.link_amount_paid) || 0
+      }
+    }
+    return {
+      linkId,
+      cfOrderId: order.order_id,
+      cfPaymentId: payment.cf_payment_id ? String(payment.cf_payment_id) : undefined,
+      paid: payload.type === __constants.CASHFREE_PAYMENT_SUCCESS_EVENT && payment.payment_status === 'SUCCESS',
+      amount: Number(payment.payment_amount) || 0
+    }
+  }
+
+  /**
+   * The magento order a link pays: checkout links are named after the order's increment id,
+   * other order links through the PaymentLinkOrder record PaymentLinkService keeps when it creates them.
+   */
+  async findOrder (linkId) {
+    if (!linkId) return null
+    if (linkId.startsWith(__constants.ORDER_LINK_PREFIX)) {
+      const criteria = new SearchCriteria().where('increment_id', linkId.slice(__constants.ORDER_LINK_PREFIX.length)).paginate(1, 1)
+      const { items } = await magentoClient.get(`/V1/orders?${criteria.toQueryString()}`)
+      return (items && items[0]) || null
+    }
+    const record = await PaymentLinkOrder.findOne({ linkId }, { orderId: 1 }).lean()
+    return record ? magentoClient.get(`/V1/orders/${record.orderId}`) : null
+  }
+
+  async addComment (order, comment, status) {
+    await magentoClient.post(`/V1/orders/${order.entity_id}/comments`, {
+      statusHistory: { comment, status, is_customer_notified: 0, is_visible_on_front: 0, parent_id: order.entity_id }
+    }).catch(err => console.log(`Error adding a payment comment to order ${order.increment_id} :: err`, err.err || err.message))
+  }
+
+  /**
+   * Invoices the order a payment paid. A short payment, a cancelled order or one invoiced already is left as it is,
+   * with a comment for the team when it needs them.
+   * @returns {{status: string, orderId: number, incrementId: string, invoiceId: number}}
+   */
+  async settle (payment) {
+    const order = await this.findOrder(payment.linkId)
+    if (!order) return { status: 'ignored' }
+    const result = { orderId: order.entity_id, incrementId: order.increment_id }
+    const reference = `cashfree ${payment.cfPaymentId || payment.cfOrderId || payment.linkId}`
+    if (CLOSED_STATES.includes(order.state)) {
+      await this.addComment(order, `${priceResolver.format(payment.amount)} was paid (${reference}) for this ${order.state} order, refund it`)
+      return { ...result, status: 'order_closed' }
+    }
+    if (!UNPAID_STATES.includes(order.state)) return { ...result, status: 'already_invoiced' }
+    if (payment.amount + 0.01 < Number(order.grand_total)) {
+      await this.addComment(order, `Only ${priceResolver.format(payment.amount)} of ${priceResolver.format(order.grand_total)} was paid (${reference}), the order is not invoiced`)
+      return { ...result, status: 'amount_mismatch' }
+    }
+    const invoiceId = await magentoClient.post(`/V1/order/${order.entity_id}/invoice`, { capture: true, notify: true })
+    await this.addComment(order, `Paid ${priceResolver.format(payment.amount)} with ${reference}`, 'processing')
+    return { ...result, status: 'invoiced', invoiceId: Number(invoiceId) || undefined }
+  }
+
+  /**
+   * The stored event of a delivery. A failed one, or one left received for longer than PAYMENT_EVENT_LEASE, is claimed
+   * to be handled again.
+   * @throws IDEMPOTENCY_REQUEST_IN_PROGRESS while another delivery of the event is being handled, so cashfree retries it later
+   */
+  async record (eventId, payload, payment) {
+    try {
+      return { event: await PaymentEvent.create({ eventId, type: payload.type, eventTime: payload.event_time ? new Date(payload.event_time) : undefined, ...payment, payload }), duplicate: false }
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err
+    }
+    const leaseStart = new Date(Date.now() - __constants.PAYMENT_EVENT_LEASE * 1000)
+    const retried = await PaymentEvent.findOneAndUpdate(
+      { eventId, $or: [{ status: 'failed' }, { status: 'received', updatedAt: { $lt: leaseStart } }] },
+      { $set: { status: 'received' }, $unset: { error: 1 } },
+      { new: true }
+    )
+    if (retried) return { event: retried, duplicate: false }
+    const event = await PaymentEvent.findOne({ eventId })
+    if (event.status === 'received') {
+      throw typedError(__constants.RESPONSE_MESSAGES.IDEMPOTENCY_REQUEST_IN_PROGRESS, `Event ${eventId} is still being handled, try again shortly`)
+    }
+    return { event, duplicate: true }
+  }
+
+  summarize (event, duplicate) {
+    return {
+      event_id: event.eventId,
+      type: event.type,
+      link_id: event.linkId || null,
+      status: event.status,
+      order_id: event.orderId || null,
+      increment_id: event.incrementId || null,
+      duplicate
+    }
+  }
+
+  /**
+   * @param {{rawBody: Buffer, signature: string, timestamp: string, idempotencyKey: string}} delivery
+   * @returns {{event_id, type, link_id, status, order_id, increment_id, duplicate: boolean, paid: boolean}}
+   * @throws NOT_AUTHORIZED for a bad signature or a replay, DATABASE_NOT_CONNECTED without mongo so cashfree retries later
+   */
+  async receive ({ rawBody, signature, timestamp, idempotencyKey }) {
+    this.verifySignature(rawBody, signature, timestamp)
+    let payload
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'))
+    } catch (err) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'The webhook body is not json')
+    }
+    if (!payload || !payload.type) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'The webhook has no type')
+    if (!__db.mongo.isConnected()) {
+      throw typedError(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED, __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+    }
+
+    const { paid, ...payment } = this.describe(payload)
+    const eventId = idempotencyKey || crypto.createHash('sha256').update(rawBody).digest('hex')
+    const { event, duplicate } = await this.record(eventId, payload, payment)
+    if (duplicate) return { ...this.summarize(event, true), paid }
+    if (!paid) {
+      event.status = 'ignored'
+      await event.save()
+      return { ...this.summarize(event, false), paid }
+    }
+
+    if (payment.linkId) {
+      await stockReservations.release(payment.linkId).catch(err => console.log(`Error releasing the stock of link ${payment.linkId} :: err`, err.message))
+    }
+    try {
+      Object.assign(event, await this.settle(payment))
+    } catch (err) {
+      event.status = 'failed'
+      event.error = err.err || err.message
+      await event.save()
+      throw err
+    }
+    await event.save()
+    return { ...this.summarize(event, false), paid }
+  }
+}
+
+module.exports = new PaymentWebhookService()
@@ -0,0 +1,167 @@
+const crypto = require('crypto')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const magentoClient = require('../magento/MagentoClient')
+const addressService = require('../customer/AddressService')
+const whatsappClient = require('../whatsapp/WhatsAppClient')
+const typedError = require('../../lib/util/typedError')
+
+const notVerified = (reason, message) => {
+  const error = typedError(__constants.RESPONSE_MESSAGES.PICKUP_NOT_VERIFIED, message)
+  error.data = { reason }
+  return error
+}
+
+const hashCode = (orderId, code) => crypto.createHash('sha256').update(`${orderId}:${code}`).digest('hex')
+
+// store phones are kept as 10 digit indian numbers in magento, whatsapp wants the country code
+const whatsappNumberOf = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '')
+  return digits.length === __constants.MOBILE_NUMBER_LENGTH ? `91${digits}` : digits
+}
+
+// magento leaves an order new (pending_payment for some gateways) until it is paid
+const UNPAID_STATES = ['new', 'pending_payment']
+const CLOSED_STATES = ['canceled', 'closed']
+
+/**
+ * Click and collect through magento's in-store pickup (msi): the stores are magento's active pickup locations and a pickup order is
+ * addressed to the store with the instore_pickup shipping method and the store's pickup_location_code.
+ * Once placed, the store gets the order on whatsapp and the customer a 6 digit pickup code, kept hashed in redis under
+ * PICKUP_KEY_PREFIX + order id for pickup.codeTtl, next to a counter of the codes tried. Store staff verify the code when handing the goods over.
+ */
+class PickupService {
+  summarizeStore (location) {
+    return {
+      store_id: location.pickup_location_code,
+      name: location.name,
+      address: `${location.street}, ${location.city} ${location.postcode}`,
+      street: location.street,
+      city: location.city,
+      state: location.region,
+      pincode: location.postcode,
+      phone: location.phone,
+      description: location.description || null,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      mapsUrl: 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(`${location.name}, ${location.street}, ${location.city} ${location.postcode}`)
+    }
+  }
+
+  async listStores () {
+    const { items } = await magentoClient.get(`/V1/inventory/in-store-pickup/pickup-locations?searchRequest[scopeCode]=${encodeURIComponent(__config.pickup.scopeCode)}`)
+    return (items || []).map(location => this.summarizeStore(location))
+  }
+
+  async getStore (storeId) {
+    const store = (await this.listStores()).find(candidate => candidate.store_id === storeId)
+    if (!store) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, `Store ${storeId} does not take pickup orders`)
+    return store
+  }
+
+  // magento wants the pickup location's address as the shipping address, in the customer's name
+  async pickupAddress (store, customer, whatsappNumber) {
+    const address = await addressService.toMagentoAddress({ street: [store.street], city: store.city, pincode: store.pincode }, customer, whatsappNumber)
+    return { ...addressService.toQuoteAddress(address), extension_attributes: { pickup_location_code: store.store_id } }
+  }
+
+  key (orderId) {
+    return __constants.PICKUP_KEY_PREFIX + orderId
+  }
+
+  attemptsKey (orderId) {
+    return `${this.key(orderId)}:attempts`
+  }
+
+  async notify (to, template, parameters) {
+    try {
+      await whatsappClient.sendTemplate(to, template, parameters)
+      return true
+    } catch (err) {
+      console.log(`Error sending ${template} to ${to} :: err`, err.err || err.message)
+      return false
+    }
+  }
+
+  /**
+   * Gives a placed pickup order its code and tells the store and the customer. The order is placed already,
+   * so a failed whatsapp message is only reported (store_notified, code_sent) and the code is still answered.
+   * @returns {{store: Object, pickup_code: string, store_notified: boolean, code_sent: boolean}}
+   */
+  async issue (order, store, whatsappNumber) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+    const record = {
+      orderId: order.entity_id,
+      incrementId: order.increment_id,
+      storeId: store.store_id,
+      storeName: store.name,
+      codeHash: hashCode(order.entity_id, code),
+      collectedAt: null
+    }
+    await __db.redis.setex(this.key(order.entity_id), JSON.stringify(record), __config.pickup.codeTtl)
+    await __db.redis.setex(this.attemptsKey(order.entity_id), '0', __config.pickup.codeTtl)
+    await magentoClient.post(`/V1/orders/${order.entity_id}/comments`, {
+      statusHistory: { comment: `Store pickup at ${store.name} (${store.store_id}), the pickup code was sent to the customer`, is_customer_notified: 0, is_visible_on_front: 1, parent_id: order.entity_id }
+    }).catch(err => console.log(`Error noting the pickup store on order ${order.increment_id} :: err`, err.err || err.message))
+
+    const items = (order.items || []).filter(item => !item.parent_item_id).map(item => `${item.qty_ordered} x ${item.name}`).join(', ')
+    const customerName = [order.customer_firstname, order.customer_lastname].filter(Boolean).join(' ')
+    const [storeNotified, codeSent] = await Promise.all([
+      this.notify(whatsappNumberOf(store.phone), __config.pickup.storeTemplate, [order.increment_id, items, customerName]),
+      this.notify(whatsappNumber, __config.pickup.codeTemplate, [order.increment_id, `${store.name}, ${store.address}`, code])
+    ])
+    return { store, pickup_code: code, store_notified: storeNotified, code_sent: codeSent }
+  }
+
+  /**
+   * What a placed pickup order answers when its code could not be issued (e.g. redis failed after magento placed it):
+   * the order stands, pickup_code is null and error says why.
+   */
+  notIssued (store, err) {
+    console.log(`Error issuing the pickup code at ${store.store_id} :: err`, err.err || err.message)
+    return { store, pickup_code: null, store_notified: false, code_sent: false, error: err.err || err.message }
+  }
+
+  /**
+   * Checks the code the customer shows at the store and marks the order collected. PICKUP_MAX_ATTEMPTS wrong codes lock the order:
+   * every check takes an attempt with INCR before the code is compared, so parallel guesses cannot get past the limit, and a right code gives it back.
+   * @returns {{order_id, increment_id, store_id, items: [{sku, name, qty}], collected_at}}
+   * @throws PICKUP_NOT_VERIFIED with data.reason wrong_store, already_collected, locked, wrong_code, canceled or not_paid
+   */
+  async verify ({ orderId, pickupCode, storeId }) {
+    if (!__db.redis.connection) {
+      throw typedError(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED, __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+    }
+    const stored = await __db.redis.get(this.key(orderId))
+    if (!stored) throw typedError(__constants.RESPONSE_MESSAGES.NOT_FOUND, `Order ${orderId} has no pickup code, it is not a pickup order or the code expired`)
+    const record = JSON.parse(stored)
+    if (record.storeId !== storeId) throw notVerified('wrong_store', `Order ${record.incrementId} is to be collected at ${record.storeName}`)
+    if (record.collectedAt) throw notVerified('already_collected', `Order ${record.incrementId} was already collected on ${record.collectedAt}`)
+    const attempts = await __db.redis.increment(this.attemptsKey(orderId))
+    if (attempts > __constants.PICKUP_MAX_ATTEMPTS) throw notVerified('locked', `Order ${record.incrementId} is locked after ${__constants.PICKUP_MAX_ATTEMPTS} wrong pickup codes`)
+    if (hashCode(orderId, pickupCode) !== record.codeHash) {
+      throw notVerified('wrong_code', `Wrong pickup code, ${__constants.PICKUP_MAX_ATTEMPTS - attempts} attempts left`)
+    }
+    await __db.redis.incrementby(this.attemptsKey(orderId), -1)
+
+    const order = await magentoClient.get(`/V1/orders/${orderId}`)
+    if (CLOSED_STATES.includes(order.state)) throw notVerified('canceled', `Order ${order.increment_id} is ${order.state}`)
+    if (UNPAID_STATES.includes(order.state)) throw notVerified('not_paid', `Order ${order.increment_id} is not paid yet`)
+
+    record.collectedAt = new Date().toISOString()
+    await __db.redis.keep_ttl(this.key(orderId), JSON.stringify(record))
+    await magentoClient.post(`/V1/orders/${orderId}/comments`, {
+      statusHistory: { comment: `Collected at ${record.storeName} with the pickup code`, is_customer_notified: 0, is_visible_on_front: 1, parent_id: order.entity_id }
+    }).catch(err => console.log(`Error noting the pickup of order ${order.increment_id} :: err`, err.err || err.message))
+    return {
+      order_id: order.entity_id,
+      increment_id: order.increment_id,
+      store_id: record.storeId,
+      items: (order.items || []).filter(item => !item.parent_item_id).map(item => ({ sku: item.sku, name: item.name, qty: item.qty_ordered })),
+      collected_at: record.collectedAt
+    }
+  }
+}
+
+module.exports = new PickupService()
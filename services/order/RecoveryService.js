@@ -0,0 +1,331 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const cartService = require('../cart/CartService')
+const priceResolver = require('../product/PriceResolver')
+const whatsappClient = require('../whatsapp/WhatsAppClient')
+const orderService = require('./OrderService')
+const paymentLinkService = require('./PaymentLinkService')
+const RecoverySequence = require('../../mongooseSchema/RecoverySequence')
+const RecoveryOptOut = require('../../mongooseSchema/RecoveryOptOut')
+const typedError = require('../../lib/util/typedError')
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000)
+
+const assertConnected = () => {
+  if (!__db.mongo.isConnected()) {
+    throw typedError(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED, __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+  }
+}
+
+/**
+ * Recovery of abandoned carts and unpaid payment links: the recovery job sends up to recovery.maxReminders whatsapp reminders,
+ * recovery.reminderIntervalMinutes apart. An unpaid link is reminded with a fresh link (the old one is cancelled first),
+ * a cart with its total and, from recovery.incentiveFromReminder on, the recovery.incentiveCoupon applied to it.
+ * Every sequence is kept in mongo (RecoverySequence) with its reminders and how it ended, getStats sums them up.
+ * Tracking never gets in the way of checkout: without mongo, links and orders go through untracked.
+ */
+class RecoveryService {
+  async isOptedOut (whatsappNumber) {
+    return !!(await RecoveryOptOut.exists({ whatsappNumber }))
+  }
+
+  /**
+   * Starts the sequence of a link created by createPaymentLink, the first reminder is due recovery.linkAfterMinutes later.
+   * An older unpaid link of the same customer stops being reminded.
+   */
+  async trackLink ({ linkId, whatsappNumber, orderId, name, amount }) {
+    if (!__db.mongo.isConnected()) return null
+    try {
+      if (await this.isOptedOut(whatsappNumber)) return null
+      await RecoverySequence.updateMany(
+        { kind: 'payment_link', whatsappNumber, status: 'active' },
+        { $set: { status: 'replaced', endedAt: new Date() } }
+      )
+      return await RecoverySequence.create({
+        kind: 'payment_link',
+        whatsappNumber,
+        linkId,
+        orderId: orderId || undefined,
+        name,
+        amount,
+        nextReminderAt: minutesFromNow(__config.recovery.linkAfterMinutes)
+      })
+    } catch (err) {
+      console.log(`Error tracking payment link ${linkId} for recovery :: err`, err.message)
+      return null
+    }
+  }
+
+  /**
+   * Ends the sequences a payment or an order settles: a paid link (or one of its reminder links) converts its own sequence
+   * and the customer's cart sequence, a placed order converts the cart sequence.
+   * @param {{whatsappNumber: string, linkId: string, orderId: number}} conversion
+   * @returns {number} sequences converted, 0 without mongo
+   */
+  async converted ({ whatsappNumber, linkId, orderId }) {
+    if (!__db.mongo.isConnected()) return 0
+    try {
+      const numbers = whatsappNumber ? [whatsappNumber] : []
+      const or = []
+      if (linkId) {
+        const linked = await RecoverySequence.find({ $or: [{ linkId }, { 'reminders.linkId': linkId }] }, { whatsappNumber: 1 }).lean()
+        linked.forEach(sequence => numbers.push(sequence.whatsappNumber))
+        or.push({ linkId }, { 'reminders.linkId': linkId })
+      }
+      if (numbers.length) or.push({ kind: 'cart', whatsappNumber: { $in: numbers } })
+      if (!or.length) return 0
+      const { modifiedCount } = await RecoverySequence.updateMany(
+        { status: 'active', $or: or },
+        { $set: { status: 'converted', convertedAt: new Date(), endedAt: new Date(), convertedBy: linkId ? { linkId } : { orderId } } }
+      )
+      return modifiedCount
+    } catch (err) {
+      console.log('Error recording a recovery conversion :: err', err.message)
+      return 0
+    }
+  }
+
+  async optOut (whatsappNumber) {
+    assertConnected()
+    await RecoveryOptOut.updateOne({ whatsappNumber }, { $setOnInsert: { whatsappNumber } }, { upsert: true })
+    const { modifiedCount } = await RecoverySequence.updateMany(
+      { whatsappNumber, status: 'active' },
+      { $set: { status: 'opted_out', endedAt: new Date() } }
+    )
+    return { whatsappNumber, optedOut: true, sequencesEnded: modifiedCount }
+  }
+
+  async optIn (whatsappNumber) {
+    assertConnected()
+    await RecoveryOptOut.deleteOne({ whatsappNumber })
+    return { whatsappNumber, optedOut: false }
+  }
+
+  /**
+   * Per kind: sequences started since `since`, reminders sent, how the sequences ended, the conversions that came after a reminder
+   * and the amount they brought in.
+   * @returns {{since: Date, kinds: Array<{kind, sequences, reminders, active, converted, converted_after_reminder, recovered_amount,
+   * opted_out, replaced, exhausted, failed, conversion_rate}>}}
+   */
+  async getStats (since) {
+    assertConnected()
+    const reminded = { $gt: ['$remindersSent', 0] }
+    const recovered = { $and: [{ $eq: ['$status', 'converted'] }, reminded] }
+    const count = condition => ({ $sum: { $cond: [condition, 1, 0] } })
+    const rows = await RecoverySequence.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$kind',
+          sequences: { $sum: 1 },
+          reminded: count(reminded),
+          reminders: { $sum: '$remindersSent' },
+          active: count({ $eq: ['$status', 'active'] }),
+          converted: count({ $eq: ['$status', 'converted'] }),
+          converted_after_reminder: count(recovered),
+          recovered_amount: { $sum: { $cond: [recovered, { $ifNull: ['$amount', 0] }, 0] } },
+          opted_out: count({ $eq: ['$status', 'opted_out'] }),
+          replaced: count({ $eq: ['$status', 'replaced'] }),
+          exhausted: count({ $eq: ['$status', 'exhausted'] }),
+          failed: count({ $eq: ['$status', 'failed'] })
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+    return {
+      since,
+      kinds: rows.map(({ _id, reminded, ...row }) => ({
+        kind: _id,
+        ...row,
+        recovered_amount: Math.round(row.recovered_amount * 100) / 100,
+        recovered_amount_display: priceResolver.format(row.recovered_amount),
+        // of the sequences that got a reminder, the share that paid or ordered afterwards
+        conversion_rate: reminded ? Math.round(row.converted_after_reminder / reminded * 1000) / 10 : 0
+      }))
+    }
+  }
+
+  /**
+   * Starts a sequence for every cart untouched for recovery.cartAfterMinutes, unless the customer opted out, is already
+   * being reminded, or this cart (as last changed) already had its sequence. Carts that expired are forgotten.
+   * @returns {number} sequences started
+   */
+  async findAbandonedCarts () {
+    const activity = await __db.redis.hash_getall(__constants.CART_ACTIVITY_KEY) || {}
+    const cutoff = Date.now() - __config.recovery.cartAfterMinutes * 60 * 1000
+    let started = 0
+    for (const [whatsappNumber, updatedAt] of Object.entries(activity)) {
+      if (Date.parse(updatedAt) > cutoff) continue
+      const cart = await cartService.load(whatsappNumber)
+      if (!cart.items.length) {
+        await __db.redis.hash_delete(__constants.CART_ACTIVITY_KEY, whatsappNumber)
+        continue
+      }
+      const [optedOut, running, handled] = await Promise.all([
+        this.isOptedOut(whatsappNumber),
+        RecoverySequence.exists({ whatsappNumber, status: 'active' }),
+        RecoverySequence.exists({ whatsappNumber, kind: 'cart', updatedAt: { $gte: new Date(updatedAt) } })
+      ])
+      if (optedOut || running || handled) continue
+      await RecoverySequence.create({ kind: 'cart', whatsappNumber, nextReminderAt: new Date() })
+      started++
+    }
+    return started
+  }
+
+  // the link the customer was sent last, the one to pay
+  lastLinkId (sequence) {
+    const reminders = sequence.reminders || []
+    return reminders.length ? reminders[reminders.length - 1].linkId : sequence.linkId
+  }
+
+  // the id of the first paid link of the sequence, null when none is paid
+  async paidLinkId (sequence) {
+    const linkIds = [sequence.linkId, ...(sequence.reminders || []).map(reminder => reminder.linkId)]
+    for (const linkId of linkIds) {
+      const { status } = await paymentLinkService.getStatus(linkId)
+      if (status === 'PAID') return linkId
+    }
+    return null
+  }
+
+  async remindLink (sequence, number) {
+    const previous = this.lastLinkId(sequence)
+    const { status } = await paymentLinkService.getStatus(previous)
+    // the customer pays the fresh link only, the one they were sent before cannot be paid any more
+    if (status === 'ACTIVE') await paymentLinkService.cancel(previous)
+    const order = sequence.orderId ? await orderService.getOrder(sequence.orderId) : null
+    const amount = order ? order.totals.grand_total : sequence.amount
+    const { link } = await paymentLinkService.create({
+      linkId: `rcv-${sequence._id}-${number}-${sequence.attempts || 0}`,
+      amount,
+      name: sequence.name,
+      purpose: order ? `Order ${order.increment_id}` : 'Payment reminder',
+      expiryMinutes: __constants.RECOVERY_LINK_EXPIRY_MINUTES,
+      whatsappNumber: sequence.whatsappNumber,
+      orderId: sequence.orderId
+    })
+    try {
+      const messageId = await whatsappClient.sendTemplate(sequence.whatsappNumber, __config.recovery.linkTemplate, [priceResolver.format(amount), link.link_url])
+      return { linkId: link.link_id, linkUrl: link.link_url, messageId, amount }
+    } catch (err) {
+      await paymentLinkService.cancel(link.link_id).catch(cancelErr => console.log('Error cancelling an unsent reminder link :: err', cancelErr.err || cancelErr.message))
+      throw err
+    }
+  }
+
+  async remindCart (sequence, number) {
+    let cart = await cartService.getCart(sequence.whatsappNumber)
+    if (!cart.items.length) return null
+    const code = __config.recovery.incentiveCoupon
+    let couponCode
+    if (code && number >= __config.recovery.incentiveFromReminder) {
+      try {
+        cart = await cartService.applyCoupon(sequence.whatsappNumber, code)
+        couponCode = code
+      } catch (err) {
+        console.log(`Recovery incentive ${code} not applied to the cart of ${sequence.whatsappNumber} :: err`, err.err || err.message)
+      }
+    }
+    const [first, ...rest] = cart.items
+    const items = rest.length ? `${first.name} and ${rest.length} more` : first.name
+    const messageId = couponCode
+      ? await whatsappClient.sendTemplate(sequence.whatsappNumber, __config.recovery.cartIncentiveTemplate, [items, cart.total_display, couponCode])
+      : await whatsappClient.sendTemplate(sequence.whatsappNumber, __config.recovery.cartTemplate, [items, cart.total_display])
+    return { couponCode, messageId, amount: cart.total }
+  }
+
+  // ends a sequence that is still active, false when it already ended elsewhere (e.g. converted by a payment meanwhile)
+  async end (sequence, status, extra = {}) {
+    const { modifiedCount } = await RecoverySequence.updateOne({ _id: sequence._id, status: 'active' }, { $set: { status, endedAt: new Date(), ...extra } })
+    return modifiedCount > 0
+  }
+
+  /**
+   * Sends the next reminder of a sequence. The reminder is claimed before sending so it never goes out twice,
+   * a failed send is given back and retried on the next run, up to RECOVERY_MAX_SEND_ATTEMPTS times.
+   * @returns {boolean} whether a reminder went out
+   */
+  async remind (sequence) {
+    const number = sequence.remindersSent + 1
+    const { modifiedCount } = await RecoverySequence.updateOne(
+      { _id: sequence._id, status: 'active', remindersSent: sequence.remindersSent },
+      { $set: { remindersSent: number, nextReminderAt: minutesFromNow(__config.recovery.reminderIntervalMinutes) } }
+    )
+    if (!modifiedCount) return false
+    try {
+      const reminder = sequence.kind === 'cart' ? await this.remindCart(sequence, number) : await this.remindLink(sequence, number)
+      if (!reminder) {
+        // the cart was emptied without an order, nothing is left to remind about
+        await RecoverySequence.updateOne({ _id: sequence._id }, { $set: { remindersSent: sequence.remindersSent } })
+        await this.end(sequence, 'exhausted')
+        return false
+      }
+      const { amount, ...sent } = reminder
+      await RecoverySequence.updateOne({ _id: sequence._id }, {
+        $push: { reminders: { number, sentAt: new Date(), ...sent } },
+        $set: { attempts: 0, amount: sequence.amount || amount },
+        $unset: { lastError: 1 }
+      })
+      return true
+    } catch (err) {
+      const attempts = (sequence.attempts || 0) + 1
+      const failed = attempts >= __constants.RECOVERY_MAX_SEND_ATTEMPTS
+      await RecoverySequence.updateOne({ _id: sequence._id }, {
+        $set: {
+          remindersSent: sequence.remindersSent,
+          nextReminderAt: sequence.nextReminderAt,
+          attempts,
+          lastError: err.err || err.message,
+          status: failed ? 'failed' : 'active',
+          ...(failed ? { endedAt: new Date() } : {})
+        }
+      })
+      throw err
+    }
+  }
+
+  /**
+   * The recovery job: finds abandoned carts, then goes through every sequence with a reminder due. Opted out customers
+   * and paid links end their sequence, a cart is left alone while the customer has a payment link being reminded,
+   * and a sequence ends as exhausted once its last reminder had recovery.reminderIntervalMinutes to work.
+   * @returns {{cartsFound: number, due: number, reminded: number, converted: number, optedOut: number, exhausted: number, failed: number}}
+   */
+  async run () {
+    assertConnected()
+    const summary = { cartsFound: 0, due: 0, reminded: 0, converted: 0, optedOut: 0, exhausted: 0, failed: 0 }
+    if (__db.redis.connection) summary.cartsFound = await this.findAbandonedCarts()
+    const due = await RecoverySequence.find({ status: 'active', nextReminderAt: { $lte: new Date() } }).sort({ nextReminderAt: 1 }).lean()
+    summary.due = due.length
+    const optedOut = new Set(await RecoveryOptOut.distinct('whatsappNumber', { whatsappNumber: { $in: due.map(sequence => sequence.whatsappNumber) } }))
+    for (const sequence of due) {
+      try {
+        if (optedOut.has(sequence.whatsappNumber)) {
+          if (await this.end(sequence, 'opted_out')) summary.optedOut++
+          continue
+        }
+        if (sequence.kind === 'payment_link') {
+          const paidLinkId = await this.paidLinkId(sequence)
+          if (paidLinkId) {
+            summary.converted += await this.converted({ whatsappNumber: sequence.whatsappNumber, linkId: paidLinkId })
+            continue
+          }
+        } else if (await RecoverySequence.exists({ whatsappNumber: sequence.whatsappNumber, kind: 'payment_link', status: 'active' })) {
+          continue
+        }
+        if (sequence.remindersSent >= __config.recovery.maxReminders) {
+          if (await this.end(sequence, 'exhausted')) summary.exhausted++
+          continue
+        }
+        if (await this.remind(sequence)) summary.reminded++
+      } catch (err) {
+        console.log(`Error in recovery of ${sequence.kind} ${sequence.linkId || sequence.whatsappNumber} :: err`, err.err || err.message)
+        summary.failed++
+      }
+    }
+    return summary
+  }
+}
+
+module.exports = new RecoveryService()
@@ -0,0 +1,144 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const cartService = require('../cart/CartService')
+const couponService = require('../cart/CouponService')
+const priceResolver = require('../product/PriceResolver')
+const addressService = require('../customer/AddressService')
+const codService = require('./CodService')
+const orderService = require('./OrderService')
+const typedError = require('../../lib/util/typedError')
+const round = require('../../lib/util/round')
+
+const sum = (list, amount) => round(list.reduce((total, item) => total + amount(item), 0))
+
+// a summary line the bot shows, discounts as negative amounts
+const line = (label, amount, display) => ({ label, amount, display: display || (amount < 0 ? `-${priceResolver.format(-amount)}` : priceResolver.format(amount)) })
+
+/**
+ * What the customer pays for the cart, worked out before the order is placed and itemised for the bot:
+ * savings on the regular prices, the coupon, magento's discount for paying online (a cart price rule on the payment method),
+ * shipping, the cod fee and the gst included in the prices. Discounts follow magento's rules and shipping is magento's estimate,
+ * so grand_total is what magento records when the order is placed and what its payment link charges.
+ */
+class TotalsService {
+  // what magento charges to ship the items to the pincode: the customer's quote is filled the way placeOrder fills it
+  // and given the method placeOrder picks, MAGENTO_SHIPPING_METHOD or the cheapest
+  async shipping (customer, items, coupon, place) {
+    const quoteId = await orderService.prepareQuote(customer, items, coupon && coupon.code)
+    const address = { country_id: __constants.ORDER_COUNTRY_ID, postcode: place.pincode, city: place.city, region: place.state }
+    if (place.region_id) Object.assign(address, { region_id: place.region_id, region_code: place.region_code })
+    const method = await orderService.chooseShippingMethod(quoteId, address)
+    return round(Number(method.amount) || 0)
+  }
+
+  gstRate (unitValue) {
+    return __constants.GST_RATE_SLABS.find(slab => slab.upTo === null || unitValue <= slab.upTo).rate
+  }
+
+  /**
+   * GST included in the amounts by rate, cgst and sgst within the store's state, igst to other states.
+   * @param {Array} amounts [{ rate, amount }] gst inclusive amounts
+   */
+  gstBreakdown (amounts, interState) {
+    const rates = [...new Set(amounts.map(item => item.rate))].sort((a, b) => a - b)
+    const breakdown = rates.map((rate) => {
+      const value = sum(amounts.filter(item => item.rate === rate), item => item.amount)
+      const taxableValue = round(value * 100 / (100 + rate))
+      const tax = round(value - taxableValue)
+      const cgst = interState ? 0 : round(tax / 2)
+      return { rate, taxable_value: taxableValue, igst: interState ? tax : 0, cgst, sgst: interState ? 0 : round(tax - cgst), total: tax }
+    })
+    return { breakdown, total: sum(breakdown, item => item.total) }
+  }
+
+  /**
+   * @param {{whatsappNumber: string, pincode: string, paymentMethod: string}} checkout paymentMethod defaults to magento.paymentMethod,
+   * the pincode decides shipping, the gst split and, for cash on delivery, whether cod is available.
+   * Only customers with an account can order, a number without one is refused with NOT_FOUND 'No Account'
+   * @returns {{payment_method, items: Array, mrp_total, item_savings, subtotal, coupon, prepaid_discount, shipping, cod,
+   * grand_total, amount_payable, amount_payable_display, gst, lines: Array, has_issues}} grand_total is magento's order total,
+   * amount_payable adds the cod fee the courier collects on top of it
+   */
+  async calculate ({ whatsappNumber, pincode, paymentMethod = __config.magento.paymentMethod }) {
+    const cart = await cartService.getCart(whatsappNumber)
+    const items = cart.items.filter(item => item.available)
+    if (!items.length) throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'The cart is empty')
+    const coupon = cart.coupon && cart.coupon.valid ? cart.coupon : null
+    const [place, customer] = await Promise.all([addressService.lookupPincode(pincode), addressService.findCustomer(whatsappNumber)])
+    const [paymentDiscounts, shipping] = await Promise.all([
+      couponService.paymentDiscounts(items, paymentMethod, couponService.groupIdOf(customer), coupon),
+      this.shipping(customer, items, coupon, place)
+    ])
+
+    const discounts = new Map()
+    ;[coupon, ...paymentDiscounts].filter(Boolean).forEach(applied => applied.items.forEach((item) => {
+      discounts.set(item.sku, round((discounts.get(item.sku) || 0) + item.discount))
+    }))
+    const gstItems = items.map((item) => {
+      const discount = discounts.get(item.sku) || 0
+      const netTotal = round(item.row_total - discount)
+      const rate = this.gstRate(netTotal / item.qty)
+      return {
+        sku: item.sku,
+        name: item.name,
+        qty: item.qty,
+        regular_price: item.regular_price,
+        price: item.price,
+        row_total: item.row_total,
+        discount,
+        net_total: netTotal,
+        gst_rate: rate,
+        gst: round(netTotal - netTotal * 100 / (100 + rate))
+      }
+    })
+
+    const mrpTotal = sum(items, item => (item.regular_price || item.price) * item.qty)
+    const subtotal = cart.subtotal
+    const couponDiscount = coupon ? coupon.discount : 0
+    const prepaidDiscount = sum(paymentDiscounts, applied => applied.discount)
+    const grandTotal = round(subtotal - couponDiscount - prepaidDiscount + shipping)
+    const cod = paymentMethod === __constants.COD_PAYMENT_METHOD
+      ? await codService.check(whatsappNumber, place.pincode, cart.total)
+      : null
+    const codFee = cod && cod.available ? cod.fee : 0
+    const amountPayable = round(grandTotal + codFee)
+
+    // shipping and the cod fee go with the goods, they carry the highest rate of the items
+    const chargesRate = Math.max(...gstItems.map(item => item.gst_rate))
+    const interState = place.state.toLowerCase() !== __config.gst.storeState.toLowerCase()
+    const gst = this.gstBreakdown([
+      ...gstItems.map(item => ({ rate: item.gst_rate, amount: item.net_total })),
+      { rate: chargesRate, amount: shipping + codFee }
+    ].filter(item => item.amount), interState)
+
+    const itemsCount = items.reduce((count, item) => count + item.qty, 0)
+    const lines = [line(`Price (${itemsCount} ${itemsCount === 1 ? 'item' : 'items'})`, mrpTotal)]
+    if (mrpTotal > subtotal) lines.push(line('Discount on MRP', -round(mrpTotal - subtotal)))
+    if (coupon) lines.push(line(`Coupon ${coupon.code}`, -couponDiscount))
+    paymentDiscounts.forEach(applied => lines.push(line(applied.description, -applied.discount)))
+    lines.push(line('Shipping', shipping, shipping ? null : 'FREE'))
+    if (codFee) lines.push(line('Cash on delivery fee', codFee))
+    lines.push(line('Total', amountPayable))
+
+    return {
+      payment_method: paymentMethod,
+      items: gstItems,
+      mrp_total: mrpTotal,
+      item_savings: round(mrpTotal - subtotal),
+      subtotal,
+      coupon: coupon ? { code: coupon.code, description: coupon.description, discount: couponDiscount } : null,
+      prepaid_discount: prepaidDiscount,
+      prepaid_discounts: paymentDiscounts.map(({ rule_id: ruleId, description, discount }) => ({ rule_id: ruleId, description, discount })),
+      shipping,
+      cod,
+      grand_total: grandTotal,
+      amount_payable: amountPayable,
+      amount_payable_display: priceResolver.format(amountPayable),
+      gst: { place_of_supply: place.state, inter_state: interState, ...gst },
+      lines,
+      has_issues: cart.has_issues
+    }
+  }
+}
+
+module.exports = new TotalsService()
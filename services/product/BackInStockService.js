@@ -0,0 +1,93 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const __db = require('../../lib/db')
+const magentoClient = require('../magento/MagentoClient')
+const catalogEnrichment = require('./CatalogEnrichment')
+const whatsappClient = require('../whatsapp/WhatsAppClient')
+const StockSubscription = require('../../mongooseSchema/StockSubscription')
+const typedError = require('../../lib/util/typedError')
+
+const assertConnected = () => {
+  if (!__db.mongo.isConnected()) {
+    throw typedError(__constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED, __constants.RESPONSE_MESSAGES.DATABASE_NOT_CONNECTED.message)
+  }
+}
+
+/**
+ * Back in stock alerts: a customer subscribes to an out of stock variant with their whatsapp number,
+ * checkStock (the backInStock job) sends one whatsapp template per subscriber once the sku is salable again
+ * and the subscription ends there.
+ */
+class BackInStockService {
+  /**
+   * @param {string} sku simple product (variant) sku, e.g. SJ-SLIM-BLK-32
+   * @param {string} whatsappNumber digits with country code
+   * @returns {{sku, whatsappNumber, name, status, alreadySubscribed}}
+   */
+  async subscribe (sku, whatsappNumber) {
+    assertConnected()
+    const product = await magentoClient.get(`/V1/products/${encodeURIComponent(sku)}`)
+    if (product.type_id !== 'simple' || Number(product.status) !== 1) {
+      throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, 'Alerts are only available for an enabled size or variant sku')
+    }
+    const stock = await catalogEnrichment.getAvailableStock([product.sku], whatsappNumber, { fresh: true })
+    if (stock[product.sku] > 0) throw typedError(__constants.RESPONSE_MESSAGES.PRODUCT_IN_STOCK, `${product.name} is in stock`)
+
+    // the unique sku + number index keeps one subscription per customer, subscribing again re-arms a finished one
+    const previous = await StockSubscription.findOneAndUpdate(
+      { sku: product.sku, whatsappNumber },
+      { $set: { name: product.name, status: 'active', attempts: 0 }, $unset: { lastError: 1, notifiedAt: 1 } },
+      { upsert: true, new: false }
+    ).lean()
+    return { sku: product.sku, whatsappNumber, name: product.name, status: 'active', alreadySubscribed: !!previous && previous.status === 'active' }
+  }
+
+  async unsubscribe (sku, whatsappNumber) {
+    assertConnected()
+    const { modifiedCount } = await StockSubscription.updateOne({ sku, whatsappNumber, status: 'active' }, { $set: { status: 'unsubscribed' } })
+    return { sku, whatsappNumber, unsubscribed: modifiedCount > 0 }
+  }
+
+  async notify (subscription) {
+    // claimed before sending so a subscriber is never alerted twice, given back when the send fails
+    const { modifiedCount } = await StockSubscription.updateOne({ _id: subscription._id, status: 'active' }, { $set: { status: 'notified', notifiedAt: new Date() } })
+    if (!modifiedCount) return false
+    try {
+      await whatsappClient.sendTemplate(subscription.whatsappNumber, __config.backInStock.template, [subscription.name || subscription.sku])
+      return true
+    } catch (err) {
+      const attempts = (subscription.attempts || 0) + 1
+      await StockSubscription.updateOne({ _id: subscription._id }, {
+        $set: { status: attempts >= __constants.BACK_IN_STOCK_MAX_ATTEMPTS ? 'failed' : 'active', attempts, lastError: err.err || err.message },
+        $unset: { notifiedAt: 1 }
+      })
+      throw err
+    }
+  }
+
+  /**
+   * Looks up the stock of every sku somebody is waiting for and alerts the subscribers of the ones that came back.
+   * @returns {{skus: number, restocked: number, notified: number, failed: number}}
+   */
+  async checkStock () {
+    assertConnected()
+    const skus = await StockSubscription.distinct('sku', { status: 'active' })
+    const summary = { skus: skus.length, restocked: 0, notified: 0, failed: 0 }
+    if (!skus.length) return summary
+    const stock = await catalogEnrichment.getAvailableStock(skus, null, { fresh: true })
+    const restocked = skus.filter(sku => stock[sku] > 0)
+    summary.restocked = restocked.length
+    if (!restocked.length) return summary
+    const subscriptions = await StockSubscription.find({ sku: { $in: restocked }, status: 'active' }).lean()
+    for (const subscription of subscriptions) {
+      try {
+        if (await this.notify(subscription)) summary.notified++
+      } catch (err) {
+        summary.failed++
+      }
+    }
+    return summary
+  }
+}
+
+module.exports = new BackInStockService()
@@ -0,0 +1,275 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const priceResolver = require('./PriceResolver')
+const imageService = require('../media/ImageService')
+const stockReservations = require('./StockReservationService')
+const customAttribute = require('../../lib/util/customAttribute')
+
+const chunk = (list, size) => {
+  const chunks = []
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size))
+  return chunks
+}
+
+const position = (a, b) => (a.position || 0) - (b.position || 0)
+
+// runs task over every item with at most limit of them in flight
+const eachLimited = async (items, limit, task) => {
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) await task(items[next++])
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+}
+
+/**
+ * Turns magento configurable products into the drop shape the bot renders: one entry per product with
+ * its variant matrix (every colour × size ... combination with sku, stock, price and image),
+ * the in-stock values of each configurable attribute, images and custom attributes.
+ * Used by getNewDrops, getCategoryWiseDrops, getProduct and search.
+ */
+class CatalogEnrichment {
+  constructor () {
+    this.attributes = new Map()
+    this.salable = new Map()
+  }
+
+  // attributes rarely change, keep them per process instead of fetching them on every request
+  async getAttribute (attributeIdOrCode) {
+    const key = String(attributeIdOrCode)
+    const cached = this.attributes.get(key)
+    if (cached && cached.expiresAt > Date.now()) return cached.attribute
+    const attribute = magentoClient.get(`/V1/products/attributes/${encodeURIComponent(key)}`)
+    this.attributes.set(key, { attribute, expiresAt: Date.now() + __constants.ATTRIBUTE_OPTIONS_CACHE_TTL * 1000 })
+    // a failed lookup must not stay memoized
+    attribute.catch(() => this.attributes.delete(key))
+    return attribute
+  }
+
+  async getAttributeOptions (attributeIdOrCode) {
+    const attribute = await this.getAttribute(attributeIdOrCode)
+    return attribute.options || []
+  }
+
+  async getChildren (sku) {
+    return magentoClient.get(`/V1/configurable-products/${encodeURIComponent(sku)}/children`)
+  }
+
+  async getChildrenOf (products) {
+    return Promise.all(products.map(product => this.getChildren(product.sku)))
+  }
+
+  /**
+   * Salable quantity per sku: what the sources hold less msi's reservations for orders that have not shipped.
+   * Magento answers it one sku at a time, so the sources are read in batches first and only skus with units on the shelves are asked,
+   * at most STOCK_SALABLE_QTY_CONCURRENCY at once. Answers are kept per process for magento.salableQtyCacheTtl seconds,
+   * fresh skips them for the checks a customer's cart, payment link or alert depends on.
+   */
+  async getStock (skus, fresh = false) {
+    const stock = {}
+    skus.forEach(sku => { stock[sku] = 0 })
+    const sourceCodes = __config.magento.stockSourceCodes
+    const onShelves = new Set()
+    await Promise.all(chunk([...new Set(skus)], __constants.STOCK_LOOKUP_BATCH_SIZE).map(async (batch) => {
+      const criteria = new SearchCriteria()
+        .where('sku', batch, 'in')
+        .where('status', 1)
+      if (sourceCodes.length) criteria.where('source_code', sourceCodes, 'in')
+      const { items } = await magentoClient.get(`/V1/inventory/source-items?${criteria}`)
+      items.filter(item => Number(item.quantity) > 0).forEach(item => onShelves.add(item.sku))
+    }))
+    await eachLimited([...onShelves], __constants.STOCK_SALABLE_QTY_CONCURRENCY, async (sku) => {
+      const cached = this.salable.get(sku)
+      if (!fresh && cached && cached.expiresAt > Date.now()) {
+        stock[sku] = cached.qty
+        return
+      }
+      const salable = await magentoClient.get(`/V1/inventory/get-product-salable-qty/${encodeURIComponent(sku)}/${__config.magento.stockId}`)
+      stock[sku] = Math.max(0, Number(salable) || 0)
+      if (__config.magento.salableQtyCacheTtl) this.salable.set(sku, { qty: stock[sku], expiresAt: Date.now() + __config.magento.salableQtyCacheTtl * 1000 })
+    })
+    return stock
+  }
+
+  // what can still be bought: the stock less the units held for payment links of other customers than whatsappNumber
+  async getAvailableStock (skus, whatsappNumber, { source = this, fresh = false } = {}) {
+    return stockReservations.subtract(await source.getStock(skus, fresh), whatsappNumber)
+  }
+
+  /**
+   * Catalog price rule prices per sku as magento renders them for the storefront, rules are evaluated by magento
+   * so only products-render-info knows them. Prices are an extra, a failure leaves the rule prices out.
+   */
+  async getCatalogRulePrices (products) {
+    const prices = {}
+    if (!__config.magento.catalogRulePrices || !products.length) return prices
+    const skuById = new Map(products.map(product => [Number(product.id), product.sku]))
+    try {
+      await Promise.all(chunk([...skuById.keys()], __constants.STOCK_LOOKUP_BATCH_SIZE).map(async (batch) => {
+        const criteria = new SearchCriteria().where('entity_id', batch, 'in')
+        const store = `storeId=${encodeURIComponent(__config.magento.storeId)}&currencyCode=${encodeURIComponent(__config.magento.currencyCode)}`
+        const { items } = await magentoClient.get(`/V1/products-render-info?${criteria}&${store}`)
+        items.forEach((item) => {
+          const finalPrice = item.price_info && item.price_info.final_price
+          if (skuById.has(Number(item.id)) && finalPrice !== undefined && finalPrice !== null) prices[skuById.get(Number(item.id))] = Number(finalPrice)
+        })
+      }))
+    } catch (err) {
+      console.log('Error in getCatalogRulePrices function :: err', err.err || err.message)
+    }
+    return prices
+  }
+
+  async getRulePrices (children) {
+    return this.getCatalogRulePrices(children)
+  }
+
+  isConfigurable (product) {
+    const options = product.extension_attributes && product.extension_attributes.configurable_product_options
+    return !!(options && options.length > 0)
+  }
+
+  imageUrl (file) {
+    return imageService.url(file)
+  }
+
+  // the configurable attributes of a product with only the option values it offers, in magento option order
+  buildAxes (product, attributes) {
+    return product.extension_attributes.configurable_product_options.slice().sort(position).map((option) => {
+      const attribute = attributes[Number(option.attribute_id)]
+      const offered = (option.values || []).map(val => String(val.value_index))
+      return {
+        id: option.id,
+        attribute_id: Number(option.attribute_id),
+        code: attribute.attribute_code,
+        label: option.label || attribute.default_frontend_label,
+        options: (attribute.options || []).filter(opt => opt.value !== '' && offered.includes(String(opt.value)))
+      }
+    })
+  }
+
+  // one variant per combination of axis values, the first child wins when magento links two children to the same one
+  buildVariants (product, axes, children, stock, rulePrices = {}) {
+    const variants = []
+    children.forEach((child) => {
+      const options = {}
+      for (const axis of axes) {
+        const value = customAttribute(child, axis.code)
+        const option = axis.options.find(opt => String(opt.value) === String(value))
+        if (!option) return
+        options[axis.code] = { value_index: String(value), label: option.label }
+      }
+      const key = axes.map(axis => options[axis.code].value_index).join('-')
+      if (variants.some(variant => variant.key === key)) return
+      const image = customAttribute(child, 'image') || customAttribute(product, 'image')
+      variants.push({
+        key,
+        sku: child.sku,
+        label: axes.map(axis => options[axis.code].label).join(' / '),
+        options,
+        stock: stock[child.sku] || 0,
+        ...this.priceFields(child, rulePrices[child.sku]),
+        image: image ? this.imageUrl(image) : null
+      })
+    })
+    const rank = variant => axes.map(axis => axis.options.findIndex(opt => String(opt.value) === variant.options[axis.code].value_index))
+    return variants
+      .sort((a, b) => {
+        const rankA = rank(a)
+        const rankB = rank(b)
+        const index = rankA.findIndex((value, i) => value !== rankB[i])
+        return index === -1 ? 0 : rankA[index] - rankB[index]
+      })
+      .map(({ key, ...variant }) => variant)
+  }
+
+  // price is what the customer pays, the rest explains it: "₹1,999 → ₹1,499 (25% off)"
+  priceFields (product, rulePrice) {
+    const resolved = priceResolver.resolve(product, rulePrice)
+    return { price: resolved.final_price, ...resolved }
+  }
+
+  /**
+   * In-stock values of every axis. A single axis product keeps the sku of its one variant per value,
+   * as the bot has always listed sizes, multi axis values carry the summed stock and lowest price instead.
+   */
+  buildAxisValues (axes, variants) {
+    return axes.map((axis) => {
+      const values = []
+      axis.options.forEach((option) => {
+        const matching = variants.filter(variant => variant.options[axis.code].value_index === String(option.value) && variant.stock > 0 && variant.price)
+        if (!matching.length || !option.label) return
+        if (axes.length === 1) {
+          const { sku, stock, price, regular_price: regularPrice, discount_percent: discountPercent, price_display: priceDisplay } = matching[0]
+          values.push({ label: option.label, sku, value_index: String(option.value), stock, price, regular_price: regularPrice, discount_percent: discountPercent, price_display: priceDisplay })
+        } else {
+          values.push({
+            label: option.label,
+            value_index: String(option.value),
+            stock: matching.reduce((sum, variant) => sum + variant.stock, 0),
+            price: Math.min(...matching.map(variant => variant.price))
+          })
+        }
+      })
+      return { id: axis.id, attribute_id: axis.attribute_id, code: axis.code, label: axis.label, values }
+    })
+  }
+
+  mapImages (product) {
+    const mediaGalleryEntries = imageService.gallery(product)
+    const customAttributes = (product.custom_attributes || []).map((attr) => {
+      if (__constants.IMAGE_ROLE_ORDER.includes(attr.attribute_code)) {
+        return { ...attr, value: this.imageUrl(attr.value) }
+      }
+      return attr
+    })
+    return { mediaGalleryEntries, customAttributes }
+  }
+
+  /**
+   * @param {Array} products magento product payloads
+   * @param {Object} [source] where children, stock, rule prices and attributes come from, magento by default.
+   * The catalog mirror passes itself to serve the same shape from mongo.
+   * @param {boolean} [subtractHolds=true] takes the units held for payment links off the stock, the catalog sync keeps them
+   * so the filter facts it stores do not depend on holds that expire on their own
+   */
+  async enrichProducts (products, source = this, subtractHolds = true) {
+    const validProducts = products.filter(product => this.isConfigurable(product))
+    if (!validProducts.length) return []
+
+    const attributeIds = [...new Set([].concat(...validProducts.map(product =>
+      product.extension_attributes.configurable_product_options.map(option => Number(option.attribute_id)))))]
+    const [attributeList, childrenPerProduct] = await Promise.all([
+      Promise.all(attributeIds.map(id => source.getAttribute(id))),
+      source.getChildrenOf(validProducts)
+    ])
+    const attributes = {}
+    attributeList.forEach((attribute, index) => { attributes[attributeIds[index]] = attribute })
+    const allChildren = [].concat(...childrenPerProduct)
+    const [stock, rulePrices] = await Promise.all([
+      subtractHolds ? this.getAvailableStock(allChildren.map(child => child.sku), null, { source }) : source.getStock(allChildren.map(child => child.sku)),
+      source.getRulePrices(allChildren)
+    ])
+
+    return validProducts.map((product, index) => {
+      const axes = this.buildAxes(product, attributes)
+      const variants = this.buildVariants(product, axes, childrenPerProduct[index], stock, rulePrices)
+      const { mediaGalleryEntries, customAttributes } = this.mapImages(product)
+      return {
+        id: product.id,
+        sku: product.sku,
+        name: product.name,
+        created_at: product.created_at,
+        updated_at: product.updated_at,
+        configurable_product_options: this.buildAxisValues(axes, variants),
+        variants,
+        media_gallery_entries: mediaGalleryEntries,
+        custom_attributes: customAttributes
+      }
+    })
+  }
+}
+
+module.exports = new CatalogEnrichment()
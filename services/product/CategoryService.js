@@ -0,0 +1,84 @@
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+
+const notFound = () => {
+  const error = new Error('Category not found')
+  error.type = __constants.RESPONSE_MESSAGES.NOT_FOUND
+  error.err = error.message
+  return error
+}
+
+/**
+ * The magento category tree below the store root (Men, Women, Sale ...) with positions, active flags,
+ * product counts and breadcrumbs, so menus can drill down Men → Jeans → Slim Fit.
+ */
+class CategoryService {
+  constructor () {
+    this.cached = null
+  }
+
+  // the tree changes a few times a year, one magento call per process every CATEGORY_TREE_CACHE_TTL seconds
+  async getMagentoTree () {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.tree
+    const tree = magentoClient.get('/V1/categories')
+    this.cached = { tree, expiresAt: Date.now() + __constants.CATEGORY_TREE_CACHE_TTL * 1000 }
+    // a failed lookup must not stay memoized
+    tree.catch(() => { this.cached = null })
+    return tree
+  }
+
+  buildNode (category, path, includeInactive) {
+    const breadcrumbs = path.concat({ id: category.id, name: category.name })
+    return {
+      id: category.id,
+      parent_id: category.parent_id,
+      name: category.name,
+      position: category.position,
+      level: category.level,
+      is_active: category.is_active,
+      product_count: category.product_count,
+      breadcrumbs,
+      children: this.buildChildren(category, breadcrumbs, includeInactive)
+    }
+  }
+
+  buildChildren (category, path, includeInactive) {
+    return (category.children_data || [])
+      .filter(child => includeInactive || child.is_active)
+      .sort((a, b) => a.position - b.position)
+      .map(child => this.buildNode(child, path, includeInactive))
+  }
+
+  /**
+   * @param {boolean} [includeInactive=false] inactive categories are left out with their whole subtree by default
+   * @returns {Array} top level categories of the store, each with its children down to the leaves
+   */
+  async getTree (includeInactive = false) {
+    const root = await this.getMagentoTree()
+    const storeRoot = (root.children_data || [])[0]
+    // breadcrumbs start below the store root
+    return storeRoot ? this.buildChildren(storeRoot, [], includeInactive) : []
+  }
+
+  /**
+   * @returns {Object} the category with its breadcrumbs and direct children, each child with a children_count to drill further
+   */
+  async getCategory (categoryId, includeInactive = false) {
+    const find = (nodes) => {
+      for (const node of nodes) {
+        if (Number(node.id) === Number(categoryId)) return node
+        const found = find(node.children)
+        if (found) return found
+      }
+      return null
+    }
+    const category = find(await this.getTree(includeInactive))
+    if (!category) throw notFound()
+    return {
+      ...category,
+      children: category.children.map(({ children, ...child }) => ({ ...child, children_count: children.length }))
+    }
+  }
+}
+
+module.exports = new CategoryService()
@@ -0,0 +1,129 @@
+const __constants = require('../../config/constants')
+const catalogEnrichment = require('./CatalogEnrichment')
+const catalogMirror = require('../catalog/CatalogMirror')
+const customAttribute = require('../../lib/util/customAttribute')
+
+const normalize = (label) => String(label).trim().toLowerCase()
+
+/**
+ * Filters and facet counts for drops (the enriched product shape).
+ * Facets are disjunctive: the counts of one facet apply every selected filter except its own,
+ * so picking size 32 still shows how many products the other sizes would give.
+ */
+class DropFilters {
+  // labels keep working from the mirror while magento is down
+  async getOptions (attributeCode) {
+    try {
+      return await catalogEnrichment.getAttributeOptions(attributeCode)
+    } catch (err) {
+      if (!catalogMirror.isConnected()) throw err
+      return catalogMirror.getAttributeOptions(attributeCode)
+    }
+  }
+
+  async describe (drops) {
+    const [colorOptions, fitOptions] = await Promise.all([
+      this.getOptions(__constants.DROP_FACET_ATTRIBUTE_CODES.color),
+      this.getOptions(__constants.DROP_FACET_ATTRIBUTE_CODES.fit)
+    ])
+    const label = (options, value) => {
+      const option = options.find(opt => String(opt.value) === String(value))
+      return option ? option.label : undefined
+    }
+    const labels = (options, value) => value === undefined || value === null ? [] : String(value).split(',').map(val => label(options, val)).filter(Boolean)
+    return drops.map((drop) => {
+      const inStock = drop.variants.filter(variant => variant.stock > 0 && variant.price)
+      const sizeAxis = drop.configurable_product_options.find(axis => axis.attribute_id === __constants.SIZE_ATTRIBUTE_ID)
+      // a colour can be the product's own attribute or one of its variant axes
+      const colorAxis = drop.configurable_product_options.find(axis => axis.code === __constants.DROP_FACET_ATTRIBUTE_CODES.color)
+      const axisLabels = axis => axis ? inStock.map(variant => variant.options[axis.code].label) : []
+      return {
+        drop,
+        sizes: axisLabels(sizeAxis).map(String),
+        colors: [...new Set(labels(colorOptions, customAttribute(drop, __constants.DROP_FACET_ATTRIBUTE_CODES.color)).concat(axisLabels(colorAxis)))],
+        fits: labels(fitOptions, customAttribute(drop, __constants.DROP_FACET_ATTRIBUTE_CODES.fit)),
+        price: inStock.length ? Math.min(...inStock.map(variant => Number(variant.price))) : null,
+        inStock: inStock.length > 0
+      }
+    })
+  }
+
+  // what filtering and the facets need of an entry, the catalog sync stores it on the mirrored product
+  facts ({ sizes, colors, fits, price, inStock }) {
+    return { sizes, colors, fits, price, inStock }
+  }
+
+  isFiltering (filters = {}) {
+    const selected = value => Array.isArray(value) && value.length > 0
+    const given = value => value !== undefined && value !== null
+    return selected(filters.size) || selected(filters.color) || selected(filters.fit) || given(filters.priceMin) || given(filters.priceMax) || !!filters.inStockOnly
+  }
+
+  // every filter but `except`, used for the disjunctive facet counts
+  matches (entry, filters, except) {
+    const anyOf = (selected, available) => !selected || !selected.length || available.some(value => selected.map(normalize).includes(normalize(value)))
+    if (except !== 'size' && !anyOf(filters.size, entry.sizes)) return false
+    if (except !== 'color' && !anyOf(filters.color, entry.colors)) return false
+    if (except !== 'fit' && !anyOf(filters.fit, entry.fits)) return false
+    if (except !== 'price') {
+      const hasRange = (filters.priceMin !== undefined && filters.priceMin !== null) || (filters.priceMax !== undefined && filters.priceMax !== null)
+      if (hasRange && entry.price === null) return false
+      if (filters.priceMin !== undefined && filters.priceMin !== null && entry.price < filters.priceMin) return false
+      if (filters.priceMax !== undefined && filters.priceMax !== null && entry.price > filters.priceMax) return false
+    }
+    if (except !== 'inStock' && filters.inStockOnly && !entry.inStock) return false
+    return true
+  }
+
+  count (entries, pick, order = []) {
+    const counts = new Map()
+    entries.forEach(entry => new Set(pick(entry)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)))
+    const position = value => { const index = order.indexOf(value); return index === -1 ? order.length : index }
+    return [...counts.entries()]
+      .sort(([a], [b]) => position(a) - position(b) || String(a).localeCompare(String(b), undefined, { numeric: true }))
+      .map(([value, count]) => ({ value, count }))
+  }
+
+  async facets (entries, filters) {
+    const sizeOptions = await this.getOptions(__constants.SIZE_ATTRIBUTE_ID)
+    const without = facet => entries.filter(entry => this.matches(entry, filters, facet))
+    const priced = without('price')
+    return {
+      size: this.count(without('size'), entry => entry.sizes, sizeOptions.map(option => String(option.label))),
+      color: this.count(without('color'), entry => entry.colors),
+      fit: this.count(without('fit'), entry => entry.fits),
+      price: __constants.DROP_PRICE_FACET_BUCKETS.map(([from, to]) => ({
+        from,
+        to,
+        count: priced.filter(entry => entry.price !== null && entry.price >= from && (to === null || entry.price <= to)).length
+      })),
+      inStock: without('inStock').filter(entry => entry.inStock).length
+    }
+  }
+
+  /**
+   * @param {Array} entries facts of every product of the listing, in listing order
+   * @param {Object} filters { size, color, fit, priceMin, priceMax, inStockOnly }
+   * @returns {{entries: Array, total: number, facets: Object}} entries is the requested page of the matching ones
+   */
+  async select (entries, filters = {}, page = 1, pageSize = 10) {
+    const matching = entries.filter(entry => this.matches(entry, filters))
+    return {
+      entries: matching.slice((page - 1) * pageSize, page * pageSize),
+      total: matching.length,
+      facets: await this.facets(entries, filters)
+    }
+  }
+
+  /**
+   * Filters drops that are already enriched, for listings read live from magento.
+   * @param {Array} drops every drop of the listing, in listing order
+   * @returns {{items: Array, total: number, facets: Object}} items is the requested page of the filtered drops
+   */
+  async apply (drops, filters = {}, page = 1, pageSize = 10) {
+    const { entries, total, facets } = await this.select(await this.describe(drops), filters, page, pageSize)
+    return { items: entries.map(entry => entry.drop), total, facets }
+  }
+}
+
+module.exports = new DropFilters()
@@ -0,0 +1,72 @@
+const __constants = require('../../config/constants')
+const customAttribute = require('../../lib/util/customAttribute')
+
+const toNumber = (value) => value === undefined || value === null || value === '' ? null : Number(value)
+
+const rupees = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 })
+
+/**
+ * Works out what a customer pays for a simple product: the lowest of its regular price, a special price
+ * inside its date window, a tier price for a single unit and the catalog price rule price magento calculated.
+ */
+class PriceResolver {
+  // magento stores special price dates as store-local days
+  today (now = new Date()) {
+    return new Date(now.getTime() + __constants.STORE_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10)
+  }
+
+  specialPrice (product, today) {
+    const price = toNumber(customAttribute(product, 'special_price'))
+    if (price === null) return null
+    const from = customAttribute(product, 'special_from_date')
+    const to = customAttribute(product, 'special_to_date')
+    const validFrom = from ? String(from).slice(0, 10) : null
+    const validTo = to ? String(to).slice(0, 10) : null
+    if ((validFrom && today < validFrom) || (validTo && today > validTo)) return null
+    return { price, source: 'special_price', validFrom, validTo }
+  }
+
+  // tier prices for one unit that apply to every customer group or to guests, which is who the bot sells to
+  tierPrice (product) {
+    const prices = (product.tier_prices || [])
+      .filter(tier => Number(tier.qty) <= 1 && __constants.PRICE_CUSTOMER_GROUP_IDS.includes(Number(tier.customer_group_id)))
+      .map(tier => Number(tier.value))
+    return prices.length ? { price: Math.min(...prices), source: 'tier_price', validFrom: null, validTo: null } : null
+  }
+
+  format (amount) {
+    return rupees.format(amount)
+  }
+
+  /**
+   * @param {Object} product magento simple product payload
+   * @param {number} [rulePrice] final price from magento's catalog price rules, see catalogEnrichment.getCatalogRulePrices
+   * @returns {{regular_price, final_price, discount_percent, price_source, price_valid_from, price_valid_to, price_display}}
+   */
+  resolve (product, rulePrice, now) {
+    const regular = toNumber(product.price)
+    if (regular === null) {
+      return { regular_price: null, final_price: null, discount_percent: 0, price_source: null, price_valid_from: null, price_valid_to: null, price_display: null }
+    }
+    const candidates = [
+      this.specialPrice(product, this.today(now)),
+      this.tierPrice(product),
+      toNumber(rulePrice) === null ? null : { price: Number(rulePrice), source: 'catalog_rule', validFrom: null, validTo: null }
+    ].filter(candidate => candidate && candidate.price < regular)
+    // the first candidate wins a tie so a special price keeps its date window
+    const best = candidates.reduce((lowest, candidate) => !lowest || candidate.price < lowest.price ? candidate : lowest, null)
+    const final = best ? best.price : regular
+    const discount = regular > 0 ? Math.round((regular - final) / regular * 100) : 0
+    return {
+      regular_price: regular,
+      final_price: final,
+      discount_percent: discount,
+      price_source: best ? best.source : null,
+      price_valid_from: best ? best.validFrom : null,
+      price_valid_to: best ? best.validTo : null,
+      price_display: best ? `${this.format(regular)} → ${this.format(final)} (${discount}% off)` : this.format(regular)
+    }
+  }
+}
+
+module.exports = new PriceResolver()
@@ -0,0 +1,159 @@
+const __constants = require('../../config/constants')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const catalogEnrichment = require('./CatalogEnrichment')
+const catalogMirror = require('../catalog/CatalogMirror')
+const imageService = require('../media/ImageService')
+const customAttribute = require('../../lib/util/customAttribute')
+
+const stripHtml = (html) => String(html || '').replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]*>/g, '').replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim()
+
+const humanize = (code) => code.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+
+const productNotFound = () => {
+  const error = new Error('Product not found')
+  error.type = __constants.RESPONSE_MESSAGES.NOT_FOUND
+  error.err = error.message
+  return error
+}
+
+/**
+ * Everything the bot shows when a customer opens one product: description, variant matrix with stock,
+ * enabled images, descriptive attributes and the related / upsell / cross-sell products.
+ */
+class ProductDetailService {
+  // the mirror answers for configurables once it is synced, anything else is read from magento
+  async findProduct ({ sku, urlKey }) {
+    try {
+      if (await catalogMirror.isReadable()) {
+        const product = await catalogMirror.findProduct({ sku, urlKey })
+        if (product) return { product, source: catalogMirror }
+      }
+    } catch (err) {
+      console.log('Catalog mirror read failed, reading from magento :: err', err.message)
+    }
+    if (sku) {
+      const product = await magentoClient.get(`/V1/products/${encodeURIComponent(sku)}`)
+      return { product, source: catalogEnrichment }
+    }
+    const { items } = await magentoClient.get(`/V1/products?${new SearchCriteria().where('url_key', urlKey).limit(1)}`)
+    return { product: items[0], source: catalogEnrichment }
+  }
+
+  async getVariants (product, source) {
+    if (catalogEnrichment.isConfigurable(product)) {
+      const [drop] = await catalogEnrichment.enrichProducts([product], source)
+      return { configurable_product_options: drop.configurable_product_options, variants: drop.variants }
+    }
+    const [stock, rulePrices] = await Promise.all([
+      catalogEnrichment.getAvailableStock([product.sku]),
+      catalogEnrichment.getCatalogRulePrices([product])
+    ])
+    const image = customAttribute(product, 'image')
+    return {
+      configurable_product_options: [],
+      variants: [{
+        sku: product.sku,
+        label: product.name,
+        options: {},
+        stock: stock[product.sku] || 0,
+        ...catalogEnrichment.priceFields(product, rulePrices[product.sku]),
+        image: image ? catalogEnrichment.imageUrl(image) : null
+      }]
+    }
+  }
+
+  getImages (product) {
+    return imageService.gallery(product)
+      .map(entry => ({ url: entry.file, label: entry.label, position: entry.position, types: entry.types || [], renditions: entry.renditions }))
+  }
+
+  // select values are shown by label, text attributes as they are
+  async getAttributes (product, source) {
+    const attributes = []
+    for (const code of __constants.PRODUCT_DETAIL_ATTRIBUTE_CODES) {
+      const value = customAttribute(product, code)
+      if (value === undefined || value === null || value === '') continue
+      const attribute = await source.getAttribute(code).catch(() => null)
+      const options = (attribute && attribute.options) || []
+      const labels = options.length
+        ? String(value).split(',').map(val => (options.find(option => String(option.value) === val.trim()) || {}).label).filter(Boolean)
+        : [stripHtml(value)]
+      if (!labels.length) continue
+      attributes.push({ code, label: (attribute && attribute.default_frontend_label) || humanize(code), value: labels.join(', ') })
+    }
+    return attributes
+  }
+
+  summarize (product, drop, stock, rulePrices) {
+    const image = customAttribute(product, 'small_image') || customAttribute(product, 'image')
+    const inStockVariants = drop ? drop.variants.filter(variant => variant.stock > 0 && variant.price) : []
+    return {
+      sku: product.sku,
+      name: product.name,
+      url_key: customAttribute(product, 'url_key'),
+      price: drop ? (inStockVariants.length ? Math.min(...inStockVariants.map(variant => variant.price)) : null) : catalogEnrichment.priceFields(product, rulePrices[product.sku]).price,
+      in_stock: drop ? inStockVariants.length > 0 : (stock[product.sku] || 0) > 0,
+      image: image ? catalogEnrichment.imageUrl(image) : null
+    }
+  }
+
+  /**
+   * Linked products grouped by link type in magento position order, disabled ones are left out.
+   * Links are an extra, a failure here is logged and the detail is returned without them.
+   */
+  async getLinks (product) {
+    const links = {}
+    __constants.PRODUCT_LINK_TYPES.forEach(type => { links[type] = [] })
+    const productLinks = (product.product_links || []).filter(link => links[link.link_type])
+    if (!productLinks.length) return links
+    try {
+      const skus = [...new Set(productLinks.map(link => link.linked_product_sku))]
+      const { items } = await magentoClient.get(`/V1/products?${new SearchCriteria().where('sku', skus, 'in').where('status', 1)}`)
+      const simples = items.filter(item => !catalogEnrichment.isConfigurable(item))
+      const [drops, stock, rulePrices] = await Promise.all([
+        catalogEnrichment.enrichProducts(items),
+        catalogEnrichment.getAvailableStock(simples.map(item => item.sku)),
+        catalogEnrichment.getCatalogRulePrices(simples)
+      ])
+      productLinks.slice().sort((a, b) => (a.position || 0) - (b.position || 0)).forEach((link) => {
+        const linked = items.find(item => item.sku === link.linked_product_sku)
+        if (!linked) return
+        links[link.link_type].push(this.summarize(linked, drops.find(drop => drop.sku === linked.sku), stock, rulePrices))
+      })
+    } catch (err) {
+      console.log('Error in getLinks function :: err', err.err || err.message)
+    }
+    return links
+  }
+
+  /**
+   * @param {{sku: string, urlKey: string}} lookup one of them, sku wins when both are given
+   */
+  async getProductDetail ({ sku, urlKey }) {
+    const { product, source } = await this.findProduct({ sku, urlKey })
+    if (!product || Number(product.status) !== 1) throw productNotFound()
+    const [variants, attributes, links] = await Promise.all([
+      this.getVariants(product, source),
+      this.getAttributes(product, source),
+      this.getLinks(product)
+    ])
+    const description = customAttribute(product, 'description')
+    return {
+      id: product.id,
+      sku: product.sku,
+      name: product.name,
+      type_id: product.type_id,
+      url_key: customAttribute(product, 'url_key'),
+      description: stripHtml(description),
+      description_html: description || '',
+      short_description: stripHtml(customAttribute(product, 'short_description')),
+      ...variants,
+      images: this.getImages(product),
+      attributes,
+      links
+    }
+  }
+}
+
+module.exports = new ProductDetailService()
@@ -0,0 +1,203 @@
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const elastic = require('../../lib/db/elastic')
+const magentoClient = require('../magento/MagentoClient')
+const SearchCriteria = require('../magento/SearchCriteria')
+const catalogEnrichment = require('./CatalogEnrichment')
+const ProductService = require('./ProductService')
+const typedError = require('../../lib/util/typedError')
+const customAttribute = require('../../lib/util/customAttribute')
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+
+// every word suffix of the name is a completion input, so "slim" suggests "Black Slim Fit Jeans"
+const suggestInputs = (name) => {
+  const words = String(name || '').split(/\s+/).filter(Boolean)
+  return words.map((word, index) => words.slice(index).join(' '))
+}
+
+const searchableText = {
+  type: 'text',
+  analyzer: 'product_text',
+  search_analyzer: 'product_search',
+  copy_to: 'search_text'
+}
+
+const INDEX_BODY = {
+  settings: {
+    analysis: {
+      filter: {
+        product_synonyms: { type: 'synonym_graph', synonyms: __constants.PRODUCT_SEARCH_SYNONYMS }
+      },
+      analyzer: {
+        product_text: { tokenizer: 'standard', filter: ['lowercase', 'asciifolding'] },
+        product_search: { tokenizer: 'standard', filter: ['lowercase', 'asciifolding', 'product_synonyms'] }
+      }
+    }
+  },
+  mappings: {
+    properties: {
+      id: { type: 'integer' },
+      sku: { type: 'keyword' },
+      status: { type: 'integer' },
+      visibility: { type: 'integer' },
+      category_ids: { type: 'keyword' },
+      name: searchableText,
+      description: searchableText,
+      attributes: searchableText,
+      options: searchableText,
+      search_text: { type: 'text', analyzer: 'product_text', search_analyzer: 'product_search' },
+      suggest: { type: 'completion', analyzer: 'product_text' },
+      indexed_at: { type: 'date' }
+    }
+  }
+}
+
+/**
+ * Full text product search on elasticsearch: name, description, attribute labels and variant options
+ * with typo tolerance, synonyms (see PRODUCT_SEARCH_SYNONYMS) and name completion suggestions.
+ * Only ids come from the index, hits are returned in the drops shape with live (or mirrored) stock.
+ */
+class ProductSearchService {
+  isEnabled () {
+    return __config.elastic.initSearch
+  }
+
+  assertEnabled () {
+    if (!this.isEnabled()) throw typedError(__constants.RESPONSE_MESSAGES.SEARCH_NOT_AVAILABLE, __constants.RESPONSE_MESSAGES.SEARCH_NOT_AVAILABLE.message)
+  }
+
+  async ensureIndex () {
+    const index = __config.elastic.productIndex
+    if (!(await elastic.indices.exists({ index }))) await elastic.indices.create({ index, ...INDEX_BODY })
+  }
+
+  // labels of select values, plain text attributes are indexed as they are
+  async attributeLabels (attributeIdOrCode, value) {
+    const options = await catalogEnrichment.getAttributeOptions(attributeIdOrCode).catch(() => [])
+    const values = String(value).split(',')
+    if (!options.length) return [String(value)]
+    return values.map(val => (options.find(option => String(option.value) === val.trim()) || {}).label).filter(Boolean)
+  }
+
+  async toDocument (product, indexedAt) {
+    const attributes = []
+    for (const code of __constants.PRODUCT_SEARCH_ATTRIBUTE_CODES) {
+      const value = customAttribute(product, code)
+      if (value !== undefined && value !== null && value !== '') attributes.push(...await this.attributeLabels(code, value))
+    }
+    // variant axes, e.g. the sizes and colours a configurable is offered in
+    const options = []
+    for (const option of (product.extension_attributes || {}).configurable_product_options || []) {
+      const valueIndexes = (option.values || []).map(val => val.value_index).join(',')
+      if (valueIndexes) options.push(...await this.attributeLabels(option.attribute_id, valueIndexes))
+    }
+    return {
+      id: product.id,
+      sku: product.sku,
+      status: product.status,
+      visibility: product.visibility,
+      category_ids: ((product.extension_attributes || {}).category_links || []).map(link => String(link.category_id)),
+      name: product.name,
+      description: stripHtml(customAttribute(product, 'description')),
+      attributes,
+      options,
+      suggest: { input: suggestInputs(product.name) },
+      indexed_at: indexedAt
+    }
+  }
+
+  async indexProducts (products, indexedAt = new Date()) {
+    this.assertEnabled()
+    const configurables = products.filter(product => product.type_id === 'configurable')
+    if (!configurables.length) return 0
+    await this.ensureIndex()
+    const operations = []
+    for (const product of configurables) {
+      operations.push({ index: { _index: __config.elastic.productIndex, _id: String(product.id) } }, await this.toDocument(product, indexedAt))
+    }
+    const result = await elastic.bulk({ operations, refresh: 'wait_for' })
+    if (result.errors) {
+      const failed = result.items.filter(item => item.index && item.index.error)
+      console.log('Error in indexProducts function :: failed items', JSON.stringify(failed.slice(0, 5)))
+    }
+    return configurables.length
+  }
+
+  // indexes every configurable in magento, documents of products that no longer exist are dropped afterwards
+  async reindex () {
+    this.assertEnabled()
+    const startedAt = new Date()
+    let indexed = 0
+    await magentoClient.forEachPage('/V1/products', new SearchCriteria().where('type_id', 'configurable').sortBy('entity_id', 'ASC'), async (products) => {
+      indexed += await this.indexProducts(products, startedAt)
+    })
+    const { deleted } = await elastic.deleteByQuery({
+      index: __config.elastic.productIndex,
+      query: { range: { indexed_at: { lt: startedAt.toISOString() } } },
+      refresh: true
+    })
+    return { indexed, removed: deleted }
+  }
+
+  buildQuery (query) {
+    return {
+      bool: {
+        filter: [{ term: { status: 1 } }, { term: { visibility: 4 } }],
+        should: [
+          // exact words, synonyms are applied by the search analyzer
+          { match: { search_text: { query, minimum_should_match: '2<75%' } } },
+          // misspelt words, synonym graphs cannot be combined with fuzziness so the plain analyzer is used
+          { match: { search_text: { query, analyzer: 'product_text', fuzziness: 'AUTO', prefix_length: 1, minimum_should_match: '2<75%' } } },
+          { match_phrase: { name: { query, boost: 3 } } }
+        ],
+        minimum_should_match: 1
+      }
+    }
+  }
+
+  /**
+   * @param {string} query what the customer typed, e.g. "black slim fit 32"
+   * @returns {{items: Array, total: number, suggestions: Array<string>}} items in the getNewDrops shape
+   */
+  async search (query, page = 1, pageSize = 10) {
+    this.assertEnabled()
+    let response
+    try {
+      response = await elastic.search({
+        index: __config.elastic.productIndex,
+        from: (page - 1) * pageSize,
+        size: pageSize,
+        _source: ['id', 'name'],
+        query: this.buildQuery(query),
+        suggest: {
+          names: {
+            prefix: query,
+            completion: { field: 'suggest', size: __constants.PRODUCT_SEARCH_SUGGESTION_SIZE, skip_duplicates: true, fuzzy: { fuzziness: 'AUTO' } }
+          }
+        }
+      })
+    } catch (err) {
+      console.log('Error in product search :: err', err.message)
+      throw typedError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, 'Product search failed')
+    }
+
+    const ids = response.hits.hits.map(hit => Number(hit._id))
+    const suggestions = [...new Set(((response.suggest && response.suggest.names) || [])
+      .reduce((options, entry) => options.concat(entry.options), [])
+      .map(option => option._source.name))]
+    const total = typeof response.hits.total === 'object' ? response.hits.total.value : response.hits.total
+    if (!ids.length) return { items: [], total, suggestions }
+
+    const criteria = new SearchCriteria()
+      .where('entity_id', ids, 'in')
+      .where('status', 1)
+      .where('visibility', 4)
+    const products = await ProductService.findDrops(criteria, { ids })
+    // keep the relevance order of the hits
+    const items = ids.map(id => products.find(product => product.id === id)).filter(Boolean)
+    return { items, total, suggestions }
+  }
+}
+
+module.exports = new ProductSearchService()
@@ -0,0 +1,123 @@
+const crypto = require('crypto')
+const __db = require('../../lib/db')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+const typedError = require('../../lib/util/typedError')
+
+const LOCK_ATTEMPTS = 20
+const LOCK_RETRY_MS = 100
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Holds the units a customer is paying for while their payment link is open, so two customers cannot both pay for the last piece of a drop.
+ * Reservations live in the redis hash STOCK_RESERVATIONS_KEY as linkId -> { linkId, whatsappNumber, items: [{ sku, qty }], expiresAt }
+ * and end when the link expires, is cancelled or is paid.
+ * Magento's salable quantity only counts placed orders, so the stock shown to customers is what active reservations leave of it.
+ */
+class StockReservationService {
+  enabled () {
+    return __config.stockReservation.enabled && !!__db.redis.connection
+  }
+
+  // active reservations, expired ones are dropped from the hash on the way
+  async active () {
+    if (!this.enabled()) return []
+    const stored = Object.values(await __db.redis.hash_getall(__constants.STOCK_RESERVATIONS_KEY) || {}).map(value => JSON.parse(value))
+    const now = Date.now()
+    const expired = stored.filter(reservation => reservation.expiresAt <= now)
+    await Promise.all(expired.map(reservation => __db.redis.hash_delete(__constants.STOCK_RESERVATIONS_KEY, reservation.linkId)))
+    return stored.filter(reservation => reservation.expiresAt > now)
+  }
+
+  // units held per sku, a customer's own reservations do not count against them
+  reservedBySku (reservations, whatsappNumber) {
+    const reserved = {}
+    reservations.filter(reservation => !whatsappNumber || reservation.whatsappNumber !== whatsappNumber).forEach((reservation) => {
+      reservation.items.forEach(item => { reserved[item.sku] = (reserved[item.sku] || 0) + item.qty })
+    })
+    return reserved
+  }
+
+  /**
+   * @param {Object} stock sku -> quantity
+   * @param {string} [whatsappNumber] whose reservations stay available to them
+   * @returns {Object} sku -> quantity left after the active reservations, the stock as it is when reservations cannot be read
+   */
+  async subtract (stock, whatsappNumber) {
+    let reserved = {}
+    try {
+      reserved = this.reservedBySku(await this.active(), whatsappNumber)
+    } catch (err) {
+      console.log('Error reading stock reservations :: err', err.message)
+    }
+    const available = {}
+    Object.keys(stock).forEach(sku => { available[sku] = Math.max(0, stock[sku] - (reserved[sku] || 0)) })
+    return available
+  }
+
+  // one reservation is checked and written at a time, across processes. The lock is only given back by its holder,
+  // a holder that outlived the lock ttl leaves the next holder's lock alone
+  async withLock (work) {
+    const token = crypto.randomBytes(16).toString('hex')
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      if (await __db.redis.setnx_ex(__constants.STOCK_RESERVATION_LOCK_KEY, token, __constants.STOCK_RESERVATION_LOCK_TTL)) {
+        try {
+          return await work()
+        } finally {
+          await __db.redis.key_delete_if(__constants.STOCK_RESERVATION_LOCK_KEY, token)
+        }
+      }
+      await sleep(LOCK_RETRY_MS)
+    }
+    throw typedError(__constants.RESPONSE_MESSAGES.SERVER_ERROR, 'Stock reservations are busy, try again')
+  }
+
+  /**
+   * Holds items for the payment link linkId for its expiryMinutes.
+   * @param {{linkId: string, whatsappNumber: string, items: [{sku, name, qty}], expiryMinutes: number}} reservation
+   * @param {Object} [stock] sku -> magento quantity of the items, without it the items are held unchecked
+   * @returns the reservation, null when reservations are off or redis is not connected
+   * @throws OUT_OF_STOCK when other customers hold too many of an item, INVALID_REQUEST when the link already holds stock
+   */
+  async reserve ({ linkId, whatsappNumber, items, expiryMinutes }, stock) {
+    if (!this.enabled()) return null
+    return this.withLock(async () => {
+      const reservations = await this.active()
+      if (reservations.some(reservation => reservation.linkId === linkId)) {
+        throw typedError(__constants.RESPONSE_MESSAGES.INVALID_REQUEST, `Payment link ${linkId} already exists`)
+      }
+      const reserved = this.reservedBySku(reservations, whatsappNumber)
+      const short = stock ? items.filter(item => item.qty > (stock[item.sku] || 0) - (reserved[item.sku] || 0)) : []
+      if (short.length) {
+        throw typedError(__constants.RESPONSE_MESSAGES.OUT_OF_STOCK, `Not enough stock of ${short.map(item => item.name || item.sku).join(', ')}, the last pieces are held for other customers`)
+      }
+      const reservation = {
+        linkId,
+        whatsappNumber,
+        items: items.map(item => ({ sku: item.sku, qty: item.qty })),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + Number(expiryMinutes) * 60 * 1000
+      }
+      await __db.redis.hash_set(__constants.STOCK_RESERVATIONS_KEY, linkId, JSON.stringify(reservation))
+      return reservation
+    })
+  }
+
+  async find (linkId) {
+    if (!this.enabled()) return null
+    const stored = await __db.redis.hash_get(__constants.STOCK_RESERVATIONS_KEY, linkId)
+    const reservation = stored ? JSON.parse(stored) : null
+    return reservation && reservation.expiresAt > Date.now() ? reservation : null
+  }
+
+  // the link was paid, cancelled or could not be created, its units are free again
+  async release (linkId) {
+    if (!this.enabled()) return null
+    const reservation = await this.find(linkId)
+    await __db.redis.hash_delete(__constants.STOCK_RESERVATIONS_KEY, linkId)
+    return reservation
+  }
+}
+
+module.exports = new StockReservationService()
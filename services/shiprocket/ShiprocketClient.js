@@ -0,0 +1,76 @@
+const axios = require('axios')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const providerError = (type, message, status) => {
+  const error = new Error(message)
+  error.type = type
+  error.err = message
+  error.status = status
+  return error
+}
+
+/**
+ * Shiprocket external API with the login token kept in memory for SHIPROCKET_TOKEN_TTL (shiprocket tokens last 10 days),
+ * logging in again once when shiprocket rejects it.
+ */
+class ShiprocketClient {
+  constructor () {
+    this.http = axios.create({
+      baseURL: __config.shiprocket.baseUrl,
+      timeout: __constants.SHIPROCKET_TIMEOUT,
+      headers: { 'Content-Type': 'application/json' }
+    })
+    this.token = null
+    this.pendingLogin = null
+  }
+
+  async login () {
+    try {
+      const { data } = await this.http.post('/auth/login', { email: __config.shiprocket.email, password: __config.shiprocket.password })
+      this.token = { value: data.token, expiresAt: Date.now() + __constants.SHIPROCKET_TOKEN_TTL * 1000 }
+      return data.token
+    } catch (err) {
+      console.log('Error in shiprocket login function :: err', err.response ? err.response.data : err.message)
+      throw this.mapError(err)
+    }
+  }
+
+  async getToken () {
+    if (this.token && this.token.expiresAt > Date.now()) return this.token.value
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.login().finally(() => { this.pendingLogin = null })
+    }
+    return this.pendingLogin
+  }
+
+  async get (path, params) {
+    let token = await this.getToken()
+    const send = () => this.http.get(path, { params, headers: { Authorization: `Bearer ${token}` } })
+    try {
+      const response = await send().catch(async (err) => {
+        if (!err.response || err.response.status !== 401) throw err
+        this.token = null
+        token = await this.getToken()
+        return send()
+      })
+      return response.data
+    } catch (err) {
+      console.log(`Error in shiprocket GET ${path} :: err`, err.response ? err.response.data : err.message)
+      throw this.mapError(err)
+    }
+  }
+
+  mapError (err) {
+    if (!err.response) {
+      const message = err.code === 'ECONNABORTED' ? 'Shiprocket did not respond in time' : 'Shiprocket is unreachable'
+      return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message)
+    }
+    const status = err.response.status
+    const message = (err.response.data && err.response.data.message) || `Shiprocket responded with status ${status}`
+    if (status === 404) return providerError(__constants.RESPONSE_MESSAGES.NOT_FOUND, message, status)
+    return providerError(__constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER, message, status)
+  }
+}
+
+module.exports = new ShiprocketClient()
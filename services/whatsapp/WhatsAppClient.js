@@ -0,0 +1,53 @@
+const axios = require('axios')
+const __config = require('../../config')
+const __constants = require('../../config/constants')
+
+const providerError = (message, status) => {
+  const error = new Error(message)
+  error.type = __constants.RESPONSE_MESSAGES.ERROR_CALLING_PROVIDER
+  error.err = message
+  error.status = status
+  return error
+}
+
+/**
+ * Sends business initiated messages through the WhatsApp Cloud API.
+ * Outside the 24 hour customer service window only approved templates can be sent, so everything goes out as a template.
+ */
+class WhatsAppClient {
+  constructor () {
+    this.http = axios.create({
+      baseURL: __config.whatsapp.baseUrl,
+      timeout: __constants.WHATSAPP_TIMEOUT,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+
+  /**
+   * @param {string} to number with country code, digits only, e.g. 919876543210
+   * @param {string} template approved template name
+   * @param {Array<string>} bodyParameters values for {{1}}, {{2}} ... of the template body
+   * @returns {string} the whatsapp message id
+   */
+  async sendTemplate (to, template, bodyParameters = []) {
+    try {
+      const { data } = await this.http.post(`/${__config.whatsapp.phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to,
+        type: 'template',
+        template: {
+          name: template,
+          language: { code: __config.whatsapp.templateLanguage },
+          components: [{ type: 'body', parameters: bodyParameters.map(text => ({ type: 'text', text: String(text) })) }]
+        }
+      }, { headers: { Authorization: `Bearer ${__config.whatsapp.accessToken}` } })
+      return data.messages && data.messages[0] ? data.messages[0].id : null
+    } catch (err) {
+      const body = err.response && err.response.data
+      console.log(`Error in whatsapp sendTemplate ${template} :: err`, body || err.message)
+      throw providerError((body && body.error && body.error.message) || err.message, err.response && err.response.status)
+    }
+  }
+}
+
+module.exports = new WhatsAppClient()